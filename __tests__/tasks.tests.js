@@ -1,11 +1,30 @@
 const request = require('supertest');
 const app = require('../src/app'); 
 const db = require('../src/config/db');
+const { runQuery, getQuery } = require('../src/utils/dbHelper');
+const { runRecurrence } = require('../src/services/recurrenceService');
+
+// Signed in through the stub identity provider as an admin (so every action
+// is allowed). The session cookie authenticates both the API and the UI routes.
+let api;
+beforeAll(async () => {
+  api = request.agent(app);
+  await api.post('/login').type('form').send({ username: 'test.admin', name: 'Test Admin', role: 'admin' });
+});
 
 beforeEach(async () => {
-  // Clean DB before each test
-  await db.run("DELETE FROM task_history");
-  await db.run("DELETE FROM tasks");
+  // Clean DB before each test (db.run is callback-based, so go through runQuery to await it)
+  await runQuery("DELETE FROM task_history");
+  await runQuery("DELETE FROM task_comment_revisions");
+  await runQuery("DELETE FROM task_comments");
+  await runQuery("DELETE FROM task_attachments");
+  await runQuery("DELETE FROM task_dependencies");
+  await runQuery("DELETE FROM task_tags");
+  await runQuery("DELETE FROM tags");
+  await runQuery("DELETE FROM tasks");
+  await runQuery("DELETE FROM task_series");
+  await runQuery("DELETE FROM tasks_fts");
+  await runQuery("DELETE FROM retention_log");
 });
 
 describe('HMCTS Task API Integration Tests', () => {
@@ -23,14 +42,14 @@ describe('HMCTS Task API Integration Tests', () => {
       ...overrides
     };
 
-    const res = await request(app).post('/api/v1/tasks').send(taskData);
+    const res = await api.post('/api/v1/tasks').send(taskData);
     expect(res.statusCode).toBe(201);
     return res.body;
   };
 
   // Helper to fetch task history
   const fetchHistory = async (taskId) => {
-    const res = await request(app).get(`/api/v1/tasks/${taskId}/history`);
+    const res = await api.get(`/api/v1/tasks/${taskId}/history`);
     expect(res.statusCode).toBe(200);
     return res.body;
   };
@@ -52,7 +71,7 @@ describe('HMCTS Task API Integration Tests', () => {
     const tomorrow = new Date();
     tomorrow.setDate(tomorrow.getDate() + 1);
 
-    const res = await request(app).post('/api/v1/tasks').send({
+    const res = await api.post('/api/v1/tasks').send({
       description: 'No title',
       due_date: tomorrow.toISOString()
     });
@@ -65,7 +84,7 @@ describe('HMCTS Task API Integration Tests', () => {
 
   // 3. Past due date
   it('POST /api/v1/tasks - should block tasks with past due dates', async () => {
-    const res = await request(app).post('/api/v1/tasks').send({
+    const res = await api.post('/api/v1/tasks').send({
       title: 'Invalid Task',
       due_date: '1990-01-01'
     });
@@ -81,7 +100,7 @@ describe('HMCTS Task API Integration Tests', () => {
     const tomorrow = new Date();
     tomorrow.setDate(tomorrow.getDate() + 1);
 
-    const res = await request(app).post('/api/v1/tasks').send({
+    const res = await api.post('/api/v1/tasks').send({
       title: 'Malicious <script>alert(1)</script>',
       due_date: tomorrow.toISOString()
     });
@@ -106,7 +125,7 @@ describe('HMCTS Task API Integration Tests', () => {
     const task = await createTask();
 
     // Update status using PATCH
-    const res = await request(app)
+    const res = await api
       .patch(`/api/v1/tasks/${task.id}`)
       .send({ status: 'IN_PROGRESS' });
     
@@ -125,7 +144,7 @@ describe('HMCTS Task API Integration Tests', () => {
     const task = await createTask();
 
     const updates = { title: 'Updated Title', description: 'Updated Description' };
-    const res = await request(app).patch(`/api/v1/tasks/${task.id}`).send(updates);
+    const res = await api.patch(`/api/v1/tasks/${task.id}`).send(updates);
     expect(res.statusCode).toBe(200);
 
     const history = await fetchHistory(task.id);
@@ -140,7 +159,7 @@ describe('HMCTS Task API Integration Tests', () => {
   it('PATCH /api/v1/tasks/:id - should block updates to past dates', async () => {
     const task = await createTask();
 
-    const res = await request(app).patch(`/api/v1/tasks/${task.id}`).send({ due_date: '1995-05-05' });
+    const res = await api.patch(`/api/v1/tasks/${task.id}`).send({ due_date: '1995-05-05' });
     console.log('Test 8 - Response:', res.body);
 
     expect(res.statusCode).toBe(400);
@@ -151,7 +170,7 @@ describe('HMCTS Task API Integration Tests', () => {
   it('PATCH /api/v1/tasks/:id - should block removing the title', async () => {
     const task = await createTask();
 
-    const res = await request(app).patch(`/api/v1/tasks/${task.id}`).send({ title: '' });
+    const res = await api.patch(`/api/v1/tasks/${task.id}`).send({ title: '' });
     console.log('Test 9 - Response:', res.body);
 
     expect(res.statusCode).toBe(400);
@@ -161,8 +180,8 @@ describe('HMCTS Task API Integration Tests', () => {
   // 10. Get history
   it('GET /api/v1/tasks/:id/history - should retrieve all audit logs', async () => {
     const task = await createTask();
-    await request(app).patch(`/api/v1/tasks/${task.id}`).send({ status: 'IN_PROGRESS' });
-    await request(app).patch(`/api/v1/tasks/${task.id}`).send({ title: 'Updated Title', description: 'Updated Description' });
+    await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'IN_PROGRESS' });
+    await api.patch(`/api/v1/tasks/${task.id}`).send({ title: 'Updated Title', description: 'Updated Description' });
 
     const history = await fetchHistory(task.id);
     console.log('Test 10 - History:', history);
@@ -179,11 +198,11 @@ describe('HMCTS Task API Integration Tests', () => {
     const task = await createTask();
 
     // 1. Delete
-    const delRes = await request(app).delete(`/api/v1/tasks/${task.id}`);
+    const delRes = await api.delete(`/api/v1/tasks/${task.id}`);
     expect(delRes.statusCode).toBe(204);
 
     // 2. Try to Get (Should fail with RFC 7807)
-    const getRes = await request(app).get(`/api/v1/tasks/${task.id}`);
+    const getRes = await api.get(`/api/v1/tasks/${task.id}`);
     
     console.log('Test 11 - Get After Delete Body:', getRes.body);
 
@@ -198,7 +217,7 @@ describe('HMCTS Task API Integration Tests', () => {
   // 12. Soft delete DB check
   it('Internal DB Check - deleted task should still exist in DB (Soft Delete)', async () => {
     const task = await createTask();
-    await request(app).delete(`/api/v1/tasks/${task.id}`);
+    await api.delete(`/api/v1/tasks/${task.id}`);
 
     const row = await new Promise((resolve, reject) => {
       db.get(`SELECT * FROM tasks WHERE id = ?`, [task.id], (err, row) => {
@@ -214,7 +233,7 @@ describe('HMCTS Task API Integration Tests', () => {
   // 13. Direct DB history check
   it('Direct DB check for task_history', async () => {
     const task = await createTask();
-    await request(app).patch(`/api/v1/tasks/${task.id}`).send({ status: 'IN_PROGRESS' });
+    await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'IN_PROGRESS' });
 
     const rows = await new Promise((resolve, reject) => {
       db.all(
@@ -233,7 +252,7 @@ describe('HMCTS Task API Integration Tests', () => {
   });
   // 14. Invalid Date Format (Strict UTC Enforcement)
   it('POST /api/v1/tasks - should reject dates that are not strict UTC ISO strings (missing Z)', async () => {
-    const res = await request(app).post('/api/v1/tasks').send({
+    const res = await api.post('/api/v1/tasks').send({
       title: 'Strict Date Check',
       // Valid ISO format but missing the 'Z' which denotes UTC
       due_date: '2050-01-01T12:00:00' 
@@ -248,7 +267,7 @@ describe('HMCTS Task API Integration Tests', () => {
 
   // 15. Garbage Date Data
   it('POST /api/v1/tasks - should reject completely malformed dates', async () => {
-    const res = await request(app).post('/api/v1/tasks').send({
+    const res = await api.post('/api/v1/tasks').send({
       title: 'Garbage Date',
       due_date: 'next tuesday'
     });
@@ -259,26 +278,2177 @@ describe('HMCTS Task API Integration Tests', () => {
   // 16. UI Routes
   describe('UI Routes (HTML)', () => {
     it('GET / - should return the home page HTML', async () => {
-      const res = await request(app).get('/');
+      const res = await api.get('/');
       expect(res.statusCode).toBe(200);
       expect(res.header['content-type']).toMatch(/html/);
       expect(res.text).toContain('Caseworker Tasks');
     });
 
     it('GET /create-task - should return the create form', async () => {
-      const res = await request(app).get('/create-task');
+      const res = await api.get('/create-task');
       expect(res.statusCode).toBe(200);
       expect(res.text).toMatch(/Create New Task/i);
     });
   });
 
-  // Close DB
-  afterAll(async () => {
-    await new Promise((resolve, reject) => {
-      db.close((err) => {
-        if (err) return reject(err);
-        resolve();
+  // 17. List endpoint: filtering, sorting and pagination
+  describe('GET /api/v1/tasks - filtering, sorting and pagination', () => {
+    const daysFromNow = (days) => {
+      const d = new Date();
+      d.setDate(d.getDate() + days);
+      return d.toISOString();
+    };
+
+    it('should return a page envelope with total count and links', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await createTask({ title: `Paged Task ${i}`, due_date: daysFromNow(i) });
+      }
+
+      const first = await api.get('/api/v1/tasks?limit=2');
+      expect(first.statusCode).toBe(200);
+      expect(first.body.data.length).toBe(2);
+      expect(first.body.meta).toEqual({ total: 3, limit: 2, offset: 0 });
+      expect(first.body.links.prev).toBeNull();
+      expect(first.body.links.next).toContain('offset=2');
+
+      const second = await api.get(first.body.links.next);
+      expect(second.statusCode).toBe(200);
+      expect(second.body.data.length).toBe(1);
+      expect(second.body.data[0].title).toBe('Paged Task 3');
+      expect(second.body.links.next).toBeNull();
+      expect(second.body.links.prev).toContain('offset=0');
+    });
+
+    it('should filter by status (comma separated) and sort descending', async () => {
+      const a = await createTask({ title: 'Alpha', due_date: daysFromNow(1) });
+      await createTask({ title: 'Bravo', due_date: daysFromNow(2), status: 'COMPLETED' });
+      const c = await createTask({ title: 'Charlie', due_date: daysFromNow(3), status: 'IN_PROGRESS' });
+
+      const res = await api.get('/api/v1/tasks?status=PENDING,IN_PROGRESS&sortBy=due_date&order=desc');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.meta.total).toBe(2);
+      expect(res.body.data.map(t => t.id)).toEqual([c.id, a.id]);
+    });
+
+    it('should include OVERDUE tasks and filter by due date range', async () => {
+      const overdue = await createTask({ title: 'Overdue Task' });
+      await createTask({ title: 'Far Future Task', due_date: daysFromNow(30) });
+      // Back-date directly in the DB, as the API rightly refuses past due dates
+      await new Promise((resolve, reject) => {
+        db.run(`UPDATE tasks SET due_date = ? WHERE id = ?`, [daysFromNow(-2), overdue.id], err => err ? reject(err) : resolve());
+      });
+
+      const overdueRes = await api.get('/api/v1/tasks?status=OVERDUE');
+      expect(overdueRes.body.data.map(t => t.id)).toEqual([overdue.id]);
+
+      const rangeRes = await api.get(`/api/v1/tasks?dueAfter=${daysFromNow(10)}&dueBefore=${daysFromNow(40)}`);
+      expect(rangeRes.body.meta.total).toBe(1);
+      expect(rangeRes.body.data[0].title).toBe('Far Future Task');
+    });
+
+    it('should reject invalid query parameters with a 400', async () => {
+      const res = await api.get('/api/v1/tasks?updatedAfter=2025-01-01T00:00:00&limit=500');
+      expect(res.statusCode).toBe(400);
+      const paths = res.body.errors.map(e => e.path[0]);
+      expect(paths).toEqual(expect.arrayContaining(['updatedAfter', 'limit']));
+    });
+  });
+
+  // 18. Home page pagination
+  describe('GET / - server-side pagination', () => {
+    const settings = require('../src/config/settings');
+    const originalPageSize = settings.homePageSize;
+
+    beforeEach(() => { settings.homePageSize = 2; });
+    afterEach(() => { settings.homePageSize = originalPageSize; });
+
+    it('should render one page of tasks with GOV.UK pagination links that keep filters', async () => {
+      for (let i = 1; i <= 5; i++) {
+        await createTask({ title: `Home Task ${i}` });
+      }
+
+      const res = await api.get('/?view=all&status=PENDING&sort=id&order=ASC&page=2');
+      expect(res.statusCode).toBe(200);
+      expect(res.text).toContain('Showing 3 to 4 of 5 tasks');
+      expect(res.text).toContain('Home Task 3');
+      expect(res.text).not.toContain('Home Task 1<');
+      expect(res.text).toContain('govuk-pagination');
+      expect(res.text).toContain('/?view=all&amp;status=PENDING&amp;sort=id&amp;order=ASC&amp;page=3');
+    });
+
+    it('should clamp out-of-range page numbers to the last page', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await createTask({ title: `Clamp Task ${i}` });
+      }
+
+      const res = await api.get('/?view=all&sort=id&order=ASC&page=99');
+      expect(res.statusCode).toBe(200);
+      expect(res.text).toContain('Showing 3 to 3 of 3 tasks');
+    });
+  });
+
+  // 19. Full-text search
+  describe('Full-text search (q)', () => {
+    it('GET /api/v1/tasks?q= - should match words in title or description by prefix', async () => {
+      const hearing = await createTask({ title: 'Listing request', description: 'Check the adjournment application' });
+      const letter = await createTask({ title: 'Adjourned hearing letter', description: 'Send to both parties' });
+      await createTask({ title: 'Unrelated task', description: 'Nothing to see here' });
+
+      const res = await api.get('/api/v1/tasks?q=adjourn&sortBy=id');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.meta.total).toBe(2);
+      expect(res.body.data.map(t => t.id)).toEqual([hearing.id, letter.id]);
+
+      // Every word must match
+      const narrowed = await api.get('/api/v1/tasks?q=adjourn%20letter');
+      expect(narrowed.body.data.map(t => t.id)).toEqual([letter.id]);
+    });
+
+    it('should keep the index in sync with updates and deletes', async () => {
+      const task = await createTask({ title: 'Original wording' });
+
+      await api.patch(`/api/v1/tasks/${task.id}`).send({ title: 'Revised wording' });
+      expect((await api.get('/api/v1/tasks?q=original')).body.meta.total).toBe(0);
+      expect((await api.get('/api/v1/tasks?q=revised')).body.meta.total).toBe(1);
+
+      await api.delete(`/api/v1/tasks/${task.id}`);
+      expect((await api.get('/api/v1/tasks?q=revised')).body.meta.total).toBe(0);
+    });
+
+    it('should treat FTS syntax in the query as plain text', async () => {
+      await createTask({ title: 'Plain task' });
+      const res = await api.get('/api/v1/tasks?q=' + encodeURIComponent('title:"plain" OR NEAR('));
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('GET /?q= - should highlight matches in the home page table', async () => {
+      await createTask({ title: 'Adjournment notice', description: "Renée's adjournment request" });
+
+      const res = await api.get('/?view=all&q=adjournment');
+      expect(res.statusCode).toBe(200);
+      expect(res.text).toContain('<mark class="app-search-highlight">Adjournment</mark> notice');
+      // Highlighting must not undo HTML escaping
+      expect(res.text).toContain('Renée&#39;s <mark class="app-search-highlight">adjournment</mark> request');
+    });
+  });
+
+  // 20. Optimistic concurrency (ETag / If-Match)
+  describe('Optimistic concurrency control', () => {
+    it('GET /api/v1/tasks/:id - should return the version as an ETag', async () => {
+      const task = await createTask();
+      const res = await api.get(`/api/v1/tasks/${task.id}`);
+
+      expect(res.body.version).toBe(1);
+      expect(res.headers.etag).toBe('"1"');
+    });
+
+    it('PATCH /api/v1/tasks/:id - should honour a matching If-Match and bump the version', async () => {
+      const task = await createTask();
+
+      const res = await api
+        .patch(`/api/v1/tasks/${task.id}`)
+        .set('If-Match', '"1"')
+        .send({ status: 'IN_PROGRESS' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.version).toBe(2);
+      expect(res.headers.etag).toBe('"2"');
+    });
+
+    it('PATCH /api/v1/tasks/:id - should reject a stale If-Match with 412 Problem JSON', async () => {
+      const task = await createTask();
+      await api.patch(`/api/v1/tasks/${task.id}`).send({ title: 'First writer' });
+
+      const res = await api
+        .patch(`/api/v1/tasks/${task.id}`)
+        .set('If-Match', '"1"')
+        .send({ title: 'Second writer' });
+
+      expect(res.statusCode).toBe(412);
+      expect(res.body).toHaveProperty('title', 'Precondition Failed');
+
+      const current = await api.get(`/api/v1/tasks/${task.id}`);
+      expect(current.body.title).toBe('First writer');
+    });
+
+    it('DELETE /api/v1/tasks/:id - should reject a stale If-Match with 412', async () => {
+      const task = await createTask();
+      await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'IN_PROGRESS' });
+
+      const res = await api.delete(`/api/v1/tasks/${task.id}`).set('If-Match', '"1"');
+      expect(res.statusCode).toBe(412);
+
+      const ok = await api.delete(`/api/v1/tasks/${task.id}`).set('If-Match', 'W/"2"');
+      expect(ok.statusCode).toBe(204);
+    });
+
+    it('should require If-Match with 428 when REQUIRE_IF_MATCH is enabled', async () => {
+      const settings = require('../src/config/settings');
+      const task = await createTask();
+
+      settings.requireIfMatch = true;
+      try {
+        const res = await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'IN_PROGRESS' });
+        expect(res.statusCode).toBe(428);
+      } finally {
+        settings.requireIfMatch = false;
+      }
+    });
+
+    it('POST /edit-task/:id - should show the other person\'s changes when the form version is stale', async () => {
+      const task = await createTask({ title: 'Shared task' });
+      await api.patch(`/api/v1/tasks/${task.id}`).send({ title: 'Saved by colleague' });
+
+      const res = await api
+        .post(`/edit-task/${task.id}`)
+        .type('form')
+        .send({ title: 'My edit', description: '', status: 'PENDING', due_date: task.due_date, version: '1' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.text).toContain('This task was changed by someone else while you were editing it');
+      expect(res.text).toContain('Saved by colleague');
+      // The form now carries the latest version so a resubmit overwrites deliberately
+      expect(res.text).toContain('name="version" value="2"');
+
+      const current = await api.get(`/api/v1/tasks/${task.id}`);
+      expect(current.body.title).toBe('Saved by colleague');
+    });
+  });
+
+  // 21. Restore soft-deleted tasks
+  describe('Restoring deleted tasks', () => {
+    it('GET /api/v1/tasks?deleted=only - should list only the deleted bin', async () => {
+      const kept = await createTask({ title: 'Kept task' });
+      const binned = await createTask({ title: 'Binned task' });
+      await api.delete(`/api/v1/tasks/${binned.id}`);
+
+      const bin = await api.get('/api/v1/tasks?deleted=only');
+      expect(bin.body.data.map(t => t.id)).toEqual([binned.id]);
+      expect(bin.body.data[0].deleted_at).not.toBeNull();
+
+      const live = await api.get('/api/v1/tasks');
+      expect(live.body.data.map(t => t.id)).toEqual([kept.id]);
+
+      const all = await api.get('/api/v1/tasks?deleted=include');
+      expect(all.body.meta.total).toBe(2);
+    });
+
+    it('POST /api/v1/tasks/:id/restore - should undelete the task and audit it', async () => {
+      const task = await createTask({ title: 'Deleted by mistake' });
+      await api.delete(`/api/v1/tasks/${task.id}`);
+
+      const res = await api.post(`/api/v1/tasks/${task.id}/restore`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.deleted_at).toBeNull();
+
+      const fetched = await api.get(`/api/v1/tasks/${task.id}`);
+      expect(fetched.statusCode).toBe(200);
+
+      // Searchable again
+      const search = await api.get('/api/v1/tasks?q=mistake');
+      expect(search.body.meta.total).toBe(1);
+
+      const history = await fetchHistory(task.id);
+      expect(history[0].summary).toBe('Task restored');
+    });
+
+    it('POST /api/v1/tasks/:id/restore - should return 409 for a live task and 404 for an unknown one', async () => {
+      const task = await createTask();
+
+      const live = await api.post(`/api/v1/tasks/${task.id}/restore`);
+      expect(live.statusCode).toBe(409);
+      expect(live.body).toHaveProperty('title', 'Conflict');
+
+      const missing = await api.post('/api/v1/tasks/999999/restore');
+      expect(missing.statusCode).toBe(404);
+    });
+
+    it('GET /deleted-tasks and POST /restore-task/:id - should restore from the UI', async () => {
+      const task = await createTask({ title: 'Binned from the UI' });
+      await api.post(`/delete-task/${task.id}`);
+
+      const page = await api.get('/deleted-tasks');
+      expect(page.statusCode).toBe(200);
+      expect(page.text).toContain('Recently deleted');
+      expect(page.text).toContain('Binned from the UI');
+      expect(page.text).toContain(`/restore-task/${task.id}`);
+
+      const restore = await api.post(`/restore-task/${task.id}`);
+      expect(restore.statusCode).toBe(302);
+      expect(restore.headers.location).toBe(`/deleted-tasks?restored=${task.id}`);
+
+      const banner = await api.get(restore.headers.location);
+      expect(banner.text).toContain('Task restored');
+      expect(banner.text).toContain('There are no deleted tasks.');
+    });
+  });
+
+  // 22. Data retention policy
+  describe('Data retention (purge / redact soft-deleted tasks)', () => {
+    const settings = require('../src/config/settings');
+    const originalMode = settings.retentionMode;
+    afterEach(() => { settings.retentionMode = originalMode; });
+
+    const backdateDeletion = (taskId, days) => new Promise((resolve, reject) => {
+      const when = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      db.run(`UPDATE tasks SET deleted_at = ? WHERE id = ?`, [when, taskId], err => err ? reject(err) : resolve());
+    });
+
+    const countRows = (sql, params) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => err ? reject(err) : resolve(row.count));
+    });
+
+    it('POST /api/v1/admin/retention/run?dryRun=true - should list candidates without changing anything', async () => {
+      const old = await createTask({ title: 'Old deleted task' });
+      await api.delete(`/api/v1/tasks/${old.id}`);
+      await backdateDeletion(old.id, settings.retentionDays + 1);
+
+      const res = await api.post('/api/v1/admin/retention/run?dryRun=true');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.candidates.map(c => c.task_id)).toEqual([old.id]);
+      expect(await countRows(`SELECT COUNT(*) AS count FROM tasks WHERE id = ?`, [old.id])).toBe(1);
+    });
+
+    it('POST /api/v1/admin/retention/run - should purge expired tasks and their history, and log it', async () => {
+      settings.retentionMode = 'purge';
+      const old = await createTask({ title: 'Old deleted task' });
+      const recent = await createTask({ title: 'Recently deleted task' });
+      const live = await createTask({ title: 'Live task' });
+      await api.delete(`/api/v1/tasks/${old.id}`);
+      await api.delete(`/api/v1/tasks/${recent.id}`);
+      await backdateDeletion(old.id, settings.retentionDays + 1);
+
+      const res = await api.post('/api/v1/admin/retention/run');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.processed.map(p => p.task_id)).toEqual([old.id]);
+
+      expect(await countRows(`SELECT COUNT(*) AS count FROM tasks WHERE id = ?`, [old.id])).toBe(0);
+      expect(await countRows(`SELECT COUNT(*) AS count FROM task_history WHERE task_id = ?`, [old.id])).toBe(0);
+      // Inside the retention period, or never deleted: untouched
+      expect(await countRows(`SELECT COUNT(*) AS count FROM tasks WHERE id IN (?, ?)`, [recent.id, live.id])).toBe(2);
+
+      const log = await api.get('/api/v1/admin/retention/log');
+      expect(log.body.length).toBe(1);
+      expect(log.body[0]).toMatchObject({ task_id: old.id, action: 'PURGED', history_entries: 2, triggered_by: 'admin' });
+    });
+
+    it('should redact free text but keep the audit skeleton in redact mode', async () => {
+      settings.retentionMode = 'redact';
+      const task = await createTask({ title: 'Sensitive title', description: 'Sensitive notes' });
+      await api.patch(`/api/v1/tasks/${task.id}`).send({ title: 'Sensitive rename' });
+      const { body: comment } = await api.post(`/api/v1/tasks/${task.id}/comments`).send({ body: 'Sensitive comment' });
+      await api.delete(`/api/v1/tasks/${task.id}`);
+      await backdateDeletion(task.id, settings.retentionDays + 1);
+
+      const res = await api.post('/api/v1/admin/retention/run');
+      expect(res.body.processed[0]).toMatchObject({ task_id: task.id, action: 'REDACTED' });
+
+      const row = await new Promise((resolve, reject) => {
+        db.get(`SELECT * FROM tasks WHERE id = ?`, [task.id], (err, r) => err ? reject(err) : resolve(r));
+      });
+      expect(row.title).toBe('[Redacted]');
+      expect(row.description).toBe('');
+      expect(row.redacted_at).not.toBeNull();
+
+      const history = await fetchHistory(task.id);
+      expect(history.map(h => h.summary)).toEqual([
+        'Task deleted',
+        'Comment added',
+        'Title changed (details redacted)',
+        'Task created'
+      ]);
+      expect(await countRows(
+        `SELECT COUNT(*) AS count FROM task_comment_revisions WHERE comment_id = ? AND body LIKE '%Sensitive%'`, [comment.id]
+      )).toBe(0);
+
+      // A second run leaves it alone, and it cannot be restored
+      const again = await api.post('/api/v1/admin/retention/run');
+      expect(again.body.processed).toEqual([]);
+      const restore = await api.post(`/api/v1/tasks/${task.id}/restore`);
+      expect(restore.statusCode).toBe(409);
+    });
+
+    it('should take a recurring task\'s series template with it', async () => {
+      const seriesOf = async (id) => (await getQuery(`SELECT title, description, ended_at FROM task_series WHERE id = ?`, [id]))[0];
+
+      // Redact: the template is wiped as the task is, and nothing more is created from it
+      settings.retentionMode = 'redact';
+      const redacted = await createTask({ title: 'Sensitive weekly call', description: 'Sensitive notes', recurrence: 'weekly' });
+      await api.delete(`/api/v1/tasks/${redacted.id}`);
+      await backdateDeletion(redacted.id, settings.retentionDays + 1);
+      await api.post('/api/v1/admin/retention/run');
+      expect(await seriesOf(redacted.series_id)).toMatchObject({ title: '[Redacted]', description: '', ended_at: expect.any(String) });
+
+      // Purge: the series goes with its last occurrence
+      settings.retentionMode = 'purge';
+      const first = await createTask({ title: 'Sensitive monthly check', recurrence: 'monthly' });
+      const [second] = await runRecurrence({ now: new Date(new Date(first.due_date).getTime() + 60 * 1000) });
+      for (const id of [first.id, second.id]) {
+        await api.delete(`/api/v1/tasks/${id}`);
+      }
+      await backdateDeletion(first.id, settings.retentionDays + 1);
+      await api.post('/api/v1/admin/retention/run');
+      // Another occurrence is still in the bin: ended and redacted until that one goes too
+      expect(await seriesOf(first.series_id)).toMatchObject({ title: '[Redacted]', ended_at: expect.any(String) });
+
+      await backdateDeletion(second.id, settings.retentionDays + 1);
+      await api.post('/api/v1/admin/retention/run');
+      expect(await seriesOf(first.series_id)).toBeUndefined();
+    });
+  });
+
+  // 23. Authentication and audit attribution
+  describe('Authentication', () => {
+    it('should reject anonymous API requests with 401 Problem JSON', async () => {
+      const res = await request(app).get('/api/v1/tasks');
+      expect(res.statusCode).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+      expect(res.body).toHaveProperty('title', 'Unauthorized');
+    });
+
+    it('should redirect anonymous page visits to sign in, then back', async () => {
+      const res = await request(app).get('/deleted-tasks');
+      expect(res.statusCode).toBe(302);
+      expect(res.headers.location).toBe('/login?returnTo=%2Fdeleted-tasks');
+
+      const browser = request.agent(app);
+      const login = await browser.post('/login').type('form')
+        .send({ username: 'jane.smith', name: 'Jane Smith', role: 'team_leader', returnTo: '/deleted-tasks' });
+      expect(login.headers.location).toBe('/deleted-tasks');
+
+      const page = await browser.get('/deleted-tasks');
+      expect(page.statusCode).toBe(200);
+      expect(page.text).toContain('Jane Smith');
+      expect(page.text).toContain('Sign out');
+    });
+
+    it('should not redirect off-site after sign in', async () => {
+      const res = await request(app).post('/login').type('form')
+        .send({ username: 'jane.smith', returnTo: '//evil.example.com' });
+      expect(res.headers.location).toBe('/');
+    });
+
+    it('should show validation errors on the stub sign-in form', async () => {
+      const res = await request(app).post('/login').type('form').send({ username: 'not a username!' });
+      expect(res.statusCode).toBe(400);
+      expect(res.text).toContain('Username can only contain letters');
+    });
+
+    it('should accept bearer tokens from the stub provider and reject tampered ones', async () => {
+      const tokenRes = await request(app).post('/auth/stub/token').send({ username: 'power.automate', name: 'Power Automate Flow' });
+      expect(tokenRes.statusCode).toBe(200);
+      const token = tokenRes.body.access_token;
+
+      const ok = await request(app).get('/api/v1/tasks').set('Authorization', `Bearer ${token}`);
+      expect(ok.statusCode).toBe(200);
+
+      const bad = await request(app).get('/api/v1/tasks').set('Authorization', `Bearer ${token}x`);
+      expect(bad.statusCode).toBe(401);
+      expect(bad.headers['www-authenticate']).toContain('invalid_token');
+    });
+
+    it('should record the acting user on history rows and show it on the edit page', async () => {
+      const task = await createTask();
+
+      const { body: { access_token } } = await request(app).post('/auth/stub/token').send({ username: 'jane.smith', name: 'Jane Smith' });
+      await request(app).patch(`/api/v1/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${access_token}`)
+        .send({ status: 'IN_PROGRESS' });
+
+      const history = await fetchHistory(task.id);
+      expect(history.map(h => h.changed_by)).toEqual(['Jane Smith', 'Test Admin']);
+
+      const page = await api.get(`/edit-task/${task.id}`);
+      expect(page.text).toMatch(/by Jane Smith/);
+      expect(page.text).toMatch(/by Test Admin/);
+    });
+
+    it('GET /logout - should end the session', async () => {
+      const browser = request.agent(app);
+      await browser.post('/login').type('form').send({ username: 'jane.smith' });
+      await browser.get('/logout');
+
+      const res = await browser.get('/');
+      expect(res.statusCode).toBe(302);
+    });
+  });
+
+  // 24. Role-based access control
+  describe('Roles and permissions', () => {
+    const signInAs = async (username, role) => {
+      const browser = request.agent(app);
+      await browser.post('/login').type('form').send({ username, role });
+      return browser;
+    };
+
+    it('should stop caseworkers deleting tasks, through the API and the UI', async () => {
+      const task = await createTask();
+      const caseworker = await signInAs('case.worker', 'caseworker');
+
+      const apiRes = await caseworker.delete(`/api/v1/tasks/${task.id}`);
+      expect(apiRes.statusCode).toBe(403);
+      expect(apiRes.body).toHaveProperty('title', 'Forbidden');
+
+      const confirmPage = await caseworker.get(`/delete-task/${task.id}/confirm`);
+      expect(confirmPage.statusCode).toBe(403);
+      expect(confirmPage.text).toContain('You do not have permission to do this.');
+
+      const editPage = await caseworker.get(`/edit-task/${task.id}`);
+      expect(editPage.statusCode).toBe(200);
+      expect(editPage.text).not.toContain('Delete task');
+      expect(editPage.text).toContain('(Caseworker)');
+
+      // Caseworkers can still update tasks, and the task was not deleted
+      const update = await caseworker.patch(`/api/v1/tasks/${task.id}`).send({ status: 'IN_PROGRESS' });
+      expect(update.statusCode).toBe(200);
+    });
+
+    it('should let team leaders delete and restore, but not run retention', async () => {
+      const task = await createTask();
+      const teamLeader = await signInAs('team.leader', 'team_leader');
+
+      expect((await teamLeader.delete(`/api/v1/tasks/${task.id}`)).statusCode).toBe(204);
+      expect((await teamLeader.post(`/api/v1/tasks/${task.id}/restore`)).statusCode).toBe(200);
+      expect((await teamLeader.post('/api/v1/admin/retention/run?dryRun=true')).statusCode).toBe(403);
+    });
+
+    it('should let admins change roles, which apply on the next request', async () => {
+      const worker = await signInAs('promote.me', 'caseworker');
+      const { body: users } = await api.get('/api/v1/admin/users');
+      const target = users.find(u => u.subject === 'stub|promote.me');
+      expect(target).toHaveProperty('role', 'caseworker');
+
+      const invalid = await api.patch(`/api/v1/admin/users/${target.id}`).send({ role: 'superuser' });
+      expect(invalid.statusCode).toBe(400);
+
+      const res = await api.patch(`/api/v1/admin/users/${target.id}`).send({ role: 'team_leader' });
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('role', 'team_leader');
+
+      const page = await worker.get('/deleted-tasks');
+      expect(page.statusCode).toBe(200);
+
+      // Non-admins cannot manage users
+      expect((await worker.get('/api/v1/admin/users')).statusCode).toBe(403);
+    });
+  });
+
+  // 25. API keys for machine clients
+  describe('API keys', () => {
+    const createKey = async (body) => {
+      const res = await api.post('/api/v1/admin/api-keys').send(body);
+      expect(res.statusCode).toBe(201);
+      return res.body;
+    };
+
+    it('should issue a key once, store only its hash and record when it is used', async () => {
+      const created = await createKey({ name: 'Power Automate', scopes: ['tasks:read'] });
+      expect(created.key).toMatch(/^tmk_[0-9a-f]{8}_/);
+      expect(created.key.startsWith(created.key_prefix)).toBe(true);
+      expect(created).not.toHaveProperty('key_hash');
+
+      const [stored] = await getQuery('SELECT key_hash FROM api_keys WHERE id = ?', [created.id]);
+      expect(stored.key_hash).toMatch(/^[0-9a-f]{64}$/);
+
+      const res = await request(app).get('/api/v1/tasks').set('X-API-Key', created.key);
+      expect(res.statusCode).toBe(200);
+
+      const { body: keys } = await api.get('/api/v1/admin/api-keys');
+      const listed = keys.find(k => k.id === created.id);
+      expect(listed).not.toHaveProperty('key');
+      expect(listed.last_used_at).not.toBeNull();
+    });
+
+    it('should enforce scopes and attribute changes to the key in task history', async () => {
+      const task = await createTask();
+      const readOnly = await createKey({ name: 'UiPath reporting robot' });
+      const readWrite = await createKey({ name: 'UiPath triage robot', scopes: ['tasks:read', 'tasks:write'] });
+
+      const denied = await request(app).patch(`/api/v1/tasks/${task.id}`)
+        .set('X-API-Key', readOnly.key).send({ status: 'IN_PROGRESS' });
+      expect(denied.statusCode).toBe(403);
+
+      const allowed = await request(app).patch(`/api/v1/tasks/${task.id}`)
+        .set('X-API-Key', readWrite.key).send({ status: 'IN_PROGRESS' });
+      expect(allowed.statusCode).toBe(200);
+
+      // Deleting needs a person with the right role
+      const del = await request(app).delete(`/api/v1/tasks/${task.id}`).set('X-API-Key', readWrite.key);
+      expect(del.statusCode).toBe(403);
+
+      const history = await fetchHistory(task.id);
+      expect(history.map(h => h.changed_by)).toEqual(['UiPath triage robot (API key)', 'Test Admin']);
+    });
+
+    it('should reject revoked, expired and unknown keys, and keys outside the task API', async () => {
+      const key = await createKey({ name: 'Old flow' });
+      expect((await api.delete(`/api/v1/admin/api-keys/${key.id}`)).statusCode).toBe(204);
+      expect((await api.delete('/api/v1/admin/api-keys/999999')).statusCode).toBe(404);
+
+      const revoked = await request(app).get('/api/v1/tasks').set('X-API-Key', key.key);
+      expect(revoked.statusCode).toBe(401);
+      expect(revoked.body.detail).toContain('revoked');
+
+      const expiring = await createKey({ name: 'Short lived', expires_at: new Date(Date.now() + 60000).toISOString() });
+      await runQuery('UPDATE api_keys SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), expiring.id]);
+      expect((await request(app).get('/api/v1/tasks').set('X-API-Key', expiring.key)).statusCode).toBe(401);
+
+      expect((await request(app).get('/api/v1/tasks').set('X-API-Key', 'tmk_nope')).statusCode).toBe(401);
+
+      const live = await createKey({ name: 'Admin snooper', scopes: ['tasks:write'] });
+      expect((await request(app).get('/api/v1/admin/api-keys').set('X-API-Key', live.key)).statusCode).toBe(401);
+    });
+
+    it('should validate new keys and restrict key management to admins', async () => {
+      const invalid = await api.post('/api/v1/admin/api-keys')
+        .send({ name: '', scopes: ['tasks:delete'], expires_at: '2020-01-01T00:00:00Z' });
+      expect(invalid.statusCode).toBe(400);
+      expect(new Set(invalid.body.errors.map(e => e.path[0]))).toEqual(new Set(['expires_at', 'name', 'scopes']));
+
+      // Stored normalised, so the string comparison against now holds on the expiry day
+      const spaced = await createKey({ name: 'Spaced expiry', expires_at: '2099-01-01 18:00:00Z' });
+      expect(spaced.expires_at).toBe('2099-01-01T18:00:00.000Z');
+
+      const teamLeader = request.agent(app);
+      await teamLeader.post('/login').type('form').send({ username: 'team.leader', role: 'team_leader' });
+      expect((await teamLeader.post('/api/v1/admin/api-keys').send({ name: 'Sneaky' })).statusCode).toBe(403);
+    });
+  });
+
+  // 26. Assignment and "My tasks"
+  describe('Task assignment', () => {
+    let me, jane;
+    beforeAll(async () => {
+      await request.agent(app).post('/login').type('form').send({ username: 'jane.smith', name: 'Jane Smith' });
+      const { body: users } = await api.get('/api/v1/admin/users');
+      me = users.find(u => u.subject === 'stub|test.admin');
+      jane = users.find(u => u.subject === 'stub|jane.smith');
+    });
+
+    it('should set assigned_to on create and PATCH, audit it and filter by assignee', async () => {
+      const mine = await createTask({ title: 'Mine', assigned_to: me.id });
+      const unassigned = await createTask({ title: 'Nobody' });
+      expect(mine).toHaveProperty('assigned_to_name', 'Test Admin');
+
+      const res = await api.patch(`/api/v1/tasks/${unassigned.id}`).send({ assigned_to: jane.id });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.history[0].change_summary).toBe("Assigned to changed from 'Unassigned' to 'Jane Smith'");
+
+      const unknown = await api.patch(`/api/v1/tasks/${mine.id}`).send({ assigned_to: 999999 });
+      expect(unknown.statusCode).toBe(400);
+      expect(unknown.body.errors[0].path).toEqual(['assigned_to']);
+
+      const ids = async (query) => (await api.get(`/api/v1/tasks?assignee=${query}`)).body.data.map(t => t.id);
+      expect(await ids('me')).toEqual([mine.id]);
+      expect(await ids(jane.id)).toEqual([unassigned.id]);
+      expect(await ids('none')).toEqual([]);
+      expect((await api.get('/api/v1/tasks?assignee=someone')).statusCode).toBe(400);
+    });
+
+    it('should take, assign and unassign through the API actions', async () => {
+      const task = await createTask();
+
+      const taken = await api.post(`/api/v1/tasks/${task.id}/take`);
+      expect(taken.statusCode).toBe(200);
+      expect(taken.body.assigned_to).toBe(me.id);
+
+      const assigned = await api.post(`/api/v1/tasks/${task.id}/assign`)
+        .set('If-Match', taken.headers.etag).send({ assigned_to: jane.id });
+      expect(assigned.statusCode).toBe(200);
+      expect(assigned.body.assigned_to_name).toBe('Jane Smith');
+
+      const stale = await api.post(`/api/v1/tasks/${task.id}/unassign`).set('If-Match', taken.headers.etag);
+      expect(stale.statusCode).toBe(412);
+
+      const unassigned = await api.post(`/api/v1/tasks/${task.id}/unassign`);
+      expect(unassigned.body.assigned_to).toBeNull();
+
+      const history = await fetchHistory(task.id);
+      expect(history.map(h => h.summary)).toEqual([
+        "Assigned to changed from 'Jane Smith' to 'Unassigned'",
+        "Assigned to changed from 'Test Admin' to 'Jane Smith'",
+        "Assigned to changed from 'Unassigned' to 'Test Admin'",
+        'Task created'
+      ]);
+
+      const { body: { key } } = await api.post('/api/v1/admin/api-keys').send({ name: 'Robot', scopes: ['tasks:write'] });
+      const robotTake = await request(app).post(`/api/v1/tasks/${task.id}/take`).set('X-API-Key', key);
+      expect(robotTake.statusCode).toBe(422);
+    });
+
+    it('should default the home page to "My tasks" and offer take/unassign on the edit page', async () => {
+      const task = await createTask({ title: 'Unclaimed work' });
+      await createTask({ title: 'Jane work', assigned_to: jane.id });
+
+      const create = await api.get('/create-task');
+      expect(create.text).toMatch(new RegExp(`<option value="${me.id}" selected>Test Admin</option>`));
+
+      let home = await api.get('/');
+      expect(home.text).toContain('No tasks are assigned to you.');
+
+      const edit = await api.get(`/edit-task/${task.id}`);
+      expect(edit.text).toContain('This task is not assigned to anyone.');
+      expect(edit.text).toContain(`action="/take-task/${task.id}"`);
+
+      const take = await api.post(`/take-task/${task.id}`);
+      expect(take.headers.location).toBe(`/edit-task/${task.id}`);
+
+      home = await api.get('/');
+      expect(home.text).toContain('Unclaimed work');
+      expect(home.text).not.toContain('Jane work');
+
+      const all = await api.get('/?view=all');
+      expect(all.text).toContain('Jane work');
+    });
+
+    it('should only let team leaders and admins reassign or unassign', async () => {
+      const caseworker = request.agent(app);
+      await caseworker.post('/login').type('form').send({ username: 'sam.clerk', name: 'Sam Clerk' });
+      const janes = await createTask({ title: 'Jane work', assigned_to: jane.id });
+      const open = await createTask({ title: 'Open work' });
+
+      expect((await caseworker.post(`/api/v1/tasks/${open.id}/assign`).send({ assigned_to: jane.id })).statusCode).toBe(403);
+      expect((await caseworker.post(`/api/v1/tasks/${janes.id}/unassign`)).statusCode).toBe(403);
+      expect((await caseworker.post(`/api/v1/tasks/${janes.id}/take`)).statusCode).toBe(403);
+      expect((await caseworker.patch(`/api/v1/tasks/${janes.id}`).send({ assigned_to: null })).statusCode).toBe(403);
+      expect((await caseworker.post(`/unassign-task/${janes.id}`)).statusCode).toBe(403);
+      expect((await caseworker.post(`/take-task/${janes.id}`)).statusCode).toBe(403);
+
+      const editPage = await caseworker.get(`/edit-task/${janes.id}`);
+      expect(editPage.text).not.toContain('name="assigned_to"');
+      expect(editPage.text).not.toContain(`action="/take-task/${janes.id}"`);
+      expect(editPage.text).not.toContain(`action="/unassign-task/${janes.id}"`);
+
+      const edit = await caseworker.post(`/edit-task/${janes.id}`).type('form')
+        .send({ title: 'Jane work', status: 'PENDING', priority: 'NORMAL', due_date: janes.due_date, assigned_to: '' });
+      expect(edit.statusCode).toBe(403);
+      expect((await api.get(`/api/v1/tasks/${janes.id}`)).body.assigned_to).toBe(jane.id);
+
+      // An edit that leaves the assignee alone still saves
+      const saved = await caseworker.post(`/edit-task/${janes.id}`).type('form')
+        .send({ title: 'Jane work renamed', status: 'PENDING', priority: 'NORMAL', due_date: janes.due_date });
+      expect(saved.statusCode).toBe(302);
+
+      const taken = await caseworker.post(`/api/v1/tasks/${open.id}/take`);
+      expect(taken.statusCode).toBe(200);
+      expect(taken.body.assigned_to_name).toBe('Sam Clerk');
+
+      // New tasks: a caseworker can only assign them to themselves
+      const dueDate = new Date(Date.now() + 86400000).toISOString();
+      expect((await caseworker.post('/api/v1/tasks').send({ title: 'For Jane', due_date: dueDate, assigned_to: jane.id })).statusCode).toBe(403);
+      const own = await caseworker.post('/api/v1/tasks').send({ title: 'For me', due_date: dueDate, assigned_to: taken.body.assigned_to });
+      expect(own.statusCode).toBe(201);
+      const createPage = await caseworker.get('/create-task');
+      expect(createPage.text).not.toContain('id="assigned_to"');
+      expect(createPage.text).toContain('This task will be assigned to you.');
+      const form = await caseworker.post('/create-task').type('form')
+        .send({ title: 'For Jane', status: 'PENDING', due_date: dueDate, assigned_to: String(jane.id) });
+      expect(form.statusCode).toBe(403);
+    });
+  });
+
+  // 27. Priority
+  describe('Task priority', () => {
+    it('should default to NORMAL, validate values and audit changes', async () => {
+      const task = await createTask();
+      expect(task.priority).toBe('NORMAL');
+
+      const invalid = await api.post('/api/v1/tasks').send({
+        title: 'Bad priority', due_date: new Date(Date.now() + 86400000).toISOString(), priority: 'CRITICAL'
+      });
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.errors[0].path).toEqual(['priority']);
+
+      const res = await api.patch(`/api/v1/tasks/${task.id}`).send({ priority: 'URGENT' });
+      expect(res.body.history[0].change_summary).toBe("Priority changed from 'Normal' to 'Urgent'");
+    });
+
+    it('should sort by priority rank and by urgency (overdue, then priority, then due date)', async () => {
+      const inDays = (days) => new Date(Date.now() + days * 86400000).toISOString();
+      const low = await createTask({ title: 'Low', priority: 'LOW', due_date: inDays(1) });
+      const urgentLater = await createTask({ title: 'Urgent later', priority: 'URGENT', due_date: inDays(5) });
+      const urgentSooner = await createTask({ title: 'Urgent sooner', priority: 'URGENT', due_date: inDays(2) });
+      const overdue = await createTask({ title: 'Overdue', priority: 'LOW', due_date: inDays(3) });
+      await runQuery('UPDATE tasks SET due_date = ? WHERE id = ?', [inDays(-1), overdue.id]);
+
+      const byPriority = await api.get('/api/v1/tasks?sortBy=priority&order=desc');
+      expect(byPriority.body.data.map(t => t.id)).toEqual([urgentLater.id, urgentSooner.id, low.id, overdue.id]);
+
+      const byUrgency = await api.get('/api/v1/tasks?sortBy=urgency');
+      expect(byUrgency.body.data.map(t => t.id)).toEqual([overdue.id, urgentSooner.id, urgentLater.id, low.id]);
+
+      const home = await api.get('/?view=all&sort=urgency&order=ASC');
+      expect(home.text).toContain('Sorted by urgency');
+      expect(home.text).toMatch(/govuk-tag--red">\s*Urgent/);
+    });
+  });
+
+  // 28. Case references
+  describe('Case references', () => {
+    const settings = require('../src/config/settings');
+
+    it('should validate and normalise case references against the configured formats', async () => {
+      const task = await createTask({ case_reference: ' pa/12345/2024 ' });
+      expect(task.case_reference).toBe('PA/12345/2024');
+
+      const invalid = await api.post('/api/v1/tasks').send({
+        title: 'Bad ref', due_date: new Date(Date.now() + 86400000).toISOString(), case_reference: 'NOT-A-CASE'
       });
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.errors[0].path).toEqual(['case_reference']);
+      expect(invalid.body.errors[0].message).toContain('1234-5678-9012-3456 (CCD case number)');
+
+      // Formats are configurable
+      const originalFormats = settings.caseReferenceFormats;
+      settings.caseReferenceFormats = [{ name: 'Family court', pattern: 'FC\\d{4}' }];
+      try {
+        expect((await createTask({ case_reference: 'FC1234' })).case_reference).toBe('FC1234');
+      } finally {
+        settings.caseReferenceFormats = originalFormats;
+      }
+
+      const cleared = await api.patch(`/api/v1/tasks/${task.id}`).send({ case_reference: null });
+      expect(cleared.body.case_reference).toBeNull();
+      expect(cleared.body.history[0].change_summary).toBe("Case reference changed from 'PA/12345/2024' to 'None'");
+    });
+
+    it('GET /api/v1/cases/:caseRef/tasks - should list the tasks on a case', async () => {
+      const first = await createTask({ title: 'Case task A', case_reference: '1234-5678-9012-3456' });
+      const second = await createTask({ title: 'Case task B', case_reference: '1234-5678-9012-3456' });
+      await createTask({ title: 'Other case', case_reference: 'K00CF123' });
+      const appeal = await createTask({ title: 'Appeal task', case_reference: 'PA/12345/2024' });
+
+      const res = await api.get('/api/v1/cases/1234-5678-9012-3456/tasks');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.case_reference).toBe('1234-5678-9012-3456');
+      expect(res.body.data.map(t => t.id).sort()).toEqual([first.id, second.id].sort());
+
+      const encoded = await api.get(`/api/v1/cases/${encodeURIComponent('pa/12345/2024')}/tasks`);
+      expect(encoded.body.data.map(t => t.id)).toEqual([appeal.id]);
+
+      expect((await api.get('/api/v1/cases/rubbish/tasks')).statusCode).toBe(400);
+    });
+
+    it('should show a case page with combined history and filter the home page by case', async () => {
+      const first = await createTask({ title: 'Prepare bundle', case_reference: 'T20247001' });
+      await createTask({ title: 'List hearing', case_reference: 'T20247001' });
+      await createTask({ title: 'Unrelated work' });
+      await api.patch(`/api/v1/tasks/${first.id}`).send({ status: 'IN_PROGRESS' });
+
+      const page = await api.get('/cases/t20247001');
+      expect(page.statusCode).toBe(200);
+      expect(page.text).toContain('Case T20247001');
+      expect(page.text).toContain('Crown Court case');
+      expect(page.text).toContain("Status changed from &#39;Pending&#39; to &#39;In Progress&#39;");
+      expect((page.text.match(/Task created/g) || []).length).toBe(2);
+
+      const home = await api.get('/?view=all&caseRef=T20247001');
+      expect(home.text).toContain('Prepare bundle');
+      expect(home.text).toContain('href="/cases/T20247001"');
+      expect(home.text).not.toContain('Unrelated work');
+
+      expect((await api.get('/cases/rubbish')).statusCode).toBe(404);
     });
   });
-});
\ No newline at end of file
+
+  // 29. Tags
+  describe('Tags', () => {
+    it('should normalise tags, return them on the task and audit additions and removals', async () => {
+      const task = await createTask({ tags: 'Vulnerable Party, interpreter,INTERPRETER' });
+      expect(task.tags).toEqual(['interpreter', 'vulnerable-party']);
+
+      const res = await api.patch(`/api/v1/tasks/${task.id}`).send({ tags: ['interpreter', 'welsh-language'] });
+      expect(res.body.tags).toEqual(['interpreter', 'welsh-language']);
+
+      const history = await fetchHistory(task.id);
+      expect(history[0].summary).toBe("Tag added: 'welsh-language'\nTag removed: 'vulnerable-party'");
+      expect(history[1].summary).toBe("Task created\nTag added: 'vulnerable-party'\nTag added: 'interpreter'");
+
+      const invalid = await api.patch(`/api/v1/tasks/${task.id}`).send({ tags: ['no_underscores!'] });
+      expect(invalid.statusCode).toBe(400);
+    });
+
+    it('GET /api/v1/tasks?tag= - should filter with any/all semantics', async () => {
+      const both = await createTask({ tags: ['interpreter', 'urgent-listing'] });
+      const one = await createTask({ tags: ['interpreter'] });
+      await createTask({ tags: ['other'] });
+
+      const ids = async (query) => (await api.get(`/api/v1/tasks?sortBy=id&${query}`)).body.data.map(t => t.id);
+      expect(await ids('tag=interpreter,urgent-listing')).toEqual([both.id, one.id]);
+      expect(await ids('tag=interpreter&tag=urgent-listing&tagMatch=all')).toEqual([both.id]);
+      expect(await ids('tag=Urgent%20Listing')).toEqual([both.id]);
+    });
+
+    it('PATCH /api/v1/tags/:name - should rename and merge tags, recording history on each task', async () => {
+      const a = await createTask({ tags: ['interp'] });
+      const b = await createTask({ tags: ['interp', 'interpreter'] });
+
+      const merged = await api.patch('/api/v1/tags/interp').send({ name: 'Interpreter' });
+      expect(merged.statusCode).toBe(200);
+      expect(merged.body).toMatchObject({ name: 'interpreter', merged: true, tasks_affected: 2 });
+
+      expect((await api.get(`/api/v1/tasks/${a.id}`)).body.tags).toEqual(['interpreter']);
+      expect((await api.get(`/api/v1/tasks/${b.id}`)).body.tags).toEqual(['interpreter']);
+      expect((await fetchHistory(a.id))[0].summary).toBe("Tag 'interp' merged into 'interpreter'");
+
+      const renamed = await api.patch('/api/v1/tags/interpreter').send({ name: 'interpreter-needed' });
+      expect(renamed.body).toMatchObject({ merged: false, tasks_affected: 2 });
+      const { body: tags } = await api.get('/api/v1/tags');
+      expect(tags).toEqual([expect.objectContaining({ name: 'interpreter-needed', task_count: 2 })]);
+
+      expect((await api.patch('/api/v1/tags/missing').send({ name: 'x' })).statusCode).toBe(404);
+
+      const caseworker = request.agent(app);
+      await caseworker.post('/login').type('form').send({ username: 'case.worker', role: 'caseworker' });
+      expect((await caseworker.patch('/api/v1/tags/interpreter-needed').send({ name: 'y' })).statusCode).toBe(403);
+    });
+
+    it('should offer tag checkboxes on the home page and a tags field on the edit form', async () => {
+      const task = await createTask({ title: 'Tagged task', tags: ['interpreter'] });
+      await createTask({ title: 'Plain task' });
+
+      const home = await api.get('/?view=all&tag=interpreter');
+      expect(home.text).toContain('Filter by tag');
+      expect(home.text).toMatch(/value="interpreter"\s*checked/);
+      expect(home.text).toContain('Tagged task');
+      expect(home.text).not.toContain('Plain task');
+
+      const edit = await api.get(`/edit-task/${task.id}`);
+      expect(edit.text).toMatch(/name="tags"[^>]*value="interpreter"/);
+    });
+  });
+
+  // 30. Comments (case notes)
+  describe('Task comments', () => {
+    it('POST/GET /api/v1/tasks/:id/comments - should add comments oldest first and audit them', async () => {
+      const task = await createTask();
+      const first = await api.post(`/api/v1/tasks/${task.id}/comments`).send({ body: 'Called the applicant.\nNo answer.' });
+      expect(first.statusCode).toBe(201);
+      expect(first.body).toMatchObject({ task_id: task.id, body: 'Called the applicant.\nNo answer.', author: 'Test Admin', version: 1, updated_at: null });
+      await api.post(`/api/v1/tasks/${task.id}/comments`).send({ body: 'Left a voicemail' });
+
+      const res = await api.get(`/api/v1/tasks/${task.id}/comments`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.map(c => c.body)).toEqual(['Called the applicant.\nNo answer.', 'Left a voicemail']);
+
+      const history = await fetchHistory(task.id);
+      expect(history[0]).toMatchObject({ summary: 'Comment added', changed_by: 'Test Admin' });
+
+      // Same character rules as a description
+      const invalid = await api.post(`/api/v1/tasks/${task.id}/comments`).send({ body: '<script>' });
+      expect(invalid.statusCode).toBe(400);
+      expect((await api.post(`/api/v1/tasks/${task.id}/comments`).send({ body: '   ' })).statusCode).toBe(400);
+      expect((await api.get('/api/v1/tasks/999999/comments')).statusCode).toBe(404);
+    });
+
+    it('PATCH /api/v1/tasks/:id/comments/:commentId - should keep every version and only let the author edit', async () => {
+      const task = await createTask();
+      const { body: comment } = await api.post(`/api/v1/tasks/${task.id}/comments`).send({ body: 'Hearing on Monday' });
+
+      const edited = await api.patch(`/api/v1/tasks/${task.id}/comments/${comment.id}`).send({ body: 'Hearing on Tuesday' });
+      expect(edited.statusCode).toBe(200);
+      expect(edited.body).toMatchObject({ body: 'Hearing on Tuesday', version: 2 });
+      expect(edited.body.updated_at).not.toBeNull();
+
+      const versions = await api.get(`/api/v1/tasks/${task.id}/comments/${comment.id}/versions`);
+      expect(versions.body.map(v => [v.version, v.body])).toEqual([[1, 'Hearing on Monday'], [2, 'Hearing on Tuesday']]);
+      expect((await fetchHistory(task.id))[0].summary).toBe('Comment edited');
+
+      const caseworker = request.agent(app);
+      await caseworker.post('/login').type('form').send({ username: 'case.worker', role: 'caseworker' });
+      const forbidden = await caseworker.patch(`/api/v1/tasks/${task.id}/comments/${comment.id}`).send({ body: 'Mine now' });
+      expect(forbidden.statusCode).toBe(403);
+
+      expect((await api.patch(`/api/v1/tasks/${task.id}/comments/999999`).send({ body: 'x' })).statusCode).toBe(404);
+    });
+
+    it('should hide comments of soft-deleted tasks', async () => {
+      const task = await createTask();
+      await api.post(`/api/v1/tasks/${task.id}/comments`).send({ body: 'Note' });
+      await api.delete(`/api/v1/tasks/${task.id}`);
+
+      expect((await api.get(`/api/v1/tasks/${task.id}/comments`)).statusCode).toBe(404);
+      expect((await api.post(`/api/v1/tasks/${task.id}/comments`).send({ body: 'Another' })).statusCode).toBe(404);
+    });
+
+    it('should show the thread beneath the history on the edit page and accept new comments there', async () => {
+      const task = await createTask();
+      const posted = await api.post(`/edit-task/${task.id}/comments`).type('form').send({ body: 'Spoke to the court clerk' });
+      expect(posted.statusCode).toBe(302);
+      expect(posted.headers.location).toBe(`/edit-task/${task.id}#comments`);
+
+      const page = await api.get(`/edit-task/${task.id}`);
+      expect(page.text).toContain('Spoke to the court clerk');
+      expect(page.text.indexOf('id="comments"')).toBeGreaterThan(page.text.indexOf('Task History'));
+
+      const invalid = await api.post(`/edit-task/${task.id}/comments`).type('form').send({ body: '' });
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.text).toContain('Comment is required');
+    });
+  });
+
+  // 31. Attachments
+  describe('Task attachments', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const crypto = require('crypto');
+    const settings = require('../src/config/settings');
+    const original = { dir: settings.attachmentDir, maxSizeMb: settings.attachmentMaxSizeMb };
+    const pdf = Buffer.from('%PDF-1.4\nA scanned letter');
+
+    beforeAll(() => { settings.attachmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-attachments-')); });
+    afterEach(() => { settings.attachmentMaxSizeMb = original.maxSizeMb; });
+    afterAll(() => {
+      fs.rmSync(settings.attachmentDir, { recursive: true, force: true });
+      settings.attachmentDir = original.dir;
+    });
+
+    const upload = (taskId, buffer, filename, contentType) => api.post(`/api/v1/tasks/${taskId}/attachments`)
+      .attach('file', buffer, { filename, contentType });
+
+    it('should upload, list, download and remove attachments, auditing each change', async () => {
+      const task = await createTask();
+      const res = await upload(task.id, pdf, 'letter.pdf', 'application/pdf');
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toMatchObject({
+        task_id: task.id,
+        filename: 'letter.pdf',
+        mime_type: 'application/pdf',
+        size_bytes: pdf.length,
+        sha256: crypto.createHash('sha256').update(pdf).digest('hex'),
+        uploaded_by: 'Test Admin'
+      });
+      expect(res.body.storage_key).toBeUndefined();
+
+      const list = await api.get(`/api/v1/tasks/${task.id}/attachments`);
+      expect(list.body.map(a => a.filename)).toEqual(['letter.pdf']);
+
+      const download = await api.get(`/api/v1/tasks/${task.id}/attachments/${res.body.id}`).responseType('blob');
+      expect(download.statusCode).toBe(200);
+      expect(download.headers['content-type']).toBe('application/pdf');
+      expect(download.headers['content-disposition']).toContain('letter.pdf');
+      expect(Buffer.compare(download.body, pdf)).toBe(0);
+      expect((await fetchHistory(task.id))[0].summary).toBe("Attachment added: 'letter.pdf'");
+
+      const removed = await api.delete(`/api/v1/tasks/${task.id}/attachments/${res.body.id}`);
+      expect(removed.statusCode).toBe(204);
+      expect((await fetchHistory(task.id))[0].summary).toBe("Attachment removed: 'letter.pdf'");
+      expect(fs.readdirSync(path.join(settings.attachmentDir, String(task.id)))).toEqual([]);
+      expect((await api.get(`/api/v1/tasks/${task.id}/attachments/${res.body.id}`)).statusCode).toBe(404);
+    });
+
+    it('POST /api/v1/tasks/:id/attachments - should enforce the type and size limits', async () => {
+      const task = await createTask();
+      expect((await upload(task.id, Buffer.from('hello'), 'notes.txt', 'text/plain')).statusCode).toBe(415);
+      // Declared as a PDF, but it isn't one
+      expect((await upload(task.id, Buffer.from('MZ not a pdf'), 'letter.pdf', 'application/pdf')).statusCode).toBe(415);
+
+      settings.attachmentMaxSizeMb = 1;
+      const tooBig = await upload(task.id, Buffer.concat([pdf, Buffer.alloc(1024 * 1024)]), 'big.pdf', 'application/pdf');
+      expect(tooBig.statusCode).toBe(413);
+
+      expect((await api.post(`/api/v1/tasks/${task.id}/attachments`).send({})).statusCode).toBe(400);
+      expect((await api.get(`/api/v1/tasks/${task.id}/attachments`)).body).toEqual([]);
+    });
+
+    it('should not serve attachments of soft-deleted tasks', async () => {
+      const task = await createTask();
+      const { body: attachment } = await upload(task.id, pdf, 'order.pdf', 'application/pdf');
+      await api.delete(`/api/v1/tasks/${task.id}`);
+
+      expect((await api.get(`/api/v1/tasks/${task.id}/attachments/${attachment.id}`)).statusCode).toBe(404);
+      expect((await api.get(`/api/v1/tasks/${task.id}/attachments`)).statusCode).toBe(404);
+    });
+
+    it('should offer an upload control on the edit page', async () => {
+      const task = await createTask();
+      const posted = await api.post(`/edit-task/${task.id}/attachments`)
+        .attach('file', pdf, { filename: 'C:\\scans\\order.pdf', contentType: 'application/pdf' });
+      expect(posted.statusCode).toBe(302);
+      expect(posted.headers.location).toBe(`/edit-task/${task.id}#attachments`);
+
+      const page = await api.get(`/edit-task/${task.id}`);
+      expect(page.text).toContain('enctype="multipart/form-data"');
+      expect(page.text).toContain('>order.pdf</a>');
+
+      const invalid = await api.post(`/edit-task/${task.id}/attachments`).attach('file', Buffer.from('x'), 'notes.txt');
+      expect(invalid.statusCode).toBe(415);
+      expect(invalid.text).toContain('The file must be one of');
+    });
+  });
+
+  // 32. Subtasks and dependencies
+  describe('Subtasks and dependencies', () => {
+    it('should link subtasks to a parent, audit it and refuse cycles', async () => {
+      const parent = await createTask({ title: 'Prepare hearing bundle' });
+      const child = await createTask({ title: 'Request documents', parent_id: parent.id });
+      expect(child.parent_id).toBe(parent.id);
+
+      const grandchild = await createTask({ title: 'Chase solicitor' });
+      const moved = await api.patch(`/api/v1/tasks/${grandchild.id}`).send({ parent_id: child.id });
+      expect(moved.body.parent_id).toBe(child.id);
+      expect((await fetchHistory(grandchild.id))[0].summary).toBe(`Parent task changed from 'None' to '#${child.id}'`);
+
+      const subtasks = await api.get(`/api/v1/tasks/${parent.id}/subtasks`);
+      expect(subtasks.body.map(t => t.id)).toEqual([child.id]);
+
+      // A task can't sit beneath itself or one of its own subtasks
+      const selfParent = await api.patch(`/api/v1/tasks/${parent.id}`).send({ parent_id: parent.id });
+      expect(selfParent.statusCode).toBe(400);
+      const loop = await api.patch(`/api/v1/tasks/${parent.id}`).send({ parent_id: grandchild.id });
+      expect(loop.statusCode).toBe(400);
+      expect(loop.body.errors[0].path).toEqual(['parent_id']);
+      expect((await createTask({ parent_id: null })).parent_id).toBeNull();
+      expect((await api.post('/api/v1/tasks').send({ title: 'Orphan', due_date: new Date(Date.now() + 86400000).toISOString(), parent_id: 999999 })).statusCode).toBe(400);
+    });
+
+    it('should keep the panels and answer 400 when a form names an invalid parent', async () => {
+      const parent = await createTask({ title: 'Prepare hearing bundle' });
+      const child = await createTask({ title: 'Request documents', parent_id: parent.id });
+      await api.post(`/api/v1/tasks/${parent.id}/comments`).send({ body: 'Bundle due Friday' });
+
+      const edit = await api.post(`/edit-task/${parent.id}`).type('form')
+        .send({ title: 'Prepare hearing bundle', status: 'PENDING', due_date: parent.due_date, parent_id: String(child.id) });
+      expect(edit.statusCode).toBe(400);
+      expect(edit.text).toContain('govuk-error-summary');
+      expect(edit.text).toContain('Bundle due Friday');
+      expect(edit.text).not.toContain('No history available');
+
+      const create = await api.post('/create-task').type('form')
+        .send({ title: 'Orphan', status: 'PENDING', due_date: parent.due_date, parent_id: '999999' });
+      expect(create.statusCode).toBe(400);
+      expect(create.text).toContain('govuk-error-summary');
+    });
+
+    it('POST/DELETE /api/v1/tasks/:id/dependencies - should manage blocked-by links and detect cycles', async () => {
+      const approval = await createTask({ title: 'Judge approval' });
+      const order = await createTask({ title: 'Issue order' });
+      const serve = await createTask({ title: 'Serve order' });
+
+      const added = await api.post(`/api/v1/tasks/${order.id}/dependencies`).send({ blocked_by: approval.id });
+      expect(added.statusCode).toBe(201);
+      expect(added.body.blocked_by.map(t => t.id)).toEqual([approval.id]);
+      expect((await api.post(`/api/v1/tasks/${order.id}/dependencies`).send({ blocked_by: approval.id })).statusCode).toBe(200);
+      await api.post(`/api/v1/tasks/${serve.id}/dependencies`).send({ blocked_by: order.id });
+
+      const { body: deps } = await api.get(`/api/v1/tasks/${approval.id}/dependencies`);
+      expect(deps).toEqual({ blocked_by: [], blocking: [expect.objectContaining({ id: order.id })] });
+      expect((await fetchHistory(order.id))[0].summary).toBe(`Blocked by task #${approval.id}`);
+
+      // approval -> order -> serve: serve can't block approval, nor a task itself
+      const cycle = await api.post(`/api/v1/tasks/${approval.id}/dependencies`).send({ blocked_by: serve.id });
+      expect(cycle.statusCode).toBe(400);
+      expect(cycle.body.errors[0].path).toEqual(['blocked_by']);
+      expect((await api.post(`/api/v1/tasks/${order.id}/dependencies`).send({ blocked_by: order.id })).statusCode).toBe(400);
+      expect((await api.post(`/api/v1/tasks/${order.id}/dependencies`).send({ blocked_by: 'abc' })).statusCode).toBe(400);
+
+      expect((await api.delete(`/api/v1/tasks/${serve.id}/dependencies/${order.id}`)).statusCode).toBe(204);
+      expect((await fetchHistory(serve.id))[0].summary).toBe(`No longer blocked by task #${order.id}`);
+      expect((await api.delete(`/api/v1/tasks/${serve.id}/dependencies/${order.id}`)).statusCode).toBe(404);
+    });
+
+    it('should refuse to complete a task while its blockers are open', async () => {
+      const approval = await createTask({ title: 'Judge approval' });
+      const order = await createTask({ title: 'Issue order' });
+      await api.post(`/api/v1/tasks/${order.id}/dependencies`).send({ blocked_by: approval.id });
+
+      const blocked = await api.patch(`/api/v1/tasks/${order.id}`).send({ status: 'COMPLETED' });
+      expect(blocked.statusCode).toBe(409);
+      expect(blocked.body).toMatchObject({ status: 409, title: 'Conflict' });
+      expect(blocked.body.detail).toContain(`#${approval.id} 'Judge approval'`);
+      // Other changes are still allowed
+      expect((await api.patch(`/api/v1/tasks/${order.id}`).send({ status: 'IN_PROGRESS' })).statusCode).toBe(200);
+
+      const form = await api.post(`/edit-task/${order.id}`).type('form')
+        .send({ title: 'Issue order', status: 'COMPLETED', due_date: order.due_date });
+      expect(form.statusCode).toBe(409);
+      expect(form.text).toContain('cannot be completed while it is blocked by');
+
+      // A blocked task can still be cancelled
+      const service = await createTask({ title: 'Serve order' });
+      await api.post(`/api/v1/tasks/${service.id}/dependencies`).send({ blocked_by: approval.id });
+      expect((await api.patch(`/api/v1/tasks/${service.id}`).send({ status: 'CANCELLED' })).statusCode).toBe(200);
+
+      await api.patch(`/api/v1/tasks/${approval.id}`).send({ status: 'COMPLETED' });
+      expect((await api.patch(`/api/v1/tasks/${order.id}`).send({ status: 'COMPLETED' })).statusCode).toBe(200);
+    });
+
+    it('should show subtasks with progress and blockers on the edit page', async () => {
+      const parent = await createTask({ title: 'Prepare hearing bundle' });
+      await createTask({ title: 'Request documents', parent_id: parent.id, status: 'COMPLETED' });
+      await createTask({ title: 'Index the bundle', parent_id: parent.id });
+      await createTask({ title: 'Book an interpreter', parent_id: parent.id, status: 'CANCELLED' });
+      const blocker = await createTask({ title: 'Judge approval' });
+      await api.post(`/api/v1/tasks/${parent.id}/dependencies`).send({ blocked_by: blocker.id });
+
+      const page = await api.get(`/edit-task/${parent.id}`);
+      expect(page.text).toContain('1 of 3 subtasks completed');
+      expect(page.text).toContain('Index the bundle');
+      expect(page.text).toContain(`#${blocker.id} Judge approval`);
+      expect(page.text).toContain(`/create-task?parent_id=${parent.id}`);
+
+      const create = await api.get(`/create-task?parent_id=${parent.id}`);
+      expect(create.text).toMatch(new RegExp(`name="parent_id"[^>]*value="${parent.id}"`));
+    });
+  });
+
+  describe('Recurring tasks', () => {
+    const minuteAfter = (iso) => new Date(new Date(iso).getTime() + 60 * 1000);
+
+    it('should create the next occurrence once the due date passes, recorded as created by the recurrence', async () => {
+      const first = await createTask({ title: 'Weekly list check', tags: ['listing'], recurrence: 'weekly' });
+      expect(first.recurrence).toBe('FREQ=WEEKLY');
+      expect(first.series_id).toEqual(expect.any(Number));
+      expect((await fetchHistory(first.id))[0].summary).toBe("Task created\nTag added: 'listing'\nRepeats changed from 'Does not repeat' to 'Every week'");
+
+      // Not due yet: nothing to do
+      expect(await runRecurrence({ now: new Date() })).toEqual([]);
+
+      const [second] = await runRecurrence({ now: minuteAfter(first.due_date) });
+      expect(second).toMatchObject({ title: 'Weekly list check', status: 'PENDING', series_id: first.series_id, tags: ['listing'] });
+      expect(new Date(second.due_date) - new Date(first.due_date)).toBe(7 * 24 * 60 * 60 * 1000);
+      expect((await fetchHistory(second.id))[0]).toMatchObject({
+        summary: `Task created by recurrence (series #${first.series_id})`,
+        changed_by: null
+      });
+
+      // Only ever one new occurrence per run, however often it runs
+      expect(await runRecurrence({ now: minuteAfter(first.due_date) })).toEqual([]);
+
+      const { body: series } = await api.get(`/api/v1/series/${first.series_id}`);
+      expect(series).toMatchObject({ recurrence: 'FREQ=WEEKLY', recurrence_description: 'Every week', occurrence_count: 2, ended_at: null });
+      expect(series.occurrences.map(t => t.id)).toEqual([first.id, second.id]);
+    });
+
+    it('should follow on from a completed occurrence and end the series at its COUNT', async () => {
+      const first = await createTask({ title: 'Daily triage', recurrence: 'FREQ=DAILY;COUNT=2' });
+      await api.patch(`/api/v1/tasks/${first.id}`).send({ status: 'COMPLETED' });
+
+      const [second] = await runRecurrence();
+      expect(new Date(second.due_date) - new Date(first.due_date)).toBe(24 * 60 * 60 * 1000);
+
+      await api.patch(`/api/v1/tasks/${second.id}`).send({ status: 'COMPLETED' });
+      expect(await runRecurrence()).toEqual([]);
+      const { body: series } = await api.get(`/api/v1/series/${first.series_id}`);
+      expect(series.ended_at).not.toBeNull();
+      expect((await api.get(`/api/v1/tasks/${second.id}`)).body.recurrence).toBeNull();
+    });
+
+    it('should pause a series while its latest occurrence is deleted', async () => {
+      const first = await createTask({ title: 'Weekly file review', recurrence: 'weekly' });
+      await api.delete(`/api/v1/tasks/${first.id}`);
+      expect(await runRecurrence({ now: minuteAfter(first.due_date) })).toEqual([]);
+
+      await api.post(`/api/v1/tasks/${first.id}/restore`);
+      const [second] = await runRecurrence({ now: minuteAfter(first.due_date) });
+      expect(second).toMatchObject({ title: 'Weekly file review', series_id: first.series_id });
+    });
+
+    it('should edit one occurrence or the whole series', async () => {
+      const first = await createTask({ title: 'Check bundle', recurrence: 'DAILY' });
+      const [second] = await runRecurrence({ now: minuteAfter(first.due_date) });
+
+      // One occurrence: only that task changes
+      await api.patch(`/api/v1/tasks/${second.id}`).send({ title: 'Check bundle (urgent)' });
+      expect((await api.get(`/api/v1/series/${first.series_id}`)).body.template.title).toBe('Check bundle');
+
+      // How it repeats belongs to the series
+      const refused = await api.patch(`/api/v1/tasks/${second.id}`).send({ recurrence: 'WEEKLY' });
+      expect(refused.statusCode).toBe(400);
+      expect(refused.body.errors[0].path).toEqual(['recurrence']);
+      expect((await api.patch(`/api/v1/tasks/${second.id}`).send({ recurrence: 'DAILY', priority: 'HIGH' })).statusCode).toBe(200);
+
+      // The series: template plus the occurrences still open
+      await api.patch(`/api/v1/tasks/${first.id}`).send({ status: 'COMPLETED' });
+      const updated = await api.patch(`/api/v1/series/${first.series_id}`).send({ description: 'Every bundle page', recurrence: 'FREQ=WEEKLY' });
+      expect(updated.statusCode).toBe(200);
+      expect(updated.body).toMatchObject({ recurrence: 'FREQ=WEEKLY', template: { description: 'Every bundle page' } });
+      expect((await api.get(`/api/v1/tasks/${first.id}`)).body.description).toBe('Created by Jest');
+      expect((await api.get(`/api/v1/tasks/${second.id}`)).body.description).toBe('Every bundle page');
+      expect((await fetchHistory(second.id))[0].summary)
+        .toBe("Description changed from 'Created by Jest' to 'Every bundle page'\nRepeats changed from 'Every day' to 'Every week'");
+
+      // From the edit form, choosing the whole series
+      const form = await api.post(`/edit-task/${second.id}`).type('form').send({
+        title: 'Check bundle (urgent)', status: 'PENDING', due_date: second.due_date, recurrence: 'MONTHLY', apply_to: 'series'
+      });
+      expect(form.statusCode).toBe(302);
+      expect((await api.get(`/api/v1/series/${first.series_id}`)).body.recurrence).toBe('FREQ=MONTHLY');
+
+      expect((await api.delete(`/api/v1/series/${first.series_id}`)).statusCode).toBe(204);
+      expect((await api.patch(`/api/v1/series/${first.series_id}`).send({ title: 'Too late' })).statusCode).toBe(409);
+      expect(await runRecurrence({ now: minuteAfter(second.due_date) })).toEqual([]);
+    });
+
+    it('should reject unsupported rules and show the series on the edit page', async () => {
+      const res = await api.post('/api/v1/tasks').send({
+        title: 'Odd rule', due_date: new Date(Date.now() + 86400000).toISOString(), recurrence: 'FREQ=YEARLY'
+      });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({ path: ['recurrence'], message: 'Repeats: FREQ must be DAILY, WEEKLY or MONTHLY' });
+
+      const task = await createTask({ recurrence: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH' });
+      const page = await api.get(`/edit-task/${task.id}`);
+      expect(page.text).toContain('Every 2 weeks on Monday and Thursday');
+      expect(page.text).toContain('The whole series');
+
+      // A one-off task can be made to repeat later
+      const plain = await createTask();
+      const started = await api.patch(`/api/v1/tasks/${plain.id}`).send({ recurrence: 'MONTHLY' });
+      expect(started.body).toMatchObject({ recurrence: 'FREQ=MONTHLY', series_id: expect.any(Number) });
+    });
+  });
+
+  describe('Status workflow', () => {
+    const settings = require('../src/config/settings');
+    const { validateWorkflow } = require('../src/config/workflow');
+
+    it('should only allow the workflow\'s transitions, with a 409 Problem otherwise', async () => {
+      const task = await createTask();
+      const held = await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'ON_HOLD' });
+      expect(held.statusCode).toBe(200);
+      expect((await fetchHistory(task.id))[0].summary).toBe("Status changed from 'Pending' to 'On Hold'");
+
+      const skipped = await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'COMPLETED' });
+      expect(skipped.statusCode).toBe(409);
+      expect(skipped.body).toMatchObject({ status: 409, title: 'Conflict' });
+      expect(skipped.body.detail).toBe(`Task ${task.id} cannot move from On Hold to Completed. It can move to Pending, In Progress, Cancelled`);
+
+      expect((await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'CANCELLED' })).statusCode).toBe(200);
+      const reopened = await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'PENDING' });
+      expect(reopened.statusCode).toBe(409);
+      expect(reopened.body.detail).toContain('Cancelled is a final status');
+      // Saving other changes without moving status is fine
+      expect((await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'CANCELLED', title: 'Withdrawn' })).statusCode).toBe(200);
+
+      const unknown = await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'ARCHIVED' });
+      expect(unknown.statusCode).toBe(400);
+      expect(unknown.body.errors[0].path).toEqual(['status']);
+    });
+
+    it('should treat terminal statuses as finished: not overdue and no longer blocking', async () => {
+      const cancelled = await createTask({ title: 'Cancelled hearing prep', status: 'CANCELLED' });
+      const onHold = await createTask({ title: 'Held prep', status: 'ON_HOLD' });
+      const past = new Date(Date.now() - 86400000).toISOString();
+      await runQuery(`UPDATE tasks SET due_date = ? WHERE id IN (?, ?)`, [past, cancelled.id, onHold.id]);
+
+      const overdue = await api.get('/api/v1/tasks?status=OVERDUE');
+      expect(overdue.body.data.map(t => t.id)).toEqual([onHold.id]);
+
+      const order = await createTask({ title: 'Issue order' });
+      await api.post(`/api/v1/tasks/${order.id}/dependencies`).send({ blocked_by: cancelled.id });
+      expect((await api.patch(`/api/v1/tasks/${order.id}`).send({ status: 'COMPLETED' })).statusCode).toBe(200);
+    });
+
+    it('should drive the forms and filters from the workflow', async () => {
+      const task = await createTask({ status: 'ON_HOLD' });
+
+      const page = await api.get(`/edit-task/${task.id}`);
+      expect(page.text).toContain('<option value="ON_HOLD" selected>On Hold</option>');
+      expect(page.text).toContain('<option value="CANCELLED">Cancelled</option>');
+      expect(page.text).not.toContain('<option value="COMPLETED"');
+
+      const form = await api.post(`/edit-task/${task.id}`).type('form')
+        .send({ title: task.title, status: 'COMPLETED', due_date: task.due_date });
+      expect(form.statusCode).toBe(409);
+      expect(form.text).toContain('cannot move from On Hold to Completed');
+
+      const home = await api.get('/?view=all');
+      expect(home.text).toContain('value="CANCELLED"');
+      expect(home.text).toContain('govuk-tag--yellow');
+      expect(home.text).toContain('"ON_HOLD":"On Hold"');
+    });
+
+    it('should follow a replaced workflow and reject inconsistent ones', async () => {
+      const original = settings.workflow;
+      try {
+        settings.workflow = validateWorkflow({
+          initial: 'NEW',
+          statuses: [
+            { code: 'NEW', label: 'New' },
+            { code: 'DONE', label: 'Done', colour: 'green', terminal: true }
+          ],
+          transitions: { NEW: ['DONE'] }
+        });
+        const task = await createTask({ status: undefined });
+        expect(task.status).toBe('NEW');
+        expect((await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'PENDING' })).statusCode).toBe(400);
+        expect((await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'DONE' })).statusCode).toBe(200);
+      } finally {
+        settings.workflow = original;
+      }
+
+      expect(() => validateWorkflow({ initial: 'NEW', statuses: [{ code: 'NEW', label: 'New', terminal: true }], transitions: { NEW: ['GONE'] } }))
+        .toThrow("transition from 'NEW' to unknown status 'GONE'");
+    });
+  });
+
+  describe('Working days and bank holidays', () => {
+    const { dueDateInWorkingDays } = require('../src/services/calendarService');
+    const { londonDate, addDays, isWorkingDay, workingDaysBetween } = require('../src/utils/workingDays');
+    const BankHolidayModel = require('../src/models/bankHolidayModel');
+    const bundled = require('../src/data/bank-holidays-england-and-wales.json');
+
+    // Put the bundled calendar back after tests that change it
+    afterEach(async () => {
+      await api.put('/api/v1/admin/bank-holidays').send(bundled);
+    });
+
+    // The next date after today that is a Saturday (weekday 6) or a working day
+    const nextDate = async (test) => {
+      const holidays = await BankHolidayModel.findDates();
+      let date = addDays(londonDate(new Date()), 2);
+      while (!test(date, holidays)) date = addDays(date, 1);
+      return date;
+    };
+
+    it('should count working days past weekends and bank holidays, due at the end of the day', async () => {
+      // Christmas Day (Fri) and the Boxing Day substitute (Mon 28th) are skipped
+      expect(await dueDateInWorkingDays(2, { from: new Date('2026-12-23T10:00:00Z') })).toBe('2026-12-29T17:00:00.000Z');
+      // 17:00 UK time is 16:00 UTC in summer
+      expect(await dueDateInWorkingDays(1, { from: new Date('2026-07-03T09:00:00Z') })).toBe('2026-07-06T16:00:00.000Z');
+
+      const res = await api.post('/api/v1/tasks').send({ title: 'File defence', due_in_working_days: 10 });
+      expect(res.statusCode).toBe(201);
+      expect(res.body.due_date).toBe(await dueDateInWorkingDays(10));
+      expect(res.body.warnings).toBeUndefined();
+
+      const both = await api.post('/api/v1/tasks').send({ title: 'File defence', due_in_working_days: 10, due_date: res.body.due_date });
+      expect(both.statusCode).toBe(400);
+      expect(both.body.errors[0].path).toEqual(['due_in_working_days']);
+      expect((await api.post('/api/v1/tasks').send({ title: 'File defence', due_in_working_days: 0 })).statusCode).toBe(400);
+
+      const form = await api.post('/create-task').type('form')
+        .send({ title: 'Serve bundle', status: 'PENDING', due_date: '', due_in_working_days: '3' });
+      expect(form.statusCode).toBe(302);
+      const [created] = await getQuery(`SELECT due_date FROM tasks WHERE title = 'Serve bundle'`);
+      expect(created.due_date).toBe(await dueDateInWorkingDays(3));
+    });
+
+    it('should warn when a due date falls on a weekend or bank holiday', async () => {
+      const saturday = await nextDate(date => new Date(`${date}T12:00:00Z`).getUTCDay() === 6);
+      const weekend = await api.post('/api/v1/tasks').send({ title: 'Weekend task', due_date: `${saturday}T12:00:00.000Z` });
+      expect(weekend.statusCode).toBe(201);
+      expect(weekend.body.warnings[0]).toMatch(/^The due date, Saturday, .* is at the weekend$/);
+
+      // An extra holiday added by an admin counts straight away
+      const workingDay = await nextDate(isWorkingDay);
+      const added = await api.post('/api/v1/admin/bank-holidays').send({ date: workingDay, title: 'Coronation bank holiday' });
+      expect(added.statusCode).toBe(201);
+      const task = await createTask({ due_date: `${workingDay}T12:00:00.000Z` });
+      expect(task.warnings[0]).toContain('is a bank holiday (Coronation bank holiday)');
+
+      const page = await api.get(`/edit-task/${task.id}`);
+      expect(page.text).toContain('is a bank holiday (Coronation bank holiday)');
+
+      // Saving from the form lands on the task so the warning is seen
+      const form = await api.post(`/edit-task/${task.id}`).type('form')
+        .send({ title: task.title, status: 'PENDING', due_date: `${saturday}T12:00:00.000Z` });
+      expect(form.headers.location).toBe(`/edit-task/${task.id}?saved=true`);
+    });
+
+    it('should report working days overdue for open tasks', async () => {
+      const late = await createTask({ title: 'Late task' });
+      const cancelled = await createTask({ title: 'Cancelled task', status: 'CANCELLED' });
+      const due = '2026-01-02T12:00:00.000Z';
+      await runQuery(`UPDATE tasks SET due_date = ? WHERE id IN (?, ?)`, [due, late.id, cancelled.id]);
+
+      const res = await api.get('/api/v1/tasks?workingDaysOverdue=true&sortBy=id');
+      const expected = workingDaysBetween('2026-01-02', londonDate(new Date()), await BankHolidayModel.findDates());
+      expect(res.body.data.map(t => [t.id, t.working_days_overdue])).toEqual([[late.id, expected], [cancelled.id, 0]]);
+      expect((await api.get('/api/v1/tasks')).body.data[0].working_days_overdue).toBeUndefined();
+
+      const home = await api.get('/?view=all');
+      expect(home.text).toContain(`${expected} working days overdue`);
+    });
+
+    it('should let admins update the bank holiday calendar', async () => {
+      const replaced = await api.put('/api/v1/admin/bank-holidays').send({
+        'england-and-wales': { division: 'england-and-wales', events: [{ title: 'New Year’s Day', date: '2030-01-01', notes: '', bunting: true }] },
+        scotland: { division: 'scotland', events: [] }
+      });
+      expect(replaced.statusCode).toBe(200);
+      expect(replaced.body).toEqual([expect.objectContaining({ date: '2030-01-01', title: 'New Year’s Day', notes: null })]);
+
+      expect((await api.post('/api/v1/admin/bank-holidays').send({ date: '2030-01-01', title: "New Year's Day" })).statusCode).toBe(200);
+      expect((await api.post('/api/v1/admin/bank-holidays').send({ date: '2030-02-30', title: 'Nope' })).statusCode).toBe(400);
+      expect((await api.put('/api/v1/admin/bank-holidays').send({ events: [{ date: '2030-01-01', title: 'A' }, { date: '2030-01-01', title: 'B' }] })).statusCode).toBe(400);
+
+      expect((await api.get('/api/v1/admin/bank-holidays?year=2030')).body.map(h => h.title)).toEqual(["New Year's Day"]);
+      expect((await api.delete('/api/v1/admin/bank-holidays/2030-01-01')).statusCode).toBe(204);
+      expect((await api.delete('/api/v1/admin/bank-holidays/2030-01-01')).statusCode).toBe(404);
+    });
+  });
+
+  describe('SLA rules and escalation', () => {
+    const { runSlaCheck } = require('../src/services/slaService');
+    const NotificationService = require('../src/services/notificationService');
+    const hoursAfter = (iso, hours) => new Date(new Date(iso).getTime() + hours * 60 * 60 * 1000);
+
+    let sam, tina;
+    beforeAll(async () => {
+      await request.agent(app).post('/login').type('form').send({ username: 'sam.clerk', name: 'Sam Clerk', role: 'caseworker' });
+      await request.agent(app).post('/login').type('form').send({ username: 'tina.leader', name: 'Tina Leader', role: 'team_leader' });
+      const { body: users } = await api.get('/api/v1/admin/users');
+      sam = users.find(u => u.subject === 'stub|sam.clerk');
+      tina = users.find(u => u.subject === 'stub|tina.leader');
+    });
+
+    afterEach(async () => {
+      await runQuery("DELETE FROM sla_rules");
+      jest.restoreAllMocks();
+    });
+
+    it('should validate SLA rules and list the most specific first', async () => {
+      const tooSoon = await api.post('/api/v1/admin/sla-rules').send({ name: 'Backwards', warning_hours: 48, breach_hours: 24 });
+      expect(tooSoon.statusCode).toBe(400);
+      expect(tooSoon.body.errors[0].path).toEqual(['breach_hours']);
+
+      const notLeader = await api.post('/api/v1/admin/sla-rules').send({ name: 'To Sam', warning_hours: 1, breach_hours: 2, escalate_to: sam.id });
+      expect(notLeader.statusCode).toBe(400);
+      expect(notLeader.body.errors[0]).toMatchObject({ path: ['escalate_to'], message: 'Sam Clerk is not a team leader' });
+
+      const general = await api.post('/api/v1/admin/sla-rules').send({ name: 'Everything', warning_hours: 72, breach_hours: 120 });
+      expect(general.statusCode).toBe(201);
+      expect(general.body).toMatchObject({ priority: null, tag: null, escalate_to: null, notify: false });
+      const specific = await api.post('/api/v1/admin/sla-rules')
+        .send({ name: 'Urgent hearings', priority: 'URGENT', tag: 'Hearing', warning_hours: 4, breach_hours: 8, escalate_to: tina.id, notify: true });
+      expect(specific.body).toMatchObject({ tag: 'hearing', escalate_to: tina.id, notify: true });
+
+      expect((await api.get('/api/v1/admin/sla-rules')).body.map(rule => rule.name)).toEqual(['Urgent hearings', 'Everything']);
+
+      const replaced = await api.put(`/api/v1/admin/sla-rules/${general.body.id}`).send({ name: 'Everything else', warning_hours: 48, breach_hours: 96 });
+      expect(replaced.body).toMatchObject({ name: 'Everything else', warning_hours: 48, updated_at: expect.any(String) });
+      expect((await api.put('/api/v1/admin/sla-rules/999999').send({ name: 'Nope', warning_hours: 1, breach_hours: 2 })).statusCode).toBe(404);
+
+      expect((await api.delete(`/api/v1/admin/sla-rules/${general.body.id}`)).statusCode).toBe(204);
+      expect((await api.delete(`/api/v1/admin/sla-rules/${general.body.id}`)).statusCode).toBe(404);
+
+      const caseworker = request.agent(app);
+      await caseworker.post('/login').type('form').send({ username: 'sam.clerk', name: 'Sam Clerk', role: 'caseworker' });
+      expect((await caseworker.get('/api/v1/admin/sla-rules')).statusCode).toBe(403);
+    });
+
+    it('should warn, then breach and escalate once, recording each step in the history', async () => {
+      const send = jest.spyOn(NotificationService, 'send').mockResolvedValue();
+      await api.post('/api/v1/admin/sla-rules').send({
+        name: 'Hearings', tag: 'hearing', warning_hours: 24, breach_hours: 48,
+        escalate_to: tina.id, raise_priority_to: 'URGENT', notify: true
+      });
+      await api.post('/api/v1/admin/sla-rules').send({ name: 'Everything', warning_hours: 100, breach_hours: 200 });
+
+      const hearing = await createTask({ title: 'List the hearing', tags: ['hearing'], assigned_to: sam.id });
+      const other = await createTask({ title: 'Other work' });
+      const finished = await createTask({ title: 'Done already' });
+      await api.patch(`/api/v1/tasks/${finished.id}`).send({ status: 'COMPLETED' });
+
+      expect(await runSlaCheck({ now: hoursAfter(hearing.created_at, 1) })).toEqual([]);
+
+      const warned = await runSlaCheck({ now: hoursAfter(hearing.created_at, 25) });
+      expect(warned).toEqual([expect.objectContaining({ task_id: hearing.id, sla_status: 'AT_RISK', notified: [sam.id] })]);
+      expect((await fetchHistory(hearing.id))[0]).toMatchObject({
+        summary: "SLA at risk: open for more than 24 hours (rule 'Hearings')\nNotified: Sam Clerk",
+        changed_by: null
+      });
+
+      const breached = await runSlaCheck({ now: hoursAfter(hearing.created_at, 49) });
+      expect(breached.map(result => result.task_id)).toEqual([hearing.id]);
+      expect((await fetchHistory(hearing.id))[0].summary).toBe([
+        "SLA breached: open for more than 48 hours (rule 'Hearings')",
+        "Priority changed from 'Normal' to 'Urgent'",
+        "Assigned to changed from 'Sam Clerk' to 'Tina Leader'",
+        'Notified: Sam Clerk, Tina Leader'
+      ].join('\n'));
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(send.mock.calls[1][0]).toMatchObject({ subject: `Task #${hearing.id} has breached its SLA` });
+
+      const { body: escalated } = await api.get(`/api/v1/tasks/${hearing.id}`);
+      expect(escalated).toMatchObject({ sla_status: 'BREACHED', priority: 'URGENT', assigned_to: tina.id, version: hearing.version + 2 });
+
+      // Only once per task; finished tasks are left alone, and a rule without actions just marks the task
+      const later = await runSlaCheck({ now: hoursAfter(hearing.created_at, 300) });
+      expect(later).toEqual([{ task_id: other.id, sla_status: 'BREACHED', rule_id: expect.any(Number), notified: [] }]);
+      expect((await fetchHistory(other.id))[0].summary).toBe("SLA breached: open for more than 200 hours (rule 'Everything')");
+      expect((await fetchHistory(finished.id))[0].summary).not.toContain('SLA');
+
+      const list = await api.get('/api/v1/tasks?sla=breached&sortBy=id');
+      expect(list.body.data.map(t => t.id)).toEqual([hearing.id, other.id]);
+      expect((await api.get('/api/v1/tasks?sla=LATE')).statusCode).toBe(400);
+
+      const home = await api.get('/?view=all');
+      expect(home.text).toContain('SLA breached');
+      expect((await api.get(`/edit-task/${hearing.id}`)).text).toContain('This task has breached its SLA.');
+    });
+  });
+
+  describe('Webhooks', () => {
+    const http = require('http');
+    const crypto = require('crypto');
+    const { runWebhookDeliveries } = require('../src/services/webhookService');
+    const secondsAfter = (date, seconds) => new Date(date.getTime() + seconds * 1000);
+
+    // A local receiver: records each request, and answers with the next status in `statuses` (then 200)
+    let receiver, url, received, statuses;
+    beforeAll(async () => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.statusCode = statuses.shift() || 200;
+          res.end(res.statusCode === 200 ? 'ok' : 'try later');
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+    });
+    afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+    beforeEach(() => {
+      received = [];
+      statuses = [];
+    });
+    afterEach(async () => {
+      await runQuery("DELETE FROM webhook_deliveries");
+      await runQuery("DELETE FROM webhook_subscriptions");
+    });
+
+    it('should validate subscriptions and only return the secret on creation', async () => {
+      const invalid = await api.post('/api/v1/admin/webhooks').send({ name: 'Bad', url: 'ftp://example.com', events: ['task.exploded'] });
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.errors.map(e => e.path[0]).sort()).toEqual(['events', 'url']);
+
+      const created = await api.post('/api/v1/admin/webhooks').send({ name: 'Listing', url, events: ['task.created'], filters: { tags: ['Hearing'] } });
+      expect(created.statusCode).toBe(201);
+      expect(created.body).toMatchObject({ active: true, filters: { tags: ['hearing'] }, secret: expect.stringMatching(/^whsec_/) });
+
+      const { body: list } = await api.get('/api/v1/admin/webhooks');
+      expect(list).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+
+      const paused = await api.patch(`/api/v1/admin/webhooks/${created.body.id}`).send({ active: false });
+      expect(paused.body).toMatchObject({ active: false, events: ['task.created'], url });
+      expect(paused.body.secret).toBeUndefined();
+
+      expect((await api.patch('/api/v1/admin/webhooks/999999').send({ active: true })).statusCode).toBe(404);
+      expect((await api.get('/api/v1/admin/webhooks/999999/deliveries')).statusCode).toBe(404);
+      expect((await api.delete(`/api/v1/admin/webhooks/${created.body.id}`)).statusCode).toBe(204);
+    });
+
+    it('should send signed events for matching tasks from the model', async () => {
+      const { body: hook } = await api.post('/api/v1/admin/webhooks').send({
+        name: 'Listing', url, events: ['task.created', 'task.status_changed', 'task.deleted'], filters: { tags: ['hearing'] }
+      });
+
+      const task = await createTask({ title: 'List the hearing', tags: ['hearing'] });
+      await createTask({ title: 'Not for listing' });
+      await api.patch(`/api/v1/tasks/${task.id}`).send({ title: 'List the hearing (renamed)' });
+      await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'IN_PROGRESS' });
+      await api.delete(`/api/v1/tasks/${task.id}`);
+
+      const results = await runWebhookDeliveries();
+      expect(results.map(r => r.status)).toEqual(['DELIVERED', 'DELIVERED', 'DELIVERED']);
+      expect(received.map(r => r.headers['x-webhook-event'])).toEqual(['task.created', 'task.status_changed', 'task.deleted']);
+
+      const [first, statusChange] = received;
+      const expected = crypto.createHmac('sha256', hook.secret)
+        .update(`${first.headers['x-webhook-timestamp']}.${first.body}`).digest('hex');
+      expect(first.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+
+      const payload = JSON.parse(first.body);
+      expect(payload).toMatchObject({ id: first.headers['x-webhook-id'], type: 'task.created', data: { task: { id: task.id } } });
+      expect(payload.data.actor.user_id).toEqual(expect.any(Number));
+      expect(JSON.parse(statusChange.body).data).toMatchObject({ from: 'PENDING', to: 'IN_PROGRESS' });
+
+      // Nothing left to send
+      expect(await runWebhookDeliveries()).toEqual([]);
+    });
+
+    it('should retry failed deliveries with exponential backoff, then give up, keeping a log', async () => {
+      const settings = require('../src/config/settings');
+      const { webhookMaxAttempts, webhookRetryBaseSeconds } = settings;
+      settings.webhookMaxAttempts = 3;
+      settings.webhookRetryBaseSeconds = 30;
+      try {
+        const { body: hook } = await api.post('/api/v1/admin/webhooks').send({ name: 'Flaky', url, events: ['task.created'] });
+        await createTask({ title: 'Will need retries' });
+        statuses = [500, 503, 502];
+
+        const start = new Date();
+        expect((await runWebhookDeliveries({ now: start }))[0]).toMatchObject({ status: 'PENDING', attempts: 1, response_status: 500 });
+        // Not due again until 30 seconds later, then 60 seconds after that
+        expect(await runWebhookDeliveries({ now: secondsAfter(start, 29) })).toEqual([]);
+        expect((await runWebhookDeliveries({ now: secondsAfter(start, 30) }))[0]).toMatchObject({ status: 'PENDING', attempts: 2 });
+        expect(await runWebhookDeliveries({ now: secondsAfter(start, 89) })).toEqual([]);
+        expect((await runWebhookDeliveries({ now: secondsAfter(start, 90) }))[0]).toMatchObject({ status: 'FAILED', attempts: 3 });
+        expect(await runWebhookDeliveries({ now: secondsAfter(start, 10000) })).toEqual([]);
+
+        // Every attempt sent the same event
+        expect(new Set(received.map(r => r.headers['x-webhook-id'])).size).toBe(1);
+
+        const log = await api.get(`/api/v1/admin/webhooks/${hook.id}/deliveries?status=FAILED`);
+        expect(log.statusCode).toBe(200);
+        expect(log.body).toEqual([expect.objectContaining({
+          event_type: 'task.created', status: 'FAILED', attempts: 3, response_status: 502,
+          last_error: 'HTTP 502: try later', next_attempt_at: null, payload: expect.objectContaining({ type: 'task.created' })
+        })]);
+        expect((await api.get(`/api/v1/admin/webhooks/${hook.id}/deliveries?status=LOST`)).statusCode).toBe(400);
+      } finally {
+        Object.assign(settings, { webhookMaxAttempts, webhookRetryBaseSeconds });
+      }
+    });
+
+    it('should purge or redact a task\'s payloads with it, and prune old deliveries', async () => {
+      const settings = require('../src/config/settings');
+      const { retentionMode } = settings;
+      const deliveriesFor = (taskId) => getQuery(`SELECT status, payload FROM webhook_deliveries WHERE task_id = ? ORDER BY id`, [taskId]);
+      const expireDeletion = (taskId) => runQuery(`UPDATE tasks SET deleted_at = ? WHERE id = ?`,
+        [new Date(Date.now() - (settings.retentionDays + 1) * 24 * 60 * 60 * 1000).toISOString(), taskId]);
+      try {
+        await api.post('/api/v1/admin/webhooks').send({ name: 'Everything', url, events: ['task.created', 'task.updated', 'task.deleted'] });
+        const purged = await createTask({ title: 'Sensitive purge' });
+        const redacted = await createTask({ title: 'Sensitive redact', description: 'Sensitive notes' });
+        await api.patch(`/api/v1/tasks/${redacted.id}`).send({ title: 'Sensitive rename' });
+
+        settings.retentionMode = 'purge';
+        await api.delete(`/api/v1/tasks/${purged.id}`);
+        await expireDeletion(purged.id);
+        await api.post('/api/v1/admin/retention/run');
+        expect(await deliveriesFor(purged.id)).toEqual([]);
+
+        settings.retentionMode = 'redact';
+        await api.delete(`/api/v1/tasks/${redacted.id}`);
+        await expireDeletion(redacted.id);
+        await api.post('/api/v1/admin/retention/run');
+        const payloads = (await deliveriesFor(redacted.id)).map(row => row.payload);
+        expect(payloads).toHaveLength(3);
+        expect(payloads.join()).not.toContain('Sensitive');
+        expect(JSON.parse(payloads[1]).data).toMatchObject({
+          task: { id: redacted.id, title: '[Redacted]', description: '' }, changes: ['Title changed (details redacted)']
+        });
+
+        // Sent deliveries leave the log after WEBHOOK_DELIVERY_RETENTION_DAYS; pending ones stay
+        await runWebhookDeliveries();
+        await createTask({ title: 'Still queued' });
+        await runQuery(`UPDATE webhook_deliveries SET created_at = ?`,
+          [new Date(Date.now() - (settings.webhookDeliveryRetentionDays + 1) * 24 * 60 * 60 * 1000).toISOString()]);
+        const run = await api.post('/api/v1/admin/retention/run');
+        expect(run.body.webhookDeliveriesPruned).toBe(3);
+        expect(await getQuery(`SELECT status FROM webhook_deliveries`)).toEqual([{ status: 'PENDING' }]);
+      } finally {
+        settings.retentionMode = retentionMode;
+      }
+    });
+  });
+
+  // Close DB
+  afterAll(async () => {
+    await new Promise((resolve, reject) => {
+      db.close((err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+  });
+
+  describe('Email reminders and digests', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const settings = require('../src/config/settings');
+    const { runReminders, runOverdueDigest } = require('../src/services/reminderService');
+    const { londonDate, atLondonTime } = require('../src/utils/workingDays');
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+    // Emails go to a temporary outbox; readOutbox returns (and clears) what has been "sent"
+    let outboxDir, originalOutboxDir;
+    const readOutbox = () => fs.readdirSync(outboxDir).sort().map(file => {
+      const message = JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8'));
+      fs.unlinkSync(path.join(outboxDir, file));
+      return message;
+    });
+
+    let sam, tina, samAgent, tinaAgent;
+    beforeAll(async () => {
+      originalOutboxDir = settings.mailOutboxDir;
+      outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+      settings.mailOutboxDir = outboxDir;
+
+      samAgent = request.agent(app);
+      await samAgent.post('/login').type('form').send({ username: 'sam.clerk', name: 'Sam Clerk', role: 'caseworker' });
+      tinaAgent = request.agent(app);
+      await tinaAgent.post('/login').type('form').send({ username: 'tina.leader', name: 'Tina Leader', role: 'team_leader' });
+      const { body: users } = await api.get('/api/v1/admin/users');
+      sam = users.find(u => u.subject === 'stub|sam.clerk');
+      tina = users.find(u => u.subject === 'stub|tina.leader');
+    });
+
+    afterAll(() => {
+      settings.mailOutboxDir = originalOutboxDir;
+      fs.rmSync(outboxDir, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+      await runQuery("DELETE FROM email_log");
+      await runQuery("DELETE FROM notification_preferences");
+      readOutbox();
+    });
+
+    it('should remind each assignee once within their reminder window', async () => {
+      await tinaAgent.put('/api/v1/me/notification-preferences').send({ reminder_hours: 48 });
+
+      const soon = await createTask({ title: 'File the bundle', assigned_to: sam.id, due_date: hoursFromNow(10) });
+      await createTask({ title: 'Not yet', assigned_to: sam.id, due_date: hoursFromNow(30) });
+      const tinasTask = await createTask({ title: 'Review the order', assigned_to: tina.id, due_date: hoursFromNow(30) });
+      await createTask({ title: 'Nobody has it', due_date: hoursFromNow(5) });
+
+      const sent = await runReminders();
+      expect(sent).toEqual([
+        { task_id: soon.id, user_id: sam.id },
+        { task_id: tinasTask.id, user_id: tina.id }
+      ]);
+      expect(await runReminders()).toEqual([]);
+
+      const emails = readOutbox();
+      expect(emails).toHaveLength(2);
+      const toSam = emails.find(email => email.to.includes('sam.clerk@example.com'));
+      expect(toSam.subject).toBe(`Reminder: task #${soon.id} is due soon`);
+      expect(toSam.text).toContain('File the bundle');
+      expect(toSam.text).toContain(`${settings.appBaseUrl}/edit-task/${soon.id}`);
+      expect(toSam.html).toContain('File the bundle');
+
+      // A new due date brings a new reminder
+      await api.patch(`/api/v1/tasks/${soon.id}`).send({ due_date: hoursFromNow(5) });
+      expect(await runReminders()).toEqual([{ task_id: soon.id, user_id: sam.id }]);
+
+      // Unless the assignee has opted out
+      await samAgent.put('/api/v1/me/notification-preferences').send({ due_reminders: false });
+      await api.patch(`/api/v1/tasks/${soon.id}`).send({ due_date: hoursFromNow(4) });
+      expect(await runReminders()).toEqual([]);
+    });
+
+    it('should send a daily overdue digest from the digest time, with the whole team for team leaders', async () => {
+      const mine = await createTask({ title: 'Overdue for Sam', assigned_to: sam.id });
+      const unassigned = await createTask({ title: 'Overdue for nobody' });
+      await createTask({ title: 'Not overdue', assigned_to: sam.id });
+      await runQuery('UPDATE tasks SET due_date = ? WHERE id IN (?, ?)', [hoursFromNow(-48), mine.id, unassigned.id]);
+
+      const digestTime = atLondonTime(londonDate(new Date()), settings.digestTime);
+      const before = new Date(digestTime.getTime() - 60 * 1000);
+      const after = new Date(digestTime.getTime() + 60 * 1000);
+
+      expect(await runOverdueDigest({ now: before })).toEqual([]);
+
+      const sent = await runOverdueDigest({ now: after });
+      expect(sent).toEqual(expect.arrayContaining([
+        { user_id: sam.id, own: 1, team: 0 },
+        { user_id: tina.id, own: 0, team: 2 }
+      ]));
+      expect(await runOverdueDigest({ now: after })).toEqual([]);
+
+      const emails = readOutbox();
+      const toSam = emails.find(email => email.to.includes('sam.clerk@example.com'));
+      expect(toSam.subject).toBe('Overdue tasks: 1 task needs attention');
+      expect(toSam.text).toContain('Overdue for Sam');
+      expect(toSam.text).not.toContain('Overdue for nobody');
+      const toTina = emails.find(email => email.to.includes('tina.leader@example.com'));
+      expect(toTina.subject).toBe('Overdue tasks: 2 tasks need attention');
+      expect(toTina.text).toContain('Overdue across the team (2)');
+      expect(toTina.text).toContain('Overdue for nobody, due');
+
+      // Opting out (the next day's run)
+      await tinaAgent.put('/api/v1/me/notification-preferences').send({ overdue_digest: false });
+      await runQuery("DELETE FROM email_log");
+      const userIds = (await runOverdueDigest({ now: after })).map(digest => digest.user_id);
+      expect(userIds).toContain(sam.id);
+      expect(userIds).not.toContain(tina.id);
+    });
+
+    it('should let users choose their notifications through the API and the settings page', async () => {
+      const defaults = await samAgent.get('/api/v1/me/notification-preferences');
+      expect(defaults.statusCode).toBe(200);
+      expect(defaults.body).toMatchObject({ due_reminders: true, reminder_hours: null, overdue_digest: true });
+
+      const tooLong = await samAgent.put('/api/v1/me/notification-preferences').send({ reminder_hours: 500 });
+      expect(tooLong.statusCode).toBe(400);
+      expect(tooLong.body.errors[0].path).toEqual(['reminder_hours']);
+
+      const saved = await samAgent.put('/api/v1/me/notification-preferences').send({ due_reminders: true, reminder_hours: 6, overdue_digest: false });
+      expect(saved.statusCode).toBe(200);
+      expect(saved.body).toMatchObject({ reminder_hours: 6, overdue_digest: false, updated_at: expect.any(String) });
+
+      const page = await samAgent.get('/notification-preferences');
+      expect(page.statusCode).toBe(200);
+      expect(page.text).toContain('Notification settings');
+      expect(page.text).toContain('sam.clerk@example.com');
+
+      const posted = await samAgent.post('/notification-preferences').type('form').send({ notifications: 'overdue_digest', reminder_hours: '' });
+      expect(posted.statusCode).toBe(302);
+      expect(posted.headers.location).toBe('/notification-preferences?saved=true');
+      expect((await samAgent.get('/api/v1/me/notification-preferences')).body)
+        .toMatchObject({ due_reminders: false, reminder_hours: null, overdue_digest: true });
+
+      const invalid = await samAgent.post('/notification-preferences').type('form').send({ reminder_hours: 'soon' });
+      expect(invalid.statusCode).toBe(200);
+      expect(invalid.text).toContain('Reminder time must be a number of hours');
+    });
+
+    it('should skip users without an email address, logging no task details', async () => {
+      const NotificationService = require('../src/services/notificationService');
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      try {
+        await NotificationService.send({ to: [{ id: 42, display_name: 'No Email' }], subject: 'Task #1 breached', text: 'Serve the sensitive bundle' });
+        expect(log).toHaveBeenCalledWith('Notification skipped for user 42: no email address');
+        expect(log.mock.calls.flat().join()).not.toMatch(/sensitive|breached/);
+        expect(readOutbox()).toEqual([]);
+      } finally {
+        log.mockRestore();
+      }
+    });
+  });
+
+  describe('Live updates', () => {
+    const http = require('http');
+
+    let server, port, cookie;
+    beforeAll(async () => {
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      port = server.address().port;
+      const login = await request(app).post('/login').type('form').send({ username: 'test.admin', name: 'Test Admin', role: 'admin' });
+      cookie = login.headers['set-cookie'].map(c => c.split(';')[0]).join('; ');
+    });
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    // Opens the stream; `events` fills with { type, data } as they arrive
+    const openStream = () => new Promise((resolve, reject) => {
+      const events = [];
+      const req = http.get({ host: '127.0.0.1', port, path: '/api/v1/tasks/events', headers: { Cookie: cookie } }, res => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop();
+          for (const message of messages) {
+            const type = /^event: (.+)$/m.exec(message);
+            const data = /^data: (.+)$/m.exec(message);
+            if (type) events.push({ type: type[1], data: JSON.parse(data[1]) });
+          }
+        });
+        resolve({ res, events, close: () => req.destroy() });
+      });
+      req.on('error', reject);
+    });
+    const waitFor = async (events, count) => {
+      for (let i = 0; i < 100 && events.length < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return events;
+    };
+
+    it('should stream task changes to signed-in users as Server-Sent Events', async () => {
+      const stream = await openStream();
+      try {
+        expect(stream.res.statusCode).toBe(200);
+        expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+        const task = await createTask({ title: 'Watched task' });
+        await api.patch(`/api/v1/tasks/${task.id}`).send({ status: 'IN_PROGRESS' });
+        await api.delete(`/api/v1/tasks/${task.id}`);
+
+        const events = await waitFor(stream.events, 4);
+        expect(events.map(event => event.type)).toEqual(['task.created', 'task.updated', 'task.status_changed', 'task.deleted']);
+        expect(events[0].data).toMatchObject({ task_id: task.id, status: 'PENDING', actor: { user_id: expect.any(Number), api_key_id: null } });
+        expect(events[2].data).toMatchObject({ task_id: task.id, from: 'PENDING', to: 'IN_PROGRESS' });
+        // Only what a client needs to refresh; the task itself is fetched again
+        expect(events[1].data).not.toHaveProperty('title');
+      } finally {
+        stream.close();
+      }
+    });
+
+    it('should refuse the stream without a sign-in', async () => {
+      expect((await request(app).get('/api/v1/tasks/events')).statusCode).toBe(401);
+    });
+  });
+
+  describe('Task export', () => {
+    const ExcelJS = require('exceljs');
+    const { toCsvRow } = require('../src/utils/csv');
+
+    // Collects a binary response body into a Buffer
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    it('should escape CSV fields and neutralise formulas', () => {
+      expect(toCsvRow([1, 'plain', 'a, b', 'say "hi"', 'two\nlines', null])).toBe('1,plain,"a, b","say ""hi""","two\nlines",\r\n');
+      expect(toCsvRow(['=1+1', '+44 20', '-2', '@SUM(A1)', -2])).toBe("'=1+1,'+44 20,'-2,'@SUM(A1),-2\r\n");
+      expect(toCsvRow(['=HYPERLINK("http://example.com","x")'])).toBe(`"'=HYPERLINK(""http://example.com"",""x"")"\r\n`);
+    });
+
+    it('should stream the filtered, sorted list as CSV', async () => {
+      // Validation keeps most formula characters out of titles, but not data from before it (or a leading '-')
+      const formula = await createTask({ title: 'Placeholder', description: 'Ask, then "chase"\nby phone', tags: ['hearing', 'urgent'] });
+      await runQuery('UPDATE tasks SET title = ? WHERE id = ?', ['=HYPERLINK("http://evil.example","Click")', formula.id]);
+      const plain = await createTask({ title: 'Alpha task', priority: 'HIGH', description: '' });
+      const done = await createTask({ title: 'Finished' });
+      await api.patch(`/api/v1/tasks/${done.id}`).send({ status: 'COMPLETED' });
+
+      const res = await api.get('/api/v1/tasks/export?format=csv&status=PENDING&sortBy=title&order=desc');
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(res.headers['content-disposition']).toMatch(/^attachment; filename="tasks-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(res.text.startsWith('﻿')).toBe(true);
+
+      const lines = res.text.slice(1).split('\r\n');
+      expect(lines[0]).toBe('ID,Title,Description,Status,Priority,Due date (UTC),Assigned to,Case reference,Tags,SLA,Created (UTC),Updated (UTC)');
+      // Sorted by title, descending ('A' sorts after '='); the completed task is left out
+      expect(lines[1]).toContain(`${plain.id},Alpha task,,Pending,High,${plain.due_date},`);
+      expect(lines[2]).toContain(`${formula.id},"'=HYPERLINK(""http://evil.example"",""Click"")","Ask, then ""chase""\nby phone",Pending,Normal,${formula.due_date},`);
+      expect(lines[2]).toContain(',"hearing, urgent",');
+      expect(lines.slice(3)).toEqual(['']);
+
+      const invalid = await api.get('/api/v1/tasks/export?format=pdf');
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.errors[0].path).toEqual(['format']);
+    });
+
+    it('should export Excel with typed cells, and link to the export from the home page', async () => {
+      const formula = await createTask({ title: 'Placeholder', tags: ['hearing'] });
+      await runQuery('UPDATE tasks SET title = ? WHERE id = ?', ['=1+1', formula.id]);
+      await createTask({ title: 'Other tag' });
+
+      const page = await api.get('/?view=all&tag=hearing&sort=title&order=ASC');
+      const link = /href="(\/api\/v1\/tasks\/export\?format=xlsx[^"]*)"/.exec(page.text)[1].replace(/&amp;/g, '&');
+      expect(link).toMatch(/^\/api\/v1\/tasks\/export\?format=xlsx&sort=title&order=ASC&view=all&status=PENDING&/);
+      expect(link).toContain('&tag=hearing&tagMatch=any');
+      expect(page.text).toContain('Download as CSV');
+
+      const res = await api.get(link).buffer(true).parse(binary);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(res.body);
+      const sheet = workbook.getWorksheet('Tasks');
+      expect(sheet.rowCount).toBe(2);
+      expect(sheet.getRow(1).getCell(2).value).toBe('Title');
+      const row = sheet.getRow(2);
+      expect(row.getCell(1).value).toBe(formula.id);
+      // Text, not a formula
+      expect(row.getCell(2).value).toBe('=1+1');
+      expect(row.getCell(2).type).toBe(ExcelJS.ValueType.String);
+      expect(row.getCell(6).value).toEqual(new Date(formula.due_date));
+    });
+  });
+
+  describe('Bulk import', () => {
+    const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    const csvFile = (lines) => Buffer.from(lines.join('\r\n'));
+    const countTasks = async () => (await getQuery('SELECT COUNT(*) AS total FROM tasks'))[0].total;
+
+    const mixedCsv = () => csvFile([
+      'Title,Description,Priority,Due date,Tags',
+      `File the bundle,"Index, then paginate",HIGH,${inDays(3)},"hearing, bundle"`,
+      `Already late,,NORMAL,${inDays(-1)},`,
+      'Local time,,NORMAL,2030-01-01T10:00:00,',
+      `Odd priority,,SOMETIMES,${inDays(3)},`
+    ]);
+
+    it('should validate every row in a dry run without saving anything', async () => {
+      const res = await api.post('/api/v1/tasks/import?dryRun=true').attach('file', mixedCsv(), 'tasks.csv');
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ dry_run: true, mode: 'all_or_nothing', total: 4, valid: 1, invalid: 3, imported: 0 });
+      expect(res.body.rows[0]).toEqual({ row: 1, title: 'File the bundle', result: 'valid' });
+      expect(res.body.rows[1].errors).toEqual([{ message: 'Due date must be in the future', path: ['due_date'] }]);
+      expect(res.body.rows[2].errors).toEqual([{ message: 'Due date must be a valid ISO string', path: ['due_date'] }]);
+      expect(res.body.rows[3].errors[0].path).toEqual(['priority']);
+      expect(await countTasks()).toBe(0);
+    });
+
+    it('should import all or nothing, or skip invalid rows, recording each import', async () => {
+      const allOrNothing = await api.post('/api/v1/tasks/import').attach('file', mixedCsv(), 'tasks.csv');
+      expect(allOrNothing.statusCode).toBe(422);
+      expect(allOrNothing.body.imported).toBe(0);
+      expect(await countTasks()).toBe(0);
+
+      const skipping = await api.post('/api/v1/tasks/import?mode=skip_invalid').attach('file', mixedCsv(), 'tasks.csv');
+      expect(skipping.statusCode).toBe(201);
+      expect(skipping.body).toMatchObject({ dry_run: false, mode: 'skip_invalid', valid: 1, invalid: 3, imported: 1 });
+      const { task_id: taskId } = skipping.body.rows[0];
+      expect(skipping.body.rows[0]).toMatchObject({ result: 'imported', task_id: expect.any(Number) });
+      expect(skipping.body.rows[1].result).toBe('invalid');
+
+      const task = (await api.get(`/api/v1/tasks/${taskId}`)).body;
+      expect(task).toMatchObject({ title: 'File the bundle', description: 'Index, then paginate', priority: 'HIGH', tags: ['bundle', 'hearing'] });
+      const history = await fetchHistory(taskId);
+      expect(history).toHaveLength(1);
+      expect(history[0].summary).toMatch(/^Task imported\n/);
+      expect(history[0].changed_by).toBe('Test Admin');
+      expect(await countTasks()).toBe(1);
+    });
+
+    it('should accept JSON and reject files it cannot read', async () => {
+      const json = await api.post('/api/v1/tasks/import').send([
+        { title: 'From the old tracker', due_date: inDays(5), status: 'IN_PROGRESS' },
+        { title: 'Working days', due_in_working_days: 10 }
+      ]);
+      expect(json.statusCode).toBe(201);
+      expect(json.body.imported).toBe(2);
+
+      const jsonFile = await api.post('/api/v1/tasks/import?dryRun=true')
+        .attach('file', Buffer.from(JSON.stringify({ tasks: [{ title: 'Ok', due_date: inDays(1) }, 'not a task', { title: 'Extra', due_date: inDays(1), colour: 'red' }] })), 'tasks.json');
+      expect(jsonFile.body.rows.map(row => row.result)).toEqual(['valid', 'invalid', 'invalid']);
+      expect(jsonFile.body.rows[1].errors[0].message).toBe('Each task must be a JSON object');
+      expect(jsonFile.body.rows[2].errors[0]).toEqual({ message: "Unknown field 'colour'", path: ['colour'] });
+
+      const unknownColumn = await api.post('/api/v1/tasks/import').attach('file', csvFile(['title,colour', 'A,red']), 'tasks.csv');
+      expect(unknownColumn.statusCode).toBe(400);
+      expect(unknownColumn.body.detail).toMatch(/^Unknown column: colour/);
+      expect((await api.post('/api/v1/tasks/import').attach('file', Buffer.from('hello'), 'notes.txt')).statusCode).toBe(400);
+      expect((await api.post('/api/v1/tasks/import?mode=some').send([])).statusCode).toBe(400);
+
+      const caseworker = request.agent(app);
+      await caseworker.post('/login').type('form').send({ username: 'sam.clerk', name: 'Sam Clerk', role: 'caseworker' });
+      expect((await caseworker.post('/api/v1/tasks/import').send([])).statusCode).toBe(403);
+    });
+
+    it('should accept a JSON import up to the row limit and answer oversized bodies with a 413', async () => {
+      const settings = require('../src/config/settings');
+      const rows = Array.from({ length: settings.importMaxRows }, (_, index) => ({
+        title: `Imported task ${index + 1}`, description: 'x'.repeat(1500), due_date: inDays(5), tags: ['legacy']
+      }));
+      const checked = await api.post('/api/v1/tasks/import?dryRun=true').send(rows);
+      expect(checked.statusCode).toBe(200);
+      expect(checked.body).toMatchObject({ total: settings.importMaxRows, valid: settings.importMaxRows, invalid: 0 });
+
+      const oversized = await api.post('/api/v1/tasks').send({ title: 'Too long', description: 'x'.repeat(200 * 1024) });
+      expect(oversized.statusCode).toBe(413);
+      expect(oversized.body).toMatchObject({ status: 413, title: 'Content Too Large' });
+    });
+
+    it('should check and then import a file from the upload page', async () => {
+      const page = await api.get('/import-tasks');
+      expect(page.statusCode).toBe(200);
+      expect(page.text).toContain('Import tasks');
+
+      const checked = await api.post('/import-tasks').field('mode', 'skip_invalid').field('action', 'check').attach('file', mixedCsv(), 'tasks.csv');
+      expect(checked.statusCode).toBe(200);
+      expect(checked.text).toContain('1 of 4 rows are ready to import');
+      expect(checked.text).toContain('Due date must be in the future');
+      expect(await countTasks()).toBe(0);
+
+      const imported = await api.post('/import-tasks').field('mode', 'skip_invalid').field('action', 'import').attach('file', mixedCsv(), 'tasks.csv');
+      expect(imported.text).toContain('Imported 1 task, skipped 3 rows with problems');
+      expect(await countTasks()).toBe(1);
+
+      const missing = await api.post('/import-tasks').field('mode', 'all_or_nothing').field('action', 'import');
+      expect(missing.statusCode).toBe(400);
+      expect(missing.text).toContain('Choose a CSV or JSON file to import');
+    });
+  });
+});
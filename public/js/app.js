@@ -2,11 +2,15 @@
 let currentTasks = [];
 let currentSort = { field: 'due_date', direction: 'asc' };
 
-const STATUS_LABELS = {
-  'PENDING': 'Pending',
-  'IN_PROGRESS': 'In Progress',
-  'COMPLETED': 'Completed'
-};
+// Labels from the server's status workflow (embedded by layout.html)
+const STATUS_LABELS = (() => {
+  const data = document.getElementById('status-labels');
+  try {
+    return data ? JSON.parse(data.textContent) : {};
+  } catch (error) {
+    return {};
+  }
+})();
 
 // Date Formatting Options
 const DATE_OPTIONS = {
@@ -25,16 +29,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // ==========================================
   
   // A. HYDRATE READ-ONLY DATES (Index Page)
-  // Finds elements with class "js-local-date" and renders friendly text
-  document.querySelectorAll('.js-local-date').forEach(el => {
-    const isoStr = el.getAttribute('data-iso');
-    if (isoStr) {
-      const date = new Date(isoStr);
-      if (!isNaN(date.getTime())) {
-        el.textContent = date.toLocaleString('en-GB', DATE_OPTIONS);
-      }
-    }
-  });
+  hydrateLocalDates(document);
 
   // B. HYDRATE INPUT FIELDS (Edit/Create Pages)
   // Finds inputs with data-iso and sets their value to "YYYY-MM-DDTHH:MM" (Local Time)
@@ -104,6 +99,32 @@ document.addEventListener('DOMContentLoaded', () => {
         box.addEventListener('change', () => applyFilterAndRender());
       }
     });
+
+    refreshOverdueCount();
+  }
+
+  // --- B. LIVE UPDATES ---
+  // Without JavaScript (or EventSource) both pages stay as the server rendered them
+  if (window.EventSource && (tableBody || (historyContainer && taskIdInput))) {
+    const changedIds = new Set();
+    const refresh = debounce(() => {
+      if (tableBody) {
+        refreshTaskList([...changedIds]);
+        refreshOverdueCount();
+      } else {
+        fetchTaskHistory(taskIdInput.value);
+      }
+      changedIds.clear();
+    }, 500);
+
+    startLiveUpdates((event) => {
+      if (tableBody) {
+        if (event) changedIds.add(event.task_id);
+        refresh();
+      } else if (!event || String(event.task_id) === taskIdInput.value) {
+        refresh();
+      }
+    });
   }
 
 }); // <--- END OF DOMContentLoaded (This was missing/misplaced in your snippet)
@@ -120,6 +141,32 @@ function formatDisplayDate(isoString) {
   return date.toLocaleString('en-GB', DATE_OPTIONS);
 }
 
+// Finds elements with class "js-local-date" and renders friendly text
+function hydrateLocalDates(root) {
+  root.querySelectorAll('.js-local-date').forEach(el => {
+    const isoStr = el.getAttribute('data-iso');
+    if (isoStr) {
+      const date = new Date(isoStr);
+      if (!isNaN(date.getTime())) {
+        el.textContent = date.toLocaleString('en-GB', DATE_OPTIONS);
+      }
+    }
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Runs fn once calls have stopped for `wait` ms (a burst of events, one refresh)
+function debounce(fn, wait) {
+  let timer;
+  return () => {
+    clearTimeout(timer);
+    timer = setTimeout(fn, wait);
+  };
+}
+
 function adjustHistoryHeight() {
   const container = document.getElementById('history-container');
   if(container) container.style.maxHeight = (window.innerHeight - 300) + 'px';
@@ -132,7 +179,7 @@ function adjustHistoryHeight() {
 async function fetchTaskHistory(id) {
   const container = document.getElementById('history-container');
   try {
-    const res = await fetch(`/api/tasks/${id}/history`);
+    const res = await fetch(`/api/v1/tasks/${id}/history`);
     if (res.ok) {
       const history = await res.json();
       renderHistory(history);
@@ -153,16 +200,93 @@ function renderHistory(historyItems) {
     return;
   }
 
+  // Same markup as edit.html (the API has already formatted changed_at)
   const html = historyItems.map(item => `
-      <div class="govuk-!-margin-bottom-4">
-        <p class="govuk-body-s govuk-!-margin-bottom-1" style="font-weight:bold; white-space: pre-line;">
-          ${item.change_summary}
+      <div class="history-entry" style="margin-bottom: 15px;">
+        <p class="govuk-body-s"><strong>${escapeHtml(item.summary)}</strong></p>
+        <p class="govuk-body-s text-grey">
+          ${escapeHtml(item.changed_at)}${item.changed_by ? ` by ${escapeHtml(item.changed_by)}` : ''}
         </p>
-        <span class="govuk-body-xs" style="color: #505a5f;">
-          ${formatDisplayDate(item.changed_at)}
-        </span>
       </div>
   `).join('');
 
   container.innerHTML = html;
+}
+
+// ==========================================
+// 6. LIVE UPDATES (Server-Sent Events)
+// ==========================================
+
+const TASK_EVENT_TYPES = ['task.created', 'task.updated', 'task.status_changed', 'task.deleted', 'task.restored'];
+
+// Calls onTaskEvent with each event's data. The stream does not replay what was
+// missed while disconnected, so after a reconnect it is called once with null
+// ("reload everything")
+function startLiveUpdates(onTaskEvent) {
+  const source = new EventSource('/api/v1/tasks/events');
+  let dropped = false;
+
+  TASK_EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (e) => {
+      try {
+        onTaskEvent(JSON.parse(e.data));
+      } catch (error) {
+        console.error("Live update error", error);
+      }
+    });
+  });
+  source.addEventListener('error', () => { dropped = true; });
+  source.addEventListener('open', () => {
+    if (dropped) {
+      dropped = false;
+      onTaskEvent(null);
+    }
+  });
+}
+
+// Re-renders the task table from the server, keeping the current filters,
+// sort and page, and highlights the rows that changed
+async function refreshTaskList(changedIds) {
+  try {
+    const res = await fetch(window.location.href, { headers: { Accept: 'text/html' } });
+    if (!res.ok) return;
+    const page = new DOMParser().parseFromString(await res.text(), 'text/html');
+
+    ['task-list-body', 'task-list-summary'].forEach(id => {
+      const current = document.getElementById(id);
+      const fresh = page.getElementById(id);
+      if (current && fresh) current.innerHTML = fresh.innerHTML;
+    });
+
+    const tableBody = document.getElementById('task-list-body');
+    hydrateLocalDates(tableBody);
+    const changedRows = changedIds
+      .map(id => tableBody.querySelector(`tr[data-task-id="${id}"]`))
+      .filter(Boolean);
+    changedRows.forEach(row => row.classList.add('app-row--updated'));
+
+    const status = document.getElementById('live-update-status');
+    if (status && changedIds.length) {
+      status.textContent = changedIds.length === 1
+        ? `Task ${changedIds[0]} has changed.`
+        : `${changedIds.length} tasks have changed.`;
+    }
+  } catch (error) {
+    console.error("Live update error", error);
+  }
+}
+
+// Fills in the "Tasks Overdue" box (hidden until there is a count to show)
+async function refreshOverdueCount() {
+  const box = document.getElementById('overdue-stat-box');
+  if (!box) return;
+  try {
+    const res = await fetch('/api/v1/tasks?status=OVERDUE&limit=1');
+    if (!res.ok) return;
+    const { meta } = await res.json();
+    document.getElementById('overdue-count').textContent = meta.total;
+    box.style.display = '';
+  } catch (error) {
+    console.error("Overdue count error", error);
+  }
 }
\ No newline at end of file
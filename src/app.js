@@ -1,5 +1,6 @@
 const express = require('express');
 const helmet = require('helmet');
+const cookieSession = require('cookie-session');
 const nunjucks = require('nunjucks');
 const path = require('path');
 const swaggerUi = require('swagger-ui-express');
@@ -7,7 +8,19 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const dateFilter = require('./utils/formatDate');
 const app = express();
 const statusFilter = require('./filters/statusFilter');
+const highlightFilter = require('./filters/highlightFilter');
+const roleFilter = require('./filters/roleFilter');
+const { statusColour, statusItems } = require('./utils/workflow');
+const settings = require('./config/settings');
+const { loadUser, authenticateApiKey, requireUser, requireApiUser } = require('./middleware/auth');
+const webhookService = require('./services/webhookService');
+const { sendApiError } = require('./utils/apiHelper');
 // Middleware
+// A JSON import may hold up to IMPORT_MAX_ROWS tasks, so it gets room for that many
+// full-length rows (title, description, case reference and tags, JSON-escaped);
+// every other JSON body keeps the default 100kb limit
+const IMPORT_ROW_BYTES = 8 * 1024;
+app.use('/api/v1/tasks/import', express.json({ limit: settings.importMaxRows * IMPORT_ROW_BYTES }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -40,6 +53,20 @@ app.use(helmet({
     },
   },
 }));
+// --- SESSIONS & AUTHENTICATION ---
+// Signed cookie sessions keep the app stateless (no server-side session store),
+// so it can still scale horizontally. The API also accepts bearer tokens.
+if (settings.secureCookies) app.set('trust proxy', 1);
+app.use(cookieSession({
+  name: 'task_session',
+  keys: [settings.sessionSecret],
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: settings.secureCookies,
+  maxAge: settings.sessionMaxAgeHours * 60 * 60 * 1000
+}));
+app.use(loadUser);
+
 // Serve Static files (CSS/JS/Images from the GOV.UK package)
 app.use('/assets', express.static(path.join(__dirname, '../node_modules/govuk-frontend/dist/govuk/assets')));
 app.use('/govuk', express.static(path.join(__dirname, '../node_modules/govuk-frontend/dist/govuk')));
@@ -55,6 +82,23 @@ const swaggerOptions = {
       version: '1.0.0',
       description: 'API for managing tasks, designed for Low Code consumption.',
     },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Access token from the identity provider (or POST /auth/stub/token in development)'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key for machine clients (Power Automate, UiPath), issued by an admin. Task, case and tag endpoints only.'
+        }
+      }
+    },
+    // Either scheme is accepted
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }]
   },
   // This looks for the JSDoc comments we wrote in the routes folder
   apis: ['./src/routes/*.js'], 
@@ -66,10 +110,27 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 // --- ROUTES ---
 const taskRoutes = require('./routes/tasks');
 const pageRoutes = require('./routes/pages'); 
+const adminRoutes = require('./routes/admin');
+const caseRoutes = require('./routes/cases');
+const tagRoutes = require('./routes/tags');
+const seriesRoutes = require('./routes/series');
+const meRoutes = require('./routes/me');
+const authRoutes = require('./routes/auth');
 
 // Mount the Routes
-app.use('/api/v1/tasks', taskRoutes); // API Endpoints (Swagger, Fetch)
-app.use('/', pageRoutes);          // HTML Pages (SSR)
+app.use('/', authRoutes);          // Sign in / out (must stay public)
+app.use('/api/v1/tasks', authenticateApiKey, requireApiUser, taskRoutes); // API Endpoints (Swagger, Fetch, API keys)
+app.use('/api/v1/cases', authenticateApiKey, requireApiUser, caseRoutes); // Tasks grouped by case
+app.use('/api/v1/tags', authenticateApiKey, requireApiUser, tagRoutes); // Tag list, rename / merge
+app.use('/api/v1/series', authenticateApiKey, requireApiUser, seriesRoutes); // Recurring task series
+app.use('/api/v1/me', authenticateApiKey, requireApiUser, meRoutes); // The signed-in user's own settings
+app.use('/api/v1/admin', requireApiUser, adminRoutes); // Admin API (retention, users, API keys)
+app.use('/', requireUser, pageRoutes);          // HTML Pages (SSR)
+
+// --- EVENTS ---
+// Task events are queued for webhook subscribers as they happen; the queue
+// itself is delivered by a background job (started in server.js)
+webhookService.listen();
 
 // --- ERROR HANDLERS ---
 
@@ -82,6 +143,12 @@ app.use((req, res, next) => {
 
 // Global 500 Handler
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    const message = "The request body is too large.";
+    return req.originalUrl.startsWith('/api/')
+      ? sendApiError(res, 413, message)
+      : res.status(413).render('error.html', { message });
+  }
   console.error(err.stack);
   res.status(500).render('error.html', { 
     message: "Something went wrong. Please try again later." 
@@ -101,4 +168,14 @@ app.get('/health', (req, res) => {
 // Register the custom filters
 njkEnv.addFilter('date', dateFilter);
 njkEnv.addFilter('friendlyStatus', statusFilter);
+njkEnv.addFilter('highlight', highlightFilter);
+njkEnv.addFilter('roleLabel', roleFilter);
+njkEnv.addFilter('statusColour', statusColour);
+// The status workflow drives the forms' status selects and the home page filters
+njkEnv.addGlobal('statusItems', statusItems);
+njkEnv.addGlobal('workflowStatuses', () => settings.workflow.statuses);
+// Status labels for public/js/app.js, as JSON that is safe inside a <script> element
+njkEnv.addGlobal('statusLabelsJson', () => JSON.stringify(
+  Object.fromEntries(settings.workflow.statuses.map(status => [status.code, status.label]))
+).replace(/</g, '\\u003c'));
 module.exports = app;
\ No newline at end of file
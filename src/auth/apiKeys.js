@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+/**
+ * API keys for machine clients, sent in the X-API-Key header.
+ * Keys look like "tmk_<8 hex>_<secret>". They carry 256 bits of randomness,
+ * so a plain SHA-256 is enough to store them safely (no slow hash needed).
+ */
+const API_KEY_HEADER = 'X-API-Key';
+const KEY_PREFIX = 'tmk_';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Returns the key (show it once, never store it), plus what to store
+const generateApiKey = () => {
+  const id = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}${id}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: `${KEY_PREFIX}${id}`, hash: hashApiKey(key) };
+};
+
+module.exports = { API_KEY_HEADER, hashApiKey, generateApiKey };
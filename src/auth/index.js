@@ -0,0 +1,24 @@
+const settings = require('../config/settings');
+
+/**
+ * The configured authentication provider (AUTH_PROVIDER).
+ * Every provider implements:
+ *   startLogin(req, res, returnTo)  - begin browser sign-in
+ *   completeLogin(req)              - resolve { identity } (or { errors } for form-based sign-in)
+ *   verifyBearerToken(token)        - resolve an identity for an API token, or null
+ * An identity is { subject, email, displayName }.
+ */
+const providers = {
+  stub: () => require('./stubProvider'),
+  oidc: () => require('./oidcProvider')
+};
+
+if (!providers[settings.authProvider]) {
+  throw new Error(`Unknown AUTH_PROVIDER '${settings.authProvider}' (expected: ${Object.keys(providers).join(', ')})`);
+}
+
+if (settings.authProvider === 'stub' && process.env.NODE_ENV === 'production') {
+  console.warn('WARNING: AUTH_PROVIDER=stub lets anyone sign in as anyone. Do not use it in production.');
+}
+
+module.exports = providers[settings.authProvider]();
@@ -0,0 +1,103 @@
+const { Issuer, generators } = require('openid-client');
+const settings = require('../config/settings');
+const { pickRole } = require('./permissions');
+
+/**
+ * OpenID Connect provider (e.g. Entra ID) for real deployments.
+ *
+ * - Browser: Authorization Code flow with PKCE; the short-lived login state
+ *   (verifier, state, nonce) is kept in the session cookie
+ * - API: bearer access tokens are checked against the userinfo endpoint,
+ *   with a short cache so a busy client doesn't call it on every request
+ */
+
+const USERINFO_CACHE_MS = 60 * 1000;
+const USERINFO_CACHE_MAX = 1000;
+const userinfoCache = new Map();
+
+// Discovery happens once, on first use, so the app can start while the IdP is unreachable
+let clientPromise;
+const getClient = () => {
+  if (!clientPromise) {
+    const { issuerUrl, clientId, clientSecret, redirectUri } = settings.oidc;
+    if (!issuerUrl || !clientId) {
+      return Promise.reject(new Error('OIDC_ISSUER_URL and OIDC_CLIENT_ID must be set when AUTH_PROVIDER=oidc'));
+    }
+    clientPromise = Issuer.discover(issuerUrl)
+      .then(issuer => new issuer.Client({
+        client_id: clientId,
+        client_secret: clientSecret,
+        redirect_uris: [redirectUri],
+        response_types: ['code']
+      }))
+      .catch(err => {
+        clientPromise = null; // retry discovery next time
+        throw err;
+      });
+  }
+  return clientPromise;
+};
+
+// role is undefined when the claim is missing, so a role set by an admin is kept
+const toIdentity = (claims) => ({
+  subject: claims.sub,
+  email: claims.email || claims.preferred_username || null,
+  displayName: claims.name || claims.preferred_username || claims.email || claims.sub,
+  role: pickRole(claims[settings.oidc.roleClaim]) || undefined
+});
+
+const oidcProvider = {
+  name: 'oidc',
+
+  startLogin: async (req, res, returnTo) => {
+    const client = await getClient();
+    const codeVerifier = generators.codeVerifier();
+    const state = generators.state();
+    const nonce = generators.nonce();
+
+    req.session.oidc = { codeVerifier, state, nonce, returnTo };
+
+    res.redirect(client.authorizationUrl({
+      scope: settings.oidc.scope,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+      state,
+      nonce
+    }));
+  },
+
+  // Handles GET /auth/callback. Throws if the response doesn't match our login state.
+  completeLogin: async (req) => {
+    const client = await getClient();
+    const pending = req.session.oidc || {};
+    delete req.session.oidc;
+
+    const tokenSet = await client.callback(
+      settings.oidc.redirectUri,
+      client.callbackParams(req),
+      { code_verifier: pending.codeVerifier, state: pending.state, nonce: pending.nonce }
+    );
+
+    return { identity: toIdentity(tokenSet.claims()), returnTo: pending.returnTo };
+  },
+
+  // Resolves the identity for a valid access token, or null
+  verifyBearerToken: async (token) => {
+    const cached = userinfoCache.get(token);
+    if (cached && cached.expires > Date.now()) return cached.identity;
+
+    try {
+      const client = await getClient();
+      const identity = toIdentity(await client.userinfo(token));
+
+      if (userinfoCache.size >= USERINFO_CACHE_MAX) userinfoCache.clear();
+      userinfoCache.set(token, { identity, expires: Date.now() + USERINFO_CACHE_MS });
+      return identity;
+    } catch (error) {
+      userinfoCache.delete(token);
+      return null;
+    }
+  }
+};
+
+module.exports = oidcProvider;
@@ -0,0 +1,63 @@
+/**
+ * Roles and the permission matrix.
+ * A permission lists the roles allowed to perform it; check with can(user, permission).
+ * API keys have no role: their scopes grant permissions instead.
+ */
+const ROLES = {
+  caseworker: 'Caseworker',
+  team_leader: 'Team leader',
+  admin: 'Admin'
+};
+
+const DEFAULT_ROLE = 'caseworker';
+
+const PERMISSIONS = {
+  'task:read': ['caseworker', 'team_leader', 'admin'],
+  'task:create': ['caseworker', 'team_leader', 'admin'],
+  'task:update': ['caseworker', 'team_leader', 'admin'],
+  'task:assign': ['team_leader', 'admin'],
+  'task:delete': ['team_leader', 'admin'],
+  'task:restore': ['team_leader', 'admin'],
+  'task:import': ['team_leader', 'admin'],
+  'tag:manage': ['team_leader', 'admin'],
+  'admin:retention': ['admin'],
+  'admin:users': ['admin'],
+  'admin:api_keys': ['admin'],
+  'admin:calendar': ['admin'],
+  'admin:sla': ['admin'],
+  'admin:webhooks': ['admin']
+};
+
+// Scopes an admin can grant to an API key, and the permissions each one carries
+const API_KEY_SCOPES = {
+  'tasks:read': ['task:read'],
+  'tasks:write': ['task:read', 'task:create', 'task:update', 'task:assign', 'task:import']
+};
+
+// principal is a user, or an API key ({ scopes: [...] })
+const can = (principal, permission) => {
+  if (!principal) return false;
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) throw new Error(`Unknown permission '${permission}'`);
+  if (principal.scopes) {
+    return principal.scopes.some(scope => (API_KEY_SCOPES[scope] || []).includes(permission));
+  }
+  return allowedRoles.includes(principal.role);
+};
+
+// Maps a role name from the identity provider ("TeamLeader", "team-leader") to ours
+const normaliseRole = (value) => {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().replace(/([a-z])([A-Z])/g, '$1_$2').replace(/[\s-]+/g, '_').toLowerCase();
+  return ROLES[key] ? key : null;
+};
+
+// Picks the most privileged recognised role from an identity provider claim
+// (a single value or a list). Null when none is recognised.
+const pickRole = (claim) => {
+  const recognised = [].concat(claim || []).map(normaliseRole).filter(Boolean);
+  const byPrivilege = Object.keys(ROLES).reverse(); // admin first
+  return byPrivilege.find(role => recognised.includes(role)) || null;
+};
+
+module.exports = { ROLES, DEFAULT_ROLE, PERMISSIONS, API_KEY_SCOPES, can, normaliseRole, pickRole };
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { z } = require('zod');
+const settings = require('../config/settings');
+const { ROLES } = require('./permissions');
+
+/**
+ * Local stand-in for the identity provider, for development and tests.
+ * Anyone can sign in as anyone: it must never be enabled in production.
+ *
+ * - Browser: a sign-in form where you type a username (POST /login)
+ * - API: POST /auth/stub/token issues a short-lived signed bearer token
+ */
+
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+const stubLoginSchema = z.object({
+  username: z.string()
+    .trim()
+    .min(1, "Enter a username")
+    .max(50, "Username must be 50 characters or less")
+    .regex(/^[a-zA-Z0-9._-]+$/, "Username can only contain letters, numbers, dots, hyphens and underscores"),
+  name: z.string()
+    .trim()
+    .max(100, "Name must be 100 characters or less")
+    .optional(),
+  // Stands in for the identity provider's roles claim
+  role: z.enum(Object.keys(ROLES), { errorMap: () => ({ message: "Select a role" }) })
+    .optional()
+});
+
+const toIdentity = ({ username, name, role }) => {
+  const normalised = username.toLowerCase();
+  return {
+    subject: `stub|${normalised}`,
+    email: `${normalised}@example.com`,
+    displayName: name || username,
+    role
+  };
+};
+
+// Renders the sign-in form, with any validation errors
+const renderLoginForm = (res, { errors = {}, errorList = [], form = {}, returnTo = '/' } = {}) => {
+  const selectedRole = form.role || 'caseworker';
+  const roleItems = Object.entries(ROLES).map(([value, text]) => ({ value, text, checked: value === selectedRole }));
+
+  res.status(errorList.length ? 400 : 200).render('login.html', { errors, errorList, form, returnTo, roleItems });
+};
+
+const sign = (payload) => crypto
+  .createHmac('sha256', settings.sessionSecret)
+  .update(payload)
+  .digest('base64url');
+
+const stubProvider = {
+  name: 'stub',
+
+  startLogin: (req, res, returnTo) => renderLoginForm(res, { returnTo }),
+  renderLoginForm,
+
+  // Returns { identity } on success or { errors } (Zod field errors) for the form
+  completeLogin: async (req) => {
+    const validation = stubLoginSchema.safeParse(req.body);
+    if (!validation.success) return { errors: validation.error.flatten().fieldErrors };
+    return { identity: toIdentity(validation.data) };
+  },
+
+  // Same validation as the form, for the token endpoint
+  parseTokenRequest: (body) => stubLoginSchema.safeParse(body || {}),
+  toIdentity,
+
+  issueToken: (identity) => {
+    const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+    const payload = Buffer.from(JSON.stringify({ ...identity, exp })).toString('base64url');
+    return { access_token: `${payload}.${sign(payload)}`, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS };
+  },
+
+  // Resolves the identity for a valid token, or null
+  verifyBearerToken: async (token) => {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const { exp, subject, email, displayName, role } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (!exp || exp < Date.now() / 1000) return null;
+      return { subject, email, displayName, role };
+    } catch {
+      return null;
+    }
+  }
+};
+
+module.exports = stubProvider;
@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const bundledBankHolidays = require('../data/bank-holidays-england-and-wales.json');
 
 const dbPath = path.resolve(__dirname, '../../tasks.db');
 
@@ -8,6 +9,16 @@ const db = new sqlite3.Database(dbPath, (err) => {
   else console.log('Connected to the SQLite database.');
 });
 
+// SQLite has no "ADD COLUMN IF NOT EXISTS", so we attempt the ALTER
+// and ignore the error when the column is already there
+const addColumn = (table, columnDefinition) => {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`, (err) => {
+    if (err && !/duplicate column name/i.test(err.message)) {
+      console.error(`Error adding column to ${table}`, err.message);
+    }
+  });
+};
+
 db.serialize(() => {
   // Enable foreign key constraints
   db.run("PRAGMA foreign_keys = ON");
@@ -22,26 +33,344 @@ db.serialize(() => {
       due_date TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME,
-      deleted_at DATETIME -- Soft delete timestamp
+      deleted_at DATETIME, -- Soft delete timestamp
+      version INTEGER NOT NULL DEFAULT 1, -- Optimistic concurrency (ETag / If-Match)
+      redacted_at DATETIME, -- Free text wiped by the retention policy
+      assigned_to INTEGER REFERENCES users(id), -- NULL = unassigned
+      priority TEXT NOT NULL DEFAULT 'NORMAL', -- LOW, NORMAL, HIGH or URGENT
+      case_reference TEXT, -- normalised HMCTS case number (see src/utils/caseReference.js)
+      parent_id INTEGER REFERENCES tasks(id), -- set on subtasks
+      series_id INTEGER REFERENCES task_series(id), -- set on occurrences of a recurring task
+      sla_status TEXT, -- NULL (within its SLA or no rule applies), AT_RISK or BREACHED
+      sla_status_at DATETIME -- when sla_status last changed
     )
   `);
 
-  // 2. Task History Table (Audit Log)
+  // Columns added after the first release (for existing tasks.db files)
+  addColumn('tasks', 'version INTEGER NOT NULL DEFAULT 1');
+  addColumn('tasks', 'redacted_at DATETIME');
+  addColumn('tasks', 'assigned_to INTEGER REFERENCES users(id)');
+  addColumn('tasks', "priority TEXT NOT NULL DEFAULT 'NORMAL'");
+  addColumn('tasks', 'case_reference TEXT');
+  addColumn('tasks', 'parent_id INTEGER REFERENCES tasks(id)');
+  addColumn('tasks', 'series_id INTEGER REFERENCES task_series(id)');
+  addColumn('tasks', 'sla_status TEXT');
+  addColumn('tasks', 'sla_status_at DATETIME');
+
+  // "My tasks" looks tasks up by assignee
+  db.run(`CREATE INDEX IF NOT EXISTS idx_tasks_assigned_to ON tasks(assigned_to)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_tasks_case_reference ON tasks(case_reference)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks(parent_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_tasks_series_id ON tasks(series_id)`);
+
+  // 2. Users (one row per identity-provider subject, created on first sign-in)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subject TEXT NOT NULL UNIQUE, -- stable ID from the identity provider ("sub" claim)
+      email TEXT,
+      display_name TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'caseworker', -- see src/auth/permissions.js
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_login_at DATETIME
+    )
+  `);
+  addColumn('users', "role TEXT NOT NULL DEFAULT 'caseworker'");
+
+  // 3. Tags (normalised names, see src/utils/tags.js) and the task <-> tag join table
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS task_tags (
+      task_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (task_id, tag_id),
+      FOREIGN KEY(task_id) REFERENCES tasks(id),
+      FOREIGN KEY(tag_id) REFERENCES tags(id)
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id)`);
+
+  // 4. API Keys (machine clients such as Power Automate / UiPath)
+  // Only a SHA-256 hash of each key is stored; the key itself is shown once, on creation
+  db.run(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL, -- first characters of the key, to recognise it in lists
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT NOT NULL, -- space separated, e.g. "tasks:read tasks:write"
+      expires_at DATETIME, -- NULL = never expires
+      last_used_at DATETIME,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME,
+      FOREIGN KEY(created_by) REFERENCES users(id)
+    )
+  `);
+
+  // 5. Task History Table (Audit Log)
+  // user_id is the acting user, api_key_id the acting machine client;
+  // both NULL for system actions (e.g. scheduled jobs)
   db.run(`
     CREATE TABLE IF NOT EXISTS task_history (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       task_id INTEGER NOT NULL,
       change_summary TEXT NOT NULL,
       changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY(task_id) REFERENCES tasks(id)
+      user_id INTEGER,
+      api_key_id INTEGER,
+      FOREIGN KEY(task_id) REFERENCES tasks(id),
+      FOREIGN KEY(user_id) REFERENCES users(id),
+      FOREIGN KEY(api_key_id) REFERENCES api_keys(id)
     )
   `);
+  addColumn('task_history', 'user_id INTEGER REFERENCES users(id)');
+  addColumn('task_history', 'api_key_id INTEGER REFERENCES api_keys(id)');
 
   // Optional: index for faster lookup by task
   db.run(`
     CREATE INDEX IF NOT EXISTS idx_task_history_task_id 
     ON task_history(task_id)
   `);
+
+  // 6. Retention Log (Audit of permanent purges / redactions)
+  // No foreign key: purged tasks no longer exist, this row is what remains
+  db.run(`
+    CREATE TABLE IF NOT EXISTS retention_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      action TEXT NOT NULL, -- PURGED or REDACTED
+      task_deleted_at DATETIME NOT NULL,
+      retention_days INTEGER NOT NULL,
+      history_entries INTEGER NOT NULL DEFAULT 0,
+      triggered_by TEXT NOT NULL, -- scheduler or admin
+      performed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // 7. Full-text Search Index (FTS5) over title & description
+  // rowid mirrors tasks.id; kept in sync by TaskModel create/update/delete
+  db.run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+      title,
+      description,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  // Backfill any live tasks created before the index existed
+  db.run(`
+    INSERT INTO tasks_fts (rowid, title, description)
+    SELECT id, title, description FROM tasks
+    WHERE deleted_at IS NULL AND id NOT IN (SELECT rowid FROM tasks_fts)
+  `);
+
+  // 8. Comments (case notes) on a task, append-only.
+  // body is the current text; every version, including the first, is kept
+  // in task_comment_revisions so an edit never loses what was said before
+  db.run(`
+    CREATE TABLE IF NOT EXISTS task_comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      version INTEGER NOT NULL DEFAULT 1,
+      user_id INTEGER, -- author (or api_key_id for machine clients)
+      api_key_id INTEGER,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME, -- NULL until first edited
+      FOREIGN KEY(task_id) REFERENCES tasks(id),
+      FOREIGN KEY(user_id) REFERENCES users(id),
+      FOREIGN KEY(api_key_id) REFERENCES api_keys(id)
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments(task_id)`);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS task_comment_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      comment_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      user_id INTEGER, -- who wrote this version
+      api_key_id INTEGER,
+      created_at DATETIME NOT NULL,
+      UNIQUE(comment_id, version),
+      FOREIGN KEY(comment_id) REFERENCES task_comments(id),
+      FOREIGN KEY(user_id) REFERENCES users(id),
+      FOREIGN KEY(api_key_id) REFERENCES api_keys(id)
+    )
+  `);
+
+  // 9. Attachments (scanned letters, orders). The file itself lives in the
+  // storage backend (src/storage) under storage_key; sha256 is of its contents
+  db.run(`
+    CREATE TABLE IF NOT EXISTS task_attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      filename TEXT NOT NULL, -- as uploaded, for display and download
+      mime_type TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      sha256 TEXT NOT NULL,
+      storage_key TEXT NOT NULL UNIQUE,
+      user_id INTEGER, -- uploader (or api_key_id for machine clients)
+      api_key_id INTEGER,
+      created_at DATETIME NOT NULL,
+      FOREIGN KEY(task_id) REFERENCES tasks(id),
+      FOREIGN KEY(user_id) REFERENCES users(id),
+      FOREIGN KEY(api_key_id) REFERENCES api_keys(id)
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments(task_id)`);
+
+  // 10. Task Dependencies: task_id cannot be completed while blocked_by_id is open.
+  // Cycles are refused when a link is added (see TaskRelationModel)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS task_dependencies (
+      task_id INTEGER NOT NULL,
+      blocked_by_id INTEGER NOT NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (task_id, blocked_by_id),
+      FOREIGN KEY(task_id) REFERENCES tasks(id),
+      FOREIGN KEY(blocked_by_id) REFERENCES tasks(id)
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocked_by ON task_dependencies(blocked_by_id)`);
+
+  // 11. Recurring Task Series. rule is a normalised RRULE subset (src/utils/recurrence.js);
+  // the other columns are the template each new occurrence is created from.
+  // starts_at is the first occurrence's due date, which anchors the rule
+  db.run(`
+    CREATE TABLE IF NOT EXISTS task_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule TEXT NOT NULL,
+      starts_at DATETIME NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      priority TEXT NOT NULL DEFAULT 'NORMAL',
+      assigned_to INTEGER REFERENCES users(id),
+      case_reference TEXT,
+      tags TEXT NOT NULL DEFAULT '[]', -- JSON array of tag names
+      occurrence_count INTEGER NOT NULL DEFAULT 1, -- occurrences created so far (for COUNT)
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME,
+      ended_at DATETIME -- no more occurrences once set
+    )
+  `);
+
+  // 12. Bank Holidays (England & Wales) for working-day deadlines. date is the
+  // UK calendar date (YYYY-MM-DD). Seeded from the bundled GOV.UK calendar when
+  // empty; admins keep it up to date through /api/v1/admin/bank-holidays
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bank_holidays (
+      date TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      notes TEXT,
+      updated_at DATETIME NOT NULL
+    )
+  `);
+  db.run(`
+    INSERT INTO bank_holidays (date, title, notes, updated_at)
+    SELECT value ->> 'date', value ->> 'title', NULLIF(value ->> 'notes', ''), ?
+    FROM json_each(?)
+    WHERE NOT EXISTS (SELECT 1 FROM bank_holidays)
+  `, [new Date().toISOString(), JSON.stringify(bundledBankHolidays.events)]);
+
+  // 13. SLA Rules (see src/services/slaService.js). A rule applies to open tasks of
+  // its priority and/or with its tag (NULL = any); the most specific matching rule
+  // wins. The clock runs from the task's creation. On breach the task is escalated:
+  // reassigned to escalate_to, raised to raise_priority_to and/or notified
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sla_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      priority TEXT, -- LOW, NORMAL, HIGH or URGENT
+      tag TEXT, -- normalised tag name (src/utils/tags.js)
+      warning_hours INTEGER NOT NULL,
+      breach_hours INTEGER NOT NULL,
+      escalate_to INTEGER REFERENCES users(id), -- a team leader
+      raise_priority_to TEXT,
+      notify INTEGER NOT NULL DEFAULT 0, -- 1 = tell the assignee and team leader(s)
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME
+    )
+  `);
+
+  // 14. Webhook Subscriptions (see src/services/webhookService.js). events is a JSON
+  // array of event types; filters a JSON object narrowing which tasks are sent.
+  // secret signs each payload (HMAC-SHA256) so receivers can check it came from us
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL, -- e.g. ["task.created", "task.status_changed"]
+      filters TEXT NOT NULL DEFAULT '{}', -- { statuses, priorities, tags }
+      active INTEGER NOT NULL DEFAULT 1,
+      created_by INTEGER REFERENCES users(id),
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME
+    )
+  `);
+
+  // 15. Webhook Deliveries: the delivery queue and its log. payload is the exact
+  // JSON sent; failed attempts are retried at next_attempt_at with exponential
+  // backoff until they succeed (DELIVERED) or run out of attempts (FAILED)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL,
+      task_id INTEGER, -- the task the payload describes, so retention can purge or redact it
+      event_id TEXT NOT NULL, -- the same for every subscription sent the event
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING, DELIVERED or FAILED
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME, -- NULL once DELIVERED or FAILED
+      last_attempt_at DATETIME,
+      response_status INTEGER, -- HTTP status of the last attempt (NULL if there was no response)
+      last_error TEXT,
+      delivered_at DATETIME,
+      created_at DATETIME NOT NULL,
+      FOREIGN KEY(subscription_id) REFERENCES webhook_subscriptions(id)
+    )
+  `);
+  addColumn('webhook_deliveries', 'task_id INTEGER');
+  db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_task ON webhook_deliveries(task_id)`);
+
+  // 16. Notification Preferences, one row per user who has changed them
+  // (no row = the defaults: everything on, reminders REMINDER_HOURS_BEFORE ahead)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id),
+      due_reminders INTEGER NOT NULL DEFAULT 1, -- email before an assigned task falls due
+      reminder_hours INTEGER, -- how long before; NULL = the default
+      overdue_digest INTEGER NOT NULL DEFAULT 1, -- daily email of overdue tasks
+      updated_at DATETIME NOT NULL
+    )
+  `);
+
+  // 17. Email Log: every reminder and digest sent. message_key identifies what the
+  // email was about (e.g. "digest:2026-10-19:3") so none is ever sent twice
+  db.run(`
+    CREATE TABLE IF NOT EXISTS email_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_key TEXT NOT NULL UNIQUE,
+      kind TEXT NOT NULL, -- reminder or digest
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      task_id INTEGER, -- reminders only
+      subject TEXT NOT NULL,
+      sent_at DATETIME NOT NULL
+    )
+  `);
 });
 
 module.exports = db;
\ No newline at end of file
@@ -0,0 +1,143 @@
+// Environment-driven settings (12-Factor: Config lives in the environment)
+// Defaults are chosen so the service runs with zero setup for reviewers.
+
+const crypto = require('crypto');
+const path = require('path');
+const { loadWorkflow } = require('./workflow');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+// Case-number formats we accept. Override with CASE_REFERENCE_FORMATS, a JSON
+// array of { "name", "pattern", "example" } (patterns match the whole reference,
+// after it has been upper-cased and trimmed)
+const DEFAULT_CASE_REFERENCE_FORMATS = [
+  { name: 'CCD case number', pattern: '\\d{4}-\\d{4}-\\d{4}-\\d{4}', example: '1234-5678-9012-3456' },
+  { name: 'County Court claim number', pattern: '[A-Z]\\d{2}[A-Z]{2}\\d{3}', example: 'K00CF123' },
+  { name: 'Online money claim', pattern: '\\d{3}MC\\d{3}', example: '000MC001' },
+  { name: 'Immigration and Asylum appeal', pattern: '[A-Z]{2}/\\d{5}/\\d{4}', example: 'PA/12345/2024' },
+  { name: 'Crown Court case', pattern: 'T\\d{8}', example: 'T20247001' }
+];
+
+// Scanned letters and orders: PDFs and the usual scanner image formats
+const DEFAULT_ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/tiff'];
+
+const toList = (value, fallback) => (value
+  ? value.split(',').map(item => item.trim()).filter(Boolean)
+  : fallback);
+
+const toTimeOfDay = (value, fallback, name) => {
+  if (!value) return fallback;
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) throw new Error(`${name} must be a time such as 17:00`);
+  return value;
+};
+
+const toCaseReferenceFormats = (value) => {
+  if (!value) return DEFAULT_CASE_REFERENCE_FORMATS;
+  const formats = JSON.parse(value);
+  if (!Array.isArray(formats) || !formats.every(f => f && f.name && f.pattern)) {
+    throw new Error('CASE_REFERENCE_FORMATS must be a JSON array of { "name", "pattern" } objects');
+  }
+  return formats;
+};
+
+module.exports = {
+  // Number of tasks per page on the caseworker home page
+  homePageSize: toInt(process.env.HOME_PAGE_SIZE, 25),
+
+  // When true, PATCH/DELETE on the API must send If-Match (428 otherwise).
+  // Off by default so existing integrations keep working while they migrate.
+  requireIfMatch: process.env.REQUIRE_IF_MATCH === 'true',
+
+  // Accepted case reference formats (see DEFAULT_CASE_REFERENCE_FORMATS)
+  caseReferenceFormats: toCaseReferenceFormats(process.env.CASE_REFERENCE_FORMATS),
+
+  // Task statuses and the allowed moves between them (see src/config/workflow.js)
+  workflow: loadWorkflow(process.env.WORKFLOW_FILE),
+
+  // Deadlines given in working days fall due at this UK time on the last day
+  workingDayEnd: toTimeOfDay(process.env.WORKING_DAY_END, '17:00', 'WORKING_DAY_END'),
+
+  // Data retention: soft-deleted tasks older than this are permanently
+  // purged ('purge') or have their free text wiped ('redact')
+  retentionDays: toInt(process.env.RETENTION_DAYS, 90),
+  retentionMode: process.env.RETENTION_MODE === 'redact' ? 'redact' : 'purge',
+  retentionIntervalMinutes: toInt(process.env.RETENTION_INTERVAL_MINUTES, 60),
+
+  // How often the scheduler creates the next occurrence of recurring tasks
+  recurrenceIntervalMinutes: toInt(process.env.RECURRENCE_INTERVAL_MINUTES, 5),
+
+  // How often open tasks are checked against the SLA rules (and escalated on breach)
+  slaIntervalMinutes: toInt(process.env.SLA_INTERVAL_MINUTES, 15),
+
+  // Webhooks: how often the delivery queue is worked through, how long a receiver
+  // has to answer, and how often a failed delivery is retried (waiting
+  // webhookRetryBaseSeconds, then twice as long each time) before it is given up
+  webhookIntervalSeconds: toInt(process.env.WEBHOOK_INTERVAL_SECONDS, 15),
+  webhookTimeoutSeconds: toInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10),
+  webhookMaxAttempts: toInt(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+  webhookRetryBaseSeconds: toInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 30),
+  // Delivered and failed deliveries (payloads included) are pruned from the log after
+  // this many days, by the retention job
+  webhookDeliveryRetentionDays: toInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 30),
+
+  // Email (reminders, digests and SLA notifications): 'smtp' for real deployments,
+  // 'outbox' (each message written as a JSON file to mailOutboxDir, see src/mail)
+  // for development and tests
+  mailTransport: process.env.MAIL_TRANSPORT || (isProduction ? 'smtp' : 'outbox'),
+  mailFrom: process.env.MAIL_FROM || 'Caseworker Task Manager <no-reply@localhost>',
+  mailOutboxDir: process.env.MAIL_OUTBOX_DIR || path.resolve(__dirname, '../../outbox'),
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: toInt(process.env.SMTP_PORT, 587),
+    secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS when offered
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASSWORD
+  },
+  // Where links in emails point
+  appBaseUrl: (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, ''),
+
+  // Reminders go this many hours before a task is due (users can choose their own),
+  // and the overdue digest once a day from this UK time. The job checks every reminderIntervalMinutes
+  reminderHoursBefore: toInt(process.env.REMINDER_HOURS_BEFORE, 24),
+  digestTime: toTimeOfDay(process.env.DIGEST_TIME, '08:00', 'DIGEST_TIME'),
+  reminderIntervalMinutes: toInt(process.env.REMINDER_INTERVAL_MINUTES, 15),
+
+  // Bulk import (POST /api/v1/tasks/import): the most tasks one file may hold
+  importMaxRows: toInt(process.env.IMPORT_MAX_ROWS, 1000),
+
+  // Live updates (GET /api/v1/tasks/events): a comment is sent this often so
+  // proxies do not close an idle stream
+  eventStreamHeartbeatSeconds: toInt(process.env.EVENT_STREAM_HEARTBEAT_SECONDS, 25),
+
+  // Task attachments: where the files live ('local' disk for now, see src/storage),
+  // the largest file accepted and the MIME types allowed
+  attachmentStorage: process.env.ATTACHMENT_STORAGE || 'local',
+  attachmentDir: process.env.ATTACHMENT_DIR || path.resolve(__dirname, '../../uploads'),
+  attachmentMaxSizeMb: toInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10),
+  attachmentTypes: toList(process.env.ATTACHMENT_TYPES, DEFAULT_ATTACHMENT_TYPES),
+
+  // Authentication: 'oidc' for real deployments, 'stub' (a local sign-in
+  // form standing in for the identity provider) for development and tests
+  authProvider: process.env.AUTH_PROVIDER || (isProduction ? 'oidc' : 'stub'),
+
+  // Signs the session cookie and stub tokens. Without one, a random secret is
+  // used, which signs everyone out whenever the process restarts.
+  sessionSecret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  sessionMaxAgeHours: toInt(process.env.SESSION_MAX_AGE_HOURS, 8),
+  secureCookies: isProduction,
+
+  oidc: {
+    issuerUrl: process.env.OIDC_ISSUER_URL,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:3000/auth/callback',
+    scope: process.env.OIDC_SCOPE || 'openid profile email',
+    // Claim carrying the user's role(s), e.g. Entra ID app roles
+    roleClaim: process.env.OIDC_ROLE_CLAIM || 'roles'
+  }
+};
@@ -0,0 +1,63 @@
+// The task status workflow: which statuses exist, how they are labelled and
+// shown, which moves between them are allowed, and which ones close a task.
+// Override with WORKFLOW_FILE, the path of a JSON file in the same shape.
+
+const fs = require('fs');
+
+// Colours are GOV.UK tag modifiers (govuk-tag--<colour>)
+const TAG_COLOURS = ['grey', 'green', 'turquoise', 'blue', 'light-blue', 'purple', 'pink', 'red', 'orange', 'yellow'];
+
+const DEFAULT_WORKFLOW = {
+  // New tasks start here unless they are given a status
+  initial: 'PENDING',
+  statuses: [
+    { code: 'PENDING', label: 'Pending', colour: 'grey' },
+    { code: 'IN_PROGRESS', label: 'In Progress', colour: 'blue' },
+    { code: 'ON_HOLD', label: 'On Hold', colour: 'yellow' },
+    // Terminal: the work is finished, so the task is never overdue and no longer blocks others
+    { code: 'COMPLETED', label: 'Completed', colour: 'green', terminal: true },
+    { code: 'CANCELLED', label: 'Cancelled', colour: 'red', terminal: true }
+  ],
+  // Where each status can move to; staying put is always allowed
+  transitions: {
+    PENDING: ['IN_PROGRESS', 'ON_HOLD', 'COMPLETED', 'CANCELLED'],
+    IN_PROGRESS: ['PENDING', 'ON_HOLD', 'COMPLETED', 'CANCELLED'],
+    ON_HOLD: ['PENDING', 'IN_PROGRESS', 'CANCELLED'],
+    COMPLETED: ['IN_PROGRESS'],
+    CANCELLED: []
+  }
+};
+
+// Status codes end up in SQL (see openStatusCondition in src/utils/workflow.js), so keep them plain
+const STATUS_CODE = /^[A-Z][A-Z_]*$/;
+
+// Checks a definition hangs together; throws naming the first problem
+const validateWorkflow = (workflow) => {
+  const fail = (message) => { throw new Error(`Invalid workflow: ${message}`); };
+  if (!workflow || !Array.isArray(workflow.statuses) || workflow.statuses.length === 0) fail('statuses must be a non-empty array');
+
+  const codes = workflow.statuses.map(status => status && status.code);
+  workflow.statuses.forEach((status, i) => {
+    if (!STATUS_CODE.test(codes[i] || '')) fail(`status code '${codes[i]}' must be upper case letters and underscores`);
+    if (codes[i] === 'OVERDUE') fail("OVERDUE is reserved for the overdue filter");
+    if (codes.indexOf(codes[i]) !== i) fail(`status '${codes[i]}' is listed twice`);
+    if (!status.label) fail(`status '${codes[i]}' needs a label`);
+    if (status.colour && !TAG_COLOURS.includes(status.colour)) fail(`status '${codes[i]}' has an unknown colour '${status.colour}'`);
+  });
+  if (!codes.includes(workflow.initial)) fail(`initial status '${workflow.initial}' is not one of the statuses`);
+  if (!workflow.statuses.some(status => status.terminal)) fail('at least one status must be terminal');
+
+  Object.entries(workflow.transitions || {}).forEach(([from, targets]) => {
+    if (!codes.includes(from)) fail(`transitions from unknown status '${from}'`);
+    if (!Array.isArray(targets)) fail(`transitions from '${from}' must be an array`);
+    targets.forEach(to => { if (!codes.includes(to)) fail(`transition from '${from}' to unknown status '${to}'`); });
+  });
+  return workflow;
+};
+
+const loadWorkflow = (file) => {
+  if (!file) return DEFAULT_WORKFLOW;
+  return validateWorkflow(JSON.parse(fs.readFileSync(file, 'utf8')));
+};
+
+module.exports = { DEFAULT_WORKFLOW, validateWorkflow, loadWorkflow };
@@ -0,0 +1,335 @@
+const { z } = require('zod');
+const RetentionModel = require('../models/retentionModel');
+const UserModel = require('../models/userModel');
+const ApiKeyModel = require('../models/apiKeyModel');
+const BankHolidayModel = require('../models/bankHolidayModel');
+const SlaModel = require('../models/slaModel');
+const WebhookModel = require('../models/webhookModel');
+const apiKeySchema = require('../schemas/apiKeySchema');
+const { bankHolidaySchema, bankHolidayCalendarSchema } = require('../schemas/bankHolidaySchema');
+const { slaRuleSchema } = require('../schemas/slaRuleSchema');
+const { webhookSchema, webhookUpdateSchema } = require('../schemas/webhookSchema');
+const { generateApiKey } = require('../auth/apiKeys');
+const { ROLES } = require('../auth/permissions');
+const { runRetention } = require('../services/retentionService');
+const { generateSecret } = require('../services/webhookService');
+const { sendApiError } = require('../utils/apiHelper');
+
+const roleUpdateSchema = z.object({
+  role: z.enum(Object.keys(ROLES), {
+    errorMap: () => ({ message: `Role must be one of: ${Object.keys(ROLES).join(', ')}` })
+  })
+});
+
+// Breached tasks can only be escalated to someone who leads a team
+const ESCALATION_ROLES = ['team_leader', 'admin'];
+
+// Validation error on escalate_to, or null when the rule's escalation target is fine
+const checkEscalateTo = async (userId) => {
+  if (!userId) return null;
+  const user = await UserModel.findById(userId);
+  if (!user) return `User ${userId} does not exist`;
+  if (!ESCALATION_ROLES.includes(user.role)) return `${user.display_name} is not a team leader`;
+  return null;
+};
+
+// Validates the body of a create / replace, answering 400 itself when it is not valid
+const parseSlaRule = async (req, res) => {
+  const rule = slaRuleSchema.parse(req.body);
+  const escalateToError = await checkEscalateTo(rule.escalate_to);
+  if (escalateToError) {
+    res.status(400).json({ errors: [{ message: escalateToError, path: ['escalate_to'] }] });
+    return null;
+  }
+  return rule;
+};
+
+// Public shape of a webhook subscription: the signing secret is only shown on creation
+const toWebhook = ({ secret, ...subscription }) => subscription;
+
+const deliveryLogSchema = z.object({
+  status: z.enum(['PENDING', 'DELIVERED', 'FAILED']).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+// ==========================================
+// ADMIN CONTROLLER (API only)
+// ==========================================
+const AdminController = {
+
+  // --- DATA RETENTION ---
+  runRetention: async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const result = await runRetention({ triggeredBy: 'admin', dryRun });
+      res.status(200).json(result);
+    } catch (error) {
+      console.error("Retention Run Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while applying the retention policy.");
+    }
+  },
+
+  getRetentionLog: async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const entries = await RetentionModel.getLog({ limit, offset });
+      res.status(200).json(entries);
+    } catch (error) {
+      console.error("Retention Log Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving the retention log.");
+    }
+  },
+
+  // --- USERS & ROLES ---
+  getUsers: async (req, res) => {
+    try {
+      const users = await UserModel.findAll();
+      res.status(200).json(users);
+    } catch (error) {
+      console.error("List Users Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving users.");
+    }
+  },
+
+  updateUserRole: async (req, res) => {
+    try {
+      const { role } = roleUpdateSchema.parse(req.body);
+
+      // Stops an admin locking everyone (including themselves) out of user management
+      if (Number(req.params.id) === req.user.id && role !== req.user.role) {
+        return sendApiError(res, 409, "You cannot change your own role.");
+      }
+
+      const user = await UserModel.updateRole(req.params.id, role);
+      if (!user) return sendApiError(res, 404, "User not found");
+
+      res.status(200).json(user);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Update Role Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while updating the user's role.");
+    }
+  },
+
+  // --- API KEYS (machine clients) ---
+  getApiKeys: async (req, res) => {
+    try {
+      const apiKeys = await ApiKeyModel.findAll();
+      res.status(200).json(apiKeys);
+    } catch (error) {
+      console.error("List API Keys Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving API keys.");
+    }
+  },
+
+  createApiKey: async (req, res) => {
+    try {
+      const { name, scopes, expires_at } = apiKeySchema.parse(req.body);
+      const { key, prefix, hash } = generateApiKey();
+
+      const apiKey = await ApiKeyModel.create({
+        name, prefix, hash, scopes, expiresAt: expires_at, createdBy: req.user.id
+      });
+
+      // The only time the key itself is returned: it is not stored
+      res.status(201).json({ ...apiKey, key });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Create API Key Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while creating the API key.");
+    }
+  },
+
+  revokeApiKey: async (req, res) => {
+    try {
+      const apiKey = await ApiKeyModel.revoke(req.params.id);
+      if (!apiKey) return sendApiError(res, 404, "API key not found");
+      res.status(204).send();
+    } catch (error) {
+      console.error("Revoke API Key Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while revoking the API key.");
+    }
+  },
+
+  // --- BANK HOLIDAYS (working-day deadlines) ---
+  getBankHolidays: async (req, res) => {
+    try {
+      const year = /^\d{4}$/.test(req.query.year || '') ? req.query.year : undefined;
+      res.status(200).json(await BankHolidayModel.findAll({ year }));
+    } catch (error) {
+      console.error("List Bank Holidays Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving bank holidays.");
+    }
+  },
+
+  // Replaces the whole calendar, e.g. with the latest https://www.gov.uk/bank-holidays.json
+  replaceBankHolidays: async (req, res) => {
+    try {
+      const holidays = bankHolidayCalendarSchema.parse(req.body);
+      await BankHolidayModel.replaceAll(holidays);
+      res.status(200).json(await BankHolidayModel.findAll());
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Replace Bank Holidays Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while replacing the bank holidays.");
+    }
+  },
+
+  // Adds one (e.g. a one-off holiday for a royal event), or renames the one on that date
+  saveBankHoliday: async (req, res) => {
+    try {
+      const holiday = bankHolidaySchema.parse(req.body);
+      const created = await BankHolidayModel.save(holiday);
+      res.status(created ? 201 : 200).json(await BankHolidayModel.findByDate(holiday.date));
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Save Bank Holiday Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while saving the bank holiday.");
+    }
+  },
+
+  deleteBankHoliday: async (req, res) => {
+    try {
+      const removed = await BankHolidayModel.remove(req.params.date);
+      if (!removed) return sendApiError(res, 404, `There is no bank holiday on ${req.params.date}.`);
+      res.status(204).send();
+    } catch (error) {
+      console.error("Delete Bank Holiday Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while removing the bank holiday.");
+    }
+  },
+
+  // --- SLA RULES (see src/services/slaService.js) ---
+  getSlaRules: async (req, res) => {
+    try {
+      res.status(200).json(await SlaModel.findRules());
+    } catch (error) {
+      console.error("List SLA Rules Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving the SLA rules.");
+    }
+  },
+
+  createSlaRule: async (req, res) => {
+    try {
+      const rule = await parseSlaRule(req, res);
+      if (!rule) return;
+      res.status(201).json(await SlaModel.createRule(rule));
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Create SLA Rule Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while creating the SLA rule.");
+    }
+  },
+
+  updateSlaRule: async (req, res) => {
+    try {
+      const rule = await parseSlaRule(req, res);
+      if (!rule) return;
+      const updated = await SlaModel.updateRule(req.params.id, rule);
+      if (!updated) return sendApiError(res, 404, `SLA rule ${req.params.id} could not be found.`);
+      res.status(200).json(updated);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Update SLA Rule Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while updating the SLA rule.");
+    }
+  },
+
+  deleteSlaRule: async (req, res) => {
+    try {
+      const removed = await SlaModel.removeRule(req.params.id);
+      if (!removed) return sendApiError(res, 404, `SLA rule ${req.params.id} could not be found.`);
+      res.status(204).send();
+    } catch (error) {
+      console.error("Delete SLA Rule Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while removing the SLA rule.");
+    }
+  },
+
+  // --- WEBHOOKS (see src/services/webhookService.js) ---
+  getWebhooks: async (req, res) => {
+    try {
+      const subscriptions = await WebhookModel.findAll();
+      res.status(200).json(subscriptions.map(toWebhook));
+    } catch (error) {
+      console.error("List Webhooks Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving webhooks.");
+    }
+  },
+
+  createWebhook: async (req, res) => {
+    try {
+      const fields = webhookSchema.parse(req.body);
+      const subscription = await WebhookModel.create({ ...fields, secret: generateSecret(), createdBy: req.user.id });
+
+      // The only time the secret is returned: receivers need it to check signatures
+      res.status(201).json(subscription);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Create Webhook Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while creating the webhook.");
+    }
+  },
+
+  updateWebhook: async (req, res) => {
+    try {
+      const fields = webhookUpdateSchema.parse(req.body);
+      const subscription = await WebhookModel.update(req.params.id, fields);
+      if (!subscription) return sendApiError(res, 404, `Webhook ${req.params.id} could not be found.`);
+      res.status(200).json(toWebhook(subscription));
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Update Webhook Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while updating the webhook.");
+    }
+  },
+
+  deleteWebhook: async (req, res) => {
+    try {
+      const removed = await WebhookModel.remove(req.params.id);
+      if (!removed) return sendApiError(res, 404, `Webhook ${req.params.id} could not be found.`);
+      res.status(204).send();
+    } catch (error) {
+      console.error("Delete Webhook Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while removing the webhook.");
+    }
+  },
+
+  getWebhookDeliveries: async (req, res) => {
+    try {
+      const query = deliveryLogSchema.safeParse(req.query);
+      if (!query.success) {
+        return res.status(400).json({ errors: query.error.errors });
+      }
+
+      const subscription = await WebhookModel.findById(req.params.id);
+      if (!subscription) return sendApiError(res, 404, `Webhook ${req.params.id} could not be found.`);
+
+      res.status(200).json(await WebhookModel.findDeliveries(subscription.id, query.data));
+    } catch (error) {
+      console.error("Webhook Deliveries Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving the webhook's deliveries.");
+    }
+  }
+};
+
+module.exports = AdminController;
@@ -0,0 +1,109 @@
+const TaskModel = require('../models/taskModel');
+const AttachmentModel = require('../models/attachmentModel');
+const AttachmentService = require('../services/attachmentService');
+const { receiveFile } = require('../utils/upload');
+const { sendApiError, actorOf } = require('../utils/apiHelper');
+
+// Public shape of an attachment (the storage key stays internal)
+const toAttachment = (row) => ({
+  id: row.id,
+  task_id: row.task_id,
+  filename: row.filename,
+  mime_type: row.mime_type,
+  size_bytes: row.size_bytes,
+  sha256: row.sha256,
+  uploaded_by: row.uploaded_by,
+  created_at: row.created_at
+});
+
+// Soft-deleted tasks are not found, so neither are their attachments
+const findTask = (req) => TaskModel.findById(parseInt(req.params.id, 10));
+
+// ==========================================
+// ATTACHMENT CONTROLLER (API only; the edit page form lives in TaskController)
+// ==========================================
+const AttachmentController = {
+
+  getAttachments: async (req, res) => {
+    try {
+      const task = await findTask(req);
+      if (!task) return sendApiError(res, 404, `Task with ID ${req.params.id} could not be found.`);
+
+      const attachments = await AttachmentModel.findByTask(task.id);
+      res.status(200).json(attachments.map(toAttachment));
+    } catch (error) {
+      console.error("List Attachments Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving attachments.");
+    }
+  },
+
+  uploadAttachment: async (req, res) => {
+    try {
+      const task = await findTask(req);
+      if (!task) return sendApiError(res, 404, `Task with ID ${req.params.id} could not be found.`);
+
+      let file;
+      try {
+        file = await receiveFile(req, res);
+      } catch (uploadError) {
+        if (!uploadError.status) throw uploadError;
+        return sendApiError(res, uploadError.status, uploadError.message);
+      }
+
+      const problem = AttachmentService.checkFile(file);
+      if (problem) return sendApiError(res, problem.status, problem.message);
+
+      const attachment = await AttachmentService.attach(task.id, file, actorOf(req));
+      res.status(201).json(toAttachment(attachment));
+    } catch (error) {
+      console.error("Upload Attachment Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while uploading the attachment.");
+    }
+  },
+
+  downloadAttachment: async (req, res) => {
+    try {
+      const task = await findTask(req);
+      const attachment = task && await AttachmentModel.findById(task.id, parseInt(req.params.attachmentId, 10));
+      if (!attachment) {
+        return sendApiError(res, 404, `Attachment ${req.params.attachmentId} could not be found on task ${req.params.id}.`);
+      }
+
+      const stream = AttachmentService.openDownload(attachment);
+      stream.on('error', (error) => {
+        console.error("Download Attachment Error:", error);
+        if (!res.headersSent) return sendApiError(res, 500, "The attachment's file could not be read.");
+        res.destroy(error);
+      });
+      stream.once('open', () => {
+        res.attachment(attachment.filename);
+        res.set({
+          'Content-Type': attachment.mime_type,
+          'Content-Length': attachment.size_bytes,
+          // RFC 9530: lets the client verify the file against the recorded checksum
+          'Repr-Digest': `sha-256=:${Buffer.from(attachment.sha256, 'hex').toString('base64')}:`
+        });
+        stream.pipe(res);
+      });
+    } catch (error) {
+      console.error("Download Attachment Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while downloading the attachment.");
+    }
+  },
+
+  deleteAttachment: async (req, res) => {
+    try {
+      const task = await findTask(req);
+      const removed = task && await AttachmentService.detach(task.id, parseInt(req.params.attachmentId, 10), actorOf(req));
+      if (!removed) {
+        return sendApiError(res, 404, `Attachment ${req.params.attachmentId} could not be found on task ${req.params.id}.`);
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error("Delete Attachment Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while removing the attachment.");
+    }
+  }
+};
+
+module.exports = AttachmentController;
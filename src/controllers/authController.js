@@ -0,0 +1,71 @@
+const authProvider = require('../auth');
+const UserModel = require('../models/userModel');
+const { sendApiError } = require('../utils/apiHelper');
+const { buildErrorList } = require('../utils/viewHelper');
+
+// Only allow redirects back into this service (no open redirects)
+const safeReturnTo = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//')) return '/';
+  return value;
+};
+
+// ==========================================
+// AUTH CONTROLLER
+// ==========================================
+const AuthController = {
+
+  getLogin: async (req, res, next) => {
+    try {
+      if (req.user) return res.redirect('/');
+      await authProvider.startLogin(req, res, safeReturnTo(req.query.returnTo));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /login (stub form) and GET /auth/callback (OIDC) both land here
+  completeLogin: async (req, res) => {
+    try {
+      const result = await authProvider.completeLogin(req);
+
+      // Form-based sign-in (stub provider) with validation errors
+      if (result.errors) {
+        return authProvider.renderLoginForm(res, {
+          errors: result.errors,
+          errorList: buildErrorList(result.errors),
+          form: req.body,
+          returnTo: safeReturnTo(req.body.returnTo)
+        });
+      }
+
+      const user = await UserModel.upsertFromIdentity(result.identity);
+      req.session.userId = user.id;
+
+      res.redirect(safeReturnTo(result.returnTo || req.body.returnTo));
+    } catch (error) {
+      console.error("Sign In Error:", error);
+      res.status(401).render('error.html', { message: "We could not sign you in. Please try again." });
+    }
+  },
+
+  getLogout: (req, res) => {
+    req.session = null;
+    res.redirect('/login');
+  },
+
+  // Development/test only: swaps a username for a bearer token
+  postStubToken: (req, res) => {
+    if (authProvider.name !== 'stub') {
+      return sendApiError(res, 404, "Token issuing is only available with the stub identity provider.");
+    }
+
+    const validation = authProvider.parseTokenRequest(req.body);
+    if (!validation.success) {
+      return res.status(400).json({ errors: validation.error.errors });
+    }
+
+    res.status(200).json(authProvider.issueToken(authProvider.toIdentity(validation.data)));
+  }
+};
+
+module.exports = AuthController;
@@ -0,0 +1,71 @@
+const TaskModel = require('../models/taskModel');
+const { sendApiError } = require('../utils/apiHelper');
+const { normaliseCaseReference, matchCaseReferenceFormat, describeCaseReferenceFormats } = require('../utils/caseReference');
+const formatDate = require('../utils/formatDate');
+
+// Live tasks on a case, soonest due first
+const findCaseTasks = (caseReference) => TaskModel.findAll({ caseReference, sortBy: 'due_date', sortOrder: 'ASC' });
+
+// ==========================================
+// CASE CONTROLLER (tasks grouped by case reference)
+// ==========================================
+const CaseController = {
+
+  // --- SSR: per-case page ---
+  getCasePage: async (req, res) => {
+    try {
+      const caseReference = normaliseCaseReference(req.params.caseRef);
+      const format = matchCaseReferenceFormat(caseReference);
+      if (!format) {
+        return res.status(404).render('error.html', {
+          message: `'${caseReference}' is not a recognised case reference.`
+        });
+      }
+
+      const [tasks, historyRaw] = await Promise.all([
+        findCaseTasks(caseReference),
+        TaskModel.getCaseHistory(caseReference)
+      ]);
+
+      const history = historyRaw.map(h => ({
+        task_id: h.task_id,
+        task_title: h.task_title,
+        summary: h.change_summary,
+        changed_at: formatDate(h.changed_at),
+        changed_by: h.changed_by
+      }));
+
+      res.render('case.html', { caseReference, formatName: format.name, tasks, history });
+    } catch (error) {
+      console.error("Case Page Error:", error);
+      res.status(500).render('error.html', { message: "Server Error" });
+    }
+  },
+
+  // --- API ---
+  getCaseTasks: async (req, res) => {
+    try {
+      const caseReference = normaliseCaseReference(req.params.caseRef);
+      if (!matchCaseReferenceFormat(caseReference)) {
+        return res.status(400).json({
+          errors: [{
+            message: `Case reference must be in a recognised format: ${describeCaseReferenceFormats()}`,
+            path: ["caseRef"]
+          }]
+        });
+      }
+
+      const tasks = await findCaseTasks(caseReference);
+      res.status(200).json({
+        case_reference: caseReference,
+        data: tasks,
+        meta: { total: tasks.length }
+      });
+    } catch (error) {
+      console.error("Case Tasks Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving the case's tasks.");
+    }
+  }
+};
+
+module.exports = CaseController;
@@ -0,0 +1,100 @@
+const { z } = require('zod');
+const TaskModel = require('../models/taskModel');
+const CommentModel = require('../models/commentModel');
+const commentSchema = require('../schemas/commentSchema');
+const { sendApiError, actorOf } = require('../utils/apiHelper');
+
+// Public shape of a comment (author IDs stay internal; author is the display name)
+const toComment = (row) => ({
+  id: row.id,
+  task_id: row.task_id,
+  body: row.body,
+  author: row.author,
+  version: row.version,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// Only the user (or API key) who wrote a comment may edit it
+const isAuthor = (req, comment) => (req.user
+  ? comment.user_id === req.user.id
+  : Boolean(req.apiKey) && comment.api_key_id === req.apiKey.id);
+
+// ==========================================
+// COMMENT CONTROLLER (API only; the edit page form lives in TaskController)
+// ==========================================
+const CommentController = {
+
+  getComments: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const task = await TaskModel.findById(taskId);
+      if (!task) return sendApiError(res, 404, `Task with ID ${req.params.id} could not be found.`);
+
+      const comments = await CommentModel.findByTask(taskId);
+      res.status(200).json(comments.map(toComment));
+    } catch (error) {
+      console.error("List Comments Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving comments.");
+    }
+  },
+
+  createComment: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const { body } = commentSchema.parse(req.body);
+
+      const task = await TaskModel.findById(taskId);
+      if (!task) return sendApiError(res, 404, `Task with ID ${req.params.id} could not be found.`);
+
+      const comment = await CommentModel.create(taskId, body, actorOf(req));
+      res.status(201).json(toComment(comment));
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Create Comment Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while adding the comment.");
+    }
+  },
+
+  updateComment: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const commentId = parseInt(req.params.commentId, 10);
+      const { body } = commentSchema.parse(req.body);
+
+      const task = await TaskModel.findById(taskId);
+      const comment = task && await CommentModel.findById(taskId, commentId);
+      if (!comment) return sendApiError(res, 404, `Comment ${req.params.commentId} could not be found on task ${req.params.id}.`);
+      if (!isAuthor(req, comment)) return sendApiError(res, 403, "You can only edit your own comments.");
+
+      if (body === comment.body) return res.status(200).json(toComment(comment)); // Nothing to version
+
+      const updated = await CommentModel.update(taskId, commentId, body, actorOf(req));
+      res.status(200).json(toComment(updated));
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Update Comment Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while editing the comment.");
+    }
+  },
+
+  getCommentRevisions: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const task = await TaskModel.findById(taskId);
+      const comment = task && await CommentModel.findById(taskId, parseInt(req.params.commentId, 10));
+      if (!comment) return sendApiError(res, 404, `Comment ${req.params.commentId} could not be found on task ${req.params.id}.`);
+
+      res.status(200).json(await CommentModel.getRevisions(comment.id));
+    } catch (error) {
+      console.error("Comment Revisions Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving the comment's versions.");
+    }
+  }
+};
+
+module.exports = CommentController;
@@ -0,0 +1,41 @@
+const { subscribe } = require('../services/eventBus');
+const settings = require('../config/settings');
+
+// What a browser needs to know to refresh what it shows. The task itself is
+// fetched again, so nothing in the stream outlives the reader's permissions
+const toStreamData = ({ type, data }) => ({
+  task_id: data.task.id,
+  status: data.task.status,
+  ...(type === 'task.status_changed' && { from: data.from, to: data.to }),
+  actor: data.actor
+});
+
+// ==========================================
+// EVENT STREAM CONTROLLER (Server-Sent Events)
+// ==========================================
+const EventStreamController = {
+
+  // Held open until the client goes away; see public/js/app.js for the reader
+  streamTaskEvents: (req, res) => {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stops nginx holding events back
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
+
+    const unsubscribe = subscribe(async (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(toStreamData(event))}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(`: heartbeat\n\n`), settings.eventStreamHeartbeatSeconds * 1000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+};
+
+module.exports = EventStreamController;
@@ -0,0 +1,109 @@
+const { z } = require('zod');
+const { readImport, runImport, IMPORT_FIELDS } = require('../services/importService');
+const { importOptionsSchema } = require('../schemas/importOptionsSchema');
+const { receiveFile } = require('../utils/upload');
+const { sendApiError, actorOf } = require('../utils/apiHelper');
+const { buildErrorList } = require('../utils/viewHelper');
+const settings = require('../config/settings');
+
+// CSV or JSON, by the file's type or else its extension; null for anything else
+const formatOf = (file) => {
+  if (file.mimetype === 'application/json' || /\.json$/i.test(file.originalname)) return 'json';
+  if (file.mimetype === 'text/csv' || /\.csv$/i.test(file.originalname)) return 'csv';
+  return null;
+};
+
+// Reads the uploaded file into rows. Resolves { rows } or { status, message }
+const readUploadedFile = async (req, res) => {
+  let file;
+  try {
+    file = await receiveFile(req, res);
+  } catch (uploadError) {
+    if (!uploadError.status) throw uploadError;
+    return uploadError;
+  }
+  if (!file) return { status: 400, message: "Choose a CSV or JSON file to import" };
+
+  const format = formatOf(file);
+  if (!format) return { status: 400, message: "The file must be a CSV or JSON file" };
+
+  const { rows, error } = readImport(file.buffer.toString('utf8'), format);
+  return error ? { status: 400, message: error } : { rows };
+};
+
+const renderPage = (res, status, extra = {}) => res.status(status).render('import.html', {
+  fields: IMPORT_FIELDS,
+  maxRows: settings.importMaxRows,
+  mode: 'all_or_nothing',
+  errors: {},
+  ...extra
+});
+
+const renderError = (res, status, mode, field, message) => {
+  const errors = { [field]: [message] };
+  renderPage(res, status, { mode, errors, errorList: buildErrorList(errors) });
+};
+
+// ==========================================
+// IMPORT CONTROLLER (bulk import of tasks)
+// ==========================================
+const ImportController = {
+
+  // --- API ---
+  // A CSV or JSON file (multipart field "file"), or the tasks as a JSON body
+  importTasks: async (req, res) => {
+    try {
+      const options = importOptionsSchema.parse(req.query);
+
+      let read;
+      if (req.is('multipart/form-data')) {
+        read = await readUploadedFile(req, res);
+      } else if (req.is('application/json')) {
+        const { rows, error } = readImport(req.body, 'json');
+        read = error ? { status: 400, message: error } : { rows };
+      } else {
+        read = { status: 415, message: "Send a CSV or JSON file (multipart/form-data, field 'file') or the tasks as application/json." };
+      }
+      if (!read.rows) return sendApiError(res, read.status, read.message);
+
+      const report = await runImport(read.rows, { ...options, actor: actorOf(req) });
+      // Nothing saved because of invalid rows is a 422; the report says which
+      const status = report.dry_run ? 200 : report.imported > 0 ? 201 : 422;
+      res.status(status).json(report);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Import Tasks Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while importing tasks.");
+    }
+  },
+
+  // --- PAGES ---
+  getImportPage: (req, res) => {
+    renderPage(res, 200);
+  },
+
+  postImportPage: async (req, res) => {
+    try {
+      const read = await readUploadedFile(req, res);
+      // The form's fields are only read once the upload has been parsed
+      const options = importOptionsSchema.safeParse({
+        mode: req.body.mode,
+        dryRun: req.body.action === 'check' ? 'true' : 'false'
+      });
+      const mode = options.success ? options.data.mode : 'all_or_nothing';
+
+      if (!options.success) return renderError(res, 400, mode, 'mode', "Choose what to do if some rows have problems");
+      if (!read.rows) return renderError(res, read.status, mode, 'file', read.message);
+
+      const report = await runImport(read.rows, { ...options.data, actor: actorOf(req) });
+      renderPage(res, 200, { mode, report });
+    } catch (error) {
+      console.error("Import Page Error:", error);
+      res.status(500).render('error.html', { message: "Could not import the tasks." });
+    }
+  }
+};
+
+module.exports = ImportController;
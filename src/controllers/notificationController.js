@@ -0,0 +1,83 @@
+const { z } = require('zod');
+const NotificationModel = require('../models/notificationModel');
+const notificationPreferencesSchema = require('../schemas/notificationPreferencesSchema');
+const settings = require('../config/settings');
+const { sendApiError } = require('../utils/apiHelper');
+const { buildErrorList } = require('../utils/viewHelper');
+
+// The form sends the ticked boxes as "notifications" (one value, several, or none)
+const fromForm = (body) => {
+  const ticked = [].concat(body.notifications || []);
+  return {
+    due_reminders: ticked.includes('due_reminders'),
+    reminder_hours: body.reminder_hours,
+    overdue_digest: ticked.includes('overdue_digest')
+  };
+};
+
+const renderPage = (res, preferences, extra = {}) => res.render('notification-preferences.html', {
+  preferences,
+  defaultReminderHours: settings.reminderHoursBefore,
+  digestTime: settings.digestTime,
+  ...extra
+});
+
+// ==========================================
+// NOTIFICATION CONTROLLER (the signed-in user's own preferences)
+// ==========================================
+const NotificationController = {
+
+  // --- API ---
+  getPreferences: async (req, res) => {
+    try {
+      if (!req.user) return sendApiError(res, 422, "Notification preferences belong to a signed-in user, not an API key.");
+      res.status(200).json(await NotificationModel.getPreferences(req.user.id));
+    } catch (error) {
+      console.error("Get Notification Preferences Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving your notification preferences.");
+    }
+  },
+
+  updatePreferences: async (req, res) => {
+    try {
+      if (!req.user) return sendApiError(res, 422, "Notification preferences belong to a signed-in user, not an API key.");
+      const preferences = notificationPreferencesSchema.parse(req.body);
+      res.status(200).json(await NotificationModel.savePreferences(req.user.id, preferences));
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Update Notification Preferences Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while saving your notification preferences.");
+    }
+  },
+
+  // --- PAGES ---
+  getPreferencesPage: async (req, res) => {
+    try {
+      renderPage(res, await NotificationModel.getPreferences(req.user.id), { saved: req.query.saved === 'true' });
+    } catch (error) {
+      console.error("Notification Preferences Page Error:", error);
+      res.status(500).render('error.html', { message: "Could not load your notification settings." });
+    }
+  },
+
+  postPreferencesPage: async (req, res) => {
+    try {
+      const submitted = fromForm(req.body);
+      const validation = notificationPreferencesSchema.safeParse(submitted);
+      if (!validation.success) {
+        const fieldErrors = validation.error.flatten().fieldErrors;
+        return renderPage(res, submitted, { errors: fieldErrors, errorList: buildErrorList(fieldErrors) });
+      }
+
+      await NotificationModel.savePreferences(req.user.id, validation.data);
+      res.redirect('/notification-preferences?saved=true');
+    } catch (error) {
+      console.error("Save Notification Preferences Error:", error);
+      res.status(500).render('error.html', { message: "Could not save your notification settings." });
+    }
+  }
+};
+
+module.exports = NotificationController;
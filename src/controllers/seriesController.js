@@ -0,0 +1,87 @@
+const { z } = require('zod');
+const SeriesModel = require('../models/seriesModel');
+const UserModel = require('../models/userModel');
+const seriesSchema = require('../schemas/seriesSchema');
+const { updateSeries } = require('../services/recurrenceService');
+const { describeRecurrence } = require('../utils/recurrence');
+const { sendApiError, actorOf } = require('../utils/apiHelper');
+
+const loadSeries = async (id) => {
+  const series = await SeriesModel.findById(id);
+  if (!series) return null;
+  return {
+    id: series.id,
+    recurrence: series.rule,
+    recurrence_description: describeRecurrence(series.rule),
+    starts_at: series.starts_at,
+    ended_at: series.ended_at,
+    occurrence_count: series.occurrence_count,
+    template: {
+      title: series.title,
+      description: series.description,
+      priority: series.priority,
+      assigned_to: series.assigned_to,
+      case_reference: series.case_reference,
+      tags: series.tags
+    },
+    occurrences: await SeriesModel.findOccurrences(series.id)
+  };
+};
+
+// ==========================================
+// SERIES CONTROLLER (recurring tasks, API only)
+// A series is started by creating (or updating) a task with a recurrence rule
+// ==========================================
+const SeriesController = {
+
+  getSeries: async (req, res) => {
+    try {
+      const series = await loadSeries(parseInt(req.params.id, 10));
+      if (!series) return sendApiError(res, 404, `Series with ID ${req.params.id} could not be found.`);
+      res.status(200).json(series);
+    } catch (error) {
+      console.error("Get Series Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving the series.");
+    }
+  },
+
+  updateSeries: async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      const changes = seriesSchema.parse(req.body);
+
+      const series = await SeriesModel.findById(id);
+      if (!series) return sendApiError(res, 404, `Series with ID ${req.params.id} could not be found.`);
+      if (series.ended_at) return sendApiError(res, 409, `Series ${id} has ended, so it can no longer be changed.`);
+
+      if (changes.assigned_to && !await UserModel.findById(changes.assigned_to)) {
+        return res.status(400).json({ errors: [{ message: "Assignee must be an existing user", path: ["assigned_to"] }] });
+      }
+
+      await updateSeries(id, changes, actorOf(req));
+      res.status(200).json(await loadSeries(id));
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Update Series Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while updating the series.");
+    }
+  },
+
+  // Stops the series; its existing occurrences are kept
+  endSeries: async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!await SeriesModel.findById(id)) return sendApiError(res, 404, `Series with ID ${req.params.id} could not be found.`);
+
+      await updateSeries(id, { recurrence: null }, actorOf(req));
+      res.status(204).send();
+    } catch (error) {
+      console.error("End Series Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while ending the series.");
+    }
+  }
+};
+
+module.exports = SeriesController;
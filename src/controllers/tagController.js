@@ -0,0 +1,44 @@
+const { z } = require('zod');
+const TagModel = require('../models/tagModel');
+const { tagNameSchema, tagRenameSchema } = require('../schemas/tagSchema');
+const { sendApiError, actorOf } = require('../utils/apiHelper');
+
+// ==========================================
+// TAG CONTROLLER (API only)
+// ==========================================
+const TagController = {
+
+  getTags: async (req, res) => {
+    try {
+      const tags = await TagModel.findAll();
+      res.status(200).json(tags);
+    } catch (error) {
+      console.error("List Tags Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving tags.");
+    }
+  },
+
+  renameTag: async (req, res) => {
+    try {
+      const name = tagNameSchema.parse(req.params.name);
+      const { name: newName } = tagRenameSchema.parse(req.body);
+
+      if (newName === name) {
+        return res.status(400).json({ errors: [{ message: "The new name is the same as the current one", path: ["name"] }] });
+      }
+
+      const result = await TagModel.rename(name, newName, actorOf(req));
+      if (!result) return sendApiError(res, 404, `Tag '${name}' could not be found.`);
+
+      res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Rename Tag Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while renaming the tag.");
+    }
+  }
+};
+
+module.exports = TagController;
@@ -1,10 +1,248 @@
 const { z } = require('zod');
 const TaskModel = require('../models/taskModel');
-const { sendApiError } = require('../utils/apiHelper'); 
+const UserModel = require('../models/userModel');
+const TagModel = require('../models/tagModel');
+const CommentModel = require('../models/commentModel');
+const AttachmentModel = require('../models/attachmentModel');
+const TaskRelationModel = require('../models/taskRelationModel');
+const SeriesModel = require('../models/seriesModel');
+const AttachmentService = require('../services/attachmentService');
+const { SERIES_FIELDS, updateSeries } = require('../services/recurrenceService');
+const { applyWorkingDayDeadline, dueDateWarning } = require('../services/calendarService');
+const { streamExport } = require('../services/exportService');
+const { receiveFile } = require('../utils/upload');
+const { sendApiError, buildPageLinks, taskETag, parseIfMatch, actorOf } = require('../utils/apiHelper'); 
 const taskSchema  = require('../schemas/taskSchema');
-const { generateChangeLog } = require('../services/auditService');
-const { buildErrorList } = require('../utils/viewHelper');
+const taskQuerySchema = require('../schemas/taskQuerySchema');
+const taskExportQuerySchema = require('../schemas/taskExportQuerySchema');
+const commentSchema = require('../schemas/commentSchema');
+const { generateChangeLog, compareFields, loadAuditContext } = require('../services/auditService');
+const { buildErrorList, buildPagination } = require('../utils/viewHelper');
+const settings = require('../config/settings');
 const formatDate = require('../utils/formatDate');
+const { normaliseCaseReference } = require('../utils/caseReference');
+const { toTagList } = require('../utils/tags');
+const { can } = require('../auth/permissions');
+const { statusCodes, statusLabel, canTransition, allowedTransitions } = require('../utils/workflow');
+const sendVersionConflict = (res, taskId) => sendApiError(res, 412,
+  `Task ${taskId} has been changed by someone else since you fetched it. Fetch the latest version and try again.`
+);
+
+// Applies If-Match to an API write. Sends the Problem JSON itself when the
+// precondition fails; otherwise returns the version the write must still match.
+const checkPrecondition = (req, res, task) => {
+  const ifMatch = parseIfMatch(req.get('If-Match'));
+
+  if (!ifMatch) {
+    if (!settings.requireIfMatch) return { passed: true };
+    sendApiError(res, 428, `Changing task ${task.id} requires an If-Match header containing its current ETag.`);
+    return { passed: false };
+  }
+
+  if (ifMatch !== '*' && !ifMatch.includes(task.version)) {
+    sendVersionConflict(res, task.id);
+    return { passed: false };
+  }
+
+  return { passed: true, expectedVersion: task.version };
+};
+
+// Server-side pagination for SSR lists: clamps the requested page to the available range
+const resolvePage = (requestedPage, totalTasks, pageSize) => {
+  const totalPages = Math.max(Math.ceil(totalTasks / pageSize), 1);
+  const currentPage = Math.min(Math.max(parseInt(requestedPage, 10) || 1, 1), totalPages);
+  return { currentPage, totalPages, offset: (currentPage - 1) * pageSize };
+};
+
+// TaskModel filters from a validated list query (taskQuerySchema). Null when
+// assignee=me comes from an API key, which acts for a system, not a person
+const toListFilters = (req, { q, status, assignee, tag, tagMatch, ...ranges }) => {
+  const filters = { statusFilters: status, search: q, tags: tag, tagMatch, ...ranges };
+
+  if (assignee === 'me') {
+    if (!req.user) return null;
+    filters.assignedTo = req.user.id;
+  } else if (assignee === 'none') {
+    filters.assignedTo = null;
+  } else if (assignee !== undefined) {
+    filters.assignedTo = assignee;
+  }
+  return filters;
+};
+
+const sendAssigneeMeError = (res) => res.status(400).json({
+  errors: [{ message: "assignee=me needs a signed-in user, not an API key", path: ["assignee"] }]
+});
+
+// Returns an error message when assigned_to names a user who does not exist
+const checkAssignee = async (assignedTo) => {
+  if (!assignedTo) return null;
+  const user = await UserModel.findById(assignedTo);
+  return user ? null : "Assignee must be an existing user";
+};
+
+// Returns an error message when the caller may not change the task's assignee to assignedTo.
+// Reassigning needs task:assign; anyone else can only take a task nobody has.
+const checkReassign = (req, task, assignedTo) => {
+  if (assignedTo === undefined || assignedTo === task.assigned_to) return null;
+  if (can(req.user || req.apiKey, 'task:assign')) return null;
+  if (req.user && assignedTo === req.user.id && !task.assigned_to) return null;
+  return "Only a team leader or admin can reassign a task that is already assigned, or unassign it.";
+};
+
+// Returns an error message when the caller may not create a task assigned to assignedTo.
+// As with taking an unassigned task, anyone can assign a new task to themselves
+const checkNewAssignee = (req, assignedTo) =>
+  checkReassign(req, { assigned_to: null }, assignedTo) && "Only a team leader or admin can assign a task to someone else.";
+
+// Returns an error message when parent_id cannot be the task's parent.
+// taskId is omitted for a new task, which has no subtasks yet.
+const checkParent = async (parentId, taskId) => {
+  if (!parentId) return null;
+  if (!await TaskModel.findById(parentId)) return "Parent task must be an existing task";
+  if (taskId && await TaskRelationModel.isSelfOrDescendant(taskId, parentId)) {
+    return "A task cannot be a subtask of itself or of one of its own subtasks";
+  }
+  return null;
+};
+
+// Returns an error message when the workflow does not allow the task's status to move to newStatus
+const checkTransition = (task, newStatus) => {
+  if (!newStatus || canTransition(task.status, newStatus)) return null;
+  const allowed = allowedTransitions(task.status).map(statusLabel);
+  return `Task ${task.id} cannot move from ${statusLabel(task.status)} to ${statusLabel(newStatus)}. ` +
+    (allowed.length ? `It can move to ${allowed.join(', ')}` : `${statusLabel(task.status)} is a final status`);
+};
+
+// Returns an error message when the change would complete a task that is still blocked.
+// A blocked task can still be cancelled: dropping it does not need the blockers done
+const checkBlockers = async (task, newStatus) => {
+  if (newStatus !== 'COMPLETED' || task.status === 'COMPLETED') return null;
+  const blockers = await TaskRelationModel.findOpenBlockers(task.id);
+  if (blockers.length === 0) return null;
+  return `Task ${task.id} cannot be completed while it is blocked by ` +
+    blockers.map(blocker => `#${blocker.id} '${blocker.title}'`).join(', ');
+};
+
+// Returns an error message when the change would alter how a task in a series repeats;
+// that is a change to the whole series, not to one occurrence
+const checkRecurrence = (task, recurrence) => {
+  if (recurrence === undefined || !task.recurrence || (recurrence || null) === task.recurrence) return null;
+  return `Task ${task.id} repeats as part of series #${task.series_id}. ` +
+    "Change how it repeats on the whole series instead";
+};
+
+// Splits a validated update into the task's own changes and the update options:
+// a task already in a series keeps its rule; any other task given a rule starts a series
+const planRecurrence = (task, data) => {
+  const { recurrence, ...taskData } = data;
+  if (task.recurrence || !recurrence) return { taskData, startSeries: false };
+  return { taskData: { ...taskData, recurrence }, startSeries: true };
+};
+
+// "Assigned to" select for the create and edit forms
+const buildAssigneeItems = async (selectedId) => {
+  const users = await UserModel.findAll();
+  const selected = selectedId ? Number(selectedId) : null;
+  return [
+    { value: '', text: 'Unassigned', selected: !selected },
+    ...users.map(user => ({ value: String(user.id), text: user.display_name, selected: user.id === selected }))
+  ];
+};
+
+const loadHistory = async (taskId) => {
+  const historyRaw = await TaskModel.getHistory(taskId);
+  return historyRaw.map(h => ({
+    summary: h.change_summary,
+    changed_at: formatDate(h.changed_at),
+    changed_by: h.changed_by
+  }));
+};
+
+// The panels beside and beneath the edit form, for a saved task
+const loadEditPanels = async (taskId) => {
+  const subtasks = await TaskRelationModel.findChildren(taskId);
+  return {
+    history: await loadHistory(taskId),
+    comments: await CommentModel.findByTask(taskId),
+    attachments: await AttachmentModel.findByTask(taskId),
+    attachmentRules: { maxSizeMb: settings.attachmentMaxSizeMb, types: settings.attachmentTypes },
+    subtasks,
+    subtasksCompleted: subtasks.filter(subtask => subtask.status === 'COMPLETED').length,
+    blockers: await TaskRelationModel.findBlockers(taskId),
+    blocking: await TaskRelationModel.findBlocking(taskId),
+    series: await SeriesModel.findActiveByTask(taskId)
+  };
+};
+
+// Re-renders the create form with what was typed and the problems found
+// (errors maps each field to its messages, like zod's fieldErrors)
+const renderCreateError = async (res, submitted, errors) => {
+  return res.status(400).render('create.html', {
+    task: submitted,
+    errors,
+    errorList: buildErrorList(errors),
+    assigneeItems: await buildAssigneeItems(submitted.assigned_to)
+  });
+};
+
+// Re-renders the edit form with what was typed and the problems found. status is 400
+// for invalid input, 409 when the workflow or a blocker stands in the way
+const renderEditError = async (res, existingTask, submitted, errors, status = 400) => {
+  return res.status(status).render('edit.html', {
+    task: { ...submitted, id: existingTask.id, due_date_input: submitted.due_date, saved_status: existingTask.status },
+    errors,
+    errorList: buildErrorList(errors),
+    ...await loadEditPanels(existingTask.id),
+    assigneeItems: await buildAssigneeItems(submitted.assigned_to)
+  });
+};
+
+// Re-renders the edit page when the comment or attachment form has a problem
+const renderEditFormError = async (res, status, task, field, message, locals = {}) => {
+  return res.status(status).render('edit.html', {
+    task,
+    errors: { [field]: [message] },
+    errorList: [{ text: message, href: `#${field}` }],
+    ...await loadEditPanels(task.id),
+    assigneeItems: await buildAssigneeItems(task.assigned_to),
+    ...locals
+  });
+};
+
+// Re-renders the edit form after someone else saved the task first.
+// The caseworker keeps what they typed; the form now carries the latest
+// version, so saving again deliberately overwrites the other person's changes.
+const renderEditConflict = async (res, latestTask, submitted) => {
+  const conflicts = compareFields(latestTask, submitted,
+    await loadAuditContext(latestTask.assigned_to, submitted.assigned_to));
+  const message = "This task was changed by someone else while you were editing it. " +
+    "Check their changes, then save again to keep your version.";
+
+  return res.status(409).render('edit.html', {
+    task: { ...submitted, id: latestTask.id, version: latestTask.version, saved_status: latestTask.status },
+    errors: {},
+    errorList: [{ text: message, href: "#conflict-details" }],
+    conflicts,
+    ...await loadEditPanels(latestTask.id),
+    assigneeItems: await buildAssigneeItems(submitted.assigned_to)
+  });
+};
+
+// Sets (or clears) the assignee. Shared by the assign, unassign and take actions;
+// resolves the updated task, or null when someone else saved the task first.
+const reassign = async (req, task, assignedTo, expectedVersion) => {
+  const changes = generateChangeLog(task, { assigned_to: assignedTo }, await loadAuditContext(task.assigned_to, assignedTo));
+  if (changes.length === 0) return task; // Already assigned that way
+
+  return TaskModel.update(
+    task.id,
+    { ...task, assigned_to: assignedTo, updated_at: new Date().toISOString() },
+    changes.join('\n'),
+    { expectedVersion, ...actorOf(req) }
+  );
+};
+
 // ==========================================
 // CONTROLLER
 // ==========================================
@@ -12,41 +250,50 @@ const TaskController = {
   
   // --- SSR ROUTES (Returning HTML) ---
   // --- DISPLAY CREATE TASK FORM ---
-  getCreatePage: (req, res) => {
+  getCreatePage: async (req, res) => {
     const now = new Date();
     const pad = n => n.toString().padStart(2, '0');
     const defaultDate =
       `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}T` +
       `${pad(now.getHours())}:${pad(now.getMinutes())}`;
 
+    // New tasks default to the person creating them, so they show under "My tasks".
+    // "Add a subtask" on the edit page links here with ?parent_id=
     res.render('create.html', { 
       errors: {}, 
-      task: { due_date: defaultDate } 
+      task: { due_date: defaultDate, parent_id: req.query.parent_id },
+      assigneeItems: await buildAssigneeItems(req.user.id)
     });
   },
   // --- HANDLE CREATE TASK FORM SUBMISSION ---
   postCreateTask: async (req, res) => {
     try {
-      const validation = taskSchema.safeParse(req.body);
+      // "Due in working days" wins over the date field when both are filled in
+      const deadline = await applyWorkingDayDeadline(req.body, { overrideDueDate: true });
+      if (deadline.error) {
+        return renderCreateError(res, req.body, { due_in_working_days: [deadline.error] });
+      }
+
+      const validation = taskSchema.safeParse(deadline.data);
       // Validation Failed
       if (!validation.success) {
-        const fieldErrors = validation.error.flatten().fieldErrors;
-        const errorList = buildErrorList(fieldErrors);
-        return res.render('create.html', {
-          errors: fieldErrors,
-          task: req.body,
-          errorList: errorList
-        });
+        return renderCreateError(res, req.body, validation.error.flatten().fieldErrors);
       }
       // Due Date must be in the future
       const data = validation.data;
       const dueDate = new Date(data.due_date);
       if (dueDate < new Date()) {
-        return res.render('create.html', {
-          task: req.body,
-          errors: { due_date: ["Due date must be in the future"] },
-          errorList: [{ text: "Due date must be in the future", href: "#due_date" }]
-        });
+        return renderCreateError(res, req.body, { due_date: ["Due date must be in the future"] });
+      }
+      const newAssigneeError = checkNewAssignee(req, data.assigned_to);
+      if (newAssigneeError) return res.status(403).render('error.html', { message: newAssigneeError });
+      const assigneeError = await checkAssignee(data.assigned_to);
+      if (assigneeError) {
+        return renderCreateError(res, req.body, { assigned_to: [assigneeError] });
+      }
+      const parentError = await checkParent(data.parent_id);
+      if (parentError) {
+        return renderCreateError(res, req.body, { parent_id: [parentError] });
       }
       // Create Task
       const taskToCreate = {
@@ -55,7 +302,10 @@ const TaskController = {
         updated_at: new Date().toISOString()
       };
       // Save to DB
-      const newTask = await TaskModel.create(taskToCreate);
+      const newTask = await TaskModel.create(taskToCreate, actorOf(req));
+
+      // A due date on a weekend or bank holiday is allowed, but shown on the task straight away
+      if (await dueDateWarning(newTask.due_date)) return res.redirect(`/edit-task/${newTask.id}?saved=true`);
       res.redirect('/');
     // Error Handling
     } catch (error) {
@@ -69,60 +319,173 @@ const TaskController = {
       const task = await TaskModel.findById(req.params.id);
       if (!task) return res.status(404).render('error.html', { message: "Task not found" });
       // Format due_date for datetime-local input
-      const historyRaw = await TaskModel.getHistory(req.params.id);
-      const history = historyRaw.map(h => ({
-        summary: h.change_summary,
-        changed_at: formatDate(h.changed_at) 
-      }));
-
-      res.render('edit.html', { task, errors: {}, history });
+      const records = await loadEditPanels(task.id);
+
+      res.render('edit.html', {
+        task,
+        errors: {},
+        ...records,
+        saved: req.query.saved === 'true',
+        dueDateWarning: await dueDateWarning(task.due_date),
+        assigneeItems: await buildAssigneeItems(task.assigned_to)
+      });
     } catch (error) {
       console.error("Edit Page Error:", error);
-      res.render('edit.html', { task: {}, errors: {}, history: [] });
+      res.render('edit.html', { task: {}, errors: {}, history: [], comments: [], attachments: [], assigneeItems: [] });
     }
   },
 
-  postEditTask: async (req, res) => {
+  // "Add comment" form beneath the history panel
+  postAddComment: async (req, res) => {
     try {
       const taskId = parseInt(req.params.id, 10);
-      const validation = taskSchema.safeParse(req.body);
-      
+      const task = await TaskModel.findById(taskId);
+      if (!task) return res.status(404).render('error.html', { message: "Task not found." });
+
+      const validation = commentSchema.safeParse(req.body);
       if (!validation.success) {
-        const fieldErrors = validation.error.flatten().fieldErrors;
+        return renderEditFormError(res, 400, task, 'comment', validation.error.errors[0].message, { commentBody: req.body.body });
+      }
 
-        const errorList = buildErrorList(fieldErrors);
+      await CommentModel.create(taskId, validation.data.body, actorOf(req));
+      res.redirect(`/edit-task/${taskId}#comments`);
+    } catch (error) {
+      console.error("Add Comment Error:", error);
+      res.status(500).render('error.html', { message: "Could not add the comment." });
+    }
+  },
 
-        return res.render('edit.html', {
-          task: { ...req.body, id: taskId, due_date_input: req.body.due_date },
-          errors: fieldErrors,
-          errorList: errorList
-        });
+  // "Attach a file" form on the edit page
+  postAddAttachment: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const task = await TaskModel.findById(taskId);
+      if (!task) return res.status(404).render('error.html', { message: "Task not found." });
+
+      let file;
+      try {
+        file = await receiveFile(req, res);
+      } catch (uploadError) {
+        if (!uploadError.status) throw uploadError;
+        return renderEditFormError(res, uploadError.status, task, 'file', uploadError.message);
       }
 
-      const newData = validation.data;
+      const problem = AttachmentService.checkFile(file);
+      if (problem) return renderEditFormError(res, problem.status, task, 'file', problem.message);
+
+      await AttachmentService.attach(taskId, file, actorOf(req));
+      res.redirect(`/edit-task/${taskId}#attachments`);
+    } catch (error) {
+      console.error("Add Attachment Error:", error);
+      res.status(500).render('error.html', { message: "Could not attach the file." });
+    }
+  },
+
+  postRemoveAttachment: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const task = await TaskModel.findById(taskId);
+      const removed = task && await AttachmentService.detach(taskId, parseInt(req.params.attachmentId, 10), actorOf(req));
+      if (!removed) return res.status(404).render('error.html', { message: "Attachment not found." });
+
+      res.redirect(`/edit-task/${taskId}#attachments`);
+    } catch (error) {
+      console.error("Remove Attachment Error:", error);
+      res.status(500).render('error.html', { message: "Could not remove the attachment." });
+    }
+  },
+
+  postEditTask: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
       const existingTask = await TaskModel.findById(taskId);
       if (!existingTask) return res.status(404).render('error.html', { message: "Task not found." });
 
+      const deadline = await applyWorkingDayDeadline(req.body, { overrideDueDate: true });
+      if (deadline.error) {
+        return renderEditError(res, existingTask, req.body, { due_in_working_days: [deadline.error] });
+      }
+
+      const validation = taskSchema.safeParse(deadline.data);
+      
+      if (!validation.success) {
+        return renderEditError(res, existingTask, req.body, validation.error.flatten().fieldErrors);
+      }
+
+      const newData = validation.data;
+
       if (newData.due_date && newData.due_date !== existingTask.due_date) {
         const due = new Date(newData.due_date);
         if (due < new Date()) {
-          return res.render('edit.html', {
-            task: { ...req.body, id: taskId, due_date_input: req.body.due_date },
-            errors: { due_date: ["Due date must be in the future"] },
-            errorList: [{ text: "Due date must be in the future", href: "#due_date" }]
-          });
+          return renderEditError(res, existingTask, req.body, { due_date: ["Due date must be in the future"] });
         }
       }
 
-      const changes = generateChangeLog(existingTask, newData);
+      const reassignError = checkReassign(req, existingTask, newData.assigned_to);
+      if (reassignError) return res.status(403).render('error.html', { message: reassignError });
+
+      const assigneeError = await checkAssignee(newData.assigned_to);
+      if (assigneeError) {
+        return renderEditError(res, existingTask, req.body, { assigned_to: [assigneeError] });
+      }
+
+      const parentError = await checkParent(newData.parent_id, taskId);
+      if (parentError) {
+        return renderEditError(res, existingTask, req.body, { parent_id: [parentError] });
+      }
+
+      // Changing how a task repeats only makes sense for its whole series
+      const applyToSeries = Boolean(existingTask.series_id) && req.body.apply_to === 'series';
+      const recurrenceError = applyToSeries ? null : checkRecurrence(existingTask, newData.recurrence);
+      if (recurrenceError) {
+        return renderEditError(res, existingTask, req.body, { recurrence: [recurrenceError] });
+      }
+
+      const transitionError = checkTransition(existingTask, newData.status);
+      if (transitionError) {
+        return renderEditError(res, existingTask, req.body, { status: [transitionError] }, 409);
+      }
+
+      const blockedError = await checkBlockers(existingTask, newData.status);
+      if (blockedError) {
+        return renderEditError(res, existingTask, req.body, { status: [blockedError] }, 409);
+      }
+
+      // Optimistic concurrency: the form carries the version it was loaded from
+      const submittedVersion = parseInt(req.body.version, 10);
+      const expectedVersion = Number.isNaN(submittedVersion) ? undefined : submittedVersion;
+      if (expectedVersion !== undefined && expectedVersion !== existingTask.version) {
+        return renderEditConflict(res, existingTask, req.body);
+      }
+
+      const { taskData, startSeries } = planRecurrence(existingTask, newData);
+      const changes = generateChangeLog(existingTask, taskData,
+        await loadAuditContext(existingTask.assigned_to, taskData.assigned_to));
       const changeSummary = changes.length ? changes.join('\n') : null;
 
-      await TaskModel.update(
+      const updatedTask = await TaskModel.update(
         taskId,
-        { ...existingTask, ...newData, updated_at: new Date().toISOString() },
-        changeSummary
+        { ...existingTask, ...taskData, updated_at: new Date().toISOString() },
+        changeSummary,
+        { expectedVersion, startSeries, ...actorOf(req) }
       );
 
+      // Someone saved between our read and our write
+      if (!updatedTask) {
+        const latestTask = await TaskModel.findById(taskId);
+        if (!latestTask) return res.status(404).render('error.html', { message: "Task not found." });
+        return renderEditConflict(res, latestTask, req.body);
+      }
+
+      // The same changes then go to the series template and its other open occurrences
+      if (applyToSeries) {
+        const seriesChanges = Object.fromEntries(SERIES_FIELDS.filter(key => key in newData).map(key => [key, newData[key]]));
+        await updateSeries(existingTask.series_id, seriesChanges, actorOf(req));
+      }
+
+      if (newData.due_date !== existingTask.due_date && await dueDateWarning(updatedTask.due_date)) {
+        return res.redirect(`/edit-task/${taskId}?saved=true`);
+      }
       res.redirect('/');
 
     } catch (error) {
@@ -148,35 +511,155 @@ const TaskController = {
 
   postDeleteTask: async (req, res) => {
     try {
-      await TaskModel.delete(req.params.id);
+      await TaskModel.delete(req.params.id, actorOf(req));
       res.redirect('/');
     } catch (error) {
       res.status(500).render('error.html', { message: "Could not delete task" });
     }
   },
 
+  // --- ASSIGNMENT (take / unassign buttons on the edit page) ---
+  postTakeTask: async (req, res) => {
+    await TaskController.postReassign(req, res, req.user.id);
+  },
+
+  postUnassignTask: async (req, res) => {
+    await TaskController.postReassign(req, res, null);
+  },
+
+  postReassign: async (req, res, assignedTo) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const task = await TaskModel.findById(taskId);
+      if (!task) return res.status(404).render('error.html', { message: "Task not found." });
+
+      const reassignError = checkReassign(req, task, assignedTo);
+      if (reassignError) return res.status(403).render('error.html', { message: reassignError });
+
+      const updated = await reassign(req, task, assignedTo, task.version);
+      if (!updated) {
+        return res.status(409).render('error.html', {
+          message: "This task was changed by someone else at the same time. Go back to the task and try again."
+        });
+      }
+      res.redirect(`/edit-task/${taskId}`);
+    } catch (error) {
+      console.error("Reassign Task Error:", error);
+      res.status(500).render('error.html', { message: "Could not change who the task is assigned to." });
+    }
+  },
+
+  // --- RECENTLY DELETED (RESTORE BIN) ---
+  getDeletedTasksPage: async (req, res) => {
+    try {
+      const filters = { deleted: 'only' };
+
+      const pageSize = settings.homePageSize;
+      const totalTasks = await TaskModel.countAll(filters);
+      const { currentPage, totalPages, offset } = resolvePage(req.query.page, totalTasks, pageSize);
+
+      // Most recently deleted first
+      const tasks = await TaskModel.findAll({
+        ...filters,
+        sortBy: 'deleted_at',
+        sortOrder: 'DESC',
+        limit: pageSize,
+        offset
+      });
+
+      // Confirmation banner after a restore (PRG pattern)
+      const restoredId = parseInt(req.query.restored, 10);
+      const restoredTask = restoredId ? await TaskModel.findById(restoredId) : null;
+
+      res.render('deleted.html', {
+        tasks,
+        restoredTask,
+        retentionDays: settings.retentionDays,
+        pagination: buildPagination(currentPage, totalPages, page => `/deleted-tasks?page=${page}`)
+      });
+    } catch (error) {
+      console.error("Deleted Tasks Page Error:", error);
+      res.status(500).render('error.html', { message: "Server Error" });
+    }
+  },
+
+  postRestoreTask: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const restored = await TaskModel.restore(taskId, actorOf(req));
+      if (!restored) return res.status(404).render('error.html', { message: "Deleted task not found" });
+
+      res.redirect(`/deleted-tasks?restored=${taskId}`);
+    } catch (error) {
+      console.error("Restore Task Error:", error);
+      res.status(500).render('error.html', { message: "Could not restore task" });
+    }
+  },
+
   getHomePage: async (req, res) => {
     try {
       let statuses = req.query.status;
       if (!statuses) {
-          statuses = ['PENDING', 'IN_PROGRESS', 'COMPLETED']; 
+          statuses = statusCodes();
       } else if (typeof statuses === 'string') {
           statuses = [statuses];
       }
       const sort = req.query.sort || 'due_date';
       const order = req.query.order || 'ASC';
+      const search = (req.query.q || '').trim();
+      // "My tasks" by default; "All tasks" on request
+      const view = req.query.view === 'all' ? 'all' : 'mine';
+      const caseRef = normaliseCaseReference(req.query.caseRef || '');
+      const selectedTags = toTagList(req.query.tag);
+      const tagMatch = req.query.tagMatch === 'all' ? 'all' : 'any';
+      const filters = { statusFilters: statuses, search, caseReference: caseRef, tags: selectedTags, tagMatch };
+      if (view === 'mine') filters.assignedTo = req.user.id;
+
+      // Server-side pagination
+      const pageSize = settings.homePageSize;
+      const totalTasks = await TaskModel.countAll(filters);
+      const { currentPage, totalPages, offset } = resolvePage(req.query.page, totalTasks, pageSize);
 
       const tasks = await TaskModel.findAll({ 
-        statusFilters: statuses, 
+        ...filters,
         sortBy: sort, 
-        sortOrder: order 
+        sortOrder: order,
+        limit: pageSize,
+        offset,
+        workingDaysOverdue: true
       });
 
+      // Page links keep the current filters and sort
+      const hrefFor = (page) => {
+        const params = new URLSearchParams({ view });
+        statuses.forEach(s => params.append('status', s));
+        if (search) params.set('q', search);
+        if (caseRef) params.set('caseRef', caseRef);
+        selectedTags.forEach(t => params.append('tag', t));
+        if (selectedTags.length) params.set('tagMatch', tagMatch);
+        params.set('sort', sort);
+        params.set('order', order);
+        params.set('page', page);
+        return `/?${params.toString()}`;
+      };
+
       res.render('index.html', { 
         tasks, 
         selectedStatus: statuses,
+        search,
+        caseRef,
+        allTags: await TagModel.findAll(),
+        selectedTags,
+        tagMatch,
+        view,
         currentSort: sort,
-        currentOrder: order
+        currentOrder: order,
+        pagination: buildPagination(currentPage, totalPages, hrefFor),
+        resultsSummary: {
+          from: totalTasks ? offset + 1 : 0,
+          to: offset + tasks.length,
+          total: totalTasks
+        }
       });
     } catch (error) {
       console.error(error);
@@ -188,14 +671,57 @@ const TaskController = {
 
   getAllTasks: async (req, res) => {
     try {
-      const tasks = await TaskModel.findAll();
-      res.status(200).json(tasks);
+      const query = taskQuerySchema.safeParse(req.query);
+      if (!query.success) {
+        // Keeping Zod structure for consistency with body validation
+        return res.status(400).json({ errors: query.error.errors });
+      }
+
+      const { sortBy, order, limit, offset, workingDaysOverdue, ...filterQuery } = query.data;
+      const filters = toListFilters(req, filterQuery);
+      if (!filters) return sendAssigneeMeError(res);
+
+      const [tasks, total] = await Promise.all([
+        TaskModel.findAll({ ...filters, sortBy, sortOrder: order, limit, offset, workingDaysOverdue }),
+        TaskModel.countAll(filters)
+      ]);
+
+      res.status(200).json({
+        data: tasks,
+        meta: { total, limit, offset },
+        links: buildPageLinks(req, { total, limit, offset })
+      });
     } catch (error) {
+      console.error("List Tasks Error:", error);
       // FIX: Standardized 500
       sendApiError(res, 500, "An unexpected error occurred while retrieving tasks.");
     }
   },
 
+  // Every task matching the list filters, as a CSV or Excel download
+  exportTasks: async (req, res) => {
+    try {
+      const query = taskExportQuerySchema.safeParse(req.query);
+      if (!query.success) {
+        return res.status(400).json({ errors: query.error.errors });
+      }
+
+      // The home page's "My tasks" view is assignee=me
+      const { format, view, caseRef, sort, sortBy, order, ...filterQuery } = query.data;
+      if (view === 'mine' && filterQuery.assignee === undefined) filterQuery.assignee = 'me';
+      const filters = toListFilters(req, filterQuery);
+      if (!filters) return sendAssigneeMeError(res);
+      if (caseRef) filters.caseReference = caseRef;
+
+      await streamExport(res, format, { ...filters, sortBy: sort || sortBy, sortOrder: order });
+    } catch (error) {
+      console.error("Export Tasks Error:", error);
+      // Once the download has started, all that can be done is to cut it short
+      if (res.headersSent) return res.destroy();
+      sendApiError(res, 500, "An unexpected error occurred while exporting tasks.");
+    }
+  },
+
   getTaskById: async (req, res) => {
     try {
       const task = await TaskModel.findById(req.params.id);
@@ -203,6 +729,7 @@ const TaskController = {
         // FIX: Standardized 404
         return sendApiError(res, 404, `Task with ID ${req.params.id} could not be found.`);
       }
+      res.set('ETag', taskETag(task));
       res.status(200).json(task);
     } catch (error) {
       // FIX: Standardized 500
@@ -212,7 +739,11 @@ const TaskController = {
 
   createTask: async (req, res) => {
     try {
-      const validatedData = taskSchema.parse(req.body);
+      const deadline = await applyWorkingDayDeadline(req.body);
+      if (deadline.error) {
+        return res.status(400).json({ errors: [{ message: deadline.error, path: ["due_in_working_days"] }] });
+      }
+      const validatedData = taskSchema.parse(deadline.data);
 
       if (validatedData.due_date) {
         const dueDate = new Date(validatedData.due_date);
@@ -227,6 +758,19 @@ const TaskController = {
         }
       }
 
+      const newAssigneeError = checkNewAssignee(req, validatedData.assigned_to);
+      if (newAssigneeError) return sendApiError(res, 403, newAssigneeError);
+
+      const assigneeError = await checkAssignee(validatedData.assigned_to);
+      if (assigneeError) {
+        return res.status(400).json({ errors: [{ message: assigneeError, path: ["assigned_to"] }] });
+      }
+
+      const parentError = await checkParent(validatedData.parent_id);
+      if (parentError) {
+        return res.status(400).json({ errors: [{ message: parentError, path: ["parent_id"] }] });
+      }
+
       const now = new Date().toISOString();
       const taskData = {
         ...validatedData,
@@ -234,8 +778,10 @@ const TaskController = {
         updated_at: now
       };
 
-      const newTask = await TaskModel.create(taskData);
-      res.status(201).json(newTask);
+      const newTask = await TaskModel.create(taskData, actorOf(req));
+      const warning = await dueDateWarning(newTask.due_date);
+      res.set('ETag', taskETag(newTask));
+      res.status(201).json(warning ? { ...newTask, warnings: [warning] } : newTask);
 
     } catch (error) {
       if (error instanceof z.ZodError) {
@@ -258,7 +804,14 @@ const TaskController = {
         return sendApiError(res, 404, `Task with ID ${id} could not be found.`);
       }
 
-      const validatedData = taskSchema.partial().parse(req.body);
+      const precondition = checkPrecondition(req, res, existingTask);
+      if (!precondition.passed) return;
+
+      const deadline = await applyWorkingDayDeadline(req.body);
+      if (deadline.error) {
+        return res.status(400).json({ errors: [{ message: deadline.error, path: ["due_in_working_days"] }] });
+      }
+      const validatedData = taskSchema.partial().parse(deadline.data);
       const { created_at, updated_at, deleted_at, ...allowedData } = validatedData;
 
       if (allowedData.due_date && allowedData.due_date !== existingTask.due_date) {
@@ -274,17 +827,53 @@ const TaskController = {
         }
       }
 
-      const changes = generateChangeLog(existingTask, allowedData);
+      const reassignError = checkReassign(req, existingTask, allowedData.assigned_to);
+      if (reassignError) return sendApiError(res, 403, reassignError);
+
+      const assigneeError = await checkAssignee(allowedData.assigned_to);
+      if (assigneeError) {
+        return res.status(400).json({ errors: [{ message: assigneeError, path: ["assigned_to"] }] });
+      }
+
+      const parentError = await checkParent(allowedData.parent_id, id);
+      if (parentError) {
+        return res.status(400).json({ errors: [{ message: parentError, path: ["parent_id"] }] });
+      }
+
+      const recurrenceError = checkRecurrence(existingTask, allowedData.recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({
+          errors: [{ message: `${recurrenceError} (PATCH /api/v1/series/${existingTask.series_id})`, path: ["recurrence"] }]
+        });
+      }
+
+      const transitionError = checkTransition(existingTask, allowedData.status);
+      if (transitionError) return sendApiError(res, 409, transitionError);
+
+      const blockedError = await checkBlockers(existingTask, allowedData.status);
+      if (blockedError) return sendApiError(res, 409, blockedError);
+
+      const { taskData, startSeries } = planRecurrence(existingTask, allowedData);
+      const changes = generateChangeLog(existingTask, taskData,
+        await loadAuditContext(existingTask.assigned_to, taskData.assigned_to));
       const changeSummary = changes.length ? changes.join("\n") : null;
 
       const updatedTask = await TaskModel.update(
         id,
-        { ...existingTask, ...allowedData, updated_at: new Date().toISOString() },
-        changeSummary
+        { ...existingTask, ...taskData, updated_at: new Date().toISOString() },
+        changeSummary,
+        { expectedVersion: precondition.expectedVersion, startSeries, ...actorOf(req) }
       );
 
+      // Lost the race to another writer after the precondition check
+      if (!updatedTask) {
+        return sendVersionConflict(res, id);
+      }
+
       const history = await TaskModel.getHistory(id);
-      res.status(200).json({ ...updatedTask, history });
+      const warning = allowedData.due_date && await dueDateWarning(updatedTask.due_date);
+      res.set('ETag', taskETag(updatedTask));
+      res.status(200).json({ ...updatedTask, history, ...(warning && { warnings: [warning] }) });
 
     } catch (error) {
       if (error instanceof z.ZodError) {
@@ -306,7 +895,13 @@ const TaskController = {
         return sendApiError(res, 404, `Task with ID ${taskId} could not be found.`);
       }
 
-      await TaskModel.delete(taskId);
+      const precondition = checkPrecondition(req, res, existingTask);
+      if (!precondition.passed) return;
+
+      const deleted = await TaskModel.delete(taskId, { expectedVersion: precondition.expectedVersion, ...actorOf(req) });
+      if (!deleted) {
+        return sendVersionConflict(res, taskId);
+      }
       res.status(204).send();
     } catch (error) {
       console.error("Delete Task Error:", error);
@@ -315,6 +910,87 @@ const TaskController = {
     }
   },
 
+  restoreTask: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const task = await TaskModel.findById(taskId, { includeDeleted: true });
+
+      if (!task) {
+        return sendApiError(res, 404, `Task with ID ${taskId} could not be found.`);
+      }
+      if (!task.deleted_at) {
+        return sendApiError(res, 409, `Task ${taskId} is not deleted, so there is nothing to restore.`);
+      }
+      if (task.redacted_at) {
+        return sendApiError(res, 409, `Task ${taskId} was redacted under the retention policy and cannot be restored.`);
+      }
+
+      const restoredTask = await TaskModel.restore(taskId, actorOf(req));
+      // Restored by someone else between our read and our write
+      if (!restoredTask) {
+        return sendApiError(res, 409, `Task ${taskId} is not deleted, so there is nothing to restore.`);
+      }
+
+      res.set('ETag', taskETag(restoredTask));
+      res.status(200).json(restoredTask);
+    } catch (error) {
+      console.error("Restore Task Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while restoring the task.");
+    }
+  },
+
+  // --- ASSIGNMENT ACTIONS (API) ---
+  assignTask: async (req, res) => {
+    const body = z.object({ assigned_to: z.number().int().positive() }).safeParse(req.body);
+    if (!body.success) {
+      return res.status(400).json({ errors: body.error.errors });
+    }
+    await TaskController.applyAssignment(req, res, body.data.assigned_to);
+  },
+
+  unassignTask: async (req, res) => {
+    await TaskController.applyAssignment(req, res, null);
+  },
+
+  takeTask: async (req, res) => {
+    if (!req.user) {
+      return sendApiError(res, 422, "Only a signed-in user can take a task. Use the assign action to assign it to someone.");
+    }
+    await TaskController.applyAssignment(req, res, req.user.id);
+  },
+
+  applyAssignment: async (req, res, assignedTo) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const task = await TaskModel.findById(taskId);
+      if (!task) {
+        return sendApiError(res, 404, `Task with ID ${taskId} could not be found.`);
+      }
+
+      const precondition = checkPrecondition(req, res, task);
+      if (!precondition.passed) return;
+
+      const reassignError = checkReassign(req, task, assignedTo);
+      if (reassignError) return sendApiError(res, 403, reassignError);
+
+      const assigneeError = await checkAssignee(assignedTo);
+      if (assigneeError) {
+        return res.status(400).json({ errors: [{ message: assigneeError, path: ["assigned_to"] }] });
+      }
+
+      const updatedTask = await reassign(req, task, assignedTo, precondition.expectedVersion);
+      if (!updatedTask) {
+        return sendVersionConflict(res, taskId);
+      }
+
+      res.set('ETag', taskETag(updatedTask));
+      res.status(200).json(updatedTask);
+    } catch (error) {
+      console.error("Assign Task Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while changing the task's assignee.");
+    }
+  },
+
   getTaskHistory: async (req, res) => {
     try {
       const taskId = parseInt(req.params.id, 10);
@@ -322,7 +998,8 @@ const TaskController = {
 
       const formattedHistory = history.map(entry => ({
         summary: entry.change_summary,
-        changed_at: formatDate(entry.changed_at) 
+        changed_at: formatDate(entry.changed_at),
+        changed_by: entry.changed_by
       }));
 
       res.status(200).json(formattedHistory);
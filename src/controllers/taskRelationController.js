@@ -0,0 +1,88 @@
+const { z } = require('zod');
+const TaskModel = require('../models/taskModel');
+const TaskRelationModel = require('../models/taskRelationModel');
+const dependencySchema = require('../schemas/dependencySchema');
+const { sendApiError, actorOf } = require('../utils/apiHelper');
+
+const loadDependencies = async (taskId) => ({
+  blocked_by: await TaskRelationModel.findBlockers(taskId),
+  blocking: await TaskRelationModel.findBlocking(taskId)
+});
+
+// ==========================================
+// SUBTASK & DEPENDENCY CONTROLLER (API only)
+// Subtasks are made by setting parent_id on a task (POST/PATCH /api/v1/tasks)
+// ==========================================
+const TaskRelationController = {
+
+  getSubtasks: async (req, res) => {
+    try {
+      const task = await TaskModel.findById(parseInt(req.params.id, 10));
+      if (!task) return sendApiError(res, 404, `Task with ID ${req.params.id} could not be found.`);
+
+      res.status(200).json(await TaskRelationModel.findChildren(task.id));
+    } catch (error) {
+      console.error("List Subtasks Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving subtasks.");
+    }
+  },
+
+  getDependencies: async (req, res) => {
+    try {
+      const task = await TaskModel.findById(parseInt(req.params.id, 10));
+      if (!task) return sendApiError(res, 404, `Task with ID ${req.params.id} could not be found.`);
+
+      res.status(200).json(await loadDependencies(task.id));
+    } catch (error) {
+      console.error("List Dependencies Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while retrieving dependencies.");
+    }
+  },
+
+  addDependency: async (req, res) => {
+    try {
+      const { blocked_by: blockedById } = dependencySchema.parse(req.body);
+
+      const task = await TaskModel.findById(parseInt(req.params.id, 10));
+      if (!task) return sendApiError(res, 404, `Task with ID ${req.params.id} could not be found.`);
+
+      if (!await TaskModel.findById(blockedById)) {
+        return res.status(400).json({ errors: [{ message: "Blocking task must be an existing task", path: ["blocked_by"] }] });
+      }
+
+      const result = await TaskRelationModel.addBlocker(task.id, blockedById, actorOf(req));
+      if (result.cycle) {
+        return res.status(400).json({ errors: [{
+          message: `Task ${blockedById} is already waiting on task ${task.id}, so it cannot also block it`,
+          path: ["blocked_by"]
+        }] });
+      }
+
+      res.status(result.added ? 201 : 200).json(await loadDependencies(task.id));
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      console.error("Add Dependency Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while adding the dependency.");
+    }
+  },
+
+  removeDependency: async (req, res) => {
+    try {
+      const taskId = parseInt(req.params.id, 10);
+      const blockedById = parseInt(req.params.blockerId, 10);
+      const task = await TaskModel.findById(taskId);
+      const removed = task && await TaskRelationModel.removeBlocker(taskId, blockedById, actorOf(req));
+      if (!removed) {
+        return sendApiError(res, 404, `Task ${req.params.id} is not blocked by task ${req.params.blockerId}.`);
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error("Remove Dependency Error:", error);
+      sendApiError(res, 500, "An unexpected error occurred while removing the dependency.");
+    }
+  }
+};
+
+module.exports = TaskRelationController;
@@ -0,0 +1,31 @@
+const nunjucks = require('nunjucks');
+const searchTerms = require('../utils/searchTerms');
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Wraps words starting with any search term in <mark> tags.
+ * Matching runs on the raw text and every piece is HTML-escaped,
+ * so the only markup in the output is ours.
+ * Usage: {{ task.title | highlight(search) }}
+ */
+module.exports = function (text, search) {
+  const raw = text == null ? '' : String(text);
+  const terms = searchTerms(search).map(escapeRegExp);
+  if (terms.length === 0) return new nunjucks.runtime.SafeString(nunjucks.lib.escape(raw));
+
+  // Longest terms first so "adjournment" wins over "adjourn"
+  terms.sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})`, 'giu');
+
+  let html = '';
+  let lastIndex = 0;
+  for (const match of raw.matchAll(pattern)) {
+    html += nunjucks.lib.escape(raw.slice(lastIndex, match.index));
+    html += `<mark class="app-search-highlight">${nunjucks.lib.escape(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  html += nunjucks.lib.escape(raw.slice(lastIndex));
+
+  return new nunjucks.runtime.SafeString(html);
+};
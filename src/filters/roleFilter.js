@@ -0,0 +1,8 @@
+const { ROLES } = require('../auth/permissions');
+
+/**
+ * Converts a role code like "team_leader" to its label ("Team leader")
+ */
+module.exports = function (role) {
+  return ROLES[role] || role || 'Unknown';
+};
@@ -1,12 +1,17 @@
+const { isStatus, statusLabel } = require('../utils/workflow');
+
 /**
- * Converts a machine code like "IN_PROGRESS" to "In Progress"
+ * Converts a machine code like "IN_PROGRESS" to "In Progress".
+ * Workflow statuses use their configured label; other codes (e.g. priorities)
+ * are title-cased.
  */
 module.exports = function (status) {
   if (!status) return 'Unknown';
-  
+  if (isStatus(status)) return statusLabel(status);
+
   // Replace underscores with spaces, lowercase it, then capitalize words
   return status
     .replace(/_/g, ' ')
     .toLowerCase()
     .replace(/\b\w/g, char => char.toUpperCase());
-};
\ No newline at end of file
+};
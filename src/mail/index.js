@@ -0,0 +1,18 @@
+const settings = require('../config/settings');
+
+/**
+ * The configured mail transport (MAIL_TRANSPORT).
+ * Every transport implements:
+ *   send({ from, to, subject, text, html }) - deliver one message (to is an address)
+ * Messages are rendered by src/services/mailService.js; transports only deliver them.
+ */
+const transports = {
+  smtp: () => require('./smtpTransport'),
+  outbox: () => require('./outboxTransport')
+};
+
+if (!transports[settings.mailTransport]) {
+  throw new Error(`Unknown MAIL_TRANSPORT '${settings.mailTransport}' (expected: ${Object.keys(transports).join(', ')})`);
+}
+
+module.exports = transports[settings.mailTransport]();
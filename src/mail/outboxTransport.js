@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const settings = require('../config/settings');
+
+/**
+ * Writes each message to MAIL_OUTBOX_DIR (default ./outbox) as a JSON file
+ * instead of sending it, for development and tests. File names start with the
+ * time, so they list in the order they were sent.
+ */
+const send = async ({ from, to, subject, text, html }) => {
+  const sentAt = new Date().toISOString();
+  const fileName = `${sentAt.replace(/[:.]/g, '-')}-${crypto.randomUUID()}.json`;
+  await fs.promises.mkdir(settings.mailOutboxDir, { recursive: true });
+  await fs.promises.writeFile(
+    path.join(settings.mailOutboxDir, fileName),
+    JSON.stringify({ from, to, subject, sent_at: sentAt, text, html }, null, 2),
+    { flag: 'wx' }
+  );
+};
+
+module.exports = { send };
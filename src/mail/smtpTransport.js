@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+const settings = require('../config/settings');
+
+/**
+ * Sends mail through an SMTP relay (SMTP_HOST, SMTP_PORT, ...), e.g. GOV.UK Notify's
+ * or the department's. The connection is set up on first use.
+ */
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const { host, port, secure, user, pass } = settings.smtp;
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+  return transporter;
+};
+
+const send = async (message) => {
+  await getTransporter().sendMail(message);
+};
+
+module.exports = { send };
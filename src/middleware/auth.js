@@ -0,0 +1,89 @@
+const authProvider = require('../auth');
+const UserModel = require('../models/userModel');
+const ApiKeyModel = require('../models/apiKeyModel');
+const { API_KEY_HEADER, hashApiKey } = require('../auth/apiKeys');
+const { sendApiError } = require('../utils/apiHelper');
+const { can } = require('../auth/permissions');
+
+/**
+ * Works out who is making the request and sets req.user:
+ * a bearer token (API clients) takes precedence over the session cookie (browser).
+ */
+const loadUser = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme && scheme.toLowerCase() === 'bearer') {
+      const identity = token ? await authProvider.verifyBearerToken(token) : null;
+      if (identity) {
+        // Only write when the identity provider's details have changed
+        const existing = await UserModel.findBySubject(identity.subject);
+        const isCurrent = existing
+          && existing.display_name === identity.displayName
+          && existing.email === (identity.email || null)
+          && (!identity.role || existing.role === identity.role);
+        req.user = isCurrent ? existing : await UserModel.upsertFromIdentity(identity);
+      } else {
+        req.invalidToken = true;
+      }
+    } else if (req.session && req.session.userId) {
+      req.user = await UserModel.findById(req.session.userId);
+    }
+
+    // Available to every template (header, history panel, hiding actions, etc.)
+    res.locals.currentUser = req.user || null;
+    res.locals.can = (permission) => can(req.user, permission);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// SSR pages: send anonymous visitors to sign in, then back to where they were going
+const requireUser = (req, res, next) => {
+  if (req.user) return next();
+  const returnTo = req.method === 'GET' ? `?returnTo=${encodeURIComponent(req.originalUrl)}` : '';
+  res.redirect(`/login${returnTo}`);
+};
+
+// Machine clients: an X-API-Key header sets req.apiKey (only mounted on the task API).
+// A bad, expired or revoked key is rejected outright rather than falling back to the session.
+const authenticateApiKey = async (req, res, next) => {
+  const key = req.get(API_KEY_HEADER);
+  if (!key) return next();
+
+  try {
+    const apiKey = await ApiKeyModel.findActiveByHash(hashApiKey(key));
+    if (!apiKey) {
+      return sendApiError(res, 401, "The API key is invalid, expired or has been revoked.");
+    }
+
+    await ApiKeyModel.touchLastUsed(apiKey.id);
+    // The key, not whoever might also be signed in, is the actor
+    req.user = undefined;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// API routes: 401 Problem JSON with a bearer challenge (RFC 6750)
+const requireApiUser = (req, res, next) => {
+  if (req.user || req.apiKey) return next();
+  res.set('WWW-Authenticate', req.invalidToken ? 'Bearer error="invalid_token"' : 'Bearer');
+  sendApiError(res, 401, req.invalidToken
+    ? "The access token is invalid or has expired."
+    : "Authentication is required. Send a bearer token in the Authorization header.");
+};
+
+// Enforces the permission matrix: 403 Problem JSON for the API, error page for SSR
+const authorize = (permission) => (req, res, next) => {
+  if (can(req.user || req.apiKey, permission)) return next();
+
+  const message = "You do not have permission to do this.";
+  if (req.originalUrl.startsWith('/api/')) return sendApiError(res, 403, message);
+  res.status(403).render('error.html', { message });
+};
+
+module.exports = { loadUser, authenticateApiKey, requireUser, requireApiUser, authorize };
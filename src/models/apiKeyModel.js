@@ -0,0 +1,53 @@
+const { runQuery, getQuery } = require('../utils/dbHelper');
+
+// key_hash never leaves the model; scopes are stored space separated
+const PUBLIC_COLUMNS = `id, name, key_prefix, scopes, expires_at, last_used_at, created_by, created_at, revoked_at`;
+
+const toApiKey = (row) => row && { ...row, scopes: row.scopes.split(' ') };
+
+const ApiKeyModel = {
+
+  create: async ({ name, prefix, hash, scopes, expiresAt, createdBy }) => {
+    const { lastID } = await runQuery(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, expires_at, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, prefix, hash, scopes.join(' '), expiresAt || null, createdBy, new Date().toISOString()]
+    );
+    return ApiKeyModel.findById(lastID);
+  },
+
+  findAll: async () => {
+    const rows = await getQuery(`SELECT ${PUBLIC_COLUMNS} FROM api_keys ORDER BY created_at DESC, id DESC`);
+    return rows.map(toApiKey);
+  },
+
+  findById: async (id) => {
+    const rows = await getQuery(`SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE id = ?`, [id]);
+    return toApiKey(rows[0]);
+  },
+
+  // Only keys that are neither revoked nor expired
+  findActiveByHash: async (hash) => {
+    const rows = await getQuery(
+      `SELECT ${PUBLIC_COLUMNS} FROM api_keys
+       WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)`,
+      [hash, new Date().toISOString()]
+    );
+    return toApiKey(rows[0]);
+  },
+
+  touchLastUsed: async (id) => {
+    await runQuery(`UPDATE api_keys SET last_used_at = ? WHERE id = ?`, [new Date().toISOString(), id]);
+  },
+
+  // Resolves undefined when the key does not exist; revoking twice keeps the first timestamp
+  revoke: async (id) => {
+    await runQuery(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?`,
+      [new Date().toISOString(), id]
+    );
+    return ApiKeyModel.findById(id);
+  }
+};
+
+module.exports = ApiKeyModel;
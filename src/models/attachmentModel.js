@@ -0,0 +1,68 @@
+const { runQuery, getQuery, withTransaction } = require('../utils/dbHelper');
+
+// uploaded_by: the user's name, or the API key's name for machine clients
+const ATTACHMENT_COLUMNS = `a.*, COALESCE(u.display_name, k.name || ' (API key)') AS uploaded_by`;
+const ATTACHMENT_UPLOADER_JOINS = `
+  LEFT JOIN users u ON u.id = a.user_id
+  LEFT JOIN api_keys k ON k.id = a.api_key_id`;
+
+const recordHistory = (taskId, summary, changedAt, { userId = null, apiKeyId = null }) => runQuery(
+  `INSERT INTO task_history (task_id, change_summary, changed_at, user_id, api_key_id) VALUES (?, ?, ?, ?, ?)`,
+  [taskId, summary, changedAt, userId, apiKeyId]
+);
+
+// Metadata only: the files themselves are handled by src/services/attachmentService.js
+const AttachmentModel = {
+
+  // Oldest first
+  findByTask: async (taskId) => {
+    return await getQuery(
+      `SELECT ${ATTACHMENT_COLUMNS} FROM task_attachments a ${ATTACHMENT_UPLOADER_JOINS}
+       WHERE a.task_id = ? ORDER BY a.created_at ASC, a.id ASC`,
+      [taskId]
+    );
+  },
+
+  findById: async (taskId, attachmentId) => {
+    const rows = await getQuery(
+      `SELECT ${ATTACHMENT_COLUMNS} FROM task_attachments a ${ATTACHMENT_UPLOADER_JOINS}
+       WHERE a.task_id = ? AND a.id = ?`,
+      [taskId, attachmentId]
+    );
+    return rows[0];
+  },
+
+  // ------------------------
+  // Attach + Audit
+  // ------------------------
+  create: async (taskId, { filename, mimeType, sizeBytes, sha256, storageKey }, actor = {}) => {
+    const attachmentId = await withTransaction(async () => {
+      const nowISO = new Date().toISOString();
+      const { lastID } = await runQuery(
+        `INSERT INTO task_attachments (task_id, filename, mime_type, size_bytes, sha256, storage_key, user_id, api_key_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [taskId, filename, mimeType, sizeBytes, sha256, storageKey, actor.userId || null, actor.apiKeyId || null, nowISO]
+      );
+      await recordHistory(taskId, `Attachment added: '${filename}'`, nowISO, actor);
+      return lastID;
+    });
+    return AttachmentModel.findById(taskId, attachmentId);
+  },
+
+  // ------------------------
+  // Detach + Audit
+  // ------------------------
+  // Resolves the removed row (so the caller can delete the file), or undefined if it was not there
+  remove: async (taskId, attachmentId, actor = {}) => {
+    return withTransaction(async () => {
+      const attachment = await AttachmentModel.findById(taskId, attachmentId);
+      if (!attachment) return undefined;
+
+      await runQuery(`DELETE FROM task_attachments WHERE id = ?`, [attachmentId]);
+      await recordHistory(taskId, `Attachment removed: '${attachment.filename}'`, new Date().toISOString(), actor);
+      return attachment;
+    });
+  }
+};
+
+module.exports = AttachmentModel;
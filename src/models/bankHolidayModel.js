@@ -0,0 +1,58 @@
+const { runQuery, getQuery, withTransaction } = require('../utils/dbHelper');
+
+const BankHolidayModel = {
+
+  // Oldest first, optionally for one year
+  findAll: async ({ year } = {}) => {
+    return year
+      ? await getQuery(`SELECT * FROM bank_holidays WHERE date LIKE ? ORDER BY date ASC`, [`${year}-%`])
+      : await getQuery(`SELECT * FROM bank_holidays ORDER BY date ASC`);
+  },
+
+  findByDate: async (date) => {
+    const rows = await getQuery(`SELECT * FROM bank_holidays WHERE date = ?`, [date]);
+    return rows[0];
+  },
+
+  // date -> title, for the working-day calculations (src/utils/workingDays.js)
+  findDates: async () => {
+    const rows = await getQuery(`SELECT date, title FROM bank_holidays`);
+    return new Map(rows.map(row => [row.date, row.title]));
+  },
+
+  // Adds the holiday, or updates the one already on that date. Resolves true when it was new
+  save: async ({ date, title, notes = null }) => {
+    return withTransaction(async () => {
+      const existing = await getQuery(`SELECT 1 FROM bank_holidays WHERE date = ?`, [date]);
+      await runQuery(
+        `INSERT INTO bank_holidays (date, title, notes, updated_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(date) DO UPDATE SET title = excluded.title, notes = excluded.notes, updated_at = excluded.updated_at`,
+        [date, title, notes, new Date().toISOString()]
+      );
+      return existing.length === 0;
+    });
+  },
+
+  // Resolves false when there was no holiday on that date
+  remove: async (date) => {
+    const { changes } = await runQuery(`DELETE FROM bank_holidays WHERE date = ?`, [date]);
+    return changes > 0;
+  },
+
+  // Swaps the whole calendar for a new one (e.g. the latest GOV.UK list)
+  replaceAll: async (holidays) => {
+    return withTransaction(async () => {
+      await runQuery(`DELETE FROM bank_holidays`);
+      const nowISO = new Date().toISOString();
+      for (const { date, title, notes = null } of holidays) {
+        await runQuery(
+          `INSERT INTO bank_holidays (date, title, notes, updated_at) VALUES (?, ?, ?, ?)`,
+          [date, title, notes, nowISO]
+        );
+      }
+      return holidays.length;
+    });
+  }
+};
+
+module.exports = BankHolidayModel;
@@ -0,0 +1,90 @@
+const { runQuery, getQuery, withTransaction } = require('../utils/dbHelper');
+
+// author / edited_by: the user's name, or the API key's name for machine clients
+const COMMENT_COLUMNS = `c.*, COALESCE(u.display_name, k.name || ' (API key)') AS author`;
+const COMMENT_AUTHOR_JOINS = `
+  LEFT JOIN users u ON u.id = c.user_id
+  LEFT JOIN api_keys k ON k.id = c.api_key_id`;
+
+// The comment's text itself stays out of the task history: the thread is its own record
+const recordHistory = (taskId, summary, changedAt, { userId = null, apiKeyId = null }) => runQuery(
+  `INSERT INTO task_history (task_id, change_summary, changed_at, user_id, api_key_id) VALUES (?, ?, ?, ?, ?)`,
+  [taskId, summary, changedAt, userId, apiKeyId]
+);
+
+const insertRevision = (commentId, version, body, createdAt, { userId = null, apiKeyId = null }) => runQuery(
+  `INSERT INTO task_comment_revisions (comment_id, version, body, user_id, api_key_id, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+  [commentId, version, body, userId, apiKeyId, createdAt]
+);
+
+const CommentModel = {
+
+  // Oldest first, so the thread reads top to bottom
+  findByTask: async (taskId) => {
+    return await getQuery(
+      `SELECT ${COMMENT_COLUMNS} FROM task_comments c ${COMMENT_AUTHOR_JOINS}
+       WHERE c.task_id = ? ORDER BY c.created_at ASC, c.id ASC`,
+      [taskId]
+    );
+  },
+
+  findById: async (taskId, commentId) => {
+    const rows = await getQuery(
+      `SELECT ${COMMENT_COLUMNS} FROM task_comments c ${COMMENT_AUTHOR_JOINS}
+       WHERE c.task_id = ? AND c.id = ?`,
+      [taskId, commentId]
+    );
+    return rows[0];
+  },
+
+  // ------------------------
+  // Create + Audit
+  // ------------------------
+  create: async (taskId, body, actor = {}) => {
+    const commentId = await withTransaction(async () => {
+      const nowISO = new Date().toISOString();
+      const { lastID } = await runQuery(
+        `INSERT INTO task_comments (task_id, body, user_id, api_key_id, created_at) VALUES (?, ?, ?, ?, ?)`,
+        [taskId, body, actor.userId || null, actor.apiKeyId || null, nowISO]
+      );
+      await insertRevision(lastID, 1, body, nowISO, actor);
+      await recordHistory(taskId, 'Comment added', nowISO, actor);
+      return lastID;
+    });
+    return CommentModel.findById(taskId, commentId);
+  },
+
+  // ------------------------
+  // Edit (new version) + Audit
+  // ------------------------
+  // Never overwrites a version: the new text becomes the next revision.
+  // Resolves undefined if the comment does not exist on this task.
+  update: async (taskId, commentId, body, actor = {}) => {
+    const updated = await withTransaction(async () => {
+      const nowISO = new Date().toISOString();
+      const { changes } = await runQuery(
+        `UPDATE task_comments SET body = ?, version = version + 1, updated_at = ? WHERE id = ? AND task_id = ?`,
+        [body, nowISO, commentId, taskId]
+      );
+      if (changes === 0) return false;
+
+      const [{ version }] = await getQuery(`SELECT version FROM task_comments WHERE id = ?`, [commentId]);
+      await insertRevision(commentId, version, body, nowISO, actor);
+      await recordHistory(taskId, 'Comment edited', nowISO, actor);
+      return true;
+    });
+    return updated ? CommentModel.findById(taskId, commentId) : undefined;
+  },
+
+  // Every version of a comment, oldest first
+  getRevisions: async (commentId) => {
+    return await getQuery(
+      `SELECT c.version, c.body, c.created_at, COALESCE(u.display_name, k.name || ' (API key)') AS edited_by
+       FROM task_comment_revisions c ${COMMENT_AUTHOR_JOINS}
+       WHERE c.comment_id = ? ORDER BY c.version ASC`,
+      [commentId]
+    );
+  }
+};
+
+module.exports = CommentModel;
@@ -0,0 +1,96 @@
+const { runQuery, getQuery } = require('../utils/dbHelper');
+const { openStatusCondition } = require('../utils/workflow');
+
+// Preferences as the user sees them: booleans, with the defaults filled in
+const toPreferences = (row) => ({
+  due_reminders: row ? row.due_reminders === 1 : true,
+  reminder_hours: row ? row.reminder_hours : null,
+  overdue_digest: row ? row.overdue_digest === 1 : true,
+  updated_at: row ? row.updated_at : null
+});
+
+// Users who can be emailed, with their preferences (defaults where they have none)
+const RECIPIENT_COLUMNS = `u.id, u.display_name, u.email, u.role,
+  COALESCE(p.due_reminders, 1) AS due_reminders, p.reminder_hours, COALESCE(p.overdue_digest, 1) AS overdue_digest`;
+const RECIPIENT_JOIN = `LEFT JOIN notification_preferences p ON p.user_id = u.id`;
+
+const openTask = `t.deleted_at IS NULL AND ${openStatusCondition('t.status')}`;
+
+/**
+ * Notification preferences and what the reminder job needs
+ * (see src/services/reminderService.js).
+ */
+const NotificationModel = {
+
+  getPreferences: async (userId) => {
+    const rows = await getQuery(`SELECT * FROM notification_preferences WHERE user_id = ?`, [userId]);
+    return toPreferences(rows[0]);
+  },
+
+  savePreferences: async (userId, { due_reminders, reminder_hours, overdue_digest }) => {
+    await runQuery(
+      `INSERT INTO notification_preferences (user_id, due_reminders, reminder_hours, overdue_digest, updated_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET
+         due_reminders = excluded.due_reminders, reminder_hours = excluded.reminder_hours,
+         overdue_digest = excluded.overdue_digest, updated_at = excluded.updated_at`,
+      [userId, due_reminders ? 1 : 0, reminder_hours ?? null, overdue_digest ? 1 : 0, new Date().toISOString()]
+    );
+    return NotificationModel.getPreferences(userId);
+  },
+
+  // Open tasks falling due in (fromISO, toISO], with their assignee, if the
+  // assignee has an email address and wants reminders
+  findDueForReminder: async (fromISO, toISO) => {
+    return await getQuery(
+      `SELECT t.id, t.title, t.status, t.priority, t.due_date, t.case_reference,
+              u.id AS user_id, u.display_name, u.email, p.reminder_hours
+       FROM tasks t JOIN users u ON u.id = t.assigned_to ${RECIPIENT_JOIN}
+       WHERE ${openTask} AND t.due_date > ? AND t.due_date <= ?
+         AND u.email IS NOT NULL AND COALESCE(p.due_reminders, 1) = 1
+       ORDER BY t.due_date ASC, t.id ASC`,
+      [fromISO, toISO]
+    );
+  },
+
+  // Open tasks past their due date, most overdue first
+  findOverdue: async (nowISO) => {
+    return await getQuery(
+      `SELECT t.id, t.title, t.status, t.priority, t.due_date, t.assigned_to,
+              (SELECT display_name FROM users u WHERE u.id = t.assigned_to) AS assigned_to_name
+       FROM tasks t
+       WHERE ${openTask} AND t.due_date < ?
+       ORDER BY t.due_date ASC, t.id ASC`,
+      [nowISO]
+    );
+  },
+
+  // Users with an email address who want the overdue digest
+  findDigestRecipients: async () => {
+    return await getQuery(
+      `SELECT ${RECIPIENT_COLUMNS} FROM users u ${RECIPIENT_JOIN}
+       WHERE u.email IS NOT NULL AND COALESCE(p.overdue_digest, 1) = 1
+       ORDER BY u.id ASC`
+    );
+  },
+
+  // ------------------------
+  // Email Log
+  // ------------------------
+  // Records an email about to be sent. Resolves false when one with the same key
+  // has already gone (or is being sent by another run), so it must not be sent again
+  claim: async (messageKey, { kind, userId, taskId = null, subject }) => {
+    const { changes } = await runQuery(
+      `INSERT OR IGNORE INTO email_log (message_key, kind, user_id, task_id, subject, sent_at) VALUES (?, ?, ?, ?, ?, ?)`,
+      [messageKey, kind, userId, taskId, subject, new Date().toISOString()]
+    );
+    return changes > 0;
+  },
+
+  // Forgets a claim whose email could not be sent, so the next run tries again
+  release: async (messageKey) => {
+    await runQuery(`DELETE FROM email_log WHERE message_key = ?`, [messageKey]);
+  }
+};
+
+module.exports = NotificationModel;
@@ -0,0 +1,201 @@
+const { runQuery, getQuery, withTransaction } = require('../utils/dbHelper');
+const { redactChangeSummary } = require('../services/auditService');
+const storage = require('../storage');
+
+const REDACTED_TITLE = '[Redacted]';
+
+// Records what the retention policy did. Written in the same transaction
+// as the purge/redaction so the two can never disagree.
+const insertLogEntry = async (entry) => {
+  const performedAt = new Date().toISOString();
+  const { lastID } = await runQuery(
+    `INSERT INTO retention_log (task_id, action, task_deleted_at, retention_days, history_entries, triggered_by, performed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [entry.task_id, entry.action, entry.task_deleted_at, entry.retention_days, entry.history_entries, entry.triggered_by, performedAt]
+  );
+  return { id: lastID, ...entry, performed_at: performedAt };
+};
+
+// Re-checks inside the transaction, so a task restored since findExpired ran is left alone
+const findExpiredTask = async (taskId, cutoff) => {
+  const rows = await getQuery(
+    `SELECT id, series_id, deleted_at, redacted_at FROM tasks WHERE id = ? AND deleted_at IS NOT NULL AND deleted_at < ?`,
+    [taskId, cutoff]
+  );
+  return rows[0];
+};
+
+// Attachments go under both modes: a scanned letter can't be redacted.
+// Deletes the rows and returns their storage keys; the files are removed
+// once the transaction has committed (see removeFiles)
+const deleteAttachments = async (taskId) => {
+  const rows = await getQuery(`SELECT storage_key FROM task_attachments WHERE task_id = ?`, [taskId]);
+  await runQuery(`DELETE FROM task_attachments WHERE task_id = ?`, [taskId]);
+  return rows.map(row => row.storage_key);
+};
+
+const removeFiles = async (storageKeys) => {
+  for (const key of storageKeys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Retention: could not remove attachment file '${key}'`, error);
+    }
+  }
+};
+
+// Webhook payloads carry a copy of the task, so they follow it: the title, description
+// and the change lines (which quote old values) are wiped as in the task history
+const redactWebhookPayloads = async (taskId) => {
+  const rows = await getQuery(`SELECT id, payload FROM webhook_deliveries WHERE task_id = ?`, [taskId]);
+  for (const row of rows) {
+    const event = JSON.parse(row.payload);
+    event.data.task = { ...event.data.task, title: REDACTED_TITLE, description: '' };
+    if (event.data.changes) {
+      event.data.changes = redactChangeSummary(event.data.changes.join('\n')).split('\n');
+    }
+    await runQuery(`UPDATE webhook_deliveries SET payload = ? WHERE id = ?`, [JSON.stringify(event), row.id]);
+  }
+};
+
+// Subtasks can outlive their (purged) parent: they become top-level tasks,
+// with a history entry saying why
+const detachSubtasks = async (taskId) => {
+  await runQuery(
+    `INSERT INTO task_history (task_id, change_summary, changed_at)
+     SELECT id, ?, ? FROM tasks WHERE parent_id = ?`,
+    [`Parent task #${taskId} permanently deleted by the retention policy`, new Date().toISOString(), taskId]
+  );
+  await runQuery(`UPDATE tasks SET parent_id = NULL, version = version + 1 WHERE parent_id = ?`, [taskId]);
+};
+
+// A series template holds copies of its tasks' title and description. Once no live
+// occurrence is left the series is deleted (no occurrences at all) or ended with
+// its template redacted like a task; while one is live, the template still drives it
+const retireSeries = async (seriesId) => {
+  if (!seriesId) return;
+  const [{ total, live }] = await getQuery(
+    `SELECT COUNT(*) AS total, COUNT(CASE WHEN deleted_at IS NULL THEN 1 END) AS live FROM tasks WHERE series_id = ?`,
+    [seriesId]
+  );
+  if (live > 0) return;
+  if (total === 0) {
+    await runQuery(`DELETE FROM task_series WHERE id = ?`, [seriesId]);
+    return;
+  }
+  const nowISO = new Date().toISOString();
+  await runQuery(
+    `UPDATE task_series SET title = ?, description = '', updated_at = ?, ended_at = COALESCE(ended_at, ?) WHERE id = ?`,
+    [REDACTED_TITLE, nowISO, nowISO, seriesId]
+  );
+};
+
+const RetentionModel = {
+
+  // Soft-deleted tasks whose deleted_at is older than the cutoff.
+  // Already-redacted tasks are skipped when redacting.
+  findExpired: async (cutoff, { mode = 'purge' } = {}) => {
+    let sql = `SELECT id, title, deleted_at FROM tasks WHERE deleted_at IS NOT NULL AND deleted_at < ?`;
+    if (mode === 'redact') sql += ` AND redacted_at IS NULL`;
+    sql += ` ORDER BY deleted_at ASC, id ASC`;
+    return await getQuery(sql, [cutoff]);
+  },
+
+  // ------------------------
+  // Permanent Purge + Retention Log
+  // ------------------------
+  // Removes the task, its history, tag links, comments, attachments, dependency links and
+  // webhook deliveries (child rows first, for the foreign keys), and retires its series.
+  // Its subtasks are kept.
+  // Resolves null if the task no longer qualifies.
+  purge: async (taskId, { cutoff, retentionDays, triggeredBy }) => {
+    let storageKeys = [];
+    const entry = await withTransaction(async () => {
+      const task = await findExpiredTask(taskId, cutoff);
+      if (!task) return null;
+
+      const { changes: historyEntries } = await runQuery(`DELETE FROM task_history WHERE task_id = ?`, [taskId]);
+      await runQuery(`DELETE FROM task_tags WHERE task_id = ?`, [taskId]);
+      await runQuery(
+        `DELETE FROM task_comment_revisions WHERE comment_id IN (SELECT id FROM task_comments WHERE task_id = ?)`,
+        [taskId]
+      );
+      await runQuery(`DELETE FROM task_comments WHERE task_id = ?`, [taskId]);
+      storageKeys = await deleteAttachments(taskId);
+      await runQuery(`DELETE FROM task_dependencies WHERE task_id = ? OR blocked_by_id = ?`, [taskId, taskId]);
+      await runQuery(`DELETE FROM webhook_deliveries WHERE task_id = ?`, [taskId]);
+      await detachSubtasks(taskId);
+      await runQuery(`DELETE FROM tasks_fts WHERE rowid = ?`, [taskId]);
+      await runQuery(`DELETE FROM tasks WHERE id = ?`, [taskId]);
+      await retireSeries(task.series_id);
+
+      return insertLogEntry({
+        task_id: taskId,
+        action: 'PURGED',
+        task_deleted_at: task.deleted_at,
+        retention_days: retentionDays,
+        history_entries: historyEntries,
+        triggered_by: triggeredBy
+      });
+    });
+    await removeFiles(storageKeys);
+    return entry;
+  },
+
+  // ------------------------
+  // Redaction + Retention Log
+  // ------------------------
+  // Wipes free text from the task, its comments, its history, its webhook payloads and its
+  // series template but keeps the rows, so the audit trail still shows what happened and when.
+  // Resolves null if the task no longer qualifies.
+  redact: async (taskId, { cutoff, retentionDays, triggeredBy }) => {
+    let storageKeys = [];
+    const entry = await withTransaction(async () => {
+      const task = await findExpiredTask(taskId, cutoff);
+      if (!task || task.redacted_at) return null;
+
+      await runQuery(
+        `UPDATE tasks SET title = ?, description = '', redacted_at = ? WHERE id = ?`,
+        [REDACTED_TITLE, new Date().toISOString(), taskId]
+      );
+      // Comments are free text too: every version goes, the authors and dates stay
+      await runQuery(
+        `UPDATE task_comment_revisions SET body = ? WHERE comment_id IN (SELECT id FROM task_comments WHERE task_id = ?)`,
+        [REDACTED_TITLE, taskId]
+      );
+      await runQuery(`UPDATE task_comments SET body = ? WHERE task_id = ?`, [REDACTED_TITLE, taskId]);
+      storageKeys = await deleteAttachments(taskId);
+      await redactWebhookPayloads(taskId);
+      await retireSeries(task.series_id);
+
+      const history = await getQuery(`SELECT id, change_summary FROM task_history WHERE task_id = ?`, [taskId]);
+      for (const entry of history) {
+        const redacted = redactChangeSummary(entry.change_summary);
+        if (redacted !== entry.change_summary) {
+          await runQuery(`UPDATE task_history SET change_summary = ? WHERE id = ?`, [redacted, entry.id]);
+        }
+      }
+
+      return insertLogEntry({
+        task_id: taskId,
+        action: 'REDACTED',
+        task_deleted_at: task.deleted_at,
+        retention_days: retentionDays,
+        history_entries: history.length,
+        triggered_by: triggeredBy
+      });
+    });
+    await removeFiles(storageKeys);
+    return entry;
+  },
+
+  // Newest first
+  getLog: async ({ limit = 50, offset = 0 } = {}) => {
+    return await getQuery(
+      `SELECT * FROM retention_log ORDER BY performed_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+  }
+};
+
+module.exports = RetentionModel;
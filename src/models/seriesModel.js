@@ -0,0 +1,83 @@
+const { runQuery, getQuery } = require('../utils/dbHelper');
+const { describeRecurrence } = require('../utils/recurrence');
+const { openStatusCondition } = require('../utils/workflow');
+
+// Template fields that can be changed on a series (the rest describe its progress)
+const TEMPLATE_FIELDS = ['rule', 'title', 'description', 'priority', 'assigned_to', 'case_reference', 'tags'];
+
+const toSeries = (row) => row && { ...row, tags: JSON.parse(row.tags) };
+
+/**
+ * Recurring task series (see src/services/recurrenceService.js).
+ * Occurrences are created through TaskModel.createOccurrence so they get the
+ * same tags, search index and history handling as any other task.
+ */
+const SeriesModel = {
+
+  findById: async (id) => {
+    const rows = await getQuery(`SELECT * FROM task_series WHERE id = ?`, [id]);
+    return toSeries(rows[0]);
+  },
+
+  // The live series a task belongs to, described for the edit page; null if none
+  findActiveByTask: async (taskId) => {
+    const rows = await getQuery(
+      `SELECT s.* FROM task_series s JOIN tasks t ON t.series_id = s.id WHERE t.id = ? AND s.ended_at IS NULL`,
+      [taskId]
+    );
+    return rows[0] ? { ...toSeries(rows[0]), description: describeRecurrence(rows[0].rule) } : null;
+  },
+
+  // Live series with their most recent occurrence (deleted or not), for the scheduler
+  findActiveWithLatest: async () => {
+    const rows = await getQuery(`
+      SELECT s.*, t.id AS latest_task_id, t.status AS latest_status,
+             t.due_date AS latest_due_date, t.deleted_at AS latest_deleted_at
+      FROM task_series s
+      JOIN tasks t ON t.id = (SELECT MAX(id) FROM tasks WHERE series_id = s.id)
+      WHERE s.ended_at IS NULL
+      ORDER BY s.id ASC
+    `);
+    return rows.map(toSeries);
+  },
+
+  // Live occurrences, oldest first
+  findOccurrences: async (id) => {
+    return await getQuery(
+      `SELECT id, title, status, due_date, assigned_to FROM tasks
+       WHERE series_id = ? AND deleted_at IS NULL ORDER BY due_date ASC, id ASC`,
+      [id]
+    );
+  },
+
+  // Occurrences still open, which follow changes to the series
+  findOpenOccurrenceIds: async (id) => {
+    const rows = await getQuery(
+      `SELECT id FROM tasks WHERE series_id = ? AND deleted_at IS NULL AND ${openStatusCondition()} ORDER BY id ASC`,
+      [id]
+    );
+    return rows.map(row => row.id);
+  },
+
+  // Updates the template; only the fields given are changed
+  update: async (id, fields) => {
+    const keys = TEMPLATE_FIELDS.filter(key => key in fields);
+    if (keys.length === 0) return;
+    const values = keys.map(key => (key === 'tags' ? JSON.stringify(fields.tags) : fields[key]));
+    await runQuery(
+      `UPDATE task_series SET ${keys.map(key => `${key} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...values, new Date().toISOString(), id]
+    );
+  },
+
+  // No further occurrences; existing ones are left as they are
+  end: async (id) => {
+    const { changes } = await runQuery(
+      `UPDATE task_series SET ended_at = ? WHERE id = ? AND ended_at IS NULL`,
+      [new Date().toISOString(), id]
+    );
+    return changes > 0;
+  }
+};
+
+module.exports = SeriesModel;
@@ -0,0 +1,96 @@
+const { runQuery, getQuery, withTransaction } = require('../utils/dbHelper');
+const { openStatusCondition } = require('../utils/workflow');
+const { publish, toActor } = require('../services/eventBus');
+const TaskModel = require('./taskModel');
+
+const RULE_FIELDS = ['name', 'priority', 'tag', 'warning_hours', 'breach_hours', 'escalate_to', 'raise_priority_to', 'notify'];
+
+const toRule = (row) => row && { ...row, notify: row.notify === 1 };
+const toValues = (rule) => RULE_FIELDS.map(key => (key === 'notify' ? (rule.notify ? 1 : 0) : rule[key] ?? null));
+
+/**
+ * SLA rules and the SLA state of tasks (see src/services/slaService.js).
+ */
+const SlaModel = {
+
+  // Most specific first (priority and tag, then either, then catch-alls), so the
+  // first rule that matches a task is the one that applies to it
+  findRules: async () => {
+    const rows = await getQuery(`
+      SELECT * FROM sla_rules
+      ORDER BY (priority IS NOT NULL) + (tag IS NOT NULL) DESC, id ASC
+    `);
+    return rows.map(toRule);
+  },
+
+  findRuleById: async (id) => {
+    const rows = await getQuery(`SELECT * FROM sla_rules WHERE id = ?`, [id]);
+    return toRule(rows[0]);
+  },
+
+  createRule: async (rule) => {
+    const { lastID } = await runQuery(
+      `INSERT INTO sla_rules (${RULE_FIELDS.join(', ')}, created_at) VALUES (${RULE_FIELDS.map(() => '?').join(', ')}, ?)`,
+      [...toValues(rule), new Date().toISOString()]
+    );
+    return SlaModel.findRuleById(lastID);
+  },
+
+  // Replaces the rule; resolves null when there is no such rule
+  updateRule: async (id, rule) => {
+    const { changes } = await runQuery(
+      `UPDATE sla_rules SET ${RULE_FIELDS.map(key => `${key} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...toValues(rule), new Date().toISOString(), id]
+    );
+    return changes ? SlaModel.findRuleById(id) : null;
+  },
+
+  // Tasks keep the SLA status the rule gave them. Resolves false when there was no such rule
+  removeRule: async (id) => {
+    const { changes } = await runQuery(`DELETE FROM sla_rules WHERE id = ?`, [id]);
+    return changes > 0;
+  },
+
+  // Live, open tasks with what the rules match on
+  findOpenTasks: async () => {
+    const rows = await getQuery(`
+      SELECT t.id, t.title, t.priority, t.assigned_to, t.created_at, t.sla_status,
+        (SELECT json_group_array(g.name) FROM task_tags tt JOIN tags g ON g.id = tt.tag_id WHERE tt.task_id = t.id) AS tags
+      FROM tasks t
+      WHERE t.deleted_at IS NULL AND ${openStatusCondition('t.status')}
+      ORDER BY t.id ASC
+    `);
+    return rows.map(row => ({ ...row, tags: JSON.parse(row.tags) }));
+  },
+
+  // ------------------------
+  // Change SLA Status (and escalate) + Audit
+  // ------------------------
+  // A system action, published as task.updated. escalation may set assigned_to and priority.
+  // Resolves false when the task has gone, or already has that status (e.g. another run got there first)
+  setStatus: async (taskId, slaStatus, escalation, changeSummary) => {
+    const changed = await withTransaction(async () => {
+      const nowISO = new Date().toISOString();
+      const { changes } = await runQuery(
+        `UPDATE tasks
+         SET sla_status = ?, sla_status_at = ?, assigned_to = COALESCE(?, assigned_to), priority = COALESCE(?, priority),
+             version = version + 1
+         WHERE id = ? AND deleted_at IS NULL AND sla_status IS NOT ?`,
+        [slaStatus, nowISO, escalation.assigned_to || null, escalation.priority || null, taskId, slaStatus]
+      );
+      if (changes === 0) return false;
+
+      await runQuery(
+        `INSERT INTO task_history (task_id, change_summary, changed_at, user_id, api_key_id) VALUES (?, ?, ?, NULL, NULL)`,
+        [taskId, changeSummary, nowISO]
+      );
+      return true;
+    });
+    if (!changed) return false;
+
+    await publish('task.updated', { task: await TaskModel.findById(taskId), changes: changeSummary.split('\n'), actor: toActor() });
+    return true;
+  }
+};
+
+module.exports = SlaModel;
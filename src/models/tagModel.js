@@ -0,0 +1,66 @@
+const { runQuery, getQuery, withTransaction } = require('../utils/dbHelper');
+
+// One history entry per task carrying the tag, attributed like any other change.
+// Also bumps each task's version, since its tags (part of the ETag'd representation) change.
+const recordTagChange = async (tagId, summary, { userId = null, apiKeyId = null } = {}) => {
+  const nowISO = new Date().toISOString();
+  await runQuery(
+    `INSERT INTO task_history (task_id, change_summary, changed_at, user_id, api_key_id)
+     SELECT task_id, ?, ?, ?, ? FROM task_tags WHERE tag_id = ?`,
+    [summary, nowISO, userId, apiKeyId, tagId]
+  );
+  const { changes } = await runQuery(
+    `UPDATE tasks SET version = version + 1, updated_at = ?
+     WHERE id IN (SELECT task_id FROM task_tags WHERE tag_id = ?)`,
+    [nowISO, tagId]
+  );
+  return changes;
+};
+
+const TagModel = {
+
+  // Every tag with the number of live tasks using it, alphabetically
+  findAll: async () => {
+    return await getQuery(`
+      SELECT g.id, g.name, COUNT(t.id) AS task_count
+      FROM tags g
+      LEFT JOIN task_tags tt ON tt.tag_id = g.id
+      LEFT JOIN tasks t ON t.id = tt.task_id AND t.deleted_at IS NULL
+      GROUP BY g.id
+      ORDER BY g.name ASC
+    `);
+  },
+
+  findByName: async (name) => {
+    const rows = await getQuery(`SELECT * FROM tags WHERE name = ?`, [name]);
+    return rows[0];
+  },
+
+  // ------------------------
+  // Rename (or Merge) + Audit
+  // ------------------------
+  // Renaming to the name of an existing tag merges the two: tasks keep a single
+  // copy of the surviving tag. Resolves null when the tag does not exist.
+  rename: async (name, newName, actor = {}) => {
+    return withTransaction(async () => {
+      const source = await TagModel.findByName(name);
+      if (!source) return null;
+
+      const target = await TagModel.findByName(newName);
+      if (!target) {
+        const tasksAffected = await recordTagChange(source.id, `Tag renamed from '${name}' to '${newName}'`, actor);
+        await runQuery(`UPDATE tags SET name = ? WHERE id = ?`, [newName, source.id]);
+        return { id: source.id, name: newName, merged: false, tasks_affected: tasksAffected };
+      }
+
+      const tasksAffected = await recordTagChange(source.id, `Tag '${name}' merged into '${newName}'`, actor);
+      // Tasks that already had both tags just lose the old one
+      await runQuery(`UPDATE OR IGNORE task_tags SET tag_id = ? WHERE tag_id = ?`, [target.id, source.id]);
+      await runQuery(`DELETE FROM task_tags WHERE tag_id = ?`, [source.id]);
+      await runQuery(`DELETE FROM tags WHERE id = ?`, [source.id]);
+      return { id: target.id, name: newName, merged: true, tasks_affected: tasksAffected };
+    });
+  }
+};
+
+module.exports = TagModel;
@@ -1,22 +1,239 @@
 const db = require('../config/db');
-const nowISO = new Date().toISOString();
-// Utility to wrap sqlite3 queries in Promises
-const runQuery = (query, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.run(query, params, function (err) {
-      if (err) reject(err);
-      else resolve(this);
-    });
-  });
+const { runQuery, getQuery, withTransaction } = require('../utils/dbHelper');
+const searchTerms = require('../utils/searchTerms');
+const { openStatusCondition, initialStatus, isTerminal } = require('../utils/workflow');
+const { londonDate, workingDaysBetween } = require('../utils/workingDays');
+const BankHolidayModel = require('./bankHolidayModel');
+const { generateChangeLog } = require('../services/auditService');
+const { publish, toActor } = require('../services/eventBus');
+
+// The actor is the signed-in user (userId) or the machine client's API key (apiKeyId);
+// both are null for system actions
+const insertHistory = (taskId, summary, changedAt, { userId = null, apiKeyId = null } = {}) => runQuery(
+  `INSERT INTO task_history (task_id, change_summary, changed_at, user_id, api_key_id) VALUES (?, ?, ?, ?, ?)`,
+  [taskId, summary, changedAt, userId, apiKeyId]
+);
+
+// Starts a recurring series with the task as its first occurrence; the task's
+// fields become the template for the occurrences that follow
+const insertSeries = async (task, nowISO) => {
+  const { lastID } = await runQuery(
+    `INSERT INTO task_series (rule, starts_at, title, description, priority, assigned_to, case_reference, tags, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      task.recurrence, task.due_date, task.title, task.description || '', task.priority || 'NORMAL',
+      task.assigned_to || null, task.case_reference || null, JSON.stringify(task.tags || []), nowISO
+    ]
+  );
+  return lastID;
 };
 
-const getQuery = (query, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.all(query, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
+// Inserts a task with its tags and its first history entry (headline, e.g. "Task created").
+// Must run inside withTransaction. Resolves the new task's ID
+const insertTask = async (task, headline, nowISO, actor) => {
+  const seriesId = task.recurrence ? await insertSeries(task, nowISO) : null;
+
+  // NOTE: task.due_date is required; no default
+  const { lastID } = await runQuery(
+    `INSERT INTO tasks (title, description, status, priority, due_date, assigned_to, case_reference, parent_id, series_id, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      task.title,
+      task.description || '',
+      task.status || initialStatus(),
+      task.priority || 'NORMAL',
+      task.due_date,       // must be provided by user
+      task.assigned_to || null,
+      task.case_reference || null,
+      task.parent_id || null,
+      seriesId,
+      nowISO,              // created_at
+      nowISO               // updated_at
+    ]
+  );
+
+  // Tags (and any recurrence) given on creation are listed alongside the headline
+  const tags = task.tags || [];
+  await setTaskTags(lastID, tags);
+  const summary = [
+    headline,
+    ...generateChangeLog({ tags: [], recurrence: null }, { tags, recurrence: task.recurrence || null })
+  ].join('\n');
+  await insertHistory(lastID, summary, nowISO, actor);
+  await syncSearchIndex(lastID);
+  return lastID;
+};
+
+// Keeps the FTS5 index in step with the tasks table.
+// Only live (non-deleted) tasks are indexed.
+const syncSearchIndex = async (taskId) => {
+  await runQuery(`DELETE FROM tasks_fts WHERE rowid = ?`, [taskId]);
+  await runQuery(
+    `INSERT INTO tasks_fts (rowid, title, description)
+     SELECT id, title, description FROM tasks WHERE id = ? AND deleted_at IS NULL`,
+    [taskId]
+  );
+};
+
+// Turns free text into a safe FTS5 query: every word must match,
+// as a prefix ("adjourn" finds "adjournment"). Quoting each term stops
+// user input being parsed as FTS syntax (AND, NEAR, column filters...)
+const toSearchQuery = (text) => searchTerms(text)
+  .map(term => `"${term}"*`)
+  .join(' ');
+
+// Every task read also returns the assignee's name and the tags (subqueries
+// rather than joins, so column names in filters and sorts stay unambiguous)
+const TASK_COLUMNS = `*,
+  (SELECT display_name FROM users u WHERE u.id = tasks.assigned_to) AS assigned_to_name,
+  (SELECT json_group_array(name) FROM (
+    SELECT g.name FROM task_tags tt JOIN tags g ON g.id = tt.tag_id
+    WHERE tt.task_id = tasks.id ORDER BY g.name
+  )) AS tags,
+  (SELECT rule FROM task_series s WHERE s.id = tasks.series_id AND s.ended_at IS NULL) AS recurrence`;
+
+const toTask = (row) => row && { ...row, tags: JSON.parse(row.tags) };
+
+// Replaces a task's tags, creating any tags that do not exist yet
+const setTaskTags = async (taskId, tags) => {
+  await runQuery(`DELETE FROM task_tags WHERE task_id = ?`, [taskId]);
+  for (const name of tags) {
+    await runQuery(`INSERT OR IGNORE INTO tags (name, created_at) VALUES (?, ?)`, [name, new Date().toISOString()]);
+    await runQuery(
+      `INSERT INTO task_tags (task_id, tag_id) SELECT ?, id FROM tags WHERE name = ?`,
+      [taskId, name]
+    );
+  }
+};
+
+// Priorities sort by rank, not alphabetically
+const PRIORITY_RANK = `CASE priority WHEN 'URGENT' THEN 4 WHEN 'HIGH' THEN 3 WHEN 'NORMAL' THEN 2 ELSE 1 END`;
+
+// ORDER BY terms for each sortable field, most significant first. ASC on
+// "urgency" puts the most urgent first: overdue, then priority, then due date.
+const orderByTerms = (sortBy, order, nowISO) => {
+  const flip = order === 'ASC' ? 'DESC' : 'ASC';
+  if (sortBy === 'urgency') {
+    return {
+      terms: [
+        `(due_date < ? AND ${openStatusCondition()}) ${flip}`,
+        `${PRIORITY_RANK} ${flip}`,
+        `due_date ${order}`
+      ],
+      params: [nowISO]
+    };
+  }
+  if (sortBy === 'priority') return { terms: [`${PRIORITY_RANK} ${order}`], params: [] };
+  return { terms: [`${sortBy} ${order}`], params: [] };
+};
+
+// History rows with changed_by: the acting user's name, or the API key's name
+// for machine clients (null for system actions)
+const HISTORY_COLUMNS = `h.*, COALESCE(u.display_name, k.name || ' (API key)') AS changed_by`;
+const HISTORY_ACTOR_JOINS = `
+  LEFT JOIN users u ON u.id = h.user_id
+  LEFT JOIN api_keys k ON k.id = h.api_key_id`;
+
+// Builds the WHERE clause shared by findAll and countAll
+const buildWhereClause = ({
+  statusFilters = [],
+  dueBefore, dueAfter,
+  createdBefore, createdAfter,
+  updatedBefore, updatedAfter,
+  search,
+  assignedTo, // a user ID, or null for unassigned tasks
+  caseReference,
+  tags = [],
+  tagMatch = 'any',
+  sla, // AT_RISK or BREACHED
+  deleted = 'exclude'
+} = {}) => {
+  // 1. Base Condition (soft-deleted tasks are hidden unless asked for)
+  const conditions = [];
+  if (deleted === 'only') conditions.push('deleted_at IS NOT NULL');
+  else if (deleted !== 'include') conditions.push('deleted_at IS NULL');
+  const params = [];
+
+  // 2. Status & Overdue Logic
+  if (statusFilters.length > 0) {
+    // Separate "Real" DB statuses from the "Virtual" OVERDUE status
+    const isOverdueSelected = statusFilters.includes('OVERDUE');
+    const dbStatuses = statusFilters.filter(s => s !== 'OVERDUE');
+
+    const orConditions = [];
+
+    // Logic A: Workflow Statuses (PENDING, IN_PROGRESS, ...)
+    if (dbStatuses.length > 0) {
+      const placeholders = dbStatuses.map(() => '?').join(', ');
+      orConditions.push(`status IN (${placeholders})`);
+      params.push(...dbStatuses);
+    }
+
+    // Logic B: Overdue (Due date is in past AND still open, i.e. not in a terminal status)
+    // We pass the current ISO time to compare against the stored string
+    if (isOverdueSelected) {
+      orConditions.push(`(due_date < ? AND ${openStatusCondition()})`);
+      params.push(new Date().toISOString());
+    }
+
+    // Combine A and B with OR (e.g. Show me PENDING tasks OR OVERDUE tasks)
+    if (orConditions.length > 0) {
+      conditions.push(`(${orConditions.join(' OR ')})`);
+    }
+  }
+
+  // 3. Date Ranges (values are normalised UTC ISO strings, so string comparison is safe)
+  const ranges = [
+    ['due_date', '<', dueBefore], ['due_date', '>', dueAfter],
+    ['created_at', '<', createdBefore], ['created_at', '>', createdAfter],
+    ['updated_at', '<', updatedBefore], ['updated_at', '>', updatedAfter]
+  ];
+  ranges.forEach(([column, operator, value]) => {
+    if (!value) return;
+    conditions.push(`${column} ${operator} ?`);
+    params.push(value);
   });
+
+  // 4. Full-text Search (title and description)
+  const searchQuery = search ? toSearchQuery(search) : '';
+  if (searchQuery) {
+    conditions.push(`id IN (SELECT rowid FROM tasks_fts WHERE tasks_fts MATCH ?)`);
+    params.push(searchQuery);
+  }
+
+  // 5. Case
+  if (caseReference) {
+    conditions.push('case_reference = ?');
+    params.push(caseReference);
+  }
+
+  // 6. Tags ('any': at least one of them, 'all': every one of them)
+  if (tags.length > 0) {
+    const placeholders = tags.map(() => '?').join(', ');
+    let tagged = `SELECT tt.task_id FROM task_tags tt JOIN tags g ON g.id = tt.tag_id WHERE g.name IN (${placeholders})`;
+    params.push(...tags);
+    if (tagMatch === 'all') {
+      tagged += ` GROUP BY tt.task_id HAVING COUNT(DISTINCT g.id) = ?`;
+      params.push(tags.length);
+    }
+    conditions.push(`id IN (${tagged})`);
+  }
+
+  // 7. Assignee
+  if (assignedTo === null) {
+    conditions.push('assigned_to IS NULL');
+  } else if (assignedTo !== undefined) {
+    conditions.push('assigned_to = ?');
+    params.push(assignedTo);
+  }
+
+  // 8. SLA status
+  if (sla) {
+    conditions.push('sla_status = ?');
+    params.push(sla);
+  }
+
+  return { where: conditions.length ? conditions.join(' AND ') : '1 = 1', params };
 };
 
 // The Model Methods
@@ -25,283 +242,240 @@ const TaskModel = {
   // ------------------------
   // Create Task + Audit
   // ------------------------
-  create: async (task) => {
-    return new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run("BEGIN TRANSACTION");
-
-        const nowISO = new Date().toISOString(); // For created_at & updated_at
-
-        const sqlInsertTask = `
-          INSERT INTO tasks (title, description, status, due_date, created_at, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `;
-
-        // NOTE: task.due_date is required; no default
-        db.run(
-          sqlInsertTask,
-          [
-            task.title,
-            task.description || '',
-            task.status || 'PENDING',
-            task.due_date,       // must be provided by user
-            nowISO,              // created_at
-            nowISO               // updated_at
-          ],
-          function (err) {
-            if (err) return db.run("ROLLBACK", () => reject(err));
-
-            const taskId = this.lastID;
-
-            const sqlInsertHistory = `
-              INSERT INTO task_history (task_id, change_summary, changed_at)
-              VALUES (?, ?, ?)
-            `;
-
-            db.run(sqlInsertHistory, [taskId, 'Task created', nowISO], function (err2) {
-              if (err2) return db.run("ROLLBACK", () => reject(err2));
-
-              db.run("COMMIT", (err3) => {
-                if (err3) return reject(err3);
-
-                // Fetch the newly created task
-                db.get(`SELECT * FROM tasks WHERE id = ?`, [taskId], (err4, row) => {
-                  if (err4) return reject(err4);
-
-                  resolve({
-                    ...row,
-                    id: row.id,
-                    title: row.title,
-                    description: row.description,
-                    status: row.status,
-                    due_date: row.due_date,   // populated by user
-                    created_at: row.created_at,
-                    updated_at: row.updated_at,
-                    deleted_at: row.deleted_at || null
-                  });
-                });
-              });
-            });
-          }
-        );
-      });
-    });
+  create: async (task, { userId, apiKeyId } = {}) => {
+    const nowISO = new Date().toISOString(); // For created_at & updated_at
+
+    const taskId = await withTransaction(() => insertTask(task, 'Task created', nowISO, { userId, apiKeyId }));
+
+    // Fetch the newly created task
+    const created = await TaskModel.findById(taskId);
+    await publish('task.created', { task: created, actor: toActor({ userId, apiKeyId }) });
+    return created;
   },
 
+  // ------------------------
+  // Bulk Import
+  // ------------------------
+  // Creates every task in one transaction (all or none), each with a "Task imported"
+  // history entry. Tasks must already be validated. Resolves the created tasks, in order
+  importMany: async (tasks, { userId, apiKeyId } = {}) => {
+    const nowISO = new Date().toISOString();
+    const ids = await withTransaction(async () => {
+      const inserted = [];
+      for (const task of tasks) {
+        inserted.push(await insertTask(task, 'Task imported', nowISO, { userId, apiKeyId }));
+      }
+      return inserted;
+    });
+
+    const created = [];
+    for (const id of ids) {
+      const task = await TaskModel.findById(id);
+      await publish('task.created', { task, actor: toActor({ userId, apiKeyId }) });
+      created.push(task);
+    }
+    return created;
+  },
 
   // ------------------------
   // Update Task + Audit
   // ------------------------
-  update: async (id, task, changeSummary = null) => {
-    return new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run("BEGIN TRANSACTION", function (err) {
-          if (err) return reject(err);
-
-          const sqlUpdate = `
-            UPDATE tasks
-            SET title = ?, description = ?, status = ?, due_date = ?, updated_at = ?
-            WHERE id = ? AND deleted_at IS NULL
-          `;
-
-          db.run(
-            sqlUpdate,
-            [task.title, task.description, task.status, task.due_date, task.updated_at, id],
-            function (errUpdate) {
-              if (errUpdate) return db.run("ROLLBACK", () => reject(errUpdate));
-
-              // Only insert history if changeSummary exists
-              if (!changeSummary) {
-                return db.run("COMMIT", function (errCommit) {
-                  if (errCommit) return reject(errCommit);
-                  TaskModel.findById(id).then(resolve).catch(reject);
-                });
-              }
-
-              const sqlHistory = `
-                INSERT INTO task_history (task_id, change_summary, changed_at)
-                VALUES (?, ?, ?)
-              `;
-              db.run(sqlHistory, [id, changeSummary, new Date().toISOString()], function (errHistory) {
-                if (errHistory) return db.run("ROLLBACK", () => reject(errHistory));
-
-                db.run("COMMIT", function (errCommit) {
-                  if (errCommit) return reject(errCommit);
-                  TaskModel.findById(id).then(resolve).catch(reject);
-                });
-              });
-            }
-          );
-        });
-      });
+  // Pass expectedVersion to only update if nobody else has saved in the meantime.
+  // Pass startSeries to make the task the first occurrence of a new series repeating by task.recurrence.
+  // Resolves null when the version no longer matches (or the task is gone).
+  // Publishes task.updated (and task.status_changed when the status moved) if there is a changeSummary.
+  update: async (id, task, changeSummary = null, { expectedVersion, startSeries = false, userId, apiKeyId } = {}) => {
+    let previousStatus;
+    const updated = await withTransaction(async () => {
+      [{ status: previousStatus } = {}] = await getQuery(`SELECT status FROM tasks WHERE id = ?`, [id]);
+      const seriesId = startSeries ? await insertSeries(task, new Date().toISOString()) : task.series_id || null;
+      let sql = `
+        UPDATE tasks
+        SET title = ?, description = ?, status = ?, priority = ?, due_date = ?, assigned_to = ?, case_reference = ?,
+            parent_id = ?, series_id = ?, updated_at = ?, version = version + 1
+        WHERE id = ? AND deleted_at IS NULL
+      `;
+      const params = [
+        task.title, task.description, task.status, task.priority || 'NORMAL',
+        task.due_date, task.assigned_to || null, task.case_reference || null, task.parent_id || null, seriesId, task.updated_at, id
+      ];
+      if (expectedVersion !== undefined) {
+        sql += ` AND version = ?`;
+        params.push(expectedVersion);
+      }
+
+      const { changes } = await runQuery(sql, params);
+      if (changes === 0) return false;
+
+      if (task.tags) await setTaskTags(id, task.tags);
+
+      // Only insert history if changeSummary exists
+      if (changeSummary) {
+        await insertHistory(id, changeSummary, new Date().toISOString(), { userId, apiKeyId });
+      }
+      await syncSearchIndex(id);
+      return true;
     });
+    if (!updated) return null;
+
+    const saved = await TaskModel.findById(id);
+    if (changeSummary) {
+      const actor = toActor({ userId, apiKeyId });
+      await publish('task.updated', { task: saved, changes: changeSummary.split('\n'), actor });
+      if (previousStatus !== saved.status) {
+        await publish('task.status_changed', { task: saved, from: previousStatus, to: saved.status, actor });
+      }
+    }
+    return saved;
+  },
+
+  // ------------------------
+  // Next Occurrence of a Recurring Task + Audit
+  // ------------------------
+  // Creates it from the series template, as a system action. afterTaskId is the
+  // occurrence the caller based dueDate on; resolves null if that is no longer the
+  // latest one (another run got there first) or the series has ended.
+  createOccurrence: async (seriesId, dueDate, { afterTaskId }) => {
+    const nowISO = new Date().toISOString();
+
+    const taskId = await withTransaction(async () => {
+      const [series] = await getQuery(`SELECT * FROM task_series WHERE id = ? AND ended_at IS NULL`, [seriesId]);
+      if (!series) return null;
+      const [latest] = await getQuery(`SELECT MAX(id) AS id FROM tasks WHERE series_id = ?`, [seriesId]);
+      if (latest.id !== afterTaskId) return null;
+
+      const { lastID } = await runQuery(
+        `INSERT INTO tasks (title, description, status, priority, due_date, assigned_to, case_reference, series_id, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [series.title, series.description, initialStatus(), series.priority, dueDate, series.assigned_to, series.case_reference, seriesId, nowISO, nowISO]
+      );
+      await setTaskTags(lastID, JSON.parse(series.tags));
+      await runQuery(`UPDATE task_series SET occurrence_count = occurrence_count + 1 WHERE id = ?`, [seriesId]);
+      await insertHistory(lastID, `Task created by recurrence (series #${seriesId})`, nowISO);
+      await syncSearchIndex(lastID);
+      return lastID;
+    });
+    if (!taskId) return null;
+
+    const created = await TaskModel.findById(taskId);
+    await publish('task.created', { task: created, actor: toActor() });
+    return created;
   },
 
   // ------------------------
   // Soft Delete Task + Audit
   // ------------------------
-  delete: async (id) => {
-    return new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run("BEGIN TRANSACTION");
-
-        const nowISO = new Date().toISOString(); // consistent ISO timestamp
-
-        const sqlDelete = `
-          UPDATE tasks
-          SET deleted_at = ?
-          WHERE id = ? AND deleted_at IS NULL
-        `;
-
-        db.run(sqlDelete, [nowISO, id], function (err) {
-          if (err) return db.run("ROLLBACK", () => reject(err));
-
-          const sqlHistory = `
-            INSERT INTO task_history (task_id, change_summary, changed_at)
-            VALUES (?, ?, ?)
-          `;
-
-          db.run(sqlHistory, [id, "Task deleted", nowISO], function (err2) {
-            if (err2) return db.run("ROLLBACK", () => reject(err2));
-
-            db.run("COMMIT", (err3) => {
-              if (err3) return reject(err3);
-              resolve({ deleted: true, id });
-            });
-          });
-        });
-      });
+  // Resolves null when expectedVersion no longer matches (or the task is gone)
+  delete: async (id, { expectedVersion, userId, apiKeyId } = {}) => {
+    const nowISO = new Date().toISOString(); // consistent ISO timestamp
+
+    const deleted = await withTransaction(async () => {
+      let sql = `UPDATE tasks SET deleted_at = ?, version = version + 1 WHERE id = ? AND deleted_at IS NULL`;
+      const params = [nowISO, id];
+      if (expectedVersion !== undefined) {
+        sql += ` AND version = ?`;
+        params.push(expectedVersion);
+      }
+
+      const { changes } = await runQuery(sql, params);
+      if (changes === 0) return false;
+
+      await insertHistory(id, "Task deleted", nowISO, { userId, apiKeyId });
+      // Deleted tasks drop out of search results
+      await syncSearchIndex(id);
+      return true;
+    });
+    if (!deleted) return null;
+
+    await publish('task.deleted', {
+      task: await TaskModel.findById(id, { includeDeleted: true }),
+      actor: toActor({ userId, apiKeyId })
+    });
+    return { deleted: true, id };
+  },
+
+  // ------------------------
+  // Restore Soft-Deleted Task + Audit
+  // ------------------------
+  // Resolves null when the task is not currently deleted (or was redacted by the retention policy)
+  restore: async (id, { userId, apiKeyId } = {}) => {
+    const nowISO = new Date().toISOString();
+
+    const restored = await withTransaction(async () => {
+      const { changes } = await runQuery(
+        `UPDATE tasks SET deleted_at = NULL, updated_at = ?, version = version + 1
+         WHERE id = ? AND deleted_at IS NOT NULL AND redacted_at IS NULL`,
+        [nowISO, id]
+      );
+      if (changes === 0) return false;
+
+      await insertHistory(id, "Task restored", nowISO, { userId, apiKeyId });
+      // Back into search results
+      await syncSearchIndex(id);
+      return true;
     });
+    if (!restored) return null;
+
+    const task = await TaskModel.findById(id);
+    await publish('task.restored', { task, actor: toActor({ userId, apiKeyId }) });
+    return task;
   },
 
-  // Enhanced Find All with Filtering and Sorting
-  findAll: async ({ statusFilters = [], sortBy = 'due_date', sortOrder = 'ASC' } = {}) => {
+  // Enhanced Find All with Filtering, Sorting and Pagination
+  // Pass workingDaysOverdue to add working_days_overdue to each task: how many
+  // working days (England & Wales) have ended since an open task fell due, else 0
+  findAll: async ({ sortBy = 'due_date', sortOrder = 'ASC', limit, offset = 0, workingDaysOverdue = false, ...filters } = {}) => {
     // 1. Security: Whitelist Sort Columns
-    const validSorts = ['id', 'title', 'status', 'due_date', 'created_at'];
+    const validSorts = ['id', 'title', 'status', 'priority', 'urgency', 'due_date', 'created_at', 'updated_at', 'deleted_at'];
     const validOrders = ['ASC', 'DESC'];
 
     const safeSort = validSorts.includes(sortBy) ? sortBy : 'due_date';
     const safeOrder = validOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'ASC';
 
-    // 2. Base Query
-    let sql = `SELECT * FROM tasks WHERE deleted_at IS NULL`;
-    const params = [];
-
-    // 3. Status & Overdue Logic
-    if (statusFilters.length > 0) {
-      // Separate "Real" DB statuses from the "Virtual" OVERDUE status
-      const isOverdueSelected = statusFilters.includes('OVERDUE');
-      const dbStatuses = statusFilters.filter(s => s !== 'OVERDUE');
-
-      const orConditions = [];
+    // 2. Filters (shared with countAll so totals always match the page)
+    const { where, params } = buildWhereClause(filters);
+    let sql = `SELECT ${TASK_COLUMNS} FROM tasks WHERE ${where}`;
 
-      // Logic A: Standard Statuses (PENDING, IN_PROGRESS, COMPLETED)
-      if (dbStatuses.length > 0) {
-        const placeholders = dbStatuses.map(() => '?').join(', ');
-        orConditions.push(`status IN (${placeholders})`);
-        params.push(...dbStatuses);
-      }
-
-      // Logic B: Overdue (Due date is in past AND not completed)
-      // We pass the current ISO time to compare against the stored string
-      if (isOverdueSelected) {
-        orConditions.push(`(due_date < ? AND status != 'COMPLETED')`);
-        params.push(new Date().toISOString());
-      }
+    // 3. Apply Sort (id as tie-breaker keeps pages stable when values repeat)
+    const orderBy = orderByTerms(safeSort, safeOrder, new Date().toISOString());
+    sql += ` ORDER BY ${orderBy.terms.join(', ')}`;
+    params.push(...orderBy.params);
+    if (safeSort !== 'id') sql += `, id ASC`;
 
-      // Combine A and B with OR (e.g. Show me PENDING tasks OR OVERDUE tasks)
-      if (orConditions.length > 0) {
-        sql += ` AND (${orConditions.join(' OR ')})`;
-      }
+    // 4. Pagination (optional - the SSR page still asks for everything)
+    if (limit) {
+      sql += ` LIMIT ? OFFSET ?`;
+      params.push(limit, offset);
     }
 
-    // 4. Apply Sort
-    sql += ` ORDER BY ${safeSort} ${safeOrder}`;
-
-    return await getQuery(sql, params);
-  },
-  findById: async (id) => {
-    // SECURITY: Prevent accessing a deleted task via direct URL
-    const result = await getQuery(`SELECT * FROM tasks WHERE id = ? AND deleted_at IS NULL`, [id]);
-    return result[0];
+    const tasks = (await getQuery(sql, params)).map(toTask);
+    if (!workingDaysOverdue) return tasks;
+
+    const holidays = await BankHolidayModel.findDates();
+    const now = new Date();
+    const today = londonDate(now);
+    return tasks.map(task => ({
+      ...task,
+      working_days_overdue: task.due_date && new Date(task.due_date) < now && !isTerminal(task.status)
+        ? workingDaysBetween(londonDate(task.due_date), today, holidays)
+        : 0
+    }));
   },
 
-  update: async (id, task, changeSummary = null) => {
-    return new Promise((resolve, reject) => {
-      db.run("BEGIN TRANSACTION", function (err) {
-        if (err) return reject(err);
-
-        const sqlUpdate = `
-          UPDATE tasks
-          SET title = ?, description = ?, status = ?, due_date = ?, updated_at = ?
-          WHERE id = ? AND deleted_at IS NULL
-        `;
-
-        db.run(
-          sqlUpdate,
-          [task.title, task.description, task.status, task.due_date, task.updated_at, id],
-          function (err) {
-            if (err) return db.run("ROLLBACK", () => reject(err));
-
-            // Only insert history if changeSummary exists
-            if (!changeSummary) {
-              return db.run("COMMIT", function (err2) {
-                if (err2) return reject(err2);
-                TaskModel.findById(id).then(resolve).catch(reject);
-              });
-            }
-
-            const sqlHistory = `
-              INSERT INTO task_history (task_id, change_summary, changed_at)
-              VALUES (?, ?, ?)
-            `;
-
-            db.run(sqlHistory, [id, changeSummary, new Date().toISOString()], function (err3) {
-              if (err3) return db.run("ROLLBACK", () => reject(err3));
-
-              db.run("COMMIT", function (err4) {
-                if (err4) return reject(err4);
-                TaskModel.findById(id).then(resolve).catch(reject);
-              });
-            });
-          }
-        );
-      });
-    });
+  // Total number of tasks matching the same filters as findAll
+  countAll: async (filters = {}) => {
+    const { where, params } = buildWhereClause(filters);
+    const rows = await getQuery(`SELECT COUNT(*) AS total FROM tasks WHERE ${where}`, params);
+    return rows[0].total;
   },
-
-  delete: async (id) => {
-    return new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run("BEGIN TRANSACTION");
-
-        const nowISO = new Date().toISOString(); // use JS ISO timestamp
-
-        const sqlDelete = `
-          UPDATE tasks
-          SET deleted_at = ?
-          WHERE id = ? AND deleted_at IS NULL
-        `;
-
-        db.run(sqlDelete, [nowISO, id], function (err) {
-          if (err) return db.run("ROLLBACK", () => reject(err));
-
-          const sqlHistory = `
-            INSERT INTO task_history (task_id, change_summary, changed_at)
-            VALUES (?, ?, ?)
-          `;
-
-          db.run(sqlHistory, [id, "Task deleted", nowISO], function (err2) {
-            if (err2) return db.run("ROLLBACK", () => reject(err2));
-
-            db.run("COMMIT", (errCommit) => {
-              if (errCommit) return reject(errCommit);
-              resolve({ deleted: true, id });
-            });
-          });
-        });
-      });
-    });
+  findById: async (id, { includeDeleted = false } = {}) => {
+    // SECURITY: Prevent accessing a deleted task via direct URL
+    // (only the restore flow asks for deleted tasks explicitly)
+    const sql = includeDeleted
+      ? `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = ?`
+      : `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = ? AND deleted_at IS NULL`;
+    const result = await getQuery(sql, [id]);
+    return toTask(result[0]);
   },
 
   // Audit History Method
@@ -317,16 +491,30 @@ const TaskModel = {
   getHistory: (taskId) => {
     return new Promise((resolve, reject) => {
       const sql = `
-        SELECT * 
-        FROM task_history 
-        WHERE task_id = ? 
-        ORDER BY changed_at DESC, id DESC
+        SELECT ${HISTORY_COLUMNS}
+        FROM task_history h
+        ${HISTORY_ACTOR_JOINS}
+        WHERE h.task_id = ? 
+        ORDER BY h.changed_at DESC, h.id DESC
       `;
       db.all(sql, [parseInt(taskId, 10)], (err, rows) => {
         if (err) reject(err);
         else resolve(rows); // rows should have .change_summary and .changed_at
       });
     });
+  },
+
+  // Combined history of every live task on a case, newest first
+  getCaseHistory: async (caseReference) => {
+    return await getQuery(
+      `SELECT ${HISTORY_COLUMNS}, t.title AS task_title
+       FROM task_history h
+       JOIN tasks t ON t.id = h.task_id
+       ${HISTORY_ACTOR_JOINS}
+       WHERE t.case_reference = ? AND t.deleted_at IS NULL
+       ORDER BY h.changed_at DESC, h.id DESC`,
+      [caseReference]
+    );
   }
 };
 
@@ -0,0 +1,120 @@
+const { runQuery, getQuery, withTransaction } = require('../utils/dbHelper');
+const { openStatusCondition } = require('../utils/workflow');
+
+// Just enough of each related task to list it and show its progress
+const RELATED_COLUMNS = `t.id, t.title, t.status, t.priority, t.due_date, t.assigned_to`;
+
+// A blocker stops counting once it is finished (completed, cancelled, ...) or deleted
+const openTask = () => `${openStatusCondition('t.status')} AND t.deleted_at IS NULL`;
+
+const recordHistory = (taskId, summary, changedAt, { userId = null, apiKeyId = null }) => runQuery(
+  `INSERT INTO task_history (task_id, change_summary, changed_at, user_id, api_key_id) VALUES (?, ?, ?, ?, ?)`,
+  [taskId, summary, changedAt, userId, apiKeyId]
+);
+
+// True when `to` can be reached from `from` by following blocked-by links
+// (so making `to` blocked by `from` would close a loop)
+const isBlockedByChain = async (from, to) => {
+  const rows = await getQuery(`
+    WITH RECURSIVE chain(id) AS (
+      SELECT ?
+      UNION
+      SELECT d.blocked_by_id FROM task_dependencies d JOIN chain ON d.task_id = chain.id
+    )
+    SELECT 1 FROM chain WHERE id = ? LIMIT 1
+  `, [from, to]);
+  return rows.length > 0;
+};
+
+/**
+ * Subtasks (tasks.parent_id) and "blocked by" links (task_dependencies).
+ * Only live tasks are listed; a deleted blocker no longer blocks.
+ */
+const TaskRelationModel = {
+
+  findChildren: async (taskId) => {
+    return await getQuery(
+      `SELECT ${RELATED_COLUMNS} FROM tasks t WHERE t.parent_id = ? AND t.deleted_at IS NULL ORDER BY t.id ASC`,
+      [taskId]
+    );
+  },
+
+  // True when candidateId is the task itself or one of its subtasks (at any depth),
+  // i.e. when it cannot become the task's parent
+  isSelfOrDescendant: async (taskId, candidateId) => {
+    const rows = await getQuery(`
+      WITH RECURSIVE descendants(id) AS (
+        SELECT ?
+        UNION
+        SELECT t.id FROM tasks t JOIN descendants ON t.parent_id = descendants.id
+      )
+      SELECT 1 FROM descendants WHERE id = ? LIMIT 1
+    `, [taskId, candidateId]);
+    return rows.length > 0;
+  },
+
+  findBlockers: async (taskId) => {
+    return await getQuery(
+      `SELECT ${RELATED_COLUMNS} FROM task_dependencies d JOIN tasks t ON t.id = d.blocked_by_id
+       WHERE d.task_id = ? AND t.deleted_at IS NULL ORDER BY t.id ASC`,
+      [taskId]
+    );
+  },
+
+  // Tasks waiting on this one
+  findBlocking: async (taskId) => {
+    return await getQuery(
+      `SELECT ${RELATED_COLUMNS} FROM task_dependencies d JOIN tasks t ON t.id = d.task_id
+       WHERE d.blocked_by_id = ? AND t.deleted_at IS NULL ORDER BY t.id ASC`,
+      [taskId]
+    );
+  },
+
+  findOpenBlockers: async (taskId) => {
+    return await getQuery(
+      `SELECT ${RELATED_COLUMNS} FROM task_dependencies d JOIN tasks t ON t.id = d.blocked_by_id
+       WHERE d.task_id = ? AND ${openTask()} ORDER BY t.id ASC`,
+      [taskId]
+    );
+  },
+
+  // ------------------------
+  // Add Blocker + Audit
+  // ------------------------
+  // Resolves { added: true }, { added: false } when the link already exists,
+  // or { cycle: true } when blockedById already (directly or indirectly) waits on taskId
+  addBlocker: async (taskId, blockedById, actor = {}) => {
+    return withTransaction(async () => {
+      if (await isBlockedByChain(blockedById, taskId)) return { cycle: true };
+
+      const nowISO = new Date().toISOString();
+      const { changes } = await runQuery(
+        `INSERT OR IGNORE INTO task_dependencies (task_id, blocked_by_id, created_at) VALUES (?, ?, ?)`,
+        [taskId, blockedById, nowISO]
+      );
+      if (changes === 0) return { added: false };
+
+      await recordHistory(taskId, `Blocked by task #${blockedById}`, nowISO, actor);
+      return { added: true };
+    });
+  },
+
+  // ------------------------
+  // Remove Blocker + Audit
+  // ------------------------
+  // Resolves false when there was no such link
+  removeBlocker: async (taskId, blockedById, actor = {}) => {
+    return withTransaction(async () => {
+      const { changes } = await runQuery(
+        `DELETE FROM task_dependencies WHERE task_id = ? AND blocked_by_id = ?`,
+        [taskId, blockedById]
+      );
+      if (changes === 0) return false;
+
+      await recordHistory(taskId, `No longer blocked by task #${blockedById}`, new Date().toISOString(), actor);
+      return true;
+    });
+  }
+};
+
+module.exports = TaskRelationModel;
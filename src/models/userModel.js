@@ -0,0 +1,50 @@
+const { runQuery, getQuery } = require('../utils/dbHelper');
+const { DEFAULT_ROLE } = require('../auth/permissions');
+
+const UserModel = {
+
+  // Creates the user on first sign-in and refreshes their details on later ones,
+  // so name/email changes at the identity provider flow through.
+  // role is only overwritten when the identity provider sends one; otherwise
+  // the role an admin set (or the default) is kept.
+  upsertFromIdentity: async ({ subject, email, displayName, role }) => {
+    const nowISO = new Date().toISOString();
+    await runQuery(
+      `INSERT INTO users (subject, email, display_name, role, created_at, last_login_at)
+       VALUES (?, ?, ?, COALESCE(?, ?), ?, ?)
+       ON CONFLICT(subject) DO UPDATE SET
+         email = excluded.email,
+         display_name = excluded.display_name,
+         role = COALESCE(?, users.role),
+         last_login_at = excluded.last_login_at`,
+      [subject, email || null, displayName, role || null, DEFAULT_ROLE, nowISO, nowISO, role || null]
+    );
+    return UserModel.findBySubject(subject);
+  },
+
+  findAll: async () => {
+    return await getQuery(`SELECT id, subject, email, display_name, role, created_at, last_login_at FROM users ORDER BY display_name ASC, id ASC`);
+  },
+
+  updateRole: async (id, role) => {
+    const { changes } = await runQuery(`UPDATE users SET role = ? WHERE id = ?`, [role, id]);
+    return changes ? UserModel.findById(id) : null;
+  },
+
+  // Everyone with the role, e.g. the team leaders to notify about an SLA breach
+  findByRole: async (role) => {
+    return await getQuery(`SELECT * FROM users WHERE role = ? ORDER BY display_name ASC, id ASC`, [role]);
+  },
+
+  findById: async (id) => {
+    const rows = await getQuery(`SELECT * FROM users WHERE id = ?`, [id]);
+    return rows[0];
+  },
+
+  findBySubject: async (subject) => {
+    const rows = await getQuery(`SELECT * FROM users WHERE subject = ?`, [subject]);
+    return rows[0];
+  }
+};
+
+module.exports = UserModel;
@@ -0,0 +1,135 @@
+const { runQuery, getQuery, withTransaction } = require('../utils/dbHelper');
+
+const toSubscription = (row) => row && {
+  ...row,
+  events: JSON.parse(row.events),
+  filters: JSON.parse(row.filters),
+  active: row.active === 1
+};
+
+const toDelivery = (row) => row && { ...row, payload: JSON.parse(row.payload) };
+
+/**
+ * Webhook subscriptions and their delivery queue (see src/services/webhookService.js).
+ * The queue doubles as the delivery log: rows are kept once delivered or failed,
+ * until pruneDeliveries removes them.
+ */
+const WebhookModel = {
+
+  findAll: async () => {
+    const rows = await getQuery(`SELECT * FROM webhook_subscriptions ORDER BY id ASC`);
+    return rows.map(toSubscription);
+  },
+
+  findById: async (id) => {
+    const rows = await getQuery(`SELECT * FROM webhook_subscriptions WHERE id = ?`, [id]);
+    return toSubscription(rows[0]);
+  },
+
+  // Active subscriptions to the event type (filters are checked by the caller)
+  findActiveFor: async (eventType) => {
+    const rows = await getQuery(
+      `SELECT * FROM webhook_subscriptions
+       WHERE active = 1 AND EXISTS (SELECT 1 FROM json_each(events) WHERE value = ?)
+       ORDER BY id ASC`,
+      [eventType]
+    );
+    return rows.map(toSubscription);
+  },
+
+  create: async ({ name, url, secret, events, filters, active, createdBy }) => {
+    const { lastID } = await runQuery(
+      `INSERT INTO webhook_subscriptions (name, url, secret, events, filters, active, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [name, url, secret, JSON.stringify(events), JSON.stringify(filters), active ? 1 : 0, createdBy || null, new Date().toISOString()]
+    );
+    return WebhookModel.findById(lastID);
+  },
+
+  // Only the fields given are changed. Resolves null when there is no such subscription
+  update: async (id, fields) => {
+    const columns = {
+      name: fields.name,
+      url: fields.url,
+      events: fields.events && JSON.stringify(fields.events),
+      filters: fields.filters && JSON.stringify(fields.filters),
+      active: fields.active === undefined ? undefined : (fields.active ? 1 : 0)
+    };
+    const keys = Object.keys(columns).filter(key => columns[key] !== undefined);
+    const { changes } = await runQuery(
+      `UPDATE webhook_subscriptions SET ${keys.map(key => `${key} = ?, `).join('')}updated_at = ? WHERE id = ?`,
+      [...keys.map(key => columns[key]), new Date().toISOString(), id]
+    );
+    return changes ? WebhookModel.findById(id) : null;
+  },
+
+  // Removes the subscription with its queue and log. Resolves false when there was none
+  remove: async (id) => {
+    return withTransaction(async () => {
+      await runQuery(`DELETE FROM webhook_deliveries WHERE subscription_id = ?`, [id]);
+      const { changes } = await runQuery(`DELETE FROM webhook_subscriptions WHERE id = ?`, [id]);
+      return changes > 0;
+    });
+  },
+
+  // ------------------------
+  // Delivery Queue
+  // ------------------------
+  enqueue: async (subscriptionId, event, payload) => {
+    const nowISO = new Date().toISOString();
+    await runQuery(
+      `INSERT INTO webhook_deliveries (subscription_id, task_id, event_id, event_type, payload, next_attempt_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [subscriptionId, event.data.task.id, event.id, event.type, payload, nowISO, nowISO]
+    );
+  },
+
+  // Deliveries waiting to be sent (or retried) by nowISO, oldest first, with where to send them
+  findDue: async (nowISO, limit) => {
+    const rows = await getQuery(
+      `SELECT d.*, s.url, s.secret FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.status = 'PENDING' AND d.next_attempt_at <= ?
+       ORDER BY d.next_attempt_at ASC, d.id ASC
+       LIMIT ?`,
+      [nowISO, limit]
+    );
+    // Sent exactly as queued, so payload stays a string here
+    return rows;
+  },
+
+  // Records an attempt, replacing the outcome of the one before.
+  // status is DELIVERED, PENDING (to retry at nextAttemptAt) or FAILED
+  recordAttempt: async (id, { status, attemptedAt, responseStatus = null, error = null, nextAttemptAt = null }) => {
+    await runQuery(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = attempts + 1, last_attempt_at = ?, response_status = ?, last_error = ?,
+           next_attempt_at = ?, delivered_at = CASE WHEN ? = 'DELIVERED' THEN ? ELSE delivered_at END
+       WHERE id = ?`,
+      [status, attemptedAt, responseStatus, error, nextAttemptAt, status, attemptedAt, id]
+    );
+  },
+
+  // Removes delivered and failed deliveries created before the cutoff; pending ones are kept.
+  // Resolves the number removed
+  pruneDeliveries: async (cutoffISO) => {
+    const { changes } = await runQuery(
+      `DELETE FROM webhook_deliveries WHERE status IN ('DELIVERED', 'FAILED') AND created_at < ?`,
+      [cutoffISO]
+    );
+    return changes;
+  },
+
+  // The delivery log for a subscription, newest first
+  findDeliveries: async (subscriptionId, { status, limit, offset }) => {
+    const rows = await getQuery(
+      `SELECT * FROM webhook_deliveries
+       WHERE subscription_id = ? AND (? IS NULL OR status = ?)
+       ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [subscriptionId, status || null, status || null, limit, offset]
+    );
+    return rows.map(toDelivery);
+  }
+};
+
+module.exports = WebhookModel;
@@ -0,0 +1,819 @@
+const express = require('express');
+const router = express.Router();
+const AdminController = require('../controllers/adminController');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/v1/admin/retention/run:
+ *   post:
+ *     summary: Apply the data retention policy now
+ *     description: >
+ *       Permanently purges (or redacts, depending on RETENTION_MODE) soft-deleted tasks
+ *       whose deleted_at is older than RETENTION_DAYS. The same job also runs on a schedule.
+ *       Every purge/redaction is recorded in the retention log.
+ *       It also deletes delivered and failed webhook deliveries older than WEBHOOK_DELIVERY_RETENTION_DAYS.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: List the tasks that would be affected without changing anything
+ *     responses:
+ *       200:
+ *         description: Summary of the run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mode:
+ *                   type: string
+ *                   enum: [purge, redact]
+ *                 retentionDays:
+ *                   type: integer
+ *                 cutoff:
+ *                   type: string
+ *                   format: date-time
+ *                 dryRun:
+ *                   type: boolean
+ *                 processed:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RetentionLogEntry'
+ *                 webhookDeliveriesPruned:
+ *                   type: integer
+ *                   description: Webhook deliveries deleted from the log (not present for dry runs)
+ *                 candidates:
+ *                   type: array
+ *                   description: Only present for dry runs
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       task_id:
+ *                         type: integer
+ *                       deleted_at:
+ *                         type: string
+ *                         format: date-time
+ */
+router.post('/retention/run', authorize('admin:retention'), AdminController.runRetention);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RetentionLogEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         task_id:
+ *           type: integer
+ *         action:
+ *           type: string
+ *           enum: [PURGED, REDACTED]
+ *         task_deleted_at:
+ *           type: string
+ *           format: date-time
+ *         retention_days:
+ *           type: integer
+ *         history_entries:
+ *           type: integer
+ *           description: Number of task_history rows removed or redacted
+ *         triggered_by:
+ *           type: string
+ *           enum: [scheduler, admin]
+ *         performed_at:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/v1/admin/retention/log:
+ *   get:
+ *     summary: Audit log of retention purges and redactions
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Retention log entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RetentionLogEntry'
+ */
+router.get('/retention/log', authorize('admin:retention'), AdminController.getRetentionLog);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         subject:
+ *           type: string
+ *           description: Stable identifier from the identity provider
+ *         email:
+ *           type: string
+ *           nullable: true
+ *         display_name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [caseworker, team_leader, admin]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_login_at:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/v1/admin/users:
+ *   get:
+ *     summary: List users and their roles
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: All users who have signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Only admins can manage users
+ */
+router.get('/users', authorize('admin:users'), AdminController.getUsers);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}:
+ *   patch:
+ *     summary: Change a user's role
+ *     description: >
+ *       Roles set here persist across sign-ins unless the identity provider
+ *       sends a role claim, which always wins.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [caseworker, team_leader, admin]
+ *     responses:
+ *       200:
+ *         description: The updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can manage users
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Admins cannot change their own role
+ */
+router.patch('/users/:id', authorize('admin:users'), AdminController.updateUserRole);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: Who or what uses the key, e.g. "Power Automate - listing flow"
+ *         key_prefix:
+ *           type: string
+ *           description: Start of the key, to recognise it (the key itself is never stored)
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [tasks:read, tasks:write]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *
+ * /api/v1/admin/api-keys:
+ *   get:
+ *     summary: List API keys for machine clients
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: All API keys, newest first (including expired and revoked ones)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Only admins can manage API keys
+ *   post:
+ *     summary: Create an API key
+ *     description: >
+ *       The key is returned once, in the response. Clients send it in the
+ *       X-API-Key header on /api/v1/tasks. tasks:read gives read-only access;
+ *       tasks:write also allows creating and updating tasks.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [tasks:read, tasks:write]
+ *                 default: [tasks:read]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional UTC expiry; the key never expires without one
+ *     responses:
+ *       201:
+ *         description: The new key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: The API key. Store it securely; it cannot be shown again.
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can manage API keys
+ */
+router.get('/api-keys', authorize('admin:api_keys'), AdminController.getApiKeys);
+router.post('/api-keys', authorize('admin:api_keys'), AdminController.createApiKey);
+
+/**
+ * @swagger
+ * /api/v1/admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Takes effect immediately. The key stays listed (with revoked_at) for the audit trail.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: API key revoked
+ *       403:
+ *         description: Only admins can manage API keys
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/api-keys/:id', authorize('admin:api_keys'), AdminController.revokeApiKey);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BankHoliday:
+ *       type: object
+ *       required: [date, title]
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: 2026-12-28
+ *         title:
+ *           type: string
+ *           example: Boxing Day
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *           example: Substitute day
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *
+ * /api/v1/admin/bank-holidays:
+ *   get:
+ *     summary: The England & Wales bank holidays used for working-day deadlines
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Only this year's holidays
+ *     responses:
+ *       200:
+ *         description: Bank holidays, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/BankHoliday'
+ *       403:
+ *         description: Only admins can manage the bank holiday calendar
+ *   put:
+ *     summary: Replace the whole calendar
+ *     description: >
+ *       Accepts GOV.UK's https://www.gov.uk/bank-holidays.json as published (its england-and-wales
+ *       division is used), a single division ({ "events": [...] }) or a plain list of holidays.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/BankHoliday'
+ *     responses:
+ *       200:
+ *         description: The new calendar
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can manage the bank holiday calendar
+ *   post:
+ *     summary: Add a bank holiday (or rename the one on that date)
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BankHoliday'
+ *     responses:
+ *       200:
+ *         description: The holiday on that date was updated
+ *       201:
+ *         description: Bank holiday added
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can manage the bank holiday calendar
+ *
+ * /api/v1/admin/bank-holidays/{date}:
+ *   delete:
+ *     summary: Remove a bank holiday
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       204:
+ *         description: Bank holiday removed
+ *       403:
+ *         description: Only admins can manage the bank holiday calendar
+ *       404:
+ *         description: No bank holiday on that date
+ */
+router.get('/bank-holidays', authorize('admin:calendar'), AdminController.getBankHolidays);
+router.put('/bank-holidays', authorize('admin:calendar'), AdminController.replaceBankHolidays);
+router.post('/bank-holidays', authorize('admin:calendar'), AdminController.saveBankHoliday);
+router.delete('/bank-holidays/:date', authorize('admin:calendar'), AdminController.deleteBankHoliday);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SlaRule:
+ *       type: object
+ *       required: [name, warning_hours, breach_hours]
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           example: Urgent hearings
+ *         priority:
+ *           type: string
+ *           enum: [LOW, NORMAL, HIGH, URGENT]
+ *           nullable: true
+ *           description: Only tasks of this priority (null = any)
+ *         tag:
+ *           type: string
+ *           nullable: true
+ *           description: Only tasks with this tag (null = any)
+ *           example: hearing
+ *         warning_hours:
+ *           type: integer
+ *           description: Hours after creation at which an open task is marked AT_RISK
+ *           example: 24
+ *         breach_hours:
+ *           type: integer
+ *           description: Hours after creation at which an open task is marked BREACHED and escalated
+ *           example: 48
+ *         escalate_to:
+ *           type: integer
+ *           nullable: true
+ *           description: User ID of the team leader (or admin) a breached task is reassigned to
+ *         raise_priority_to:
+ *           type: string
+ *           enum: [LOW, NORMAL, HIGH, URGENT]
+ *           nullable: true
+ *           description: Priority a breached task is raised to (never lowered)
+ *         notify:
+ *           type: boolean
+ *           default: false
+ *           description: Notify the assignee (and, on breach, the team leader) when the status changes
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *
+ * /api/v1/admin/sla-rules:
+ *   get:
+ *     summary: List the SLA rules
+ *     description: >
+ *       Most specific first (priority and tag, then either, then neither); an open task
+ *       is timed by the first rule that matches it. A background job checks the rules
+ *       every SLA_INTERVAL_MINUTES and records each change in the task's history.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: The SLA rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SlaRule'
+ *       403:
+ *         description: Only admins can manage SLA rules
+ *   post:
+ *     summary: Add an SLA rule
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SlaRule'
+ *     responses:
+ *       201:
+ *         description: SLA rule added
+ *       400:
+ *         description: Validation error (including escalate_to not being a team leader)
+ *       403:
+ *         description: Only admins can manage SLA rules
+ *
+ * /api/v1/admin/sla-rules/{id}:
+ *   put:
+ *     summary: Replace an SLA rule
+ *     description: Tasks already at risk or breached keep their status.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SlaRule'
+ *     responses:
+ *       200:
+ *         description: The updated rule
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can manage SLA rules
+ *       404:
+ *         description: SLA rule not found
+ *   delete:
+ *     summary: Remove an SLA rule
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: SLA rule removed
+ *       403:
+ *         description: Only admins can manage SLA rules
+ *       404:
+ *         description: SLA rule not found
+ */
+router.get('/sla-rules', authorize('admin:sla'), AdminController.getSlaRules);
+router.post('/sla-rules', authorize('admin:sla'), AdminController.createSlaRule);
+router.put('/sla-rules/:id', authorize('admin:sla'), AdminController.updateSlaRule);
+router.delete('/sla-rules/:id', authorize('admin:sla'), AdminController.deleteSlaRule);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required: [name, url, events]
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           example: Listing system
+ *         url:
+ *           type: string
+ *           format: uri
+ *           example: https://listing.example.com/hooks/tasks
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [task.created, task.updated, task.status_changed, task.deleted, task.restored]
+ *         filters:
+ *           type: object
+ *           description: Only send events for tasks matching every list given
+ *           properties:
+ *             statuses:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             priorities:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 enum: [LOW, NORMAL, HIGH, URGENT]
+ *             tags:
+ *               type: array
+ *               description: The task has at least one of these tags
+ *               items:
+ *                 type: string
+ *         active:
+ *           type: boolean
+ *           default: true
+ *         created_by:
+ *           type: integer
+ *           readOnly: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         subscription_id:
+ *           type: integer
+ *         event_id:
+ *           type: string
+ *           format: uuid
+ *         event_type:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           description: The event as sent ({ id, type, created_at, data })
+ *         status:
+ *           type: string
+ *           enum: [PENDING, DELIVERED, FAILED]
+ *         attempts:
+ *           type: integer
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         response_status:
+ *           type: integer
+ *           nullable: true
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *         delivered_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/v1/admin/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: All subscriptions (without their secrets)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       403:
+ *         description: Only admins can manage webhooks
+ *   post:
+ *     summary: Subscribe a URL to task events
+ *     description: >
+ *       Each event is POSTed as JSON ({ id, type, created_at, data: { task, actor, ... } }) with the
+ *       headers X-Webhook-Id (the event), X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp and
+ *       X-Webhook-Signature: "sha256=" + the hex HMAC-SHA256 of "<timestamp>.<body>", keyed with the
+ *       subscription's secret. Any 2xx response counts as delivered; anything else is retried with
+ *       exponential backoff (WEBHOOK_RETRY_BASE_SECONDS, doubling) up to WEBHOOK_MAX_ATTEMPTS times.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       201:
+ *         description: The new subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Signing secret. Store it securely; it cannot be shown again.
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can manage webhooks
+ *
+ * /api/v1/admin/webhooks/{id}:
+ *   patch:
+ *     summary: Change a subscription (or pause it with active false)
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can manage webhooks
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Remove a subscription, with its queued deliveries and delivery log
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Webhook removed
+ *       403:
+ *         description: Only admins can manage webhooks
+ *       404:
+ *         description: Webhook not found
+ *
+ * /api/v1/admin/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: The subscription's delivery log, newest first
+ *     description: >
+ *       One entry per delivery. response_status and last_error describe its latest attempt;
+ *       attempts counts them all.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, DELIVERED, FAILED]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid query
+ *       403:
+ *         description: Only admins can manage webhooks
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/webhooks', authorize('admin:webhooks'), AdminController.getWebhooks);
+router.post('/webhooks', authorize('admin:webhooks'), AdminController.createWebhook);
+router.patch('/webhooks/:id', authorize('admin:webhooks'), AdminController.updateWebhook);
+router.delete('/webhooks/:id', authorize('admin:webhooks'), AdminController.deleteWebhook);
+router.get('/webhooks/:id/deliveries', authorize('admin:webhooks'), AdminController.getWebhookDeliveries);
+
+module.exports = router;
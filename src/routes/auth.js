@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const AuthController = require('../controllers/authController');
+
+// 1. Sign in (stub form or redirect to the identity provider)
+router.get('/login', AuthController.getLogin);
+router.post('/login', AuthController.completeLogin);   // stub provider form
+router.get('/auth/callback', AuthController.completeLogin); // OIDC redirect URI
+
+// 2. Sign out
+router.get('/logout', AuthController.getLogout);
+
+/**
+ * @swagger
+ * /auth/stub/token:
+ *   post:
+ *     summary: Issue a bearer token from the stub identity provider (development and tests only)
+ *     description: Only available when AUTH_PROVIDER=stub. Real deployments obtain tokens from the OIDC identity provider.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bearer token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 access_token:
+ *                   type: string
+ *                 token_type:
+ *                   type: string
+ *                 expires_in:
+ *                   type: integer
+ *       404:
+ *         description: Not using the stub identity provider
+ */
+router.post('/auth/stub/token', AuthController.postStubToken);
+
+module.exports = router;
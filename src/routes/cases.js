@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const CaseController = require('../controllers/caseController');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/v1/cases/{caseRef}/tasks:
+ *   get:
+ *     summary: Lists every task linked to a case
+ *     description: >
+ *       The case reference is matched after upper-casing and removing spaces.
+ *       References containing "/" (e.g. Immigration and Asylum appeals) must be URL encoded.
+ *       Returns an empty list when no tasks are linked to the case yet.
+ *     tags: [Cases]
+ *     parameters:
+ *       - in: path
+ *         name: caseRef
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 1234-5678-9012-3456
+ *     responses:
+ *       200:
+ *         description: The case's live tasks, soonest due first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 case_reference:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: The case reference is not in a recognised format
+ */
+router.get('/:caseRef/tasks', authorize('task:read'), CaseController.getCaseTasks);
+
+module.exports = router;
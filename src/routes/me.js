@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const NotificationController = require('../controllers/notificationController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         due_reminders:
+ *           type: boolean
+ *           default: true
+ *           description: Email before a task assigned to you is due
+ *         reminder_hours:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 1
+ *           maximum: 168
+ *           description: How many hours before; null for the default (REMINDER_HOURS_BEFORE)
+ *         overdue_digest:
+ *           type: boolean
+ *           default: true
+ *           description: A daily email of overdue tasks (team leaders' cover the whole team)
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *
+ * /api/v1/me/notification-preferences:
+ *   get:
+ *     summary: Your notification preferences
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: Your preferences (the defaults until you change them)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       422:
+ *         description: API keys have no notification preferences
+ *   put:
+ *     summary: Replace your notification preferences
+ *     tags: [Me]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Your saved preferences
+ *       400:
+ *         description: Validation error
+ *       422:
+ *         description: API keys have no notification preferences
+ */
+router.get('/notification-preferences', NotificationController.getPreferences);
+router.put('/notification-preferences', NotificationController.updatePreferences);
+
+module.exports = router;
@@ -1,21 +1,48 @@
 const express = require('express');
 const router = express.Router();
 const TaskController = require('../controllers/taskController');
+const CaseController = require('../controllers/caseController');
+const NotificationController = require('../controllers/notificationController');
+const ImportController = require('../controllers/importController');
+const { authorize } = require('../middleware/auth');
 
 // 1. Create Task Page (GET form, POST data)
-router.get('/create-task', TaskController.getCreatePage);
-router.post('/create-task', TaskController.postCreateTask);
+router.get('/create-task', authorize('task:create'), TaskController.getCreatePage);
+router.post('/create-task', authorize('task:create'), TaskController.postCreateTask);
 
 // 2. Home Page (List of Tasks)
-router.get('/', TaskController.getHomePage);
+router.get('/', authorize('task:read'), TaskController.getHomePage);
 
 // 3. Edit Task Page
-router.get('/edit-task/:id', TaskController.getEditPage);
-router.post('/edit-task/:id', TaskController.postEditTask);
+router.get('/edit-task/:id', authorize('task:read'), TaskController.getEditPage);
+router.post('/edit-task/:id', authorize('task:update'), TaskController.postEditTask);
+router.post('/edit-task/:id/comments', authorize('task:update'), TaskController.postAddComment);
+router.post('/edit-task/:id/attachments', authorize('task:update'), TaskController.postAddAttachment);
+router.post('/edit-task/:id/attachments/:attachmentId/delete', authorize('task:update'), TaskController.postRemoveAttachment);
 
 // 4. Delete Flow
 // GET the confirmation page
-router.get('/delete-task/:id/confirm', TaskController.getDeleteConfirmPage);
+router.get('/delete-task/:id/confirm', authorize('task:delete'), TaskController.getDeleteConfirmPage);
 // POST the actual deletion
-router.post('/delete-task/:id', TaskController.postDeleteTask);
+router.post('/delete-task/:id', authorize('task:delete'), TaskController.postDeleteTask);
+
+// 5. Assignment (buttons on the edit page)
+router.post('/take-task/:id', authorize('task:update'), TaskController.postTakeTask);
+router.post('/unassign-task/:id', authorize('task:assign'), TaskController.postUnassignTask);
+
+// 6. Case page (all tasks on a case and their combined history)
+router.get('/cases/:caseRef', authorize('task:read'), CaseController.getCasePage);
+
+// 7. Recently Deleted (restore soft-deleted tasks)
+router.get('/deleted-tasks', authorize('task:restore'), TaskController.getDeletedTasksPage);
+router.post('/restore-task/:id', authorize('task:restore'), TaskController.postRestoreTask);
+
+// 8. Notification settings (every signed-in user has their own)
+router.get('/notification-preferences', NotificationController.getPreferencesPage);
+router.post('/notification-preferences', NotificationController.postPreferencesPage);
+
+// 9. Bulk import (upload a CSV or JSON file of tasks)
+router.get('/import-tasks', authorize('task:import'), ImportController.getImportPage);
+router.post('/import-tasks', authorize('task:import'), ImportController.postImportPage);
+
 module.exports = router;
\ No newline at end of file
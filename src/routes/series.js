@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const SeriesController = require('../controllers/seriesController');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Series:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         recurrence:
+ *           type: string
+ *           example: FREQ=WEEKLY;BYDAY=MO
+ *         recurrence_description:
+ *           type: string
+ *           example: Every week on Monday
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *           description: Due date of the first occurrence, which anchors the rule
+ *         ended_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         occurrence_count:
+ *           type: integer
+ *         template:
+ *           type: object
+ *           description: The fields each new occurrence is created with
+ *         occurrences:
+ *           type: array
+ *           items:
+ *             type: object
+ *
+ * /api/v1/series/{id}:
+ *   get:
+ *     summary: A recurring task series with its occurrences
+ *     tags: [Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Series'
+ *       404:
+ *         description: Series not found
+ *   patch:
+ *     summary: Edit the whole series
+ *     description: >
+ *       Changes the template for future occurrences and every occurrence not yet completed
+ *       (each gets a history entry). To change a single occurrence, PATCH the task instead.
+ *       Set recurrence to null to stop the series.
+ *     tags: [Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [LOW, NORMAL, HIGH, URGENT]
+ *               case_reference:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               assigned_to:
+ *                 type: integer
+ *                 nullable: true
+ *               recurrence:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: The updated series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Series'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Series not found
+ *       409:
+ *         description: The series has ended
+ *   delete:
+ *     summary: Stop the series (existing occurrences are kept)
+ *     tags: [Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Series ended
+ *       404:
+ *         description: Series not found
+ */
+router.get('/:id', authorize('task:read'), SeriesController.getSeries);
+router.patch('/:id', authorize('task:update'), SeriesController.updateSeries);
+router.delete('/:id', authorize('task:update'), SeriesController.endSeries);
+
+module.exports = router;
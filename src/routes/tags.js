@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const TagController = require('../controllers/tagController');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/v1/tags:
+ *   get:
+ *     summary: Lists every tag with how many live tasks use it
+ *     tags: [Tags]
+ *     responses:
+ *       200:
+ *         description: Tags in alphabetical order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   task_count:
+ *                     type: integer
+ */
+router.get('/', authorize('task:read'), TagController.getTags);
+
+/**
+ * @swagger
+ * /api/v1/tags/{name}:
+ *   patch:
+ *     summary: Rename a tag, or merge it into another
+ *     description: >
+ *       Renaming to the name of an existing tag merges the two. Every task carrying
+ *       the tag gets a history entry. Names are normalised (lower case, spaces to hyphens).
+ *       Team leaders and admins only.
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The new name
+ *     responses:
+ *       200:
+ *         description: The renamed (or surviving) tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 name:
+ *                   type: string
+ *                 merged:
+ *                   type: boolean
+ *                   description: True when the tag was merged into an existing one
+ *                 tasks_affected:
+ *                   type: integer
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Your role is not allowed to manage tags
+ *       404:
+ *         description: Tag not found
+ */
+router.patch('/:name', authorize('tag:manage'), TagController.renameTag);
+
+module.exports = router;
@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const TaskController = require('../controllers/taskController');
+const CommentController = require('../controllers/commentController');
+const AttachmentController = require('../controllers/attachmentController');
+const TaskRelationController = require('../controllers/taskRelationController');
+const EventStreamController = require('../controllers/eventStreamController');
+const ImportController = require('../controllers/importController');
+const { authorize } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -24,12 +30,68 @@ const TaskController = require('../controllers/taskController');
  *           description: Optional task description
  *         status:
  *           type: string
- *           enum: [PENDING, IN_PROGRESS, COMPLETED]
- *           description: Task status
+ *           enum: [PENDING, IN_PROGRESS, ON_HOLD, COMPLETED, CANCELLED]
+ *           description: >
+ *             Task status, from the configured workflow (the default statuses are listed).
+ *             Only the workflow's transitions are allowed on update; COMPLETED and CANCELLED are terminal.
+ *         priority:
+ *           type: string
+ *           enum: [LOW, NORMAL, HIGH, URGENT]
+ *           default: NORMAL
+ *           description: Task priority
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Free-form labels, normalised to lower case with hyphens for spaces (at most 10). On PATCH, replaces the task's tags.
+ *         case_reference:
+ *           type: string
+ *           nullable: true
+ *           description: HMCTS case number the task relates to, in one of the configured formats (e.g. a 16-digit CCD number 1234-5678-9012-3456). Stored upper-cased without spaces.
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *           description: ID of the task this is a subtask of (null for a top-level task). Cannot be the task itself or one of its subtasks.
+ *         recurrence:
+ *           type: string
+ *           nullable: true
+ *           example: FREQ=WEEKLY;BYDAY=MO,TH
+ *           description: >
+ *             How the task repeats (DAILY, WEEKLY, MONTHLY or an RRULE subset with INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL).
+ *             Giving a rule makes the task the first of a series. Once a task is in a series, change its rule through /api/v1/series/{series_id}.
+ *         series_id:
+ *           type: integer
+ *           nullable: true
+ *           readOnly: true
+ *           description: The recurring series this task belongs to
  *         due_date:
  *           type: string
  *           format: date-time
  *           description: Task due date
+ *         due_in_working_days:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 260
+ *           writeOnly: true
+ *           description: >
+ *             Instead of due_date: a deadline this many working days from today (weekends and England & Wales
+ *             bank holidays are not counted), due at the end of that working day (WORKING_DAY_END, default 17:00 UK time)
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *           readOnly: true
+ *           description: On create / update, when the due date falls on a weekend or bank holiday
+ *         working_days_overdue:
+ *           type: integer
+ *           readOnly: true
+ *           description: In lists requested with workingDaysOverdue=true
+ *         sla_status:
+ *           type: string
+ *           enum: [AT_RISK, BREACHED]
+ *           nullable: true
+ *           readOnly: true
+ *           description: Set by the SLA check (see /api/v1/admin/sla-rules); null while within its SLA or when no rule applies
  *         created_at:
  *           type: string
  *           format: date-time
@@ -45,6 +107,49 @@ const TaskController = require('../controllers/taskController');
  *           format: date-time
  *           description: Soft delete timestamp
  *           readOnly: true
+ *         version:
+ *           type: integer
+ *           description: Incremented on every change. Also returned as the ETag header; send it back in If-Match when updating or deleting.
+ *           readOnly: true
+ *         assigned_to:
+ *           type: integer
+ *           nullable: true
+ *           description: User ID of the caseworker the task is assigned to (null = unassigned)
+ *         assigned_to_name:
+ *           type: string
+ *           nullable: true
+ *           description: Display name of the assignee
+ *           readOnly: true
+ *     TaskPage:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Task'
+ *         meta:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *               description: Number of tasks matching the filters
+ *             limit:
+ *               type: integer
+ *             offset:
+ *               type: integer
+ *         links:
+ *           type: object
+ *           properties:
+ *             self:
+ *               type: string
+ *             next:
+ *               type: string
+ *               nullable: true
+ *               description: Link to the next page, or null on the last page
+ *             prev:
+ *               type: string
+ *               nullable: true
+ *               description: Link to the previous page, or null on the first page
  */
 
 
@@ -52,21 +157,53 @@ const TaskController = require('../controllers/taskController');
  * @swagger
  * /api/v1/tasks:
  *   get:
- *     summary: Returns a list of all tasks
- *     description: Retrieve tasks with optional filters and sorting.
+ *     summary: Returns a paginated list of tasks
+ *     description: Retrieve tasks with optional filters, sorting and offset pagination. Date filters must be UTC ISO strings ending in 'Z'.
  *     parameters:
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Full-text search over title and description. Every word must match; words match as prefixes ("adjourn" finds "adjournment").
+ *       - in: query
+ *         name: deleted
+ *         schema:
+ *           type: string
+ *           enum: [exclude, include, only]
+ *           default: exclude
+ *         description: Whether to return soft-deleted tasks. Use "only" to list the deleted bin (sortBy=deleted_at is supported). Full-text search only covers live tasks.
+ *       - in: query
  *         name: status
  *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [PENDING, IN_PROGRESS, ON_HOLD, COMPLETED, CANCELLED, OVERDUE]
+ *         style: form
+ *         explode: false
+ *         description: Filter tasks by status (comma separated). OVERDUE matches open (non-terminal) tasks past their due date.
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: Filter by tag (comma separated)
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
  *           type: string
- *           enum: [PENDING, IN_PROGRESS, COMPLETED]
- *         description: Filter tasks by status
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether tasks need any or all of the given tags
  *       - in: query
- *         name: includeDeleted
+ *         name: assignee
  *         schema:
- *           type: boolean
- *           default: false
- *         description: Include soft-deleted tasks
+ *           type: string
+ *         description: "'me' (the signed-in user; not available to API keys), 'none' (unassigned tasks) or a user ID"
  *       - in: query
  *         name: dueBefore
  *         schema:
@@ -80,10 +217,42 @@ const TaskController = require('../controllers/taskController');
  *           format: date-time
  *         description: Return tasks with due_date after this value
  *       - in: query
+ *         name: createdBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Return tasks created before this value
+ *       - in: query
+ *         name: createdAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Return tasks created after this value
+ *       - in: query
+ *         name: updatedBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Return tasks last updated before this value
+ *       - in: query
+ *         name: updatedAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Return tasks last updated after this value (useful for incremental syncs)
+ *       - in: query
+ *         name: sla
+ *         schema:
+ *           type: string
+ *           enum: [AT_RISK, BREACHED]
+ *         description: Only tasks with this SLA status (finished tasks keep theirs; combine with status to leave them out)
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 50
+ *           minimum: 1
+ *           maximum: 100
  *         description: Maximum number of tasks to return
  *       - in: query
  *         name: offset
@@ -92,11 +261,19 @@ const TaskController = require('../controllers/taskController');
  *           default: 0
  *         description: Number of tasks to skip
  *       - in: query
+ *         name: workingDaysOverdue
+ *         schema:
+ *           type: boolean
+ *         description: Add working_days_overdue to each task (working days since an open task fell due, not counting weekends and bank holidays)
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [created_at, due_date, updated_at]
- *         description: Field to sort by
+ *           enum: [id, title, status, priority, urgency, due_date, created_at, updated_at, deleted_at]
+ *           default: due_date
+ *         description: >
+ *           Field to sort by. priority sorts by rank (LOW to URGENT when ascending).
+ *           urgency (ascending) puts overdue tasks first, then ranks by priority, then due date.
  *       - in: query
  *         name: order
  *         schema:
@@ -106,13 +283,13 @@ const TaskController = require('../controllers/taskController');
  *         description: Sort order
  *     responses:
  *       200:
- *         description: The list of tasks
+ *         description: A page of tasks
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Task'
+ *               $ref: '#/components/schemas/TaskPage'
+ *       400:
+ *         description: Invalid query parameters
  *   post:
  *     summary: Create a new task
  *     requestBody:
@@ -126,10 +303,195 @@ const TaskController = require('../controllers/taskController');
  *         description: Task successfully created
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: assigned_to names someone else, without the task:assign permission (team leaders and admins)
+ */
+
+router.get('/', authorize('task:read'), TaskController.getAllTasks);
+router.post('/', authorize('task:create'), TaskController.createTask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/events:
+ *   get:
+ *     summary: Stream task changes as they happen (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and sends one event per change, named after the
+ *       event type (task.created, task.updated, task.status_changed, task.deleted,
+ *       task.restored). Each event's data is JSON:
+ *       `{ "task_id", "status", "from", "to", "actor": { "user_id", "api_key_id" } }`
+ *       (from and to only on task.status_changed). Events are not replayed, so a
+ *       client that reconnects should reload what it shows.
+ *     responses:
+ *       200:
+ *         description: An open event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 0f8c5c1e-3f0a-4a4e-9a43-5d1f0a3c2b7e
+ *                 event: task.updated
+ *                 data: {"task_id":42,"status":"IN_PROGRESS","actor":{"user_id":3,"api_key_id":null}}
+ */
+
+router.get('/events', authorize('task:read'), EventStreamController.streamTaskEvents);
+
+/**
+ * @swagger
+ * /api/v1/tasks/export:
+ *   get:
+ *     summary: Download every task matching the list filters as CSV or Excel
+ *     description: |
+ *       Takes the same filters and sort as GET /api/v1/tasks (q, status, assignee, tag,
+ *       tagMatch, deleted, the date ranges, sla, sortBy, order) but has no paging: every
+ *       match is streamed. Text that a spreadsheet would run as a formula (starting
+ *       =, +, -, @) is prefixed with ' in CSV; Excel cells are typed, so text is never run.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: string
+ *           enum: [mine, all]
+ *         description: As on the home page; mine is the same as assignee=me
+ *       - in: query
+ *         name: caseRef
+ *         schema:
+ *           type: string
+ *         description: Only tasks linked to this case
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: As on the home page; sortBy is used when this is missing or unknown
+ *     responses:
+ *       200:
+ *         description: The file, as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid query parameters
+ */
+
+router.get('/export', authorize('task:read'), TaskController.exportTasks);
+
+/**
+ * @swagger
+ * /api/v1/tasks/import:
+ *   post:
+ *     summary: Import tasks in bulk from CSV or JSON
+ *     description: |
+ *       Every row is validated as a new task would be (including a UTC due date in the
+ *       future). A CSV file has a header row of field names (title, description, status,
+ *       priority, due_date, due_in_working_days, assigned_to, case_reference, tags).
+ *       JSON is an array of tasks, or { "tasks": [...] }. Valid rows are created in a
+ *       single transaction, each with a "Task imported" history entry.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and report only; nothing is saved
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [all_or_nothing, skip_invalid]
+ *           default: all_or_nothing
+ *         description: all_or_nothing imports nothing if any row is invalid; skip_invalid imports the valid rows
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .csv or .json file
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Task'
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       201:
+ *         description: Tasks imported (the report gives each new task_id)
+ *       400:
+ *         description: The file cannot be read, or invalid options
+ *       413:
+ *         description: The uploaded file or the JSON body is too large
+ *       415:
+ *         description: Neither a file upload nor JSON
+ *       422:
+ *         description: Nothing imported because rows are invalid (the report says which)
+ * components:
+ *   schemas:
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dry_run:
+ *           type: boolean
+ *         mode:
+ *           type: string
+ *         total:
+ *           type: integer
+ *         valid:
+ *           type: integer
+ *         invalid:
+ *           type: integer
+ *         imported:
+ *           type: integer
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Position in the file, from 1 (the CSV header row is not counted)
+ *               title:
+ *                 type: string
+ *                 nullable: true
+ *               result:
+ *                 type: string
+ *                 enum: [valid, invalid, imported]
+ *               task_id:
+ *                 type: integer
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                     path:
+ *                       type: array
+ *                       items:
+ *                         type: string
  */
 
-router.get('/', TaskController.getAllTasks);
-router.post('/', TaskController.createTask);
+router.post('/import', authorize('task:import'), ImportController.importTasks);
 
 /**
  * @swagger
@@ -146,6 +508,11 @@ router.post('/', TaskController.createTask);
  *     responses:
  *       200:
  *         description: Task data
+ *         headers:
+ *           ETag:
+ *             description: Current version of the task, for use with If-Match
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -161,6 +528,12 @@ router.post('/', TaskController.createTask);
  *         schema:
  *           type: integer
  *         description: The task ID
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous read. The request fails with 412 if the task has changed since.
  *     requestBody:
  *       required: true
  *       content:
@@ -172,8 +545,18 @@ router.post('/', TaskController.createTask);
  *         description: Task updated
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Changes assigned_to without the task:assign permission (team leaders and admins)
  *       404:
  *         description: Task not found
+ *       409:
+ *         description: >
+ *           The workflow does not allow the task to move from its current status to the one given,
+ *           or the task cannot be completed while tasks blocking it are still open
+ *       412:
+ *         description: The task has changed since the ETag in If-Match was issued
+ *       428:
+ *         description: If-Match is required (when REQUIRE_IF_MATCH is enabled)
  *   delete:
  *     summary: Soft delete a task
  *     description: Marks a task as deleted by setting deleted_at and logs an audit entry
@@ -184,18 +567,30 @@ router.post('/', TaskController.createTask);
  *         schema:
  *           type: integer
  *         description: The task ID
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous read. The request fails with 412 if the task has changed since.
  *     responses:
  *       204:
  *         description: Task successfully deleted
+ *       403:
+ *         description: Your role is not allowed to delete tasks
  *       404:
  *         description: Task not found
+ *       412:
+ *         description: The task has changed since the ETag in If-Match was issued
+ *       428:
+ *         description: If-Match is required (when REQUIRE_IF_MATCH is enabled)
  *       500:
  *         description: Internal server error
  */
 
-router.get('/:id', TaskController.getTaskById);
-router.patch('/:id', TaskController.updateTask);
-router.delete('/:id', TaskController.deleteTask);
+router.get('/:id', authorize('task:read'), TaskController.getTaskById);
+router.patch('/:id', authorize('task:update'), TaskController.updateTask);
+router.delete('/:id', authorize('task:delete'), TaskController.deleteTask);
 
 /**
  * @swagger
@@ -219,19 +614,576 @@ router.delete('/:id', TaskController.deleteTask);
  *               items:
  *                 type: object
  *                 properties:
- *                   id:
- *                     type: integer
- *                   task_id:
- *                     type: integer
- *                   change_summary:
+ *                   summary:
  *                     type: string
  *                   changed_at:
  *                     type: string
+ *                     description: Formatted UTC timestamp
+ *                   changed_by:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Name of the user who made the change (null for system actions)
+ *       404:
+ *         description: Task not found
+ */
+
+router.get('/:id/history', authorize('task:read'), TaskController.getTaskHistory);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted task
+ *     description: Clears deleted_at so the task reappears in lists and logs a "Task restored" audit entry
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The task ID
+ *     responses:
+ *       200:
+ *         description: Task restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       403:
+ *         description: Your role is not allowed to restore tasks
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: Task is not deleted
+ */
+
+router.post('/:id/restore', authorize('task:restore'), TaskController.restoreTask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/assign:
+ *   post:
+ *     summary: Assign a task to a user
+ *     description: Recorded in the task history. Supports If-Match like PATCH.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [assigned_to]
+ *             properties:
+ *               assigned_to:
+ *                 type: integer
+ *                 description: User ID of the new assignee
+ *     responses:
+ *       200:
+ *         description: The updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error (including an unknown user)
+ *       403:
+ *         description: Only team leaders and admins can assign tasks
+ *       404:
+ *         description: Task not found
+ *       412:
+ *         description: The task has changed since the ETag in If-Match
+ *
+ * /api/v1/tasks/{id}/unassign:
+ *   post:
+ *     summary: Remove the task's assignee
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       403:
+ *         description: Only team leaders and admins can unassign tasks
+ *       404:
+ *         description: Task not found
+ *       412:
+ *         description: The task has changed since the ETag in If-Match
+ *
+ * /api/v1/tasks/{id}/take:
+ *   post:
+ *     summary: Assign the task to yourself
+ *     description: Team leaders and admins can take any task; everyone else only an unassigned one.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       403:
+ *         description: The task is already assigned to someone else
+ *       404:
+ *         description: Task not found
+ *       412:
+ *         description: The task has changed since the ETag in If-Match
+ *       422:
+ *         description: Called with an API key, which has no user to assign to
+ */
+
+router.post('/:id/assign', authorize('task:assign'), TaskController.assignTask);
+router.post('/:id/unassign', authorize('task:assign'), TaskController.unassignTask);
+router.post('/:id/take', authorize('task:update'), TaskController.takeTask);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Comment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         task_id:
+ *           type: integer
+ *         body:
+ *           type: string
+ *           description: The current text (earlier versions are kept, see /versions)
+ *         author:
+ *           type: string
+ *           nullable: true
+ *           description: The user's name, or the API key's name for machine clients
+ *         version:
+ *           type: integer
+ *           description: 1 until the comment is first edited
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *
+ * /api/v1/tasks/{id}/comments:
+ *   get:
+ *     summary: The task's comment thread, oldest first
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Comments on the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Comment'
+ *       404:
+ *         description: Task not found
+ *   post:
+ *     summary: Add a comment (recorded in the task history)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: The new comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Task not found
+ *
+ * /api/v1/tasks/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit your own comment
+ *     description: The new text becomes the next version; earlier versions are kept.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: The edited comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: The comment was written by someone else
+ *       404:
+ *         description: Task or comment not found
+ *
+ * /api/v1/tasks/{id}/comments/{commentId}/versions:
+ *   get:
+ *     summary: Every version of a comment, oldest first
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Versions of the comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   version:
+ *                     type: integer
+ *                   body:
+ *                     type: string
+ *                   created_at:
+ *                     type: string
  *                     format: date-time
+ *                   edited_by:
+ *                     type: string
+ *                     nullable: true
+ *       404:
+ *         description: Task or comment not found
+ */
+
+router.get('/:id/comments', authorize('task:read'), CommentController.getComments);
+router.post('/:id/comments', authorize('task:update'), CommentController.createComment);
+router.patch('/:id/comments/:commentId', authorize('task:update'), CommentController.updateComment);
+router.get('/:id/comments/:commentId/versions', authorize('task:read'), CommentController.getCommentRevisions);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         task_id:
+ *           type: integer
+ *         filename:
+ *           type: string
+ *         mime_type:
+ *           type: string
+ *           example: application/pdf
+ *         size_bytes:
+ *           type: integer
+ *         sha256:
+ *           type: string
+ *           description: Hex SHA-256 of the file, recorded on upload
+ *         uploaded_by:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/v1/tasks/{id}/attachments:
+ *   get:
+ *     summary: List the task's attachments, oldest first
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Attachments on the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Attachment'
  *       404:
  *         description: Task not found
+ *   post:
+ *     summary: Attach a file (recorded in the task history)
+ *     description: >
+ *       Accepted types and the size limit are configured with ATTACHMENT_TYPES and
+ *       ATTACHMENT_MAX_SIZE_MB (PDF, JPEG, PNG and TIFF up to 10 MB by default).
+ *       The file's contents must match its declared type.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: The new attachment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: No file, or a malformed upload
+ *       404:
+ *         description: Task not found
+ *       413:
+ *         description: The file is larger than the limit
+ *       415:
+ *         description: The file type is not allowed, or the contents do not match it
+ *
+ * /api/v1/tasks/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     description: Not available once the task is deleted. Repr-Digest carries the recorded SHA-256.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Task or attachment not found
+ *   delete:
+ *     summary: Remove an attachment (recorded in the task history)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Removed
+ *       404:
+ *         description: Task or attachment not found
+ */
+
+router.get('/:id/attachments', authorize('task:read'), AttachmentController.getAttachments);
+router.post('/:id/attachments', authorize('task:update'), AttachmentController.uploadAttachment);
+router.get('/:id/attachments/:attachmentId', authorize('task:read'), AttachmentController.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', authorize('task:update'), AttachmentController.deleteAttachment);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RelatedTask:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         status:
+ *           type: string
+ *         priority:
+ *           type: string
+ *         due_date:
+ *           type: string
+ *           format: date-time
+ *         assigned_to:
+ *           type: integer
+ *           nullable: true
+ *     Dependencies:
+ *       type: object
+ *       properties:
+ *         blocked_by:
+ *           type: array
+ *           description: Tasks that must be completed before this one can be
+ *           items:
+ *             $ref: '#/components/schemas/RelatedTask'
+ *         blocking:
+ *           type: array
+ *           description: Tasks waiting on this one
+ *           items:
+ *             $ref: '#/components/schemas/RelatedTask'
+ *
+ * /api/v1/tasks/{id}/subtasks:
+ *   get:
+ *     summary: The task's subtasks (tasks whose parent_id is this task)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subtasks, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RelatedTask'
+ *       404:
+ *         description: Task not found
+ *
+ * /api/v1/tasks/{id}/dependencies:
+ *   get:
+ *     summary: Tasks blocking this one, and tasks it blocks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The task's dependencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Dependencies'
+ *       404:
+ *         description: Task not found
+ *   post:
+ *     summary: Mark the task as blocked by another task (recorded in the task history)
+ *     description: Refused with 400 if it would create a cycle (the other task already waits on this one).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [blocked_by]
+ *             properties:
+ *               blocked_by:
+ *                 type: integer
+ *                 description: ID of the blocking task
+ *     responses:
+ *       201:
+ *         description: Link added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Dependencies'
+ *       200:
+ *         description: The link already existed
+ *       400:
+ *         description: Validation error, an unknown task, or a cycle
+ *       404:
+ *         description: Task not found
+ *
+ * /api/v1/tasks/{id}/dependencies/{blockerId}:
+ *   delete:
+ *     summary: Remove a blocked-by link (recorded in the task history)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: blockerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Link removed
+ *       404:
+ *         description: No such link
  */
 
-router.get('/:id/history', TaskController.getTaskHistory);
+router.get('/:id/subtasks', authorize('task:read'), TaskRelationController.getSubtasks);
+router.get('/:id/dependencies', authorize('task:read'), TaskRelationController.getDependencies);
+router.post('/:id/dependencies', authorize('task:update'), TaskRelationController.addDependency);
+router.delete('/:id/dependencies/:blockerId', authorize('task:update'), TaskRelationController.removeDependency);
 
 module.exports = router;
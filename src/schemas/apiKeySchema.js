@@ -0,0 +1,26 @@
+const { z } = require('zod');
+const { utcDate } = require('./patterns');
+const { API_KEY_SCOPES } = require('../auth/permissions');
+
+const NAME_REGEX = /^[\p{L}\p{N}\s.,:;_\-()']+$/u;
+
+const apiKeySchema = z.object({
+  name: z.string()
+    .trim()
+    .min(1, "Name is required")
+    .max(100, "Name must be 100 characters or less")
+    .regex(NAME_REGEX, "Name contains invalid characters"),
+
+  // tasks:read = read-only, tasks:write = read-write
+  scopes: z.array(z.enum(Object.keys(API_KEY_SCOPES)))
+    .min(1, "At least one scope is required")
+    .default(['tasks:read'])
+    .transform(scopes => [...new Set(scopes)]),
+
+  // Stored normalised, since keys are checked for expiry by comparing strings
+  expires_at: utcDate('Expiry')
+    .refine(val => Date.parse(val) > Date.now(), { message: "Expiry must be in the future" })
+    .optional()
+});
+
+module.exports = apiKeySchema;
@@ -0,0 +1,35 @@
+const { z } = require('zod');
+
+const isRealDate = (val) => {
+  const date = new Date(`${val}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === val;
+};
+
+const bankHolidaySchema = z.object({
+  date: z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in the format YYYY-MM-DD")
+    .refine(isRealDate, "Date must be a real date"),
+  title: z.string().trim().min(1, "Enter the holiday's name").max(100, "Title must be 100 characters or less"),
+  // GOV.UK sends "" when there is nothing to say
+  notes: z.string().trim().max(200, "Notes must be 200 characters or less")
+    .transform(val => val || null)
+    .optional()
+    .nullable()
+});
+
+// A whole calendar: GOV.UK's bank-holidays.json as published (the England & Wales
+// division is used), one division of it ({ events: [...] }), or a plain list
+const bankHolidayCalendarSchema = z.preprocess(
+  (val) => {
+    if (val && val['england-and-wales']) val = val['england-and-wales'];
+    return val && !Array.isArray(val) ? val.events : val;
+  },
+  z.array(bankHolidaySchema, { required_error: "Send a list of bank holidays, or GOV.UK's bank-holidays.json" })
+    .max(500, "A calendar can have at most 500 bank holidays")
+    .refine(
+      holidays => new Set(holidays.map(holiday => holiday.date)).size === holidays.length,
+      "Each date can only appear once"
+    )
+);
+
+module.exports = { bankHolidaySchema, bankHolidayCalendarSchema };
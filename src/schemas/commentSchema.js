@@ -0,0 +1,13 @@
+const { z } = require('zod');
+const { DESC_REGEX } = require('./patterns');
+
+// Same character rules as a task description; used for new comments and edits
+const commentSchema = z.object({
+  body: z.string({ required_error: "Comment is required" })
+    .trim()
+    .min(1, "Comment is required")
+    .max(2000, "Comment must be 2000 characters or less")
+    .regex(DESC_REGEX, "Comment contains invalid characters")
+});
+
+module.exports = commentSchema;
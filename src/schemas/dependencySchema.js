@@ -0,0 +1,12 @@
+const { z } = require('zod');
+
+// Body of POST /api/v1/tasks/:id/dependencies
+const dependencySchema = z.object({
+  blocked_by: z.preprocess(
+    val => (val === '' || val === null || val === undefined ? val : Number(val)),
+    z.number({ required_error: "Blocking task is required", invalid_type_error: "Blocking task must be a task ID" })
+      .int().positive()
+  )
+});
+
+module.exports = dependencySchema;
@@ -0,0 +1,16 @@
+const { z } = require('zod');
+
+// all_or_nothing imports nothing unless every row is valid; skip_invalid imports the valid rows
+const IMPORT_MODES = ['all_or_nothing', 'skip_invalid'];
+
+// How to run a bulk import (see src/services/importService.js)
+const importOptionsSchema = z.object({
+  mode: z.enum(IMPORT_MODES, {
+    errorMap: () => ({ message: `mode must be one of ${IMPORT_MODES.join(', ')}` })
+  }).default('all_or_nothing'),
+
+  // Validate and report only; nothing is saved
+  dryRun: z.enum(['true', 'false']).default('false').transform(val => val === 'true')
+});
+
+module.exports = { IMPORT_MODES, importOptionsSchema };
@@ -0,0 +1,20 @@
+const { z } = require('zod');
+
+// A user's notification preferences (see src/services/reminderService.js)
+const notificationPreferencesSchema = z.object({
+  due_reminders: z.boolean().default(true),
+
+  // How many hours before a task is due to send the reminder; null (or "" from the form) for the default
+  reminder_hours: z.preprocess(
+    val => (val === '' || val == null ? null : Number(val)),
+    z.number({ invalid_type_error: "Reminder time must be a number of hours" })
+      .int("Reminder time must be a whole number of hours")
+      .min(1, "Reminder time must be at least 1 hour")
+      .max(168, "Reminder time must be 168 hours (a week) or less")
+      .nullable()
+  ),
+
+  overdue_digest: z.boolean().default(true)
+});
+
+module.exports = notificationPreferencesSchema;
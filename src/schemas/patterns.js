@@ -0,0 +1,21 @@
+const { z } = require('zod');
+const assertUTC = require('../utils/assertUTC');
+
+// Character-safety patterns shared by the task and comment schemas
+const TITLE_REGEX = /^[\p{L}\p{N}\s.,:;_\-()'"?!£$%&]+$/u;
+const DESC_REGEX = /^[\p{L}\p{N}\s.,:;_\-()'"?!£$%&\n\r]+$/u;
+
+// Timestamps use the same strict UTC rule as due_date, then normalise so they
+// compare correctly against the toISOString() values stored in SQLite
+const utcDate = (label) => z.string()
+  .refine(val => {
+    try {
+      assertUTC(val);
+      return !isNaN(new Date(val).getTime());
+    } catch {
+      return false;
+    }
+  }, { message: `${label} must be a valid UTC ISO string` })
+  .transform(val => new Date(val).toISOString());
+
+module.exports = { TITLE_REGEX, DESC_REGEX, utcDate };
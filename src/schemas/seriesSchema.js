@@ -0,0 +1,15 @@
+const taskSchema = require('./taskSchema');
+
+// PATCH /api/v1/series/:id - the series' template and rule, with the same rules as a task.
+// recurrence: null stops the series.
+const seriesSchema = taskSchema.pick({
+  title: true,
+  description: true,
+  priority: true,
+  case_reference: true,
+  tags: true,
+  assigned_to: true,
+  recurrence: true
+}).partial();
+
+module.exports = seriesSchema;
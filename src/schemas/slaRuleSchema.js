@@ -0,0 +1,37 @@
+const { z } = require('zod');
+const { tagNameSchema } = require('./tagSchema');
+
+const PRIORITIES = ['LOW', 'NORMAL', 'HIGH', 'URGENT'];
+const MAX_HOURS = 24 * 365;
+
+const hours = (label) => z.number({ required_error: `${label} is required`, invalid_type_error: `${label} must be a number of hours` })
+  .int(`${label} must be a whole number of hours`)
+  .min(1, `${label} must be at least 1 hour`)
+  .max(MAX_HOURS, `${label} must be ${MAX_HOURS} hours or less`);
+
+// An SLA rule (see src/services/slaService.js). priority and tag narrow which
+// tasks it covers (null = any); the rest say when it warns, when it is breached
+// and how a breached task is escalated
+const slaRuleSchema = z.object({
+  name: z.string()
+    .trim()
+    .min(1, "Name is required")
+    .max(100, "Name must be 100 characters or less"),
+
+  priority: z.enum(PRIORITIES).nullable().default(null),
+  tag: tagNameSchema.nullable().default(null),
+
+  warning_hours: hours('Warning threshold'),
+  breach_hours: hours('Breach threshold'),
+
+  // User ID of the team leader a breached task is reassigned to
+  escalate_to: z.number().int().positive().nullable().default(null),
+  // Only ever raises: a task already at or above it keeps its priority
+  raise_priority_to: z.enum(PRIORITIES).nullable().default(null),
+  notify: z.boolean().default(false)
+}).refine(rule => rule.breach_hours > rule.warning_hours, {
+  message: "Breach threshold must be later than the warning threshold",
+  path: ['breach_hours']
+});
+
+module.exports = { PRIORITIES, slaRuleSchema };
@@ -0,0 +1,17 @@
+const { z } = require('zod');
+const { TAG_PATTERN, MAX_TAG_LENGTH, normaliseTag } = require('../utils/tags');
+
+// A single tag name, normalised first (see src/utils/tags.js)
+const tagNameSchema = z.string()
+  .transform(normaliseTag)
+  .pipe(z.string()
+    .min(1, "Tag name is required")
+    .max(MAX_TAG_LENGTH, `Tags must be ${MAX_TAG_LENGTH} characters or less`)
+    .regex(TAG_PATTERN, "Tags can only contain letters, numbers and hyphens"));
+
+// Renaming to an existing tag's name merges the two
+const tagRenameSchema = z.object({
+  name: tagNameSchema
+});
+
+module.exports = { tagNameSchema, tagRenameSchema };
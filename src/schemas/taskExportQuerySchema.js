@@ -0,0 +1,18 @@
+const { z } = require('zod');
+const taskQuerySchema = require('./taskQuerySchema');
+const { normaliseCaseReference } = require('../utils/caseReference');
+
+// The task list's filters and sort, without paging (an export has every match).
+// view, caseRef and sort are the home page's own parameters, so its download link
+// can pass its filters on unchanged. Like the home page, an unknown sort falls back
+// to sortBy (due date by default)
+const taskExportQuerySchema = taskQuerySchema
+  .omit({ limit: true, offset: true, workingDaysOverdue: true })
+  .extend({
+    format: z.enum(['csv', 'xlsx']).default('csv'),
+    view: z.enum(['mine', 'all']).optional(),
+    caseRef: z.string().max(50, "caseRef must be 50 characters or less").transform(normaliseCaseReference).optional(),
+    sort: taskQuerySchema.shape.sortBy.removeDefault().optional().catch(undefined)
+  });
+
+module.exports = taskExportQuerySchema;
@@ -0,0 +1,69 @@
+const { z } = require('zod');
+const { utcDate } = require('./patterns');
+const { toTagList } = require('../utils/tags');
+const { isStatus, statusCodes } = require('../utils/workflow');
+
+// The workflow's statuses, plus the virtual OVERDUE (past due and still open)
+const isListStatus = (status) => status === 'OVERDUE' || isStatus(status);
+// urgency = overdue first, then highest priority, then soonest due
+const SORT_FIELDS = ['id', 'title', 'status', 'priority', 'urgency', 'due_date', 'created_at', 'updated_at', 'deleted_at'];
+const MAX_LIMIT = 100;
+
+// Accepts ?status=A&status=B as well as ?status=A,B (Power Automate only builds the latter)
+const toList = (val) => {
+  if (val === undefined || val === '') return [];
+  const values = Array.isArray(val) ? val : [val];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim().toUpperCase())
+    .filter(Boolean);
+};
+
+const taskQuerySchema = z.object({
+  q: z.string().trim().max(200, "q must be 200 characters or less").optional(),
+
+  status: z.preprocess(toList, z.array(
+    z.string().refine(isListStatus, () => ({ message: `status must be one of ${[...statusCodes(), 'OVERDUE'].join(', ')}` }))
+  )),
+
+  // 'me' (the signed-in user), 'none' (unassigned) or a user ID
+  assignee: z.union([
+    z.enum(['me', 'none']),
+    z.coerce.number().int().positive()
+  ], { errorMap: () => ({ message: "assignee must be 'me', 'none' or a user ID" }) }).optional(),
+
+  // ?tag=a,b (or repeated); tagMatch=all needs every tag, 'any' (default) at least one
+  tag: z.preprocess(toTagList, z.array(z.string().max(30, "tag must be 30 characters or less"))),
+  tagMatch: z.enum(['any', 'all']).default('any'),
+
+  // Soft-deleted tasks: hidden by default, or the "deleted bin" with 'only'
+  deleted: z.enum(['exclude', 'include', 'only']).default('exclude'),
+
+  // Range filters, normalised to compare against the stored timestamps
+  dueBefore: utcDate('dueBefore').optional(),
+  dueAfter: utcDate('dueAfter').optional(),
+  createdBefore: utcDate('createdBefore').optional(),
+  createdAfter: utcDate('createdAfter').optional(),
+  updatedBefore: utcDate('updatedBefore').optional(),
+  updatedAfter: utcDate('updatedAfter').optional(),
+
+  // SLA status set by the SLA check (src/services/slaService.js)
+  sla: z.preprocess(
+    val => (typeof val === 'string' ? val.toUpperCase() : val),
+    z.enum(['AT_RISK', 'BREACHED'])
+  ).optional(),
+
+  // Adds working_days_overdue to each task (weekends and bank holidays not counted)
+  workingDaysOverdue: z.enum(['true', 'false']).default('false').transform(val => val === 'true'),
+
+  sortBy: z.enum(SORT_FIELDS).default('due_date'),
+  order: z.preprocess(
+    val => (typeof val === 'string' ? val.toUpperCase() : val),
+    z.enum(['ASC', 'DESC']).default('ASC')
+  ),
+
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+module.exports = taskQuerySchema;
@@ -1,9 +1,11 @@
 const { z } = require('zod');
 const assertUTC = require('../utils/assertUTC');
-
-// REGEX Patterns
-const TITLE_REGEX = /^[\p{L}\p{N}\s.,:;_\-()'"?!£$%&]+$/u;
-const DESC_REGEX = /^[\p{L}\p{N}\s.,:;_\-()'"?!£$%&\n\r]+$/u;
+const { toTagList } = require('../utils/tags');
+const { tagNameSchema } = require('./tagSchema');
+const { TITLE_REGEX, DESC_REGEX } = require('./patterns');
+const { normaliseRecurrenceRule } = require('../utils/recurrence');
+const { statusCodes, isStatus, initialStatus } = require('../utils/workflow');
+const { normaliseCaseReference, matchCaseReferenceFormat, describeCaseReferenceFormats } = require('../utils/caseReference');
 
 const taskSchema = z.object({
   title: z.string()
@@ -17,7 +19,26 @@ const taskSchema = z.object({
     .optional()
     .or(z.literal('')),
 
-  status: z.enum(['PENDING', 'IN_PROGRESS', 'COMPLETED']).default('PENDING'),
+  // One of the workflow's statuses (see src/config/workflow.js); whether the
+  // task may move to it from its current status is checked on update
+  status: z.string()
+    .refine(isStatus, () => ({ message: `Status must be one of ${statusCodes().join(', ')}` }))
+    .default(initialStatus),
+
+  priority: z.enum(['LOW', 'NORMAL', 'HIGH', 'URGENT']).default('NORMAL'),
+
+  // Optional; must match one of the configured case-number formats
+  case_reference: z.string()
+    .transform(normaliseCaseReference)
+    .superRefine((val, ctx) => {
+      if (val === '' || matchCaseReferenceFormat(val)) return;
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Case reference must be in a recognised format: ${describeCaseReferenceFormats()}`
+      });
+    })
+    .optional()
+    .nullable(),
 
   due_date: z.string()
     .min(1, "Due date is required")
@@ -28,7 +49,37 @@ const taskSchema = z.object({
       } catch {
         return false;
       }
-    }, { message: "Due date must be a valid ISO string" })
+    }, { message: "Due date must be a valid ISO string" }),
+
+  // A list, or comma separated (as the forms send it); normalised to lower case
+  tags: z.preprocess(toTagList, z.array(tagNameSchema).max(10, "A task can have at most 10 tags")).optional(),
+
+  // How the task repeats: DAILY, WEEKLY, MONTHLY or an RRULE subset (see src/utils/recurrence.js).
+  // null (or "" from the forms) means it does not repeat
+  recurrence: z.string()
+    .transform((val, ctx) => {
+      if (val.trim() === '') return null;
+      try {
+        return normaliseRecurrenceRule(val);
+      } catch (error) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Repeats: ${error.message}` });
+        return z.NEVER;
+      }
+    })
+    .optional()
+    .nullable(),
+
+  // ID of the task this is a subtask of; null (or "" from the forms) for a top-level task
+  parent_id: z.preprocess(
+    val => (val === '' || val === null ? null : Number(val)),
+    z.number({ invalid_type_error: "Parent task must be a task ID" }).int().positive().nullable()
+  ).optional(),
+
+  // User ID of the assignee; null (or "" from the forms) means unassigned
+  assigned_to: z.preprocess(
+    val => (val === '' || val === null ? null : Number(val)),
+    z.number({ invalid_type_error: "Assignee must be a user ID" }).int().positive().nullable()
+  ).optional()
 });
 
 module.exports = taskSchema;
\ No newline at end of file
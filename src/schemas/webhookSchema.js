@@ -0,0 +1,43 @@
+const { z } = require('zod');
+const { tagNameSchema } = require('./tagSchema');
+const { PRIORITIES } = require('./slaRuleSchema');
+const { EVENT_TYPES } = require('../services/eventBus');
+const { isStatus, statusCodes } = require('../utils/workflow');
+
+const unique = (values) => [...new Set(values)];
+
+// Narrows which tasks a subscription hears about; each list given must match
+// (statuses: the task's current status, tags: at least one of them)
+const filtersSchema = z.object({
+  statuses: z.array(
+    z.string().refine(isStatus, () => ({ message: `Status must be one of ${statusCodes().join(', ')}` }))
+  ).min(1).transform(unique).optional(),
+  priorities: z.array(z.enum(PRIORITIES)).min(1).transform(unique).optional(),
+  tags: z.array(tagNameSchema).min(1).transform(unique).optional()
+}).strict();
+
+const webhookSchema = z.object({
+  name: z.string()
+    .trim()
+    .min(1, "Name is required")
+    .max(100, "Name must be 100 characters or less"),
+
+  url: z.string()
+    .trim()
+    .url("URL must be a full URL, such as https://example.com/hooks/tasks")
+    .refine(val => /^https?:$/.test(new URL(val).protocol), "URL must start with http:// or https://"),
+
+  events: z.array(z.enum(EVENT_TYPES, {
+    errorMap: () => ({ message: `Events must be from: ${EVENT_TYPES.join(', ')}` })
+  })).min(1, "Choose at least one event").transform(unique),
+
+  filters: filtersSchema.default({}),
+
+  // Paused subscriptions are sent nothing (deliveries already queued still go)
+  active: z.boolean().default(true)
+});
+
+// PATCH: any of the fields, unchanged when left out
+const webhookUpdateSchema = webhookSchema.partial();
+
+module.exports = { webhookSchema, webhookUpdateSchema };
@@ -1,7 +1,29 @@
 const app = require('./app');
+const settings = require('./config/settings');
+const scheduler = require('./services/scheduler');
+const { runRetention } = require('./services/retentionService');
+const { runRecurrence } = require('./services/recurrenceService');
+const { runSlaCheck } = require('./services/slaService');
+const { runWebhookDeliveries } = require('./services/webhookService');
+const { runReminders, runOverdueDigest } = require('./services/reminderService');
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`Swagger Docs available at http://localhost:${PORT}/api-docs`);
-});
\ No newline at end of file
+});
+
+// --- BACKGROUND JOBS ---
+// Started here rather than in app.js so tests don't run timers
+scheduler.schedule('retention', settings.retentionIntervalMinutes * 60 * 1000, () => runRetention());
+
+scheduler.schedule('recurrence', settings.recurrenceIntervalMinutes * 60 * 1000, () => runRecurrence());
+
+scheduler.schedule('sla', settings.slaIntervalMinutes * 60 * 1000, () => runSlaCheck());
+
+scheduler.schedule('webhooks', settings.webhookIntervalSeconds * 1000, () => runWebhookDeliveries());
+
+scheduler.schedule('reminders', settings.reminderIntervalMinutes * 60 * 1000, async () => {
+  await runReminders();
+  await runOverdueDigest();
+});
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const path = require('path');
+const AttachmentModel = require('../models/attachmentModel');
+const storage = require('../storage');
+const settings = require('../config/settings');
+const { matchesDeclaredType } = require('../utils/fileType');
+
+const MAX_FILENAME_LENGTH = 255;
+
+// Keeps only the file's own name (some browsers send a full path), without control characters
+const cleanFilename = (originalName) => {
+  const name = path.basename(String(originalName || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim();
+  return name.slice(0, MAX_FILENAME_LENGTH) || 'attachment';
+};
+
+/**
+ * Checks an uploaded file (from src/utils/upload.js) against the attachment rules.
+ * Returns { status, message } describing the problem, or null when it is acceptable.
+ */
+const checkFile = (file) => {
+  if (!file || file.size === 0) return { status: 400, message: "Choose a file to upload" };
+  if (!settings.attachmentTypes.includes(file.mimetype)) {
+    return { status: 415, message: `The file must be one of: ${settings.attachmentTypes.join(', ')}` };
+  }
+  if (!matchesDeclaredType(file.buffer, file.mimetype)) {
+    return { status: 415, message: `The file's contents are not a valid ${file.mimetype} file` };
+  }
+  return null;
+};
+
+/**
+ * Stores the file, then records it (with its SHA-256) against the task.
+ * If recording fails the stored file is removed again, so no orphans are left.
+ */
+const attach = async (taskId, file, actor) => {
+  const storageKey = `${taskId}/${crypto.randomUUID()}`;
+  await storage.save(storageKey, file.buffer);
+
+  try {
+    return await AttachmentModel.create(taskId, {
+      filename: cleanFilename(file.originalname),
+      mimeType: file.mimetype,
+      sizeBytes: file.size,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      storageKey
+    }, actor);
+  } catch (error) {
+    await storage.remove(storageKey);
+    throw error;
+  }
+};
+
+/**
+ * Removes the attachment record (audited), then its file.
+ * Resolves the removed attachment, or undefined if it did not exist.
+ */
+const detach = async (taskId, attachmentId, actor) => {
+  const removed = await AttachmentModel.remove(taskId, attachmentId, actor);
+  if (removed) await storage.remove(removed.storage_key);
+  return removed;
+};
+
+const openDownload = (attachment) => storage.createReadStream(attachment.storage_key);
+
+module.exports = { checkFile, attach, detach, openDownload };
@@ -1,10 +1,23 @@
+const { toTagList } = require('../utils/tags');
+const { describeRecurrence } = require('../utils/recurrence');
+const { statusLabel } = require('../utils/workflow');
+const UserModel = require('../models/userModel');
+
+// format(value, context) gets the context passed to compareFields /
+// generateChangeLog, e.g. { userNames: { 3: 'Jane Smith' } } for assignees.
+// describe(from, to) replaces the default "X changed from 'a' to 'b'" lines.
 const AUDIT_CONFIG = {
   title: { label: "Title" },
   description: { label: "Description" },
   status: { 
     label: "Status",
+    format: (val) => (val ? statusLabel(val) : val),
+    isEqual: (a, b) => String(a).toUpperCase() === String(b).toUpperCase()
+  },
+  priority: {
+    label: "Priority",
     format: (val) => val
-      ? val.replace(/_/g, ' ').toLowerCase().replace(/\b\w/g, c => c.toUpperCase())
+      ? val.toLowerCase().replace(/\b\w/g, c => c.toUpperCase())
       : val,
     isEqual: (a, b) => String(a).toUpperCase() === String(b).toUpperCase()
   },
@@ -24,14 +37,63 @@ const AUDIT_CONFIG = {
         hour12: false
       });
     }
+  },
+  case_reference: {
+    label: "Case reference",
+    isEqual: (a, b) => (a || null) === (b || null),
+    format: (val) => val || 'None'
+  },
+  tags: {
+    label: "Tags",
+    isEqual: (a, b) => toTagList(a).sort().join() === toTagList(b).sort().join(),
+    format: (val) => toTagList(val).join(', ') || 'None',
+    describe: (from, to) => {
+      const before = toTagList(from);
+      const after = toTagList(to);
+      return [
+        ...after.filter(tag => !before.includes(tag)).map(tag => `Tag added: '${tag}'`),
+        ...before.filter(tag => !after.includes(tag)).map(tag => `Tag removed: '${tag}'`)
+      ];
+    }
+  },
+  recurrence: {
+    label: "Repeats",
+    isEqual: (a, b) => (a || null) === (b || null),
+    format: (val) => describeRecurrence(val)
+  },
+  parent_id: {
+    label: "Parent task",
+    isEqual: (a, b) => (a ? Number(a) : null) === (b ? Number(b) : null),
+    format: (val) => (val ? `#${val}` : 'None')
+  },
+  assigned_to: {
+    label: "Assigned to",
+    isEqual: (a, b) => (a ? Number(a) : null) === (b ? Number(b) : null),
+    format: (val, { userNames = {} } = {}) => {
+      if (!val) return 'Unassigned';
+      return userNames[val] || `User ${val}`;
+    }
   }
 };
 
 /**
- * Compares two objects and returns a list of human-readable changes
+ * Audit context: assignee display names, so history reads "Jane Smith" rather than a user ID
  */
-const generateChangeLog = (original, incoming) => {
-  const changes = [];
+const loadAuditContext = async (...userIds) => {
+  const userNames = {};
+  for (const id of new Set(userIds.filter(Boolean).map(Number))) {
+    const user = await UserModel.findById(id);
+    if (user) userNames[id] = user.display_name;
+  }
+  return { userNames };
+};
+
+/**
+ * Lists the audited fields that differ between two versions of a task,
+ * with both values formatted for display
+ */
+const compareFields = (original, incoming, context = {}) => {
+  const differences = [];
   Object.keys(AUDIT_CONFIG).forEach(key => {
     if (!(key in incoming)) return; 
     const config = AUDIT_CONFIG[key];
@@ -39,12 +101,40 @@ const generateChangeLog = (original, incoming) => {
     const newVal = incoming[key];
     const isSame = config.isEqual ? config.isEqual(oldVal, newVal) : oldVal === newVal;
     if (!isSame) {
-      const fromText = config.format ? config.format(oldVal) : (oldVal ?? '');
-      const toText = config.format ? config.format(newVal) : (newVal ?? '');
-      changes.push(`${config.label} changed from '${fromText}' to '${toText}'`);
+      differences.push({
+        key,
+        label: config.label,
+        from: config.format ? config.format(oldVal, context) : (oldVal ?? ''),
+        to: config.format ? config.format(newVal, context) : (newVal ?? '')
+      });
     }
   });
-  return changes;
+  return differences;
+};
+
+/**
+ * Compares two objects and returns a list of human-readable changes
+ */
+const generateChangeLog = (original, incoming, context = {}) => {
+  return compareFields(original, incoming, context)
+    .flatMap(({ key, label, from, to }) => (AUDIT_CONFIG[key].describe
+      ? AUDIT_CONFIG[key].describe(original[key], incoming[key])
+      : [`${label} changed from '${from}' to '${to}'`]));
+};
+
+/**
+ * Strips the before/after values out of a change summary, keeping which
+ * fields changed. Used by the retention policy to redact free text while
+ * leaving the audit skeleton in place.
+ */
+const redactChangeSummary = (summary) => {
+  const changedLabels = Object.values(AUDIT_CONFIG)
+    .map(config => config.label)
+    .filter(label => summary.includes(`${label} changed from '`));
+
+  // Lifecycle events ("Task created", "Task deleted") carry no free text
+  if (changedLabels.length === 0) return summary;
+  return changedLabels.map(label => `${label} changed (details redacted)`).join('\n');
 };
 
-module.exports = { generateChangeLog };
\ No newline at end of file
+module.exports = { generateChangeLog, compareFields, loadAuditContext, redactChangeSummary };
\ No newline at end of file
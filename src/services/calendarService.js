@@ -0,0 +1,53 @@
+const BankHolidayModel = require('../models/bankHolidayModel');
+const settings = require('../config/settings');
+const { londonDate, isWeekend, addWorkingDays, atLondonTime, formatLongDate } = require('../utils/workingDays');
+
+// About a year of working days
+const MAX_WORKING_DAYS = 260;
+
+/**
+ * The due date `days` working days after `from` (today by default), at the end
+ * of the working day (settings.workingDayEnd, UK time)
+ * @returns {Promise<string>} UTC ISO string
+ */
+const dueDateInWorkingDays = async (days, { from = new Date() } = {}) => {
+  const holidays = await BankHolidayModel.findDates();
+  const date = addWorkingDays(londonDate(from), days, holidays);
+  return atLondonTime(date, settings.workingDayEnd).toISOString();
+};
+
+/**
+ * Turns a relative deadline (due_in_working_days) in a create / update body into
+ * the due_date it works out to. The API refuses both at once; the forms always
+ * send a date, so they pass overrideDueDate to let the working days win.
+ * Resolves { data } with the body to validate, or { error } for the due_in_working_days field.
+ */
+const applyWorkingDayDeadline = async (input, { overrideDueDate = false } = {}) => {
+  const { due_in_working_days: raw, ...data } = input;
+  if (raw === undefined || raw === null || raw === '') return { data };
+
+  const days = Number(raw);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_WORKING_DAYS) {
+    return { error: `Working days must be a whole number from 1 to ${MAX_WORKING_DAYS}` };
+  }
+  if (data.due_date && !overrideDueDate) {
+    return { error: "Give either a due date or a number of working days, not both" };
+  }
+  return { data: { ...data, due_date: await dueDateInWorkingDays(days) } };
+};
+
+/**
+ * A warning when a due date falls on a weekend or an England & Wales bank holiday,
+ * e.g. "The due date, Friday, 25 December 2026, is a bank holiday (Christmas Day)".
+ * Null when it is a working day. Saving is still allowed.
+ */
+const dueDateWarning = async (dueDate) => {
+  if (!dueDate) return null;
+  const date = londonDate(dueDate);
+  const holiday = (await BankHolidayModel.findDates()).get(date);
+  if (holiday) return `The due date, ${formatLongDate(date)}, is a bank holiday (${holiday})`;
+  if (isWeekend(date)) return `The due date, ${formatLongDate(date)}, is at the weekend`;
+  return null;
+};
+
+module.exports = { MAX_WORKING_DAYS, dueDateInWorkingDays, applyWorkingDayDeadline, dueDateWarning };
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+/**
+ * In-process bus for task lifecycle events. Models publish an event once the
+ * change (and its history entry) is committed; listeners such as the webhook
+ * queue (src/services/webhookService.js) subscribe to all of them.
+ *
+ * Unlike an EventEmitter, publish waits for the listeners, so anything they
+ * queue is in place when the request finishes. A failing listener is logged
+ * and never fails the change that raised the event.
+ */
+const listeners = new Set();
+
+// Event types, as sent to webhook subscribers
+const EVENT_TYPES = ['task.created', 'task.updated', 'task.status_changed', 'task.deleted', 'task.restored'];
+
+/**
+ * @param {function(object): Promise<void>} listener - called with each event
+ * @returns {function(): void} unsubscribes the listener
+ */
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * @param {string} type - one of EVENT_TYPES
+ * @param {object} data - e.g. { task, actor }
+ * @returns {Promise<object>} the event: { id, type, created_at, data }
+ */
+const publish = async (type, data) => {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type '${type}'`);
+  const event = { id: crypto.randomUUID(), type, created_at: new Date().toISOString(), data };
+
+  await Promise.all([...listeners].map(async (listener) => {
+    try {
+      await listener(event);
+    } catch (error) {
+      console.error(`Event listener failed for ${type}:`, error);
+    }
+  }));
+  return event;
+};
+
+// The actor as sent in events: who made the change (both null for system actions)
+const toActor = ({ userId = null, apiKeyId = null } = {}) => ({ user_id: userId || null, api_key_id: apiKeyId || null });
+
+module.exports = { EVENT_TYPES, subscribe, publish, toActor };
@@ -0,0 +1,100 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const TaskModel = require('../models/taskModel');
+const statusFilter = require('../filters/statusFilter');
+const { toCsvRow } = require('../utils/csv');
+
+// Tasks are read and written this many at a time, so an export of any size
+// holds no more than one batch in memory
+const BATCH_SIZE = 500;
+
+const SLA_LABELS = { AT_RISK: 'At risk', BREACHED: 'Breached' };
+
+// The columns of both formats. Dates are UTC: ISO 8601 text in CSV, date cells in Excel
+const COLUMNS = [
+  { header: 'ID', width: 8, value: task => task.id },
+  { header: 'Title', width: 40, value: task => task.title },
+  { header: 'Description', width: 60, value: task => task.description },
+  { header: 'Status', width: 14, value: task => statusFilter(task.status) },
+  { header: 'Priority', width: 10, value: task => statusFilter(task.priority) },
+  { header: 'Due date (UTC)', width: 18, date: true, value: task => task.due_date },
+  { header: 'Assigned to', width: 20, value: task => task.assigned_to_name },
+  { header: 'Case reference', width: 18, value: task => task.case_reference },
+  { header: 'Tags', width: 24, value: task => task.tags.join(', ') },
+  { header: 'SLA', width: 10, value: task => SLA_LABELS[task.sla_status] },
+  { header: 'Created (UTC)', width: 18, date: true, value: task => task.created_at },
+  { header: 'Updated (UTC)', width: 18, date: true, value: task => task.updated_at }
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Pages through TaskModel.findAll with the list's own filters and sort
+async function* findInBatches(query) {
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const tasks = await TaskModel.findAll({ ...query, limit: BATCH_SIZE, offset });
+    if (tasks.length > 0) yield tasks;
+    if (tasks.length < BATCH_SIZE) return;
+  }
+}
+
+// Waits while the client catches up (or until it goes away)
+const drained = async (stream) => {
+  if (stream.writableNeedDrain) await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+};
+
+const writeCsv = async (stream, query) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  stream.write(`\uFEFF${toCsvRow(COLUMNS.map(column => column.header))}`);
+  for await (const tasks of findInBatches(query)) {
+    if (stream.destroyed) return;
+    stream.write(tasks.map(task => toCsvRow(COLUMNS.map(column => column.value(task)))).join(''));
+    await drained(stream);
+  }
+  stream.end();
+};
+
+// Cells are typed (numbers, text, dates), so text is never evaluated as a formula
+const writeXlsx = async (stream, query) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet('Tasks', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS.map(column => ({
+    header: column.header,
+    width: column.width,
+    ...(column.date && { style: { numFmt: 'dd mmm yyyy hh:mm' } })
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const tasks of findInBatches(query)) {
+    if (stream.destroyed) return;
+    for (const task of tasks) {
+      sheet.addRow(COLUMNS.map(column => {
+        const value = column.value(task);
+        return column.date && value ? new Date(value) : value ?? null;
+      })).commit();
+    }
+    await drained(stream);
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Streams every task matching the list filters to `res` as a download.
+ * @param {import('express').Response} res
+ * @param {'csv'|'xlsx'} format
+ * @param {object} query - TaskModel.findAll filters and sort (no limit/offset)
+ */
+const streamExport = async (res, format, query) => {
+  const fileName = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.status(200).set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-store'
+  });
+  await (format === 'xlsx' ? writeXlsx(res, query) : writeCsv(res, query));
+};
+
+module.exports = { COLUMNS, streamExport };
@@ -0,0 +1,154 @@
+const TaskModel = require('../models/taskModel');
+const UserModel = require('../models/userModel');
+const taskSchema = require('../schemas/taskSchema');
+const { applyWorkingDayDeadline } = require('./calendarService');
+const { parseCsv } = require('../utils/csv');
+const settings = require('../config/settings');
+
+// What an imported task can have: the create API's fields, less subtasks and
+// recurrence (an import brings in standalone tasks)
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'due_date', 'due_in_working_days', 'assigned_to', 'case_reference', 'tags'];
+
+// Marks a row that could not be read as a task, with the reason
+const ROW_PROBLEM = Symbol('rowProblem');
+
+// "Due date" and "due_date" are the same column
+const toFieldName = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// CSV: a header row naming the fields, then one task per row. Empty cells are left out
+const readCsv = (text) => {
+  let lines;
+  try {
+    lines = parseCsv(text);
+  } catch (error) {
+    return { error: `The CSV file could not be read: ${error.message}` };
+  }
+  if (lines.length === 0) return { error: "The file is empty" };
+
+  const [header, ...values] = lines;
+  const columns = header.map(toFieldName);
+  const unknown = columns.filter(column => !IMPORT_FIELDS.includes(column));
+  if (unknown.length > 0) {
+    return { error: `Unknown column${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. Columns can be ${IMPORT_FIELDS.join(', ')}` };
+  }
+
+  const rows = values.map(cells => {
+    if (cells.length > columns.length) return { [ROW_PROBLEM]: `The row has ${cells.length} values but there are ${columns.length} columns` };
+    return Object.fromEntries(columns.map((column, i) => [column, cells[i]]).filter(([, cell]) => cell !== undefined && cell.trim() !== ''));
+  });
+  return { rows };
+};
+
+// JSON: an array of tasks, or { "tasks": [...] }
+const readJson = (value) => {
+  const rows = Array.isArray(value) ? value : value && value.tasks;
+  if (!Array.isArray(rows)) return { error: 'The JSON must be an array of tasks, or { "tasks": [...] }' };
+  return {
+    rows: rows.map(row => (row && typeof row === 'object' && !Array.isArray(row) ? row : { [ROW_PROBLEM]: "Each task must be a JSON object" }))
+  };
+};
+
+/**
+ * Reads an import file into rows (one object per task), or explains why it cannot be used.
+ * @param {string|object} content - CSV text, JSON text, or JSON already parsed (an API body)
+ * @param {'csv'|'json'} format
+ * @returns {{ rows?: object[], error?: string }}
+ */
+const readImport = (content, format) => {
+  let result;
+  if (format === 'csv') {
+    result = readCsv(content);
+  } else {
+    let value = content;
+    if (typeof content === 'string') {
+      try {
+        value = JSON.parse(content.replace(/^\uFEFF/, ''));
+      } catch (error) {
+        return { error: `The JSON file could not be read: ${error.message}` };
+      }
+    }
+    result = readJson(value);
+  }
+
+  if (result.error) return result;
+  if (result.rows.length === 0) return { error: "The file has no tasks in it" };
+  if (result.rows.length > settings.importMaxRows) {
+    return { error: `The file has ${result.rows.length} tasks. Import at most ${settings.importMaxRows} at a time` };
+  }
+  return result;
+};
+
+// The same checks as creating a task through the API. Resolves { task } or { errors }
+const validateRow = async (row, now) => {
+  if (row[ROW_PROBLEM]) return { errors: [{ message: row[ROW_PROBLEM], path: [] }] };
+
+  const unknown = Object.keys(row).filter(field => !IMPORT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { errors: unknown.map(field => ({ message: `Unknown field '${field}'`, path: [field] })) };
+  }
+
+  const deadline = await applyWorkingDayDeadline(row);
+  if (deadline.error) return { errors: [{ message: deadline.error, path: ['due_in_working_days'] }] };
+
+  const parsed = taskSchema.safeParse(deadline.data);
+  if (!parsed.success) {
+    return { errors: parsed.error.errors.map(({ message, path }) => ({ message, path })) };
+  }
+
+  const errors = [];
+  if (new Date(parsed.data.due_date) < now) {
+    errors.push({ message: "Due date must be in the future", path: ['due_date'] });
+  }
+  if (parsed.data.assigned_to && !await UserModel.findById(parsed.data.assigned_to)) {
+    errors.push({ message: "Assignee must be an existing user", path: ['assigned_to'] });
+  }
+  return errors.length > 0 ? { errors } : { task: parsed.data };
+};
+
+/**
+ * Validates every row, then (unless this is a dry run) creates the valid tasks in
+ * one transaction, each with a "Task imported" history entry. In all_or_nothing
+ * mode a single invalid row means nothing is imported (see importOptionsSchema).
+ * @param {object[]} rows - from readImport
+ * @param {{ mode: string, dryRun: boolean, actor: object }} options
+ * @returns {Promise<object>} the report: counts, and per row (numbered from 1) its
+ *   result ('valid', 'invalid' or 'imported'), the new task_id or the errors
+ */
+const runImport = async (rows, { mode, dryRun, actor }) => {
+  const now = new Date();
+  const results = [];
+  for (const [i, row] of rows.entries()) {
+    const { task, errors } = await validateRow(row, now);
+    results.push({
+      row: i + 1,
+      title: typeof row.title === 'string' ? row.title : null,
+      result: errors ? 'invalid' : 'valid',
+      ...(errors && { errors }),
+      task
+    });
+  }
+
+  const valid = results.filter(result => result.result === 'valid');
+  const invalidCount = results.length - valid.length;
+  const canImport = !dryRun && valid.length > 0 && (invalidCount === 0 || mode === 'skip_invalid');
+
+  if (canImport) {
+    const created = await TaskModel.importMany(valid.map(result => result.task), actor);
+    valid.forEach((result, i) => {
+      result.result = 'imported';
+      result.task_id = created[i].id;
+    });
+  }
+
+  return {
+    dry_run: dryRun,
+    mode,
+    total: results.length,
+    valid: valid.length,
+    invalid: invalidCount,
+    imported: canImport ? valid.length : 0,
+    rows: results.map(({ task, ...result }) => result)
+  };
+};
+
+module.exports = { IMPORT_FIELDS, readImport, runImport };
@@ -0,0 +1,41 @@
+const path = require('path');
+const nunjucks = require('nunjucks');
+const transport = require('../mail');
+const settings = require('../config/settings');
+const dateFilter = require('../utils/formatDate');
+const statusFilter = require('../filters/statusFilter');
+
+// Each email has an HTML and a plain text version: src/views/emails/<name>.html and <name>.txt.
+// Plain text is not HTML-escaped, so the two need their own environments
+const createEnvironment = (autoescape) => {
+  const env = new nunjucks.Environment(
+    new nunjucks.FileSystemLoader(path.join(__dirname, '../views/emails')),
+    { autoescape }
+  );
+  env.addFilter('date', dateFilter);
+  env.addFilter('friendlyStatus', statusFilter);
+  env.addGlobal('baseUrl', () => settings.appBaseUrl);
+  return env;
+};
+const htmlEnv = createEnvironment(true);
+const textEnv = createEnvironment(false);
+
+/**
+ * Renders an email template and sends it to one user.
+ * @param {{ display_name: string, email: string }} user
+ * @param {string} template - e.g. 'reminder'
+ * @param {string} subject
+ * @param {object} [context] - template variables (user and subject are added)
+ */
+const sendTemplate = async (user, template, subject, context = {}) => {
+  const variables = { ...context, user, subject };
+  await transport.send({
+    from: settings.mailFrom,
+    to: `"${user.display_name.replace(/"/g, '')}" <${user.email}>`,
+    subject,
+    text: textEnv.render(`${template}.txt`, variables),
+    html: htmlEnv.render(`${template}.html`, variables)
+  });
+};
+
+module.exports = { sendTemplate };
@@ -0,0 +1,27 @@
+const { sendTemplate } = require('./mailService');
+
+/**
+ * Tells users about something that needs their attention (e.g. an SLA breach),
+ * by email (see src/services/mailService.js). Users without an email address
+ * are skipped; the log says so but never carries the notification itself, which
+ * quotes task details. The job that raises a notification does not need to know
+ * how it is delivered.
+ */
+const NotificationService = {
+
+  /**
+   * @param {{ to: object[], subject: string, text: string, taskId?: number }} notification -
+   *   to: users; text: one paragraph per line
+   */
+  send: async ({ to, subject, text, taskId = null }) => {
+    for (const user of to) {
+      if (!user.email) {
+        console.log(`Notification skipped for user ${user.id}: no email address`);
+        continue;
+      }
+      await sendTemplate(user, 'notification', subject, { lines: text.split('\n').filter(Boolean), taskId });
+    }
+  }
+};
+
+module.exports = NotificationService;
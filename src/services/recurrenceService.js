@@ -0,0 +1,80 @@
+const TaskModel = require('../models/taskModel');
+const SeriesModel = require('../models/seriesModel');
+const { generateChangeLog, loadAuditContext } = require('./auditService');
+const { parseRecurrenceRule, nextOccurrence } = require('../utils/recurrence');
+const { isTerminal } = require('../utils/workflow');
+
+// Task fields that belong to the series: changing them "for the series" updates
+// the template and every occurrence still to be done
+const SERIES_FIELDS = ['title', 'description', 'priority', 'assigned_to', 'case_reference', 'tags', 'recurrence'];
+
+/**
+ * Creates the next occurrence of every live series whose latest occurrence has
+ * been finished (completed, cancelled, ...) or has passed its due date. Missed dates (e.g. while the
+ * service was down) are skipped: the next occurrence is always in the future.
+ * Series that have reached their COUNT or UNTIL are ended instead. A series whose
+ * latest occurrence has been deleted is paused until that task is restored; ending it
+ * for good is DELETE /api/v1/series/:id.
+ * Runs from the scheduler (see server.js).
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<object[]>} the tasks created
+ */
+const runRecurrence = async ({ now = new Date() } = {}) => {
+  const created = [];
+
+  for (const series of await SeriesModel.findActiveWithLatest()) {
+    if (series.latest_deleted_at) continue;
+    const latestDue = new Date(series.latest_due_date);
+    if (!isTerminal(series.latest_status) && latestDue > now) continue;
+
+    const rule = parseRecurrenceRule(series.rule);
+    const next = nextOccurrence(series.rule, { start: series.starts_at, after: latestDue > now ? latestDue : now });
+    const finished = !next
+      || (rule.count && series.occurrence_count >= rule.count)
+      || (rule.until && next > rule.until);
+    if (finished) {
+      await SeriesModel.end(series.id);
+      continue;
+    }
+
+    const task = await TaskModel.createOccurrence(series.id, next.toISOString(), { afterTaskId: series.latest_task_id });
+    if (task) created.push(task);
+  }
+
+  if (created.length > 0) console.log(`Recurrence: created ${created.length} task occurrence(s)`);
+  return created;
+};
+
+/**
+ * Applies changes to a whole series: the template for future occurrences, and
+ * the occurrences not yet completed (each gets the usual history entry).
+ * recurrence: null stops the series. Resolves false if the series has already ended.
+ * @param {number} seriesId
+ * @param {object} changes - any of SERIES_FIELDS
+ * @param {{ userId?: number, apiKeyId?: number }} actor
+ */
+const updateSeries = async (seriesId, changes, actor) => {
+  const series = await SeriesModel.findById(seriesId);
+  if (!series || series.ended_at) return false;
+
+  const { recurrence, ...template } = changes;
+  await SeriesModel.update(seriesId, recurrence ? { ...template, rule: recurrence } : template);
+  if (recurrence === null) await SeriesModel.end(seriesId);
+
+  for (const taskId of await SeriesModel.findOpenOccurrenceIds(seriesId)) {
+    // Compared against the rule as it was, so the change shows in each task's history
+    const task = { ...await TaskModel.findById(taskId), recurrence: series.rule };
+    const lines = generateChangeLog(task, changes, await loadAuditContext(task.assigned_to, changes.assigned_to));
+    if (lines.length === 0) continue;
+
+    await TaskModel.update(
+      taskId,
+      { ...task, ...template, updated_at: new Date().toISOString() },
+      lines.join('\n'),
+      actor
+    );
+  }
+  return true;
+};
+
+module.exports = { SERIES_FIELDS, runRecurrence, updateSeries };
@@ -0,0 +1,94 @@
+const NotificationModel = require('../models/notificationModel');
+const { sendTemplate } = require('./mailService');
+const { londonDate, atLondonTime } = require('../utils/workingDays');
+const settings = require('../config/settings');
+
+const HOUR_MS = 60 * 60 * 1000;
+// The most a user can ask for (see notificationPreferencesSchema)
+const MAX_REMINDER_HOURS = 168;
+
+// Roles whose digest also covers everyone else's overdue tasks
+const TEAM_DIGEST_ROLES = ['team_leader'];
+
+// Sends one email unless one with the same key has gone already. Resolves true when sent
+const sendOnce = async (messageKey, { kind, user, taskId, subject, template, context }) => {
+  if (!await NotificationModel.claim(messageKey, { kind, userId: user.id, taskId, subject })) return false;
+  try {
+    await sendTemplate(user, template, subject, context);
+    return true;
+  } catch (error) {
+    await NotificationModel.release(messageKey);
+    console.error(`Email '${messageKey}' could not be sent:`, error);
+    return false;
+  }
+};
+
+/**
+ * Emails each assignee about their open tasks falling due within their reminder
+ * window (REMINDER_HOURS_BEFORE, or the hours they chose). Once per task, assignee
+ * and due date: moving the due date or reassigning the task brings a new reminder.
+ * Runs from the scheduler (see server.js).
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<object[]>} { task_id, user_id } for each reminder sent
+ */
+const runReminders = async ({ now = new Date() } = {}) => {
+  const horizon = new Date(now.getTime() + MAX_REMINDER_HOURS * HOUR_MS);
+  const sent = [];
+
+  for (const row of await NotificationModel.findDueForReminder(now.toISOString(), horizon.toISOString())) {
+    const hours = row.reminder_hours || settings.reminderHoursBefore;
+    if (new Date(row.due_date) - now > hours * HOUR_MS) continue;
+
+    const user = { id: row.user_id, display_name: row.display_name, email: row.email };
+    const delivered = await sendOnce(`reminder:${row.id}:${row.due_date}:${user.id}`, {
+      kind: 'reminder',
+      user,
+      taskId: row.id,
+      subject: `Reminder: task #${row.id} is due soon`,
+      template: 'reminder',
+      context: { task: row }
+    });
+    if (delivered) sent.push({ task_id: row.id, user_id: user.id });
+  }
+
+  if (sent.length > 0) console.log(`Reminders: sent ${sent.length} reminder email(s)`);
+  return sent;
+};
+
+/**
+ * Once a day, from DIGEST_TIME (UK time), emails each user who wants it a digest
+ * of their overdue tasks; team leaders' digests also list every overdue task in
+ * the team, including unassigned ones. Nobody gets an empty digest.
+ * Runs from the scheduler (see server.js).
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<object[]>} { user_id, own, team } (task counts) for each digest sent
+ */
+const runOverdueDigest = async ({ now = new Date() } = {}) => {
+  const today = londonDate(now);
+  if (now < atLondonTime(today, settings.digestTime)) return [];
+
+  const overdue = await NotificationModel.findOverdue(now.toISOString());
+  if (overdue.length === 0) return [];
+
+  const sent = [];
+  for (const user of await NotificationModel.findDigestRecipients()) {
+    const ownTasks = overdue.filter(task => task.assigned_to === user.id);
+    const teamTasks = TEAM_DIGEST_ROLES.includes(user.role) ? overdue : [];
+    if (ownTasks.length === 0 && teamTasks.length === 0) continue;
+
+    const count = Math.max(ownTasks.length, teamTasks.length);
+    const delivered = await sendOnce(`digest:${today}:${user.id}`, {
+      kind: 'digest',
+      user,
+      subject: `Overdue tasks: ${count} ${count === 1 ? 'task needs' : 'tasks need'} attention`,
+      template: 'digest',
+      context: { ownTasks, teamTasks }
+    });
+    if (delivered) sent.push({ user_id: user.id, own: ownTasks.length, team: teamTasks.length });
+  }
+
+  if (sent.length > 0) console.log(`Reminders: sent ${sent.length} overdue digest(s)`);
+  return sent;
+};
+
+module.exports = { runReminders, runOverdueDigest };
@@ -0,0 +1,43 @@
+const RetentionModel = require('../models/retentionModel');
+const WebhookModel = require('../models/webhookModel');
+const settings = require('../config/settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Applies the data retention policy to soft-deleted tasks, and prunes old
+ * webhook deliveries (a dry run leaves those alone).
+ * Runs from the scheduler and from the admin endpoint.
+ * @param {{ triggeredBy?: string, dryRun?: boolean }} [options]
+ */
+const runRetention = async ({ triggeredBy = 'scheduler', dryRun = false } = {}) => {
+  const { retentionDays, retentionMode: mode } = settings;
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+
+  const expired = await RetentionModel.findExpired(cutoff, { mode });
+  const summary = { mode, retentionDays, cutoff, dryRun };
+
+  // Dry run: report what would happen without touching anything
+  if (dryRun) {
+    return { ...summary, candidates: expired.map(({ id, deleted_at }) => ({ task_id: id, deleted_at })) };
+  }
+
+  const processed = [];
+  for (const task of expired) {
+    const options = { cutoff, retentionDays, triggeredBy };
+    const entry = mode === 'redact'
+      ? await RetentionModel.redact(task.id, options)
+      : await RetentionModel.purge(task.id, options);
+    if (entry) processed.push(entry);
+  }
+
+  if (processed.length > 0) {
+    console.log(`Retention: ${mode === 'redact' ? 'redacted' : 'purged'} ${processed.length} task(s) deleted before ${cutoff}`);
+  }
+
+  const webhookCutoff = new Date(Date.now() - settings.webhookDeliveryRetentionDays * DAY_MS).toISOString();
+  const webhookDeliveriesPruned = await WebhookModel.pruneDeliveries(webhookCutoff);
+  return { ...summary, processed, webhookDeliveriesPruned };
+};
+
+module.exports = { runRetention };
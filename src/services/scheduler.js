@@ -0,0 +1,44 @@
+/**
+ * Minimal in-process job scheduler.
+ * Each job runs on a fixed interval; a run is skipped if the previous one
+ * is still going. Jobs are only started from server.js, so tests (which
+ * require app.js) never get background timers.
+ */
+const jobs = new Map();
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.task();
+  } catch (error) {
+    console.error(`Scheduled job '${job.name}' failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * @param {string} name - unique job name (used in logs)
+ * @param {number} intervalMs - time between runs
+ * @param {function(): Promise<void>} task
+ * @param {{ runImmediately?: boolean }} [options]
+ */
+const schedule = (name, intervalMs, task, { runImmediately = true } = {}) => {
+  if (jobs.has(name)) throw new Error(`Job '${name}' is already scheduled`);
+
+  const job = { name, task, running: false };
+  job.timer = setInterval(() => runJob(job), intervalMs);
+  // Don't keep the process alive just for background jobs
+  job.timer.unref();
+  jobs.set(name, job);
+
+  if (runImmediately) runJob(job);
+};
+
+const stopAll = () => {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.clear();
+};
+
+module.exports = { schedule, stopAll };
@@ -0,0 +1,98 @@
+const SlaModel = require('../models/slaModel');
+const UserModel = require('../models/userModel');
+const NotificationService = require('./notificationService');
+const { generateChangeLog, loadAuditContext } = require('./auditService');
+const { PRIORITIES } = require('../schemas/slaRuleSchema');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// The first matching rule; SlaModel.findRules lists the most specific first
+const matchRule = (rules, task) => rules.find(rule =>
+  (!rule.priority || rule.priority === task.priority) && (!rule.tag || task.tags.includes(rule.tag)));
+
+// Who hears about it: the assignee and the team leader the task escalates to
+// (every team leader when the rule names none). Nobody unless the rule says so
+const findRecipients = async (rule, task, { includeLeaders }) => {
+  if (!rule.notify) return [];
+  const users = task.assigned_to ? [await UserModel.findById(task.assigned_to)] : [];
+  if (includeLeaders || users.length === 0) {
+    users.push(...(rule.escalate_to ? [await UserModel.findById(rule.escalate_to)] : await UserModel.findByRole('team_leader')));
+  }
+  const unique = new Map(users.filter(Boolean).map(user => [user.id, user]));
+  return [...unique.values()];
+};
+
+// Marks the task and escalates it as the rule says, recording it all in one history entry
+const applyStatus = async (task, rule, slaStatus) => {
+  const breached = slaStatus === 'BREACHED';
+  const escalation = {};
+  if (breached && rule.escalate_to && rule.escalate_to !== task.assigned_to) {
+    escalation.assigned_to = rule.escalate_to;
+  }
+  if (breached && rule.raise_priority_to && PRIORITIES.indexOf(rule.raise_priority_to) > PRIORITIES.indexOf(task.priority)) {
+    escalation.priority = rule.raise_priority_to;
+  }
+
+  const recipients = await findRecipients(rule, task, { includeLeaders: breached });
+  const hours = breached ? rule.breach_hours : rule.warning_hours;
+  const headline = `SLA ${breached ? 'breached' : 'at risk'}: open for more than ${plural(hours, 'hour')} (rule '${rule.name}')`;
+  const lines = [
+    headline,
+    ...generateChangeLog(task, escalation, await loadAuditContext(task.assigned_to, escalation.assigned_to)),
+    ...(recipients.length ? [`Notified: ${recipients.map(user => user.display_name).join(', ')}`] : [])
+  ];
+
+  const changed = await SlaModel.setStatus(task.id, slaStatus, escalation, lines.join('\n'));
+  if (!changed) return null;
+
+  if (recipients.length) {
+    try {
+      await NotificationService.send({
+        to: recipients,
+        subject: `Task #${task.id} ${breached ? 'has breached' : 'is at risk of breaching'} its SLA`,
+        text: `${task.title}\n${lines.join('\n')}`,
+        taskId: task.id
+      });
+    } catch (error) {
+      // The escalation itself stands; only the notification is lost
+      console.error(`SLA: could not notify about task ${task.id}:`, error);
+    }
+  }
+  return { task_id: task.id, sla_status: slaStatus, rule_id: rule.id, ...escalation, notified: recipients.map(user => user.id) };
+};
+
+/**
+ * Checks every open task against the SLA rules. A task is marked AT_RISK once it
+ * has been open for the rule's warning_hours, and BREACHED (and escalated) once
+ * it has been open for its breach_hours. Each change happens once per task.
+ * Runs from the scheduler (see server.js).
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<object[]>} what changed, one entry per task
+ */
+const runSlaCheck = async ({ now = new Date() } = {}) => {
+  const rules = await SlaModel.findRules();
+  if (rules.length === 0) return [];
+
+  const changed = [];
+  for (const task of await SlaModel.findOpenTasks()) {
+    const rule = matchRule(rules, task);
+    if (!rule) continue;
+
+    const hoursOpen = (now - new Date(task.created_at)) / HOUR_MS;
+    let result = null;
+    if (hoursOpen >= rule.breach_hours && task.sla_status !== 'BREACHED') {
+      result = await applyStatus(task, rule, 'BREACHED');
+    } else if (hoursOpen >= rule.warning_hours && !task.sla_status) {
+      result = await applyStatus(task, rule, 'AT_RISK');
+    }
+    if (result) changed.push(result);
+  }
+
+  const breaches = changed.filter(result => result.sla_status === 'BREACHED').length;
+  if (changed.length > 0) console.log(`SLA: ${breaches} task(s) breached, ${changed.length - breaches} at risk`);
+  return changed;
+};
+
+module.exports = { runSlaCheck };
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const WebhookModel = require('../models/webhookModel');
+const eventBus = require('./eventBus');
+const settings = require('../config/settings');
+
+// Deliveries sent per run of the delivery job; the rest wait for the next run
+const BATCH_SIZE = 50;
+// Longest wait between retries, however many attempts have failed
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Enough of a receiver's error response to see what went wrong
+const MAX_ERROR_LENGTH = 500;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * The X-Webhook-Signature header: an HMAC-SHA256, keyed with the subscription's
+ * secret, of "<X-Webhook-Timestamp>.<raw request body>". Receivers recompute it
+ * (and should reject old timestamps, to stop replays).
+ */
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const matchesFilters = ({ statuses, priorities, tags }, task) =>
+  (!statuses || statuses.includes(task.status)) &&
+  (!priorities || priorities.includes(task.priority)) &&
+  (!tags || tags.some(tag => task.tags.includes(tag)));
+
+// Queues the event for every active subscription that wants it. The payload is
+// fixed now, so a retry sends exactly what the first attempt did
+const enqueueEvent = async (event) => {
+  const subscriptions = await WebhookModel.findActiveFor(event.type);
+  const wanted = subscriptions.filter(subscription => matchesFilters(subscription.filters, event.data.task));
+  if (wanted.length === 0) return;
+
+  const payload = JSON.stringify(event);
+  for (const subscription of wanted) {
+    await WebhookModel.enqueue(subscription.id, event, payload);
+  }
+};
+
+// Starts queueing task events for webhook subscribers (called once, from app.js)
+let unsubscribe = null;
+const listen = () => {
+  if (!unsubscribe) unsubscribe = eventBus.subscribe(enqueueEvent);
+};
+
+// 1st retry after webhookRetryBaseSeconds, then twice as long each time
+const retryDelayMs = (attempts) =>
+  Math.min(settings.webhookRetryBaseSeconds * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+// One attempt at a delivery: { ok, responseStatus, error }
+const send = async (delivery, now) => {
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'hmcts-task-manager-webhooks',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': sign(delivery.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(settings.webhookTimeoutSeconds * 1000)
+    });
+    if (response.ok) return { ok: true, responseStatus: response.status };
+
+    const text = await response.text().catch(() => '');
+    return { ok: false, responseStatus: response.status, error: `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}` };
+  } catch (error) {
+    const reason = error.name === 'TimeoutError'
+      ? `No response within ${settings.webhookTimeoutSeconds} seconds`
+      : (error.cause && error.cause.message) || error.message;
+    return { ok: false, responseStatus: null, error: reason };
+  }
+};
+
+/**
+ * Sends the deliveries that are due. A 2xx response marks one DELIVERED; anything
+ * else is retried with exponential backoff, and marked FAILED after
+ * webhookMaxAttempts. Runs from the scheduler (see server.js).
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<object[]>} one { id, status, attempts, response_status } per delivery tried
+ */
+const runWebhookDeliveries = async ({ now = new Date() } = {}) => {
+  const due = await WebhookModel.findDue(now.toISOString(), BATCH_SIZE);
+  const results = [];
+
+  for (const delivery of due) {
+    const { ok, responseStatus, error } = await send(delivery, now);
+    const attempts = delivery.attempts + 1;
+    let status = 'DELIVERED';
+    let nextAttemptAt = null;
+    if (!ok) {
+      status = attempts >= settings.webhookMaxAttempts ? 'FAILED' : 'PENDING';
+      if (status === 'PENDING') nextAttemptAt = new Date(now.getTime() + retryDelayMs(attempts)).toISOString();
+    }
+
+    await WebhookModel.recordAttempt(delivery.id, {
+      status, attemptedAt: now.toISOString(), responseStatus, error: error || null, nextAttemptAt
+    });
+    results.push({ id: delivery.id, status, attempts, response_status: responseStatus });
+  }
+
+  const failed = results.filter(result => result.status === 'FAILED').length;
+  if (failed > 0) console.error(`Webhooks: ${failed} delivery(ies) failed for good`);
+  return results;
+};
+
+module.exports = { generateSecret, sign, listen, runWebhookDeliveries };
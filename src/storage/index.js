@@ -0,0 +1,19 @@
+const settings = require('../config/settings');
+
+/**
+ * The configured attachment storage backend (ATTACHMENT_STORAGE).
+ * Every backend implements:
+ *   save(key, buffer)        - store the file under key
+ *   createReadStream(key)    - a readable stream of the file
+ *   remove(key)              - delete the file (no error if it is already gone)
+ * Keys are generated by the app ("<task id>/<uuid>"), never taken from the client.
+ */
+const backends = {
+  local: () => require('./localDiskStorage')
+};
+
+if (!backends[settings.attachmentStorage]) {
+  throw new Error(`Unknown ATTACHMENT_STORAGE '${settings.attachmentStorage}' (expected: ${Object.keys(backends).join(', ')})`);
+}
+
+module.exports = backends[settings.attachmentStorage]();
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const settings = require('../config/settings');
+
+/**
+ * Stores attachments as files under ATTACHMENT_DIR (default ./uploads).
+ * Fine for a single server; point ATTACHMENT_STORAGE at a blob backend
+ * before running more than one instance.
+ */
+const resolveKey = (key) => {
+  const root = path.resolve(settings.attachmentDir);
+  const filePath = path.resolve(root, key);
+  // Keys are ours, but never let one escape the storage directory
+  if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid storage key '${key}'`);
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+};
+
+const createReadStream = (key) => fs.createReadStream(resolveKey(key));
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = { save, createReadStream, remove };
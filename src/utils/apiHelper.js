@@ -10,8 +10,11 @@ const sendApiError = (res, statusCode, detail) => {
     404: "Not Found",
     405: "Method Not Allowed",
     409: "Conflict",
+    412: "Precondition Failed",
+    413: "Content Too Large",
     415: "Unsupported Media Type",
     422: "Unprocessable Entity",
+    428: "Precondition Required",
     500: "Internal Server Error"
   };
 
@@ -26,4 +29,58 @@ const sendApiError = (res, statusCode, detail) => {
   });
 };
 
-module.exports = { sendApiError };
\ No newline at end of file
+/**
+ * Builds self/next/prev links for an offset-paginated list endpoint.
+ * All other query parameters are carried over so filters survive paging.
+ */
+const buildPageLinks = (req, { total, limit, offset }) => {
+  const basePath = req.baseUrl + req.path.replace(/\/$/, '');
+
+  const linkFor = (newOffset) => {
+    const params = new URLSearchParams();
+    Object.entries(req.query).forEach(([key, value]) => {
+      if (key === 'offset' || key === 'limit') return;
+      [].concat(value).forEach(v => params.append(key, v));
+    });
+    params.set('limit', limit);
+    params.set('offset', newOffset);
+    return `${basePath}?${params.toString()}`;
+  };
+
+  return {
+    self: linkFor(offset),
+    next: offset + limit < total ? linkFor(offset + limit) : null,
+    prev: offset > 0 ? linkFor(Math.max(offset - limit, 0)) : null
+  };
+};
+
+/**
+ * ETag for a task, derived from its version number (e.g. "3")
+ */
+const taskETag = (task) => `"${task.version}"`;
+
+/**
+ * Parses an If-Match header into the list of task versions it accepts.
+ * Returns null when the header is absent and '*' for a wildcard.
+ * Weak validators (W/"3") are accepted, as some clients add the prefix.
+ */
+const parseIfMatch = (header) => {
+  if (!header) return null;
+  if (header.trim() === '*') return '*';
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/"/g, ''))
+    .map(tag => parseInt(tag, 10))
+    .filter(version => !Number.isNaN(version));
+};
+
+/**
+ * Who is acting, for audit attribution in task_history: a signed-in user or an API key
+ */
+const actorOf = (req) => ({
+  userId: req.user ? req.user.id : null,
+  apiKeyId: req.apiKey ? req.apiKey.id : null
+});
+
+module.exports = { sendApiError, buildPageLinks, taskETag, parseIfMatch, actorOf };
\ No newline at end of file
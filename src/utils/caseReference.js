@@ -0,0 +1,19 @@
+const settings = require('../config/settings');
+
+/**
+ * Case references are stored upper-cased, trimmed and with runs of spaces
+ * removed, so "pa/12345/2024 " and "PA/12345/2024" find the same case.
+ */
+const normaliseCaseReference = (value) =>
+  (typeof value === 'string' ? value.trim().toUpperCase().replace(/\s+/g, '') : value);
+
+// The configured format a (normalised) reference matches, or undefined
+const matchCaseReferenceFormat = (reference) =>
+  settings.caseReferenceFormats.find(format => new RegExp(`^(?:${format.pattern})$`).test(reference));
+
+// e.g. "1234-5678-9012-3456 (CCD case number) or K00CF123 (County Court claim number)"
+const describeCaseReferenceFormats = () => settings.caseReferenceFormats
+  .map(format => (format.example ? `${format.example} (${format.name})` : format.name))
+  .join(', ');
+
+module.exports = { normaliseCaseReference, matchCaseReferenceFormat, describeCaseReferenceFormats };
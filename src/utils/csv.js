@@ -0,0 +1,72 @@
+/**
+ * CSV as RFC 4180 describes it: CRLF line endings, and fields quoted when they
+ * contain a comma, quote or line break. Excel and LibreOffice open it directly.
+ */
+
+// A spreadsheet treats a cell starting with one of these as a formula, so text
+// like "=HYPERLINK(...)" in a task title could run when the export is opened
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Text is prefixed with ' so it shows as typed instead of being evaluated
+const neutraliseFormula = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' ? neutraliseFormula(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+/**
+ * Parses CSV text into rows of fields. Quoted fields may hold commas, doubled
+ * quotes and line breaks; CRLF or LF line endings; blank lines are skipped and
+ * a leading byte order mark is ignored.
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} when a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let fieldStart = true;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+    fieldStart = true;
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (input[i + 1] === '"') field += input[++i];
+      else quoted = false;
+    } else if (char === '"' && fieldStart) {
+      quoted = true;
+      fieldStart = false;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+      fieldStart = false;
+    }
+  }
+  if (quoted) throw new Error("A quoted value is never closed");
+  if (!fieldStart || row.length > 0) endRow();
+  return rows;
+};
+
+module.exports = { neutraliseFormula, toCsvField, toCsvRow, parseCsv };
@@ -0,0 +1,42 @@
+const db = require('../config/db');
+
+// Utility to wrap sqlite3 queries in Promises
+const runQuery = (query, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function (err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+};
+
+const getQuery = (query, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Serialises transactions on the shared connection. SQLite cannot nest
+// BEGIN, so concurrent requests queue here instead of failing.
+// Every model must use this (not its own BEGIN) for the queue to work.
+let transactionQueue = Promise.resolve();
+const withTransaction = (work) => {
+  const result = transactionQueue.then(async () => {
+    await runQuery("BEGIN TRANSACTION");
+    try {
+      const value = await work();
+      await runQuery("COMMIT");
+      return value;
+    } catch (err) {
+      await runQuery("ROLLBACK").catch(() => {});
+      throw err;
+    }
+  });
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
+module.exports = { runQuery, getQuery, withTransaction };
@@ -0,0 +1,22 @@
+// Magic numbers for the attachment types we know how to recognise.
+// The browser's declared MIME type is only a claim; the first bytes are the file.
+const SIGNATURES = {
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]], // %PDF
+  'image/png': [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+  'image/jpeg': [[0xFF, 0xD8, 0xFF]],
+  'image/tiff': [[0x49, 0x49, 0x2A, 0x00], [0x4D, 0x4D, 0x00, 0x2A]] // little / big endian
+};
+
+const startsWith = (buffer, bytes) => buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+
+/**
+ * Whether the file's contents are consistent with its declared MIME type.
+ * Types without a known signature can't be checked, so they pass.
+ */
+const matchesDeclaredType = (buffer, mimeType) => {
+  const signatures = SIGNATURES[mimeType];
+  if (!signatures) return true;
+  return signatures.some(bytes => startsWith(buffer, bytes));
+};
+
+module.exports = { matchesDeclaredType };
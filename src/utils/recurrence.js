@@ -0,0 +1,183 @@
+/**
+ * Recurrence rules for repeating tasks: a subset of RFC 5545 RRULE.
+ *
+ *   FREQ=DAILY|WEEKLY|MONTHLY  (required)
+ *   INTERVAL=n                 every n days / weeks / months (default 1)
+ *   BYDAY=MO,TH                weekly only: the days of the week
+ *   BYMONTHDAY=15              monthly only: the day of the month (clamped to short months)
+ *   COUNT=n or UNTIL=20261231  when the series ends (at most one of them)
+ *
+ * DAILY, WEEKLY and MONTHLY on their own are accepted as shorthands.
+ * Occurrences are anchored on the series' first due date (its time of day,
+ * and its weekday / day of month unless BYDAY / BYMONTHDAY say otherwise).
+ * All dates are UTC.
+ */
+
+const FREQUENCIES = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Date#getUTCDay order
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const RULE_KEYS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toPositiveInt = (value, key, max) => {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < 1 || number > max) {
+    throw new Error(`${key} must be a whole number from 1 to ${max}`);
+  }
+  return number;
+};
+
+// UNTIL is a date (20261231) or a UTC date-time (20261231T170000Z); a bare date means the end of that day
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) throw new Error('UNTIL must be a date such as 20261231 or 20261231T170000Z');
+  const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+  const date = new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+  if (date.getUTCMonth() !== +m - 1) throw new Error('UNTIL must be a real date');
+  return date;
+};
+
+/**
+ * Parses a rule (or a shorthand) into { freq, interval, byDay, byMonthDay, count, until }.
+ * Throws an Error with a message fit to show the user when the rule is not supported.
+ */
+const parseRecurrenceRule = (input) => {
+  let text = String(input || '').trim().toUpperCase().replace(/^RRULE:/, '');
+  if (FREQUENCIES[text]) text = `FREQ=${text}`;
+  if (!text) throw new Error('Enter a recurrence rule');
+
+  const parts = {};
+  for (const part of text.split(';').filter(Boolean)) {
+    const [key, value, ...rest] = part.split('=');
+    if (!RULE_KEYS.includes(key) || !value || rest.length) {
+      throw new Error(`Unsupported recurrence rule part '${part}'. Use ${RULE_KEYS.join(', ')}`);
+    }
+    if (key in parts) throw new Error(`${key} can only appear once`);
+    parts[key] = value;
+  }
+
+  if (!FREQUENCIES[parts.FREQ]) throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? toPositiveInt(parts.INTERVAL, 'INTERVAL', 365) : 1,
+    byDay: null,
+    byMonthDay: null,
+    count: parts.COUNT ? toPositiveInt(parts.COUNT, 'COUNT', 1000) : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null
+  };
+
+  if (parts.BYDAY) {
+    if (rule.freq !== 'WEEKLY') throw new Error('BYDAY can only be used with FREQ=WEEKLY');
+    const days = parts.BYDAY.split(',');
+    if (!days.every(day => WEEKDAYS.includes(day))) throw new Error('BYDAY must list days such as MO,WE,FR');
+    // Keep them in week order (Monday first), without repeats
+    rule.byDay = [...new Set(days)].sort((a, b) => ((WEEKDAYS.indexOf(a) + 6) % 7) - ((WEEKDAYS.indexOf(b) + 6) % 7));
+  }
+  if (parts.BYMONTHDAY) {
+    if (rule.freq !== 'MONTHLY') throw new Error('BYMONTHDAY can only be used with FREQ=MONTHLY');
+    rule.byMonthDay = toPositiveInt(parts.BYMONTHDAY, 'BYMONTHDAY', 31);
+  }
+  if (rule.count && rule.until) throw new Error('Use either COUNT or UNTIL, not both');
+
+  return rule;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// The canonical string form, which is what gets stored
+const formatRecurrenceRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    const u = rule.until;
+    parts.push(`UNTIL=${u.getUTCFullYear()}${pad(u.getUTCMonth() + 1)}${pad(u.getUTCDate())}` +
+      `T${pad(u.getUTCHours())}${pad(u.getUTCMinutes())}${pad(u.getUTCSeconds())}Z`);
+  }
+  return parts.join(';');
+};
+
+const normaliseRecurrenceRule = (input) => formatRecurrenceRule(parseRecurrenceRule(input));
+
+const joinWords = (words) => (words.length > 1
+  ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`
+  : words[0]);
+
+// "Every 2 weeks on Monday and Thursday, until 31 December 2026"
+const describeRecurrence = (ruleString) => {
+  if (!ruleString) return 'Does not repeat';
+  const rule = parseRecurrenceRule(ruleString);
+  const unit = FREQUENCIES[rule.freq];
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  if (rule.byDay) text += ` on ${joinWords(rule.byDay.map(day => WEEKDAY_NAMES[WEEKDAYS.indexOf(day)]))}`;
+  if (rule.byMonthDay) text += ` on day ${rule.byMonthDay}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) {
+    text += `, until ${rule.until.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })}`;
+  }
+  return text;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Midnight UTC on the Monday of the date's week (RRULE's default WKST=MO)
+const weekStart = (date) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+};
+
+const atTimeOf = (date, time) => new Date(Date.UTC(
+  date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+  time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds()
+));
+
+/**
+ * The first occurrence strictly after `after`, for a series whose first
+ * occurrence is `start`. Ignores COUNT and UNTIL (the caller decides when the series ends).
+ */
+const nextOccurrence = (ruleString, { start, after }) => {
+  const rule = parseRecurrenceRule(ruleString);
+  const startDate = new Date(start);
+  const afterDate = new Date(after);
+
+  if (rule.freq === 'DAILY' || (rule.freq === 'WEEKLY' && !rule.byDay)) {
+    const step = (rule.freq === 'DAILY' ? 1 : 7) * rule.interval * DAY_MS;
+    const steps = Math.max(Math.floor((afterDate - startDate) / step) + 1, 1);
+    return new Date(startDate.getTime() + steps * step);
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const firstWeek = weekStart(startDate);
+    // Walk forward a day at a time; at most interval weeks (plus one) to find a match
+    for (let i = 1; i <= 7 * (rule.interval + 1); i++) {
+      const candidate = atTimeOf(new Date(afterDate.getTime() + i * DAY_MS), startDate);
+      const weeksIn = Math.round((weekStart(candidate) - firstWeek) / (7 * DAY_MS));
+      if (candidate > afterDate && candidate > startDate &&
+          rule.byDay.includes(WEEKDAYS[candidate.getUTCDay()]) && weeksIn % rule.interval === 0) {
+        return candidate;
+      }
+    }
+  }
+
+  // MONTHLY: try this month, then each following month in the interval
+  const day = rule.byMonthDay || startDate.getUTCDate();
+  const startMonth = startDate.getUTCFullYear() * 12 + startDate.getUTCMonth();
+  const afterMonth = Math.max(afterDate.getUTCFullYear() * 12 + afterDate.getUTCMonth(), startMonth);
+  for (let month = afterMonth; month <= afterMonth + rule.interval * 2; month++) {
+    if ((month - startMonth) % rule.interval !== 0) continue;
+    const year = Math.floor(month / 12);
+    const candidate = atTimeOf(new Date(Date.UTC(year, month % 12, Math.min(day, daysInMonth(year, month % 12)))), startDate);
+    if (candidate > afterDate && candidate > startDate) return candidate;
+  }
+  return null;
+};
+
+module.exports = {
+  parseRecurrenceRule,
+  formatRecurrenceRule,
+  normaliseRecurrenceRule,
+  describeRecurrence,
+  nextOccurrence
+};
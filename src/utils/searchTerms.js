@@ -0,0 +1,15 @@
+/**
+ * Splits free-text search input into words, the same way the FTS5
+ * unicode61 tokenizer does (letters and numbers only, lower-cased).
+ * Shared by the search query builder and the highlight filter so
+ * the highlighted words always match what was searched for.
+ * @param {string} text
+ * @returns {string[]}
+ */
+module.exports = function (text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+};
@@ -0,0 +1,22 @@
+/**
+ * Tags are free-form but normalised, so "Urgent Hearing" and "urgent-hearing"
+ * are the same tag: lower case, whitespace collapsed to hyphens.
+ */
+const TAG_PATTERN = /^[\p{Ll}\p{N}][\p{Ll}\p{N}-]*$/u;
+const MAX_TAG_LENGTH = 30;
+
+const normaliseTag = (value) => String(value).trim().toLowerCase().replace(/\s+/g, '-');
+
+// Accepts an array or a comma separated string (the forms send "a, b, c");
+// returns unique, normalised, non-empty tags
+const toTagList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  const tags = values
+    .flatMap(v => String(v).split(','))
+    .map(normaliseTag)
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
+
+module.exports = { TAG_PATTERN, MAX_TAG_LENGTH, normaliseTag, toTagList };
@@ -0,0 +1,31 @@
+const multer = require('multer');
+const settings = require('../config/settings');
+
+const MB = 1024 * 1024;
+
+/**
+ * Reads a single multipart file field into memory (the size limit keeps that bounded)
+ * and the form's text fields into req.body. Resolves the file, or undefined when none
+ * was sent. Rejects with { status, message } when the upload itself is unacceptable.
+ * Called from the controller, after authorization, so nobody unauthorised gets to upload.
+ */
+const receiveFile = (req, res, field = 'file') => new Promise((resolve, reject) => {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: settings.attachmentMaxSizeMb * MB, files: 1 }
+  }).single(field);
+
+  parse(req, res, (error) => {
+    if (!error) return resolve(req.file);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return reject({ status: 413, message: `The file must be ${settings.attachmentMaxSizeMb} MB or smaller` });
+    }
+    if (error instanceof multer.MulterError) {
+      return reject({ status: 400, message: `Upload a single file in the '${field}' field` });
+    }
+    // Anything else is a malformed multipart body
+    reject({ status: 400, message: "The upload could not be read. Try again" });
+  });
+});
+
+module.exports = { receiveFile };
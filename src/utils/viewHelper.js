@@ -1,10 +1,38 @@
+// Turns Zod field errors into the govukErrorSummary list.
+// Each link targets the input with the same id as the field name.
 const buildErrorList = (fieldErrors) => {
-  const list = [];
-  // You could make this generic by iterating keys, but explicit is fine too
-  if (fieldErrors.title) list.push({ text: fieldErrors.title[0], href: "#title" });
-  if (fieldErrors.description) list.push({ text: fieldErrors.description[0], href: "#description" });
-  if (fieldErrors.due_date) list.push({ text: fieldErrors.due_date[0], href: "#due_date" });
-  return list;
+  return Object.entries(fieldErrors)
+    .filter(([, messages]) => messages && messages.length > 0)
+    .map(([field, messages]) => ({ text: messages[0], href: `#${field}` }));
 };
 
-module.exports = { buildErrorList };
\ No newline at end of file
+/**
+ * Builds the params for the govukPagination component.
+ * Shows the first, last and current page (plus neighbours) with ellipses between.
+ * @param {number} currentPage - 1-based page number
+ * @param {number} totalPages
+ * @param {function(number): string} hrefFor - builds the link for a page number
+ */
+const buildPagination = (currentPage, totalPages, hrefFor) => {
+  if (totalPages <= 1) return null;
+
+  const items = [];
+  for (let page = 1; page <= totalPages; page++) {
+    const isEdge = page === 1 || page === totalPages;
+    const isNearCurrent = Math.abs(page - currentPage) <= 1;
+
+    if (isEdge || isNearCurrent) {
+      items.push({ number: page, href: hrefFor(page), current: page === currentPage });
+    } else if (!items[items.length - 1].ellipsis) {
+      items.push({ ellipsis: true });
+    }
+  }
+
+  return {
+    items,
+    previous: currentPage > 1 ? { href: hrefFor(currentPage - 1) } : null,
+    next: currentPage < totalPages ? { href: hrefFor(currentPage + 1) } : null
+  };
+};
+
+module.exports = { buildErrorList, buildPagination };
\ No newline at end of file
@@ -0,0 +1,63 @@
+const settings = require('../config/settings');
+
+/**
+ * Questions about the status workflow (settings.workflow, see src/config/workflow.js).
+ * Read at call time, so a changed setting takes effect straight away.
+ */
+
+const findStatus = (code) => settings.workflow.statuses.find(status => status.code === code);
+
+const statusCodes = () => settings.workflow.statuses.map(status => status.code);
+
+const initialStatus = () => settings.workflow.initial;
+
+const isStatus = (code) => Boolean(findStatus(code));
+
+// "In Progress"; unknown codes (e.g. one removed from the workflow) fall back to their code
+const statusLabel = (code) => {
+  const status = findStatus(code);
+  return status ? status.label : code;
+};
+
+const statusColour = (code) => {
+  const status = findStatus(code);
+  return (status && status.colour) || 'grey';
+};
+
+const terminalStatuses = () => settings.workflow.statuses.filter(status => status.terminal).map(status => status.code);
+
+// Finished with (e.g. completed or cancelled): never overdue and no longer blocking anything
+const isTerminal = (code) => terminalStatuses().includes(code);
+
+const allowedTransitions = (from) => (settings.workflow.transitions || {})[from] || [];
+
+// Staying on the same status is always allowed, as is leaving one the workflow no longer has
+const canTransition = (from, to) => from === to || !isStatus(from) || allowedTransitions(from).includes(to);
+
+// SQL for "the task is still open". The codes are checked to be plain upper case
+// words when the workflow is loaded, so they can be inlined.
+const openStatusCondition = (column = 'status') =>
+  `${column} NOT IN (${terminalStatuses().map(code => `'${code}'`).join(', ')})`;
+
+// Status select for the forms: the saved status and the ones it can move to
+// (every status for a new task), with `selected` chosen
+const statusItems = (saved, selected = saved) => {
+  const chosen = selected || initialStatus();
+  return settings.workflow.statuses
+    .filter(status => !saved || canTransition(saved, status.code))
+    .map(status => ({ value: status.code, text: status.label, selected: status.code === chosen }));
+};
+
+module.exports = {
+  statusCodes,
+  initialStatus,
+  isStatus,
+  statusLabel,
+  statusColour,
+  terminalStatuses,
+  isTerminal,
+  allowedTransitions,
+  canTransition,
+  openStatusCondition,
+  statusItems
+};
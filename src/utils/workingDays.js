@@ -0,0 +1,75 @@
+/**
+ * Working days in England & Wales: Monday to Friday, less bank holidays.
+ * Days are UK calendar dates ('YYYY-MM-DD' in Europe/London), so a deadline
+ * lands on the right day whatever the time of day or daylight saving.
+ * `holidays` is a Map (or Set) keyed by date, e.g. from BankHolidayModel.findDates().
+ */
+
+const TIME_ZONE = 'Europe/London';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const londonParts = (date) => Object.fromEntries(
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIME_ZONE, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value])
+);
+
+// The UK calendar date of an instant
+const londonDate = (date) => {
+  const { year, month, day } = londonParts(new Date(date));
+  return `${year}-${month}-${day}`;
+};
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings (done in UTC, where every day is 24 hours)
+const addDays = (dateStr, days) => new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const weekday = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+
+const isWeekend = (dateStr) => [0, 6].includes(weekday(dateStr));
+
+const isWorkingDay = (dateStr, holidays) => !isWeekend(dateStr) && !holidays.has(dateStr);
+
+// The nth working day after dateStr (which itself never counts)
+const addWorkingDays = (dateStr, n, holidays) => {
+  let date = dateStr;
+  for (let counted = 0; counted < n;) {
+    date = addDays(date, 1);
+    if (isWorkingDay(date, holidays)) counted++;
+  }
+  return date;
+};
+
+// Working days after fromStr, up to and including toStr (0 when toStr is not later)
+const workingDaysBetween = (fromStr, toStr, holidays) => {
+  let count = 0;
+  for (let date = addDays(fromStr, 1); date <= toStr; date = addDays(date, 1)) {
+    if (isWorkingDay(date, holidays)) count++;
+  }
+  return count;
+};
+
+// The instant it is 'HH:MM' UK time on dateStr, allowing for GMT / BST
+const atLondonTime = (dateStr, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const asUtc = Date.parse(`${dateStr}T00:00:00Z`) + (hours * 60 + minutes) * 60 * 1000;
+  const parts = londonParts(new Date(asUtc));
+  const shownAsUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return new Date(asUtc - (shownAsUtc - asUtc));
+};
+
+// "Saturday, 24 October 2026"
+const formatLongDate = (dateStr) => new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-GB', {
+  weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+});
+
+module.exports = {
+  londonDate,
+  addDays,
+  isWeekend,
+  isWorkingDay,
+  addWorkingDays,
+  workingDaysBetween,
+  atLondonTime,
+  formatLongDate
+};